@@ -0,0 +1,325 @@
+const { query } = require('../config/database');
+
+const createChatRoomsTable = async () => {
+  const createTableQuery = `
+    CREATE TABLE IF NOT EXISTS chat_rooms (
+      id VARCHAR(100) PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      description TEXT,
+      is_private BOOLEAN DEFAULT false,
+      owner_id INTEGER,
+      trip_id INTEGER UNIQUE, -- Set for the private room linking a trip's driver and passengers
+      is_active BOOLEAN DEFAULT true,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+      CONSTRAINT fk_chat_rooms_owner_id
+        FOREIGN KEY (owner_id)
+        REFERENCES users(id)
+        ON DELETE SET NULL,
+
+      CONSTRAINT fk_chat_rooms_trip_id
+        FOREIGN KEY (trip_id)
+        REFERENCES trips(id)
+        ON DELETE CASCADE
+    )
+  `;
+
+  try {
+    await query(createTableQuery);
+    console.log('Chat rooms table created successfully');
+  } catch (error) {
+    console.error('Error creating chat_rooms table:', error);
+    throw error;
+  }
+};
+
+const createChatRoomMembersTable = async () => {
+  const createTableQuery = `
+    CREATE TABLE IF NOT EXISTS chat_room_members (
+      id SERIAL PRIMARY KEY,
+      room_id VARCHAR(100) NOT NULL,
+      user_id INTEGER NOT NULL,
+      member_role VARCHAR(50) DEFAULT 'member' CHECK (
+        member_role IN ('owner', 'member')
+      ),
+      is_active BOOLEAN DEFAULT true,
+      joined_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      left_at TIMESTAMP WITH TIME ZONE,
+
+      CONSTRAINT fk_chat_room_members_room_id
+        FOREIGN KEY (room_id)
+        REFERENCES chat_rooms(id)
+        ON DELETE CASCADE,
+
+      CONSTRAINT fk_chat_room_members_user_id
+        FOREIGN KEY (user_id)
+        REFERENCES users(id)
+        ON DELETE CASCADE,
+
+      CONSTRAINT unique_chat_room_member
+        UNIQUE(room_id, user_id)
+    )
+  `;
+
+  try {
+    await query(createTableQuery);
+    console.log('Chat room members table created successfully');
+  } catch (error) {
+    console.error('Error creating chat_room_members table:', error);
+    throw error;
+  }
+};
+
+const createChatMessagesTable = async () => {
+  const createTableQuery = `
+    CREATE TABLE IF NOT EXISTS chat_messages (
+      id SERIAL PRIMARY KEY,
+      room_id VARCHAR(255) NOT NULL,
+      user_id INTEGER,
+      username VARCHAR(255) NOT NULL,
+      message TEXT NOT NULL,
+      message_type VARCHAR(50) DEFAULT 'text' CHECK (
+        message_type IN ('text', 'location', 'system')
+      ),
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+      CONSTRAINT fk_chat_messages_user_id
+        FOREIGN KEY (user_id)
+        REFERENCES users(id)
+        ON DELETE SET NULL
+    )
+  `;
+
+  try {
+    await query(createTableQuery);
+    console.log('Chat messages table created successfully');
+  } catch (error) {
+    console.error('Error creating chat_messages table:', error);
+    throw error;
+  }
+};
+
+const createConversationsTable = async () => {
+  const createTableQuery = `
+    CREATE TABLE IF NOT EXISTS conversations (
+      id SERIAL PRIMARY KEY,
+      user_one_id INTEGER NOT NULL, -- Lower of the two user IDs
+      user_two_id INTEGER NOT NULL, -- Higher of the two user IDs
+      trip_id INTEGER, -- Trip listing the conversation was started from
+      started_by INTEGER,
+      last_message_at TIMESTAMP WITH TIME ZONE,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+      CONSTRAINT fk_conversations_user_one_id
+        FOREIGN KEY (user_one_id)
+        REFERENCES users(id)
+        ON DELETE CASCADE,
+
+      CONSTRAINT fk_conversations_user_two_id
+        FOREIGN KEY (user_two_id)
+        REFERENCES users(id)
+        ON DELETE CASCADE,
+
+      CONSTRAINT fk_conversations_trip_id
+        FOREIGN KEY (trip_id)
+        REFERENCES trips(id)
+        ON DELETE SET NULL,
+
+      CONSTRAINT fk_conversations_started_by
+        FOREIGN KEY (started_by)
+        REFERENCES users(id)
+        ON DELETE SET NULL,
+
+      CONSTRAINT check_conversation_user_order
+        CHECK (user_one_id < user_two_id),
+
+      CONSTRAINT unique_conversation_users
+        UNIQUE(user_one_id, user_two_id)
+    )
+  `;
+
+  try {
+    await query(createTableQuery);
+    console.log('Conversations table created successfully');
+  } catch (error) {
+    console.error('Error creating conversations table:', error);
+    throw error;
+  }
+};
+
+const createDirectMessagesTable = async () => {
+  const createTableQuery = `
+    CREATE TABLE IF NOT EXISTS direct_messages (
+      id SERIAL PRIMARY KEY,
+      conversation_id INTEGER NOT NULL,
+      sender_id INTEGER,
+      message TEXT NOT NULL,
+      read_at TIMESTAMP WITH TIME ZONE,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+      CONSTRAINT fk_direct_messages_conversation_id
+        FOREIGN KEY (conversation_id)
+        REFERENCES conversations(id)
+        ON DELETE CASCADE,
+
+      CONSTRAINT fk_direct_messages_sender_id
+        FOREIGN KEY (sender_id)
+        REFERENCES users(id)
+        ON DELETE SET NULL
+    )
+  `;
+
+  try {
+    await query(createTableQuery);
+    console.log('Direct messages table created successfully');
+  } catch (error) {
+    console.error('Error creating direct_messages table:', error);
+    throw error;
+  }
+};
+
+const createChatIndexes = async () => {
+  const indexes = [
+    // Chat rooms table indexes
+    'CREATE INDEX IF NOT EXISTS idx_chat_rooms_owner_id ON chat_rooms(owner_id)',
+    'CREATE INDEX IF NOT EXISTS idx_chat_rooms_is_private ON chat_rooms(is_private)',
+
+    // Chat room members table indexes
+    'CREATE INDEX IF NOT EXISTS idx_chat_room_members_room_id ON chat_room_members(room_id)',
+    'CREATE INDEX IF NOT EXISTS idx_chat_room_members_user_id ON chat_room_members(user_id)',
+    'CREATE INDEX IF NOT EXISTS idx_chat_room_members_is_active ON chat_room_members(is_active)',
+
+    // Chat messages table indexes
+    'CREATE INDEX IF NOT EXISTS idx_chat_messages_room_id ON chat_messages(room_id, id DESC)',
+    'CREATE INDEX IF NOT EXISTS idx_chat_messages_user_id ON chat_messages(user_id)',
+    'CREATE INDEX IF NOT EXISTS idx_chat_messages_created_at ON chat_messages(created_at)',
+
+    // Conversations table indexes
+    'CREATE INDEX IF NOT EXISTS idx_conversations_user_one_id ON conversations(user_one_id)',
+    'CREATE INDEX IF NOT EXISTS idx_conversations_user_two_id ON conversations(user_two_id)',
+    'CREATE INDEX IF NOT EXISTS idx_conversations_last_message_at ON conversations(last_message_at)',
+
+    // Direct messages table indexes
+    'CREATE INDEX IF NOT EXISTS idx_direct_messages_conversation_id ON direct_messages(conversation_id, id DESC)',
+    'CREATE INDEX IF NOT EXISTS idx_direct_messages_unread ON direct_messages(conversation_id) WHERE read_at IS NULL'
+  ];
+
+  try {
+    for (const indexQuery of indexes) {
+      await query(indexQuery);
+    }
+    console.log('Chat indexes created successfully');
+  } catch (error) {
+    console.error('Error creating chat indexes:', error);
+    throw error;
+  }
+};
+
+const createChatTriggers = async () => {
+  // Triggers for updated_at fields
+  const triggers = [
+    {
+      table: 'chat_rooms',
+      trigger: `
+        DROP TRIGGER IF EXISTS update_chat_rooms_updated_at ON chat_rooms;
+        CREATE TRIGGER update_chat_rooms_updated_at
+            BEFORE UPDATE ON chat_rooms
+            FOR EACH ROW
+            EXECUTE FUNCTION update_updated_at_column();
+      `
+    },
+    {
+      table: 'conversations',
+      trigger: `
+        DROP TRIGGER IF EXISTS update_conversations_updated_at ON conversations;
+        CREATE TRIGGER update_conversations_updated_at
+            BEFORE UPDATE ON conversations
+            FOR EACH ROW
+            EXECUTE FUNCTION update_updated_at_column();
+      `
+    },
+    {
+      table: 'chat_messages',
+      trigger: `
+        DROP TRIGGER IF EXISTS update_chat_messages_updated_at ON chat_messages;
+        CREATE TRIGGER update_chat_messages_updated_at
+            BEFORE UPDATE ON chat_messages
+            FOR EACH ROW
+            EXECUTE FUNCTION update_updated_at_column();
+      `
+    }
+  ];
+
+  try {
+    for (const { trigger } of triggers) {
+      await query(trigger);
+    }
+    console.log('Chat triggers created successfully');
+  } catch (error) {
+    console.error('Error creating chat triggers:', error);
+    throw error;
+  }
+};
+
+const insertDefaultChatRooms = async () => {
+  const defaultRooms = [
+    {
+      id: 'general',
+      name: 'General Chat',
+      description: 'General discussion'
+    },
+    {
+      id: 'routes-help',
+      name: 'Routes & Directions',
+      description: 'Get help with routes and directions'
+    }
+  ];
+
+  try {
+    for (const room of defaultRooms) {
+      const insertQuery = `
+        INSERT INTO chat_rooms (id, name, description, is_private)
+        VALUES ($1, $2, $3, false)
+        ON CONFLICT (id) DO NOTHING
+      `;
+
+      await query(insertQuery, [room.id, room.name, room.description]);
+    }
+    console.log('Default chat rooms inserted successfully');
+  } catch (error) {
+    console.error('Error inserting default chat rooms:', error);
+    throw error;
+  }
+};
+
+const initializeChatTables = async () => {
+  try {
+    await createChatRoomsTable();
+    await createChatRoomMembersTable();
+    await createChatMessagesTable();
+    await createConversationsTable();
+    await createDirectMessagesTable();
+    await createChatIndexes();
+    await createChatTriggers();
+    await insertDefaultChatRooms();
+    console.log('Chat tables initialization completed');
+  } catch (error) {
+    console.error('Error initializing chat tables:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  createChatRoomsTable,
+  createChatRoomMembersTable,
+  createChatMessagesTable,
+  createConversationsTable,
+  createDirectMessagesTable,
+  createChatIndexes,
+  createChatTriggers,
+  insertDefaultChatRooms,
+  initializeChatTables
+};
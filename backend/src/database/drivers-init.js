@@ -0,0 +1,128 @@
+const { query } = require('../config/database');
+
+// Requests to become a driver. The `driver` role is only granted when a
+// reviewer approves one.
+const createDriverApplicationsTable = async () => {
+  const createTableQuery = `
+    CREATE TABLE IF NOT EXISTS driver_applications (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL,
+      license_number VARCHAR(50) NOT NULL,
+      license_expires_on DATE NOT NULL,
+      application_status VARCHAR(20) DEFAULT 'pending' CHECK (
+        application_status IN ('pending', 'approved', 'rejected')
+      ),
+      review_notes TEXT,
+      reviewed_by INTEGER,
+      reviewed_at TIMESTAMP WITH TIME ZONE,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+      CONSTRAINT fk_driver_applications_user_id
+        FOREIGN KEY (user_id)
+        REFERENCES users(id)
+        ON DELETE CASCADE,
+
+      CONSTRAINT fk_driver_applications_reviewed_by
+        FOREIGN KEY (reviewed_by)
+        REFERENCES users(id)
+        ON DELETE SET NULL
+    )
+  `;
+
+  try {
+    await query(createTableQuery);
+    console.log('Driver applications table created successfully');
+  } catch (error) {
+    console.error('Error creating driver_applications table:', error);
+    throw error;
+  }
+};
+
+// Documents uploaded with an application. The files themselves are kept on
+// local disk under `stored_name`.
+const createDriverDocumentsTable = async () => {
+  const createTableQuery = `
+    CREATE TABLE IF NOT EXISTS driver_documents (
+      id SERIAL PRIMARY KEY,
+      application_id INTEGER NOT NULL,
+      document_type VARCHAR(20) NOT NULL CHECK (document_type IN ('license', 'insurance')),
+      original_name VARCHAR(255) NOT NULL,
+      stored_name VARCHAR(255) NOT NULL,
+      mime_type VARCHAR(100) NOT NULL,
+      size_bytes INTEGER NOT NULL,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+      CONSTRAINT fk_driver_documents_application_id
+        FOREIGN KEY (application_id)
+        REFERENCES driver_applications(id)
+        ON DELETE CASCADE
+    )
+  `;
+
+  try {
+    await query(createTableQuery);
+    console.log('Driver documents table created successfully');
+  } catch (error) {
+    console.error('Error creating driver_documents table:', error);
+    throw error;
+  }
+};
+
+const createDriverIndexes = async () => {
+  const indexes = [
+    'CREATE INDEX IF NOT EXISTS idx_driver_applications_user_id ON driver_applications(user_id, created_at DESC)',
+    'CREATE INDEX IF NOT EXISTS idx_driver_applications_status ON driver_applications(application_status, created_at)',
+    'CREATE UNIQUE INDEX IF NOT EXISTS idx_driver_applications_pending ON driver_applications(user_id) WHERE application_status = \'pending\'',
+    'CREATE INDEX IF NOT EXISTS idx_driver_documents_application_id ON driver_documents(application_id)'
+  ];
+
+  try {
+    for (const indexQuery of indexes) {
+      await query(indexQuery);
+    }
+    console.log('Driver indexes created successfully');
+  } catch (error) {
+    console.error('Error creating driver indexes:', error);
+    throw error;
+  }
+};
+
+const createDriverTriggers = async () => {
+  const createTriggerQuery = `
+    DROP TRIGGER IF EXISTS update_driver_applications_updated_at ON driver_applications;
+    CREATE TRIGGER update_driver_applications_updated_at
+        BEFORE UPDATE ON driver_applications
+        FOR EACH ROW
+        EXECUTE FUNCTION update_updated_at_column();
+  `;
+
+  try {
+    await query(createTriggerQuery);
+    console.log('Driver triggers created successfully');
+  } catch (error) {
+    console.error('Error creating driver triggers:', error);
+    throw error;
+  }
+};
+
+const initializeDriverTables = async () => {
+  try {
+    await createDriverApplicationsTable();
+    await createDriverDocumentsTable();
+    await createDriverIndexes();
+    await createDriverTriggers();
+    console.log('Driver tables initialization completed');
+  } catch (error) {
+    console.error('Error initializing driver tables:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  createDriverApplicationsTable,
+  createDriverDocumentsTable,
+  createDriverIndexes,
+  createDriverTriggers,
+  initializeDriverTables
+};
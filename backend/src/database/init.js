@@ -1,6 +1,10 @@
 const { query } = require('../config/database');
 const { initializeRolesTables } = require('./roles-init');
+const { initializeDriverTables } = require('./drivers-init');
 const { initializeRoutesTables } = require('./routes-init');
+const { initializeChatTables } = require('./chat-init');
+const { initializeNotificationsTables } = require('./notifications-init');
+const { initializeJobsTables } = require('./jobs-init');
 
 const createUsersTable = async () => {
   const createTableQuery = `
@@ -12,14 +16,25 @@ const createUsersTable = async () => {
       first_name VARCHAR(255),
       last_name VARCHAR(255),
       profile_picture_url TEXT,
+      gender VARCHAR(20) CHECK (gender IN ('female', 'male', 'non_binary')),
+      notification_preferences JSONB DEFAULT '{}', -- per channel, which notification types to send
+      ride_preferences JSONB DEFAULT '{}', -- default needs when searching for and requesting rides
       is_active BOOLEAN DEFAULT true,
       created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
       updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
     )
   `;
 
+  const alterTableQuery = `
+    ALTER TABLE users
+      ADD COLUMN IF NOT EXISTS notification_preferences JSONB DEFAULT '{}',
+      ADD COLUMN IF NOT EXISTS gender VARCHAR(20) CHECK (gender IN ('female', 'male', 'non_binary')),
+      ADD COLUMN IF NOT EXISTS ride_preferences JSONB DEFAULT '{}'
+  `;
+
   try {
     await query(createTableQuery);
+    await query(alterTableQuery);
     console.log('Users table created successfully');
   } catch (error) {
     console.error('Error creating users table:', error);
@@ -92,7 +107,11 @@ const initializeAllTables = async () => {
   try {
     await initializeUsersTable();
     await initializeRolesTables();
+    await initializeDriverTables();
     await initializeRoutesTables();
+    await initializeChatTables();
+    await initializeNotificationsTables();
+    await initializeJobsTables();
     console.log('All database tables initialization completed');
   } catch (error) {
     console.error('Error initializing database tables:', error);
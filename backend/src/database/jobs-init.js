@@ -0,0 +1,126 @@
+const { query } = require('../config/database');
+
+const createJobsTable = async () => {
+  const createTableQuery = `
+    CREATE TABLE IF NOT EXISTS jobs (
+      id BIGSERIAL PRIMARY KEY,
+      job_name VARCHAR(100) NOT NULL,
+      payload JSONB DEFAULT '{}',
+      job_status VARCHAR(20) DEFAULT 'pending' CHECK (
+        job_status IN ('pending', 'running', 'completed', 'dead')
+      ),
+      dedupe_key VARCHAR(255), -- at most one pending or running job per key
+      attempts INTEGER DEFAULT 0,
+      max_attempts INTEGER DEFAULT 5,
+      run_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      locked_at TIMESTAMP WITH TIME ZONE,
+      locked_by VARCHAR(255),
+      last_error TEXT,
+      completed_at TIMESTAMP WITH TIME ZONE,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    )
+  `;
+
+  try {
+    await query(createTableQuery);
+    console.log('Jobs table created successfully');
+  } catch (error) {
+    console.error('Error creating jobs table:', error);
+    throw error;
+  }
+};
+
+const createJobSchedulesTable = async () => {
+  const createTableQuery = `
+    CREATE TABLE IF NOT EXISTS job_schedules (
+      schedule_name VARCHAR(100) PRIMARY KEY,
+      job_name VARCHAR(100) NOT NULL,
+      cron VARCHAR(100) NOT NULL,
+      payload JSONB DEFAULT '{}',
+      is_active BOOLEAN DEFAULT true,
+      next_run_at TIMESTAMP WITH TIME ZONE NOT NULL,
+      last_run_at TIMESTAMP WITH TIME ZONE,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    )
+  `;
+
+  try {
+    await query(createTableQuery);
+    console.log('Job schedules table created successfully');
+  } catch (error) {
+    console.error('Error creating job_schedules table:', error);
+    throw error;
+  }
+};
+
+const createJobIndexes = async () => {
+  const indexes = [
+    'CREATE INDEX IF NOT EXISTS idx_jobs_due ON jobs(run_at, id) WHERE job_status = \'pending\'',
+    'CREATE INDEX IF NOT EXISTS idx_jobs_running ON jobs(locked_at) WHERE job_status = \'running\'',
+    'CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs(job_status, job_name)',
+    'CREATE UNIQUE INDEX IF NOT EXISTS idx_jobs_dedupe_key ON jobs(dedupe_key) WHERE job_status IN (\'pending\', \'running\')',
+    'CREATE INDEX IF NOT EXISTS idx_job_schedules_due ON job_schedules(next_run_at) WHERE is_active = true'
+  ];
+
+  try {
+    for (const indexQuery of indexes) {
+      await query(indexQuery);
+    }
+    console.log('Job indexes created successfully');
+  } catch (error) {
+    console.error('Error creating job indexes:', error);
+    throw error;
+  }
+};
+
+const createJobTriggers = async () => {
+  const triggers = [
+    `
+      DROP TRIGGER IF EXISTS update_jobs_updated_at ON jobs;
+      CREATE TRIGGER update_jobs_updated_at
+          BEFORE UPDATE ON jobs
+          FOR EACH ROW
+          EXECUTE FUNCTION update_updated_at_column();
+    `,
+    `
+      DROP TRIGGER IF EXISTS update_job_schedules_updated_at ON job_schedules;
+      CREATE TRIGGER update_job_schedules_updated_at
+          BEFORE UPDATE ON job_schedules
+          FOR EACH ROW
+          EXECUTE FUNCTION update_updated_at_column();
+    `
+  ];
+
+  try {
+    for (const trigger of triggers) {
+      await query(trigger);
+    }
+    console.log('Job triggers created successfully');
+  } catch (error) {
+    console.error('Error creating job triggers:', error);
+    throw error;
+  }
+};
+
+const initializeJobsTables = async () => {
+  try {
+    await createJobsTable();
+    await createJobSchedulesTable();
+    await createJobIndexes();
+    await createJobTriggers();
+    console.log('Jobs tables initialization completed');
+  } catch (error) {
+    console.error('Error initializing jobs tables:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  createJobsTable,
+  createJobSchedulesTable,
+  createJobIndexes,
+  createJobTriggers,
+  initializeJobsTables
+};
@@ -0,0 +1,63 @@
+const { query } = require('../config/database');
+
+const createNotificationsTable = async () => {
+  const createTableQuery = `
+    CREATE TABLE IF NOT EXISTS notifications (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL,
+      notification_type VARCHAR(50) NOT NULL,
+      title VARCHAR(255) NOT NULL,
+      body TEXT,
+      data JSONB DEFAULT '{}', -- IDs of the trip, request, room, etc. the notification is about
+      read_at TIMESTAMP WITH TIME ZONE,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+      CONSTRAINT fk_notifications_user_id
+        FOREIGN KEY (user_id)
+        REFERENCES users(id)
+        ON DELETE CASCADE
+    )
+  `;
+
+  try {
+    await query(createTableQuery);
+    console.log('Notifications table created successfully');
+  } catch (error) {
+    console.error('Error creating notifications table:', error);
+    throw error;
+  }
+};
+
+const createNotificationIndexes = async () => {
+  const indexes = [
+    'CREATE INDEX IF NOT EXISTS idx_notifications_user_id ON notifications(user_id, id DESC)',
+    'CREATE INDEX IF NOT EXISTS idx_notifications_unread ON notifications(user_id) WHERE read_at IS NULL'
+  ];
+
+  try {
+    for (const indexQuery of indexes) {
+      await query(indexQuery);
+    }
+    console.log('Notification indexes created successfully');
+  } catch (error) {
+    console.error('Error creating notification indexes:', error);
+    throw error;
+  }
+};
+
+const initializeNotificationsTables = async () => {
+  try {
+    await createNotificationsTable();
+    await createNotificationIndexes();
+    console.log('Notifications tables initialization completed');
+  } catch (error) {
+    console.error('Error initializing notifications tables:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  createNotificationsTable,
+  createNotificationIndexes,
+  initializeNotificationsTables
+};
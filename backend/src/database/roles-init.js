@@ -109,7 +109,7 @@ const insertDefaultRoles = async () => {
       name: 'admin',
       display_name: 'Administrator',
       description: 'Full system access with all permissions',
-      permissions: ['user.read', 'user.write', 'user.delete', 'role.read', 'role.write', 'role.delete', 'chat.moderate', 'route.manage']
+      permissions: ['user.read', 'user.write', 'user.delete', 'role.read', 'role.write', 'role.delete', 'chat.moderate', 'route.manage', 'driver.verify']
     },
     {
       name: 'driver',
@@ -153,6 +153,32 @@ const insertDefaultRoles = async () => {
   }
 };
 
+// Permissions added to the default roles after they were first seeded. Roles
+// that already exist do not pick them up from insertDefaultRoles.
+const NEW_DEFAULT_PERMISSIONS = {
+  admin: ['driver.verify']
+};
+
+const addNewDefaultPermissions = async () => {
+  const updateQuery = `
+    UPDATE roles
+    SET permissions = permissions || to_jsonb($2::text)
+    WHERE name = $1 AND NOT permissions ? $2
+  `;
+
+  try {
+    for (const [roleName, permissions] of Object.entries(NEW_DEFAULT_PERMISSIONS)) {
+      for (const permission of permissions) {
+        await query(updateQuery, [roleName, permission]);
+      }
+    }
+    console.log('New default permissions added successfully');
+  } catch (error) {
+    console.error('Error adding new default permissions:', error);
+    throw error;
+  }
+};
+
 const assignDefaultUserRole = async () => {
   // This function will be called to assign default 'user' role to existing users
   const assignQuery = `
@@ -183,6 +209,7 @@ const initializeRolesTables = async () => {
     await createRoleIndexes();
     await createRolesTriggers();
     await insertDefaultRoles();
+    await addNewDefaultPermissions();
     await assignDefaultUserRole();
     console.log('Roles tables initialization completed');
   } catch (error) {
@@ -197,6 +224,7 @@ module.exports = {
   createRoleIndexes,
   createRolesTriggers,
   insertDefaultRoles,
+  addNewDefaultPermissions,
   assignDefaultUserRole,
   initializeRolesTables
 };
@@ -73,6 +73,40 @@ const createStopPointsTable = async () => {
   }
 };
 
+// Cars drivers register and pick for their trips. Seat capacity counts the
+// driver's seat. Removed vehicles are only deactivated, so past and upcoming
+// trips keep showing them.
+const createVehiclesTable = async () => {
+  const createTableQuery = `
+    CREATE TABLE IF NOT EXISTS vehicles (
+      id SERIAL PRIMARY KEY,
+      owner_id INTEGER NOT NULL,
+      make VARCHAR(100) NOT NULL,
+      model VARCHAR(100) NOT NULL,
+      color VARCHAR(50),
+      license_plate VARCHAR(20) NOT NULL,
+      seat_capacity INTEGER NOT NULL CHECK (seat_capacity BETWEEN 2 AND 60),
+      features TEXT[] DEFAULT '{}',
+      is_active BOOLEAN DEFAULT true,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      
+      CONSTRAINT fk_vehicles_owner_id 
+        FOREIGN KEY (owner_id) 
+        REFERENCES users(id) 
+        ON DELETE CASCADE
+    )
+  `;
+
+  try {
+    await query(createTableQuery);
+    console.log('Vehicles table created successfully');
+  } catch (error) {
+    console.error('Error creating vehicles table:', error);
+    throw error;
+  }
+};
+
 const createTripsTable = async () => {
   const createTableQuery = `
     CREATE TABLE IF NOT EXISTS trips (
@@ -86,13 +120,26 @@ const createTripsTable = async () => {
       available_seats INTEGER NOT NULL DEFAULT 1,
       price_per_seat DECIMAL(8, 2),
       currency VARCHAR(3) DEFAULT 'USD',
+      pricing_mode VARCHAR(20) DEFAULT 'flat' CHECK (
+        pricing_mode IN ('flat', 'per_km', 'segment')
+      ),
+      price_per_km DECIMAL(8, 2), -- used by the per_km pricing mode
+      minimum_fare DECIMAL(8, 2), -- lowest price per seat whatever the distance
       trip_status VARCHAR(50) DEFAULT 'scheduled' CHECK (
-        trip_status IN ('scheduled', 'active', 'completed', 'cancelled')
+        trip_status IN ('scheduled', 'active', 'completed', 'cancelled', 'expired')
       ),
       pickup_flexibility_minutes INTEGER DEFAULT 15,
       special_instructions TEXT,
       is_recurring BOOLEAN DEFAULT false,
       recurring_pattern JSONB, -- For recurring trips (weekly, daily, etc.)
+      waitlist_auto_approve BOOLEAN DEFAULT false, -- approve waitlisted passengers without asking the driver
+      vehicle_id INTEGER,
+      smoking_allowed BOOLEAN DEFAULT false,
+      pets_allowed BOOLEAN DEFAULT false,
+      luggage_space VARCHAR(10) DEFAULT 'medium' CHECK (luggage_space IN ('none', 'small', 'medium', 'large')),
+      music VARCHAR(10) CHECK (music IN ('off', 'quiet', 'on')), -- null when the driver has no rule
+      chattiness VARCHAR(10) CHECK (chattiness IN ('quiet', 'some', 'chatty')),
+      same_gender_only BOOLEAN DEFAULT false, -- only passengers of the driver's gender
       created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
       updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
       
@@ -104,12 +151,39 @@ const createTripsTable = async () => {
       CONSTRAINT fk_trips_driver_id 
         FOREIGN KEY (driver_id) 
         REFERENCES users(id) 
-        ON DELETE CASCADE
+        ON DELETE CASCADE,
+        
+      CONSTRAINT fk_trips_vehicle_id 
+        FOREIGN KEY (vehicle_id) 
+        REFERENCES vehicles(id) 
+        ON DELETE SET NULL
     )
   `;
 
+  const alterTableQuery = `
+    ALTER TABLE trips
+      ADD COLUMN IF NOT EXISTS waitlist_auto_approve BOOLEAN DEFAULT false,
+      ADD COLUMN IF NOT EXISTS pricing_mode VARCHAR(20) DEFAULT 'flat' CHECK (
+        pricing_mode IN ('flat', 'per_km', 'segment')
+      ),
+      ADD COLUMN IF NOT EXISTS price_per_km DECIMAL(8, 2),
+      ADD COLUMN IF NOT EXISTS minimum_fare DECIMAL(8, 2),
+      ADD COLUMN IF NOT EXISTS vehicle_id INTEGER REFERENCES vehicles(id) ON DELETE SET NULL,
+      ADD COLUMN IF NOT EXISTS smoking_allowed BOOLEAN DEFAULT false,
+      ADD COLUMN IF NOT EXISTS pets_allowed BOOLEAN DEFAULT false,
+      ADD COLUMN IF NOT EXISTS luggage_space VARCHAR(10) DEFAULT 'medium' CHECK (luggage_space IN ('none', 'small', 'medium', 'large')),
+      ADD COLUMN IF NOT EXISTS music VARCHAR(10) CHECK (music IN ('off', 'quiet', 'on')),
+      ADD COLUMN IF NOT EXISTS chattiness VARCHAR(10) CHECK (chattiness IN ('quiet', 'some', 'chatty')),
+      ADD COLUMN IF NOT EXISTS same_gender_only BOOLEAN DEFAULT false,
+      DROP CONSTRAINT IF EXISTS trips_trip_status_check,
+      ADD CONSTRAINT trips_trip_status_check CHECK (
+        trip_status IN ('scheduled', 'active', 'completed', 'cancelled', 'expired')
+      )
+  `;
+
   try {
     await query(createTableQuery);
+    await query(alterTableQuery);
     console.log('Trips table created successfully');
   } catch (error) {
     console.error('Error creating trips table:', error);
@@ -117,6 +191,93 @@ const createTripsTable = async () => {
   }
 };
 
+// Parent of the trips materialized from a recurring pattern. It holds the
+// template every occurrence is created from.
+const createTripSeriesTable = async () => {
+  const createTableQuery = `
+    CREATE TABLE IF NOT EXISTS trip_series (
+      id SERIAL PRIMARY KEY,
+      route_id INTEGER NOT NULL,
+      driver_id INTEGER NOT NULL,
+      title VARCHAR(255) NOT NULL,
+      description TEXT,
+      available_seats INTEGER NOT NULL DEFAULT 1,
+      price_per_seat DECIMAL(8, 2),
+      currency VARCHAR(3) DEFAULT 'USD',
+      pricing_mode VARCHAR(20) DEFAULT 'flat' CHECK (
+        pricing_mode IN ('flat', 'per_km', 'segment')
+      ),
+      price_per_km DECIMAL(8, 2),
+      minimum_fare DECIMAL(8, 2),
+      pickup_flexibility_minutes INTEGER DEFAULT 15,
+      special_instructions TEXT,
+      vehicle_id INTEGER,
+      smoking_allowed BOOLEAN DEFAULT false,
+      pets_allowed BOOLEAN DEFAULT false,
+      luggage_space VARCHAR(10) DEFAULT 'medium' CHECK (luggage_space IN ('none', 'small', 'medium', 'large')),
+      music VARCHAR(10) CHECK (music IN ('off', 'quiet', 'on')),
+      chattiness VARCHAR(10) CHECK (chattiness IN ('quiet', 'some', 'chatty')),
+      same_gender_only BOOLEAN DEFAULT false,
+      recurring_pattern JSONB NOT NULL,
+      series_status VARCHAR(50) DEFAULT 'active' CHECK (
+        series_status IN ('active', 'cancelled')
+      ),
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      
+      CONSTRAINT fk_trip_series_route_id 
+        FOREIGN KEY (route_id) 
+        REFERENCES routes(id) 
+        ON DELETE CASCADE,
+        
+      CONSTRAINT fk_trip_series_driver_id 
+        FOREIGN KEY (driver_id) 
+        REFERENCES users(id) 
+        ON DELETE CASCADE,
+        
+      CONSTRAINT fk_trip_series_vehicle_id 
+        FOREIGN KEY (vehicle_id) 
+        REFERENCES vehicles(id) 
+        ON DELETE SET NULL
+    )
+  `;
+
+  const alterTableQuery = `
+    ALTER TABLE trip_series
+      ADD COLUMN IF NOT EXISTS pricing_mode VARCHAR(20) DEFAULT 'flat' CHECK (
+        pricing_mode IN ('flat', 'per_km', 'segment')
+      ),
+      ADD COLUMN IF NOT EXISTS price_per_km DECIMAL(8, 2),
+      ADD COLUMN IF NOT EXISTS minimum_fare DECIMAL(8, 2),
+      ADD COLUMN IF NOT EXISTS vehicle_id INTEGER REFERENCES vehicles(id) ON DELETE SET NULL,
+      ADD COLUMN IF NOT EXISTS smoking_allowed BOOLEAN DEFAULT false,
+      ADD COLUMN IF NOT EXISTS pets_allowed BOOLEAN DEFAULT false,
+      ADD COLUMN IF NOT EXISTS luggage_space VARCHAR(10) DEFAULT 'medium' CHECK (luggage_space IN ('none', 'small', 'medium', 'large')),
+      ADD COLUMN IF NOT EXISTS music VARCHAR(10) CHECK (music IN ('off', 'quiet', 'on')),
+      ADD COLUMN IF NOT EXISTS chattiness VARCHAR(10) CHECK (chattiness IN ('quiet', 'some', 'chatty')),
+      ADD COLUMN IF NOT EXISTS same_gender_only BOOLEAN DEFAULT false
+  `;
+
+  // Occurrences point back to their series; one trip per series and date.
+  // Occurrences edited on their own are flagged so series edits skip them.
+  const alterTripsQuery = `
+    ALTER TABLE trips
+      ADD COLUMN IF NOT EXISTS series_id INTEGER REFERENCES trip_series(id) ON DELETE SET NULL,
+      ADD COLUMN IF NOT EXISTS series_date DATE,
+      ADD COLUMN IF NOT EXISTS is_series_exception BOOLEAN DEFAULT false
+  `;
+
+  try {
+    await query(createTableQuery);
+    await query(alterTableQuery);
+    await query(alterTripsQuery);
+    console.log('Trip series table created successfully');
+  } catch (error) {
+    console.error('Error creating trip_series table:', error);
+    throw error;
+  }
+};
+
 const createTripRequestsTable = async () => {
   const createTableQuery = `
     CREATE TABLE IF NOT EXISTS trip_requests (
@@ -127,12 +288,14 @@ const createTripRequestsTable = async () => {
       dropoff_stop_id INTEGER,
       requested_seats INTEGER DEFAULT 1,
       request_status VARCHAR(50) DEFAULT 'pending' CHECK (
-        request_status IN ('pending', 'approved', 'rejected', 'cancelled')
+        request_status IN ('pending', 'approved', 'rejected', 'cancelled', 'waitlisted', 'expired', 'no_show')
       ),
       message TEXT,
+      waitlist_offered_at TIMESTAMP WITH TIME ZONE, -- when a waitlisted request was offered a freed seat
       pickup_time TIMESTAMP WITH TIME ZONE,
       dropoff_time TIMESTAMP WITH TIME ZONE,
       total_price DECIMAL(8, 2),
+      price_locked_at TIMESTAMP WITH TIME ZONE, -- set on approval; the price no longer follows the trip's pricing
       created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
       updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
       
@@ -161,8 +324,20 @@ const createTripRequestsTable = async () => {
     )
   `;
 
+  // Bring existing databases up to date with the waitlist, price locking and no-shows
+  const alterTableQuery = `
+    ALTER TABLE trip_requests
+      ADD COLUMN IF NOT EXISTS waitlist_offered_at TIMESTAMP WITH TIME ZONE,
+      ADD COLUMN IF NOT EXISTS price_locked_at TIMESTAMP WITH TIME ZONE,
+      DROP CONSTRAINT IF EXISTS trip_requests_request_status_check,
+      ADD CONSTRAINT trip_requests_request_status_check CHECK (
+        request_status IN ('pending', 'approved', 'rejected', 'cancelled', 'waitlisted', 'expired', 'no_show')
+      )
+  `;
+
   try {
     await query(createTableQuery);
+    await query(alterTableQuery);
     console.log('Trip requests table created successfully');
   } catch (error) {
     console.error('Error creating trip_requests table:', error);
@@ -170,6 +345,85 @@ const createTripRequestsTable = async () => {
   }
 };
 
+// Standing seat requests on a recurring series. Once approved, a seat is
+// reserved on every upcoming occurrence on the chosen weekdays.
+const createTripSubscriptionsTable = async () => {
+  const createTableQuery = `
+    CREATE TABLE IF NOT EXISTS trip_subscriptions (
+      id SERIAL PRIMARY KEY,
+      series_id INTEGER NOT NULL,
+      passenger_id INTEGER NOT NULL,
+      days_of_week INTEGER[], -- NULL for every day of the series
+      pickup_stop_id INTEGER,
+      dropoff_stop_id INTEGER,
+      requested_seats INTEGER DEFAULT 1,
+      subscription_status VARCHAR(50) DEFAULT 'pending' CHECK (
+        subscription_status IN ('pending', 'approved', 'rejected', 'cancelled')
+      ),
+      message TEXT,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      
+      CONSTRAINT fk_trip_subscriptions_series_id 
+        FOREIGN KEY (series_id) 
+        REFERENCES trip_series(id) 
+        ON DELETE CASCADE,
+        
+      CONSTRAINT fk_trip_subscriptions_passenger_id 
+        FOREIGN KEY (passenger_id) 
+        REFERENCES users(id) 
+        ON DELETE CASCADE,
+        
+      CONSTRAINT fk_trip_subscriptions_pickup_stop 
+        FOREIGN KEY (pickup_stop_id) 
+        REFERENCES stop_points(id) 
+        ON DELETE SET NULL,
+        
+      CONSTRAINT fk_trip_subscriptions_dropoff_stop 
+        FOREIGN KEY (dropoff_stop_id) 
+        REFERENCES stop_points(id) 
+        ON DELETE SET NULL,
+        
+      CONSTRAINT unique_passenger_series 
+        UNIQUE(series_id, passenger_id)
+    )
+  `;
+
+  // Days a subscriber will not travel, without ending the subscription
+  const createSkipsTableQuery = `
+    CREATE TABLE IF NOT EXISTS trip_subscription_skips (
+      id SERIAL PRIMARY KEY,
+      subscription_id INTEGER NOT NULL,
+      skip_date DATE NOT NULL,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      
+      CONSTRAINT fk_trip_subscription_skips_subscription_id 
+        FOREIGN KEY (subscription_id) 
+        REFERENCES trip_subscriptions(id) 
+        ON DELETE CASCADE,
+        
+      CONSTRAINT unique_subscription_skip_date 
+        UNIQUE(subscription_id, skip_date)
+    )
+  `;
+
+  // Seats reserved by a subscription are ordinary requests pointing back to it
+  const alterTripRequestsQuery = `
+    ALTER TABLE trip_requests
+      ADD COLUMN IF NOT EXISTS subscription_id INTEGER REFERENCES trip_subscriptions(id) ON DELETE SET NULL
+  `;
+
+  try {
+    await query(createTableQuery);
+    await query(createSkipsTableQuery);
+    await query(alterTripRequestsQuery);
+    console.log('Trip subscriptions tables created successfully');
+  } catch (error) {
+    console.error('Error creating trip_subscriptions tables:', error);
+    throw error;
+  }
+};
+
 const createRouteRatingsTable = async () => {
   const createTableQuery = `
     CREATE TABLE IF NOT EXISTS route_ratings (
@@ -205,6 +459,258 @@ const createRouteRatingsTable = async () => {
   }
 };
 
+// Ratings drivers and passengers give each other after a completed trip.
+// Each person rates each other person on a trip at most once; `ratee_role`
+// records whether the rating is for driving or for riding.
+const createTripRatingsTable = async () => {
+  const createTableQuery = `
+    CREATE TABLE IF NOT EXISTS trip_ratings (
+      id SERIAL PRIMARY KEY,
+      trip_id INTEGER NOT NULL,
+      rater_id INTEGER NOT NULL,
+      ratee_id INTEGER NOT NULL,
+      ratee_role VARCHAR(20) NOT NULL CHECK (ratee_role IN ('driver', 'passenger')),
+      score INTEGER NOT NULL CHECK (score >= 1 AND score <= 5),
+      tags TEXT[] NOT NULL DEFAULT '{}',
+      comment TEXT,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+      CONSTRAINT fk_trip_ratings_trip_id
+        FOREIGN KEY (trip_id)
+        REFERENCES trips(id)
+        ON DELETE CASCADE,
+
+      CONSTRAINT fk_trip_ratings_rater_id
+        FOREIGN KEY (rater_id)
+        REFERENCES users(id)
+        ON DELETE CASCADE,
+
+      CONSTRAINT fk_trip_ratings_ratee_id
+        FOREIGN KEY (ratee_id)
+        REFERENCES users(id)
+        ON DELETE CASCADE,
+
+      CONSTRAINT unique_trip_rating
+        UNIQUE(trip_id, rater_id, ratee_id),
+
+      CONSTRAINT check_trip_rating_not_self
+        CHECK (rater_id <> ratee_id)
+    )
+  `;
+
+  try {
+    await query(createTableQuery);
+    console.log('Trip ratings table created successfully');
+  } catch (error) {
+    console.error('Error creating trip_ratings table:', error);
+    throw error;
+  }
+};
+
+// Broken commitments that count against a user's reliability: passengers the
+// driver marked as no-shows, and approved seats or trips cancelled shortly
+// before departure. One event of each type per user and trip.
+const createReliabilityEventsTable = async () => {
+  const createTableQuery = `
+    CREATE TABLE IF NOT EXISTS reliability_events (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL,
+      trip_id INTEGER NOT NULL,
+      trip_request_id INTEGER,
+      event_type VARCHAR(30) NOT NULL CHECK (event_type IN ('no_show', 'late_cancellation')),
+      user_role VARCHAR(20) NOT NULL CHECK (user_role IN ('driver', 'passenger')),
+      minutes_before_departure INTEGER, -- late cancellations only
+      recorded_by INTEGER,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+      CONSTRAINT fk_reliability_events_user_id
+        FOREIGN KEY (user_id)
+        REFERENCES users(id)
+        ON DELETE CASCADE,
+
+      CONSTRAINT fk_reliability_events_trip_id
+        FOREIGN KEY (trip_id)
+        REFERENCES trips(id)
+        ON DELETE CASCADE,
+
+      CONSTRAINT fk_reliability_events_trip_request_id
+        FOREIGN KEY (trip_request_id)
+        REFERENCES trip_requests(id)
+        ON DELETE SET NULL,
+
+      CONSTRAINT fk_reliability_events_recorded_by
+        FOREIGN KEY (recorded_by)
+        REFERENCES users(id)
+        ON DELETE SET NULL,
+
+      CONSTRAINT unique_reliability_event
+        UNIQUE(user_id, trip_id, event_type)
+    )
+  `;
+
+  try {
+    await query(createTableQuery);
+    console.log('Reliability events table created successfully');
+  } catch (error) {
+    console.error('Error creating reliability_events table:', error);
+    throw error;
+  }
+};
+
+const createTripLocationsTable = async () => {
+  const createTableQuery = `
+    CREATE TABLE IF NOT EXISTS trip_locations (
+      id SERIAL PRIMARY KEY,
+      trip_id INTEGER NOT NULL,
+      latitude DECIMAL(10, 8) NOT NULL,
+      longitude DECIMAL(11, 8) NOT NULL,
+      heading DECIMAL(5, 2), -- degrees from north
+      speed DECIMAL(6, 2), -- metres per second
+      accuracy DECIMAL(8, 2), -- metres
+      recorded_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      
+      CONSTRAINT fk_trip_locations_trip_id 
+        FOREIGN KEY (trip_id) 
+        REFERENCES trips(id) 
+        ON DELETE CASCADE
+    )
+  `;
+
+  try {
+    await query(createTableQuery);
+    console.log('Trip locations table created successfully');
+  } catch (error) {
+    console.error('Error creating trip_locations table:', error);
+    throw error;
+  }
+};
+
+const createTripStatusHistoryTable = async () => {
+  const createTableQuery = `
+    CREATE TABLE IF NOT EXISTS trip_status_history (
+      id SERIAL PRIMARY KEY,
+      trip_id INTEGER NOT NULL,
+      from_status VARCHAR(50) NOT NULL,
+      to_status VARCHAR(50) NOT NULL,
+      actor_id INTEGER, -- null when the change was made by the system
+      actor_type VARCHAR(20) NOT NULL CHECK (actor_type IN ('driver', 'admin', 'system')),
+      reason TEXT,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      
+      CONSTRAINT fk_trip_status_history_trip_id 
+        FOREIGN KEY (trip_id) 
+        REFERENCES trips(id) 
+        ON DELETE CASCADE,
+      CONSTRAINT fk_trip_status_history_actor_id 
+        FOREIGN KEY (actor_id) 
+        REFERENCES users(id) 
+        ON DELETE SET NULL
+    )
+  `;
+
+  try {
+    await query(createTableQuery);
+    console.log('Trip status history table created successfully');
+  } catch (error) {
+    console.error('Error creating trip_status_history table:', error);
+    throw error;
+  }
+};
+
+// Departure reminders already sent, one row per trip and offset, so each
+// reminder goes out once however often the reminder job runs
+const createTripRemindersTable = async () => {
+  const createTableQuery = `
+    CREATE TABLE IF NOT EXISTS trip_reminders (
+      trip_id INTEGER NOT NULL,
+      offset_minutes INTEGER NOT NULL,
+      sent_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+      PRIMARY KEY (trip_id, offset_minutes),
+      CONSTRAINT fk_trip_reminders_trip_id 
+        FOREIGN KEY (trip_id) 
+        REFERENCES trips(id) 
+        ON DELETE CASCADE
+    )
+  `;
+
+  try {
+    await query(createTableQuery);
+    console.log('Trip reminders table created successfully');
+  } catch (error) {
+    console.error('Error creating trip_reminders table:', error);
+    throw error;
+  }
+};
+
+const createSavedSearchesTable = async () => {
+  const createTableQuery = `
+    CREATE TABLE IF NOT EXISTS saved_searches (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL,
+      name VARCHAR(255),
+      start_location VARCHAR(255), -- matched against route and stop names
+      end_location VARCHAR(255),
+      start_latitude DECIMAL(10, 8), -- coordinates take precedence over names
+      start_longitude DECIMAL(11, 8),
+      end_latitude DECIMAL(10, 8),
+      end_longitude DECIMAL(11, 8),
+      radius_km DECIMAL(5, 2),
+      days_of_week INTEGER[], -- NULL for any day
+      time_from TIME,
+      time_to TIME,
+      timezone VARCHAR(100) DEFAULT 'UTC',
+      max_price DECIMAL(10, 2),
+      requested_seats INTEGER DEFAULT 1,
+      is_active BOOLEAN DEFAULT true,
+      last_matched_at TIMESTAMP WITH TIME ZONE,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      
+      CONSTRAINT fk_saved_searches_user_id 
+        FOREIGN KEY (user_id) 
+        REFERENCES users(id) 
+        ON DELETE CASCADE
+    )
+  `;
+
+  // Trips a saved search has alerted its owner about, so each trip is only
+  // announced once per search
+  const createMatchesTableQuery = `
+    CREATE TABLE IF NOT EXISTS saved_search_matches (
+      id SERIAL PRIMARY KEY,
+      search_id INTEGER NOT NULL,
+      trip_id INTEGER NOT NULL,
+      fare_per_seat DECIMAL(10, 2),
+      seen_at TIMESTAMP WITH TIME ZONE,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      
+      CONSTRAINT fk_saved_search_matches_search_id 
+        FOREIGN KEY (search_id) 
+        REFERENCES saved_searches(id) 
+        ON DELETE CASCADE,
+        
+      CONSTRAINT fk_saved_search_matches_trip_id 
+        FOREIGN KEY (trip_id) 
+        REFERENCES trips(id) 
+        ON DELETE CASCADE,
+        
+      CONSTRAINT unique_saved_search_trip 
+        UNIQUE(search_id, trip_id)
+    )
+  `;
+
+  try {
+    await query(createTableQuery);
+    await query(createMatchesTableQuery);
+    console.log('Saved searches tables created successfully');
+  } catch (error) {
+    console.error('Error creating saved_searches tables:', error);
+    throw error;
+  }
+};
+
 const createRouteIndexes = async () => {
   const indexes = [
     // Routes table indexes
@@ -221,12 +727,22 @@ const createRouteIndexes = async () => {
     'CREATE INDEX IF NOT EXISTS idx_stop_points_coordinates ON stop_points(latitude, longitude)',
     'CREATE INDEX IF NOT EXISTS idx_stop_points_order ON stop_points(route_id, stop_order)',
     
+    // Vehicles table indexes
+    'CREATE INDEX IF NOT EXISTS idx_vehicles_owner_id ON vehicles(owner_id)',
+    'CREATE UNIQUE INDEX IF NOT EXISTS idx_vehicles_owner_plate ON vehicles(owner_id, license_plate) WHERE is_active = true',
+    
     // Trips table indexes
     'CREATE INDEX IF NOT EXISTS idx_trips_route_id ON trips(route_id)',
     'CREATE INDEX IF NOT EXISTS idx_trips_driver_id ON trips(driver_id)',
     'CREATE INDEX IF NOT EXISTS idx_trips_departure_time ON trips(departure_time)',
     'CREATE INDEX IF NOT EXISTS idx_trips_status ON trips(trip_status)',
     'CREATE INDEX IF NOT EXISTS idx_trips_available_seats ON trips(available_seats)',
+    'CREATE UNIQUE INDEX IF NOT EXISTS idx_trips_series_date ON trips(series_id, series_date)',
+    'CREATE INDEX IF NOT EXISTS idx_trips_vehicle_id ON trips(vehicle_id)',
+    
+    // Trip series table indexes
+    'CREATE INDEX IF NOT EXISTS idx_trip_series_driver_id ON trip_series(driver_id)',
+    'CREATE INDEX IF NOT EXISTS idx_trip_series_status ON trip_series(series_status)',
     
     // Trip requests table indexes
     'CREATE INDEX IF NOT EXISTS idx_trip_requests_trip_id ON trip_requests(trip_id)',
@@ -234,11 +750,35 @@ const createRouteIndexes = async () => {
     'CREATE INDEX IF NOT EXISTS idx_trip_requests_status ON trip_requests(request_status)',
     'CREATE INDEX IF NOT EXISTS idx_trip_requests_pickup_stop ON trip_requests(pickup_stop_id)',
     'CREATE INDEX IF NOT EXISTS idx_trip_requests_dropoff_stop ON trip_requests(dropoff_stop_id)',
+    'CREATE INDEX IF NOT EXISTS idx_trip_requests_subscription_id ON trip_requests(subscription_id)',
+    'CREATE INDEX IF NOT EXISTS idx_trip_requests_waitlist ON trip_requests(trip_id, created_at, id) WHERE request_status = \'waitlisted\'',
+    
+    // Trip subscriptions table indexes
+    'CREATE INDEX IF NOT EXISTS idx_trip_subscriptions_series_id ON trip_subscriptions(series_id, subscription_status)',
+    'CREATE INDEX IF NOT EXISTS idx_trip_subscriptions_passenger_id ON trip_subscriptions(passenger_id)',
+    
+    // Trip locations table indexes
+    'CREATE INDEX IF NOT EXISTS idx_trip_locations_trip_id ON trip_locations(trip_id, recorded_at DESC)',
+    
+    // Trip status history table indexes
+    'CREATE INDEX IF NOT EXISTS idx_trip_status_history_trip_id ON trip_status_history(trip_id, created_at)',
+
+    // Saved searches table indexes
+    'CREATE INDEX IF NOT EXISTS idx_saved_searches_user_id ON saved_searches(user_id)',
+    'CREATE INDEX IF NOT EXISTS idx_saved_searches_active ON saved_searches(is_active) WHERE is_active = true',
+    'CREATE INDEX IF NOT EXISTS idx_saved_search_matches_search_id ON saved_search_matches(search_id, created_at DESC)',
     
     // Route ratings table indexes
     'CREATE INDEX IF NOT EXISTS idx_route_ratings_route_id ON route_ratings(route_id)',
     'CREATE INDEX IF NOT EXISTS idx_route_ratings_user_id ON route_ratings(user_id)',
-    'CREATE INDEX IF NOT EXISTS idx_route_ratings_rating ON route_ratings(rating)'
+    'CREATE INDEX IF NOT EXISTS idx_route_ratings_rating ON route_ratings(rating)',
+
+    // Trip ratings table indexes
+    'CREATE INDEX IF NOT EXISTS idx_trip_ratings_trip_id ON trip_ratings(trip_id)',
+    'CREATE INDEX IF NOT EXISTS idx_trip_ratings_ratee ON trip_ratings(ratee_id, ratee_role)',
+
+    // Reliability events table indexes
+    'CREATE INDEX IF NOT EXISTS idx_reliability_events_user ON reliability_events(user_id, created_at DESC)'
   ];
 
   try {
@@ -275,6 +815,16 @@ const createRouteTriggers = async () => {
             EXECUTE FUNCTION update_updated_at_column();
       `
     },
+    {
+      table: 'vehicles',
+      trigger: `
+        DROP TRIGGER IF EXISTS update_vehicles_updated_at ON vehicles;
+        CREATE TRIGGER update_vehicles_updated_at
+            BEFORE UPDATE ON vehicles
+            FOR EACH ROW
+            EXECUTE FUNCTION update_updated_at_column();
+      `
+    },
     {
       table: 'trips',
       trigger: `
@@ -285,6 +835,16 @@ const createRouteTriggers = async () => {
             EXECUTE FUNCTION update_updated_at_column();
       `
     },
+    {
+      table: 'trip_series',
+      trigger: `
+        DROP TRIGGER IF EXISTS update_trip_series_updated_at ON trip_series;
+        CREATE TRIGGER update_trip_series_updated_at
+            BEFORE UPDATE ON trip_series
+            FOR EACH ROW
+            EXECUTE FUNCTION update_updated_at_column();
+      `
+    },
     {
       table: 'trip_requests',
       trigger: `
@@ -295,6 +855,26 @@ const createRouteTriggers = async () => {
             EXECUTE FUNCTION update_updated_at_column();
       `
     },
+    {
+      table: 'trip_subscriptions',
+      trigger: `
+        DROP TRIGGER IF EXISTS update_trip_subscriptions_updated_at ON trip_subscriptions;
+        CREATE TRIGGER update_trip_subscriptions_updated_at
+            BEFORE UPDATE ON trip_subscriptions
+            FOR EACH ROW
+            EXECUTE FUNCTION update_updated_at_column();
+      `
+    },
+    {
+      table: 'saved_searches',
+      trigger: `
+        DROP TRIGGER IF EXISTS update_saved_searches_updated_at ON saved_searches;
+        CREATE TRIGGER update_saved_searches_updated_at
+            BEFORE UPDATE ON saved_searches
+            FOR EACH ROW
+            EXECUTE FUNCTION update_updated_at_column();
+      `
+    },
     {
       table: 'route_ratings',
       trigger: `
@@ -304,6 +884,16 @@ const createRouteTriggers = async () => {
             FOR EACH ROW
             EXECUTE FUNCTION update_updated_at_column();
       `
+    },
+    {
+      table: 'trip_ratings',
+      trigger: `
+        DROP TRIGGER IF EXISTS update_trip_ratings_updated_at ON trip_ratings;
+        CREATE TRIGGER update_trip_ratings_updated_at
+            BEFORE UPDATE ON trip_ratings
+            FOR EACH ROW
+            EXECUTE FUNCTION update_updated_at_column();
+      `
     }
   ];
 
@@ -447,9 +1037,18 @@ const initializeRoutesTables = async () => {
   try {
     await createRoutesTable();
     await createStopPointsTable();
+    await createVehiclesTable();
     await createTripsTable();
+    await createTripSeriesTable();
     await createTripRequestsTable();
+    await createTripSubscriptionsTable();
     await createRouteRatingsTable();
+    await createTripRatingsTable();
+    await createReliabilityEventsTable();
+    await createTripLocationsTable();
+    await createTripStatusHistoryTable();
+    await createTripRemindersTable();
+    await createSavedSearchesTable();
     await createRouteIndexes();
     await createRouteTriggers();
     await insertDefaultRoutes();
@@ -463,9 +1062,18 @@ const initializeRoutesTables = async () => {
 module.exports = {
   createRoutesTable,
   createStopPointsTable,
+  createVehiclesTable,
   createTripsTable,
+  createTripSeriesTable,
   createTripRequestsTable,
+  createTripSubscriptionsTable,
   createRouteRatingsTable,
+  createTripRatingsTable,
+  createReliabilityEventsTable,
+  createTripLocationsTable,
+  createTripStatusHistoryTable,
+  createTripRemindersTable,
+  createSavedSearchesTable,
   createRouteIndexes,
   createRouteTriggers,
   insertDefaultRoutes,
@@ -23,6 +23,27 @@ function authenticateToken(req, res, next) {
   });
 }
 
+// Socket.IO handshake middleware using the same JWT as authenticateToken.
+// The client sends the token as `auth.token`; the Authorization header also works.
+function authenticateSocket(socket, next) {
+  const authHeader = socket.handshake.headers['authorization'];
+  const token = socket.handshake.auth?.token || (authHeader && authHeader.split(' ')[1]);
+
+  if (!token) {
+    return next(new Error('Access token required'));
+  }
+
+  jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key', (err, user) => {
+    if (err) {
+      return next(new Error('Invalid or expired token'));
+    }
+
+    socket.data.user = user;
+    next();
+  });
+}
+
 module.exports = {
-  authenticateToken
+  authenticateToken,
+  authenticateSocket
 };
@@ -0,0 +1,89 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const multer = require('multer');
+
+// Root directory for uploaded files, kept on local disk
+const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(process.cwd(), 'uploads');
+
+// Where driver licence and insurance documents are stored
+const DRIVER_DOCUMENTS_DIR = path.join(UPLOAD_DIR, 'driver-documents');
+
+const MAX_DOCUMENT_SIZE_BYTES = 10 * 1024 * 1024;
+
+const DOCUMENT_MIME_TYPES = {
+  'application/pdf': '.pdf',
+  'image/jpeg': '.jpg',
+  'image/png': '.png'
+};
+
+// Files are stored under a random name so uploads never collide and the
+// original name is never used as a path
+const documentStorage = multer.diskStorage({
+  destination: (req, file, callback) => {
+    fs.promises.mkdir(DRIVER_DOCUMENTS_DIR, { recursive: true })
+      .then(() => callback(null, DRIVER_DOCUMENTS_DIR))
+      .catch(callback);
+  },
+  filename: (req, file, callback) => {
+    callback(null, `${crypto.randomUUID()}${DOCUMENT_MIME_TYPES[file.mimetype]}`);
+  }
+});
+
+const documentUpload = multer({
+  storage: documentStorage,
+  limits: { fileSize: MAX_DOCUMENT_SIZE_BYTES, files: 2 },
+  fileFilter: (req, file, callback) => {
+    if (!DOCUMENT_MIME_TYPES[file.mimetype]) {
+      const error = new Error('Documents must be PDF, JPEG or PNG files');
+      error.code = 'INVALID_FILE_TYPE';
+      return callback(error);
+    }
+    callback(null, true);
+  }
+});
+
+const UPLOAD_ERROR_MESSAGES = {
+  LIMIT_FILE_SIZE: `Documents must be at most ${MAX_DOCUMENT_SIZE_BYTES / (1024 * 1024)} MB`,
+  LIMIT_FILE_COUNT: 'Upload one licence and one insurance document',
+  LIMIT_UNEXPECTED_FILE: 'Only `license` and `insurance` files can be uploaded'
+};
+
+// Accept a driver's licence and insurance documents as the multipart fields
+// `license` and `insurance`. Upload problems are answered with a 400.
+const uploadDriverDocuments = (req, res, next) => {
+  const upload = documentUpload.fields([
+    { name: 'license', maxCount: 1 },
+    { name: 'insurance', maxCount: 1 }
+  ]);
+
+  upload(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+
+    if (error instanceof multer.MulterError || error.code === 'INVALID_FILE_TYPE') {
+      return res.status(400).json({ error: UPLOAD_ERROR_MESSAGES[error.code] || error.message });
+    }
+
+    console.error('Upload error:', error);
+    res.status(500).json({ error: 'Failed to upload documents' });
+  });
+};
+
+// Delete files a request uploaded, e.g. when the request is rejected
+const removeUploadedFiles = async (files) => {
+  const uploaded = Object.values(files || {}).flat();
+
+  await Promise.all(uploaded.map(file => fs.promises.unlink(file.path).catch(() => {})));
+};
+
+// Absolute path of a stored driver document
+const driverDocumentPath = (storedName) => path.join(DRIVER_DOCUMENTS_DIR, path.basename(storedName));
+
+module.exports = {
+  UPLOAD_DIR,
+  uploadDriverDocuments,
+  removeUploadedFiles,
+  driverDocumentPath
+};
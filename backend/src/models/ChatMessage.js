@@ -0,0 +1,121 @@
+const { query } = require('../config/database');
+
+class ChatMessage {
+  constructor(messageData) {
+    this.id = messageData.id;
+    this.room_id = messageData.room_id;
+    this.user_id = messageData.user_id;
+    this.username = messageData.username;
+    this.message = messageData.message;
+    this.message_type = messageData.message_type;
+    this.created_at = messageData.created_at;
+    this.updated_at = messageData.updated_at;
+  }
+
+  // Create a new chat message
+  static async create(messageData) {
+    const { room_id, user_id, username, message, message_type = 'text' } = messageData;
+
+    const insertQuery = `
+      INSERT INTO chat_messages (room_id, user_id, username, message, message_type)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    `;
+
+    try {
+      const result = await query(insertQuery, [
+        room_id, user_id, username, message, message_type
+      ]);
+
+      return new ChatMessage(result.rows[0]);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Find message by ID
+  static async findById(id) {
+    const selectQuery = 'SELECT * FROM chat_messages WHERE id = $1';
+
+    try {
+      const result = await query(selectQuery, [id]);
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      return new ChatMessage(result.rows[0]);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Find messages in a room, newest page first but returned in chronological order.
+  // `before` is a message id cursor: only messages older than it are returned.
+  static async findByRoom(roomId, options = {}) {
+    const { limit = 50, offset = 0, before = null } = options;
+
+    let selectQuery = `
+      SELECT cm.*
+      FROM chat_messages cm
+      WHERE cm.room_id = $1
+    `;
+
+    const values = [roomId];
+    let valueIndex = 2;
+
+    if (before) {
+      selectQuery += ` AND cm.id < $${valueIndex}`;
+      values.push(before);
+      valueIndex++;
+    }
+
+    selectQuery += `
+      ORDER BY cm.id DESC
+      LIMIT $${valueIndex} OFFSET $${valueIndex + 1}
+    `;
+    values.push(limit, offset);
+
+    try {
+      const result = await query(selectQuery, values);
+      return result.rows.reverse().map(row => new ChatMessage(row));
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Count messages in a room (optionally only those older than a cursor)
+  static async countByRoom(roomId, before = null) {
+    let countQuery = 'SELECT COUNT(*) as count FROM chat_messages WHERE room_id = $1';
+    const values = [roomId];
+
+    if (before) {
+      countQuery += ' AND id < $2';
+      values.push(before);
+    }
+
+    try {
+      const result = await query(countQuery, values);
+      return parseInt(result.rows[0].count);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Return message data in the shape used by the chat API and socket events
+  toJSON() {
+    return {
+      id: this.id,
+      roomId: this.room_id,
+      userId: this.user_id,
+      username: this.username,
+      message: this.message,
+      messageType: this.message_type,
+      timestamp: this.created_at instanceof Date
+        ? this.created_at.toISOString()
+        : this.created_at
+    };
+  }
+}
+
+module.exports = ChatMessage;
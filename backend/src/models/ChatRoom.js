@@ -0,0 +1,299 @@
+const crypto = require('crypto');
+const { query } = require('../config/database');
+
+// Member count and last activity are derived from the members and messages tables
+const selectRooms = (extraColumns = '') => `
+  SELECT cr.*,
+         (SELECT COUNT(*) FROM chat_room_members crm
+          WHERE crm.room_id = cr.id AND crm.is_active = true) as member_count,
+         COALESCE(
+           (SELECT MAX(cm.created_at) FROM chat_messages cm WHERE cm.room_id = cr.id),
+           cr.created_at
+         ) as last_activity${extraColumns}
+  FROM chat_rooms cr
+`;
+
+class ChatRoom {
+  constructor(roomData) {
+    this.id = roomData.id;
+    this.name = roomData.name;
+    this.description = roomData.description;
+    this.is_private = roomData.is_private;
+    this.owner_id = roomData.owner_id;
+    this.trip_id = roomData.trip_id;
+    this.is_active = roomData.is_active;
+    this.member_count = parseInt(roomData.member_count) || 0;
+    this.last_activity = roomData.last_activity;
+    this.is_member = roomData.is_member;
+    this.created_at = roomData.created_at;
+    this.updated_at = roomData.updated_at;
+  }
+
+  // Create a new room; the owner becomes its first member
+  static async create(roomData) {
+    const { name, description, is_private = false, owner_id } = roomData;
+    const id = roomData.id || `room_${crypto.randomBytes(8).toString('hex')}`;
+
+    const insertQuery = `
+      INSERT INTO chat_rooms (id, name, description, is_private, owner_id)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    `;
+
+    try {
+      await query(insertQuery, [id, name, description, is_private, owner_id]);
+
+      if (owner_id) {
+        await ChatRoom.addMember(id, owner_id, 'owner');
+      }
+
+      return await ChatRoom.findById(id);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Find room by ID
+  static async findById(id) {
+    const selectQuery = `${selectRooms()} WHERE cr.id = $1 AND cr.is_active = true`;
+
+    try {
+      const result = await query(selectQuery, [id]);
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      return new ChatRoom(result.rows[0]);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Find the chat room of a trip
+  static async findByTrip(tripId) {
+    const selectQuery = `${selectRooms()} WHERE cr.trip_id = $1 AND cr.is_active = true`;
+
+    try {
+      const result = await query(selectQuery, [tripId]);
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      return new ChatRoom(result.rows[0]);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Create the private room of a trip, or refresh it if it already exists
+  static async upsertTripRoom(trip) {
+    const upsertQuery = `
+      INSERT INTO chat_rooms (id, name, description, is_private, owner_id, trip_id)
+      VALUES ($1, $2, $3, true, $4, $5)
+      ON CONFLICT (id)
+      DO UPDATE SET
+        name = EXCLUDED.name,
+        owner_id = EXCLUDED.owner_id,
+        is_active = true
+      RETURNING *
+    `;
+
+    try {
+      await query(upsertQuery, [
+        `trip_${trip.id}`,
+        trip.title,
+        'Chat between the driver and passengers of this trip',
+        trip.driver_id,
+        trip.id
+      ]);
+
+      return await ChatRoom.findByTrip(trip.id);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Mark a room inactive; it no longer shows up or accepts messages
+  static async deactivate(roomId) {
+    const updateQuery = `
+      UPDATE chat_rooms
+      SET is_active = false
+      WHERE id = $1
+    `;
+
+    try {
+      await query(updateQuery, [roomId]);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Find rooms visible to a user: every public room plus private rooms they belong to
+  static async findVisibleTo(userId, memberOnly = false, limit = 50, offset = 0) {
+    const selectQuery = `
+      SELECT * FROM (
+        ${selectRooms(`,
+         EXISTS (
+           SELECT 1 FROM chat_room_members crm
+           WHERE crm.room_id = cr.id AND crm.user_id = $1 AND crm.is_active = true
+         ) as is_member`)}
+        WHERE cr.is_active = true
+      ) rooms
+      WHERE ${memberOnly ? 'rooms.is_member' : '(rooms.is_private = false OR rooms.is_member)'}
+      ORDER BY rooms.last_activity DESC
+      LIMIT $2 OFFSET $3
+    `;
+
+    try {
+      const result = await query(selectQuery, [userId, limit, offset]);
+      return result.rows.map(row => new ChatRoom(row));
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Add (or re-activate) a member
+  static async addMember(roomId, userId, memberRole = 'member') {
+    const insertQuery = `
+      INSERT INTO chat_room_members (room_id, user_id, member_role)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (room_id, user_id)
+      DO UPDATE SET
+        is_active = true,
+        joined_at = CASE WHEN chat_room_members.is_active
+                         THEN chat_room_members.joined_at
+                         ELSE CURRENT_TIMESTAMP END,
+        left_at = NULL
+      RETURNING *
+    `;
+
+    try {
+      const result = await query(insertQuery, [roomId, userId, memberRole]);
+      return result.rows[0];
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Mark a member as having left; the row is kept as a record of the membership
+  static async removeMember(roomId, userId) {
+    const updateQuery = `
+      UPDATE chat_room_members
+      SET is_active = false, left_at = CURRENT_TIMESTAMP
+      WHERE room_id = $1 AND user_id = $2 AND is_active = true
+      RETURNING *
+    `;
+
+    try {
+      const result = await query(updateQuery, [roomId, userId]);
+      return result.rows[0] || null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Remove every active member not in the given list; returns the removed user IDs
+  static async removeMembersExcept(roomId, keepUserIds) {
+    const updateQuery = `
+      UPDATE chat_room_members
+      SET is_active = false, left_at = CURRENT_TIMESTAMP
+      WHERE room_id = $1 AND is_active = true AND NOT (user_id = ANY($2::int[]))
+      RETURNING user_id
+    `;
+
+    try {
+      const result = await query(updateQuery, [roomId, keepUserIds]);
+      return result.rows.map(row => row.user_id);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Check if user is an active member of a room
+  static async isMember(roomId, userId) {
+    const selectQuery = `
+      SELECT 1 FROM chat_room_members
+      WHERE room_id = $1 AND user_id = $2 AND is_active = true
+    `;
+
+    try {
+      const result = await query(selectQuery, [roomId, userId]);
+      return result.rows.length > 0;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Get active members
+  async getMembers() {
+    const selectQuery = `
+      SELECT u.id, u.username, u.first_name, u.last_name,
+             crm.member_role, crm.joined_at
+      FROM chat_room_members crm
+      JOIN users u ON crm.user_id = u.id
+      WHERE crm.room_id = $1 AND crm.is_active = true
+      ORDER BY crm.joined_at ASC
+    `;
+
+    try {
+      const result = await query(selectQuery, [this.id]);
+      return result.rows;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Add member to this room
+  async addMember(userId, memberRole = 'member') {
+    return await ChatRoom.addMember(this.id, userId, memberRole);
+  }
+
+  // Remove member from this room
+  async removeMember(userId) {
+    return await ChatRoom.removeMember(this.id, userId);
+  }
+
+  // Check if user is a member of this room
+  async isMember(userId) {
+    return await ChatRoom.isMember(this.id, userId);
+  }
+
+  // Public rooms are open to everyone, private rooms only to their members
+  async canAccess(userId) {
+    if (!this.is_private) {
+      return true;
+    }
+
+    return !!userId && await this.isMember(userId);
+  }
+
+  // Check if user owns this room
+  isOwner(userId) {
+    return this.owner_id === userId;
+  }
+
+  // Return room data in the shape used by the chat API
+  toJSON() {
+    const roomData = {
+      id: this.id,
+      name: this.name,
+      description: this.description || '',
+      isPrivate: this.is_private,
+      ownerId: this.owner_id,
+      tripId: this.trip_id || null,
+      memberCount: this.member_count,
+      lastActivity: this.last_activity,
+      createdAt: this.created_at
+    };
+
+    if (this.is_member !== undefined) {
+      roomData.isMember = this.is_member;
+    }
+
+    return roomData;
+  }
+}
+
+module.exports = ChatRoom;
@@ -0,0 +1,166 @@
+const { query } = require('../config/database');
+
+class Conversation {
+  constructor(conversationData) {
+    this.id = conversationData.id;
+    this.user_one_id = conversationData.user_one_id;
+    this.user_two_id = conversationData.user_two_id;
+    this.trip_id = conversationData.trip_id;
+    this.trip_title = conversationData.trip_title;
+    this.started_by = conversationData.started_by;
+    this.last_message_at = conversationData.last_message_at;
+    this.created_at = conversationData.created_at;
+    this.updated_at = conversationData.updated_at;
+
+    // Present when loaded for a specific user
+    this.other_user_id = conversationData.other_user_id;
+    this.other_username = conversationData.other_username;
+    this.last_message = conversationData.last_message;
+    this.unread_count = conversationData.unread_count !== undefined
+      ? parseInt(conversationData.unread_count)
+      : undefined;
+  }
+
+  // Find the conversation between two users, creating it if needed.
+  // The trip it was started from is kept from the first call.
+  static async findOrCreate(userId, otherUserId, tripId = null) {
+    const [userOneId, userTwoId] = [userId, otherUserId].sort((a, b) => a - b);
+
+    const upsertQuery = `
+      INSERT INTO conversations (user_one_id, user_two_id, trip_id, started_by)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (user_one_id, user_two_id)
+      DO UPDATE SET trip_id = COALESCE(conversations.trip_id, EXCLUDED.trip_id)
+      RETURNING id
+    `;
+
+    try {
+      const result = await query(upsertQuery, [userOneId, userTwoId, tripId, userId]);
+      return await Conversation.findById(result.rows[0].id, userId);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Find conversation by ID, optionally from the point of view of one participant
+  static async findById(id, forUserId = null) {
+    const selectQuery = `
+      SELECT c.*, t.title as trip_title,
+             other_user.id as other_user_id, other_user.username as other_username
+      FROM conversations c
+      LEFT JOIN trips t ON c.trip_id = t.id
+      LEFT JOIN users other_user ON other_user.id = CASE
+        WHEN c.user_one_id = $2 THEN c.user_two_id
+        WHEN c.user_two_id = $2 THEN c.user_one_id
+      END
+      WHERE c.id = $1
+    `;
+
+    try {
+      const result = await query(selectQuery, [id, forUserId]);
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      return new Conversation(result.rows[0]);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Find a user's conversations with the latest message and their unread count
+  static async findByUser(userId, limit = 50, offset = 0) {
+    const selectQuery = `
+      SELECT c.*, t.title as trip_title,
+             other_user.id as other_user_id, other_user.username as other_username,
+             (SELECT dm.message FROM direct_messages dm
+              WHERE dm.conversation_id = c.id
+              ORDER BY dm.id DESC LIMIT 1) as last_message,
+             (SELECT COUNT(*) FROM direct_messages dm
+              WHERE dm.conversation_id = c.id
+                AND dm.sender_id IS DISTINCT FROM $1
+                AND dm.read_at IS NULL) as unread_count
+      FROM conversations c
+      LEFT JOIN trips t ON c.trip_id = t.id
+      JOIN users other_user ON other_user.id = CASE
+        WHEN c.user_one_id = $1 THEN c.user_two_id
+        ELSE c.user_one_id
+      END
+      WHERE c.user_one_id = $1 OR c.user_two_id = $1
+      ORDER BY COALESCE(c.last_message_at, c.created_at) DESC
+      LIMIT $2 OFFSET $3
+    `;
+
+    try {
+      const result = await query(selectQuery, [userId, limit, offset]);
+      return result.rows.map(row => new Conversation(row));
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Check if user takes part in this conversation
+  hasParticipant(userId) {
+    return this.user_one_id === userId || this.user_two_id === userId;
+  }
+
+  // Get the ID of the other participant
+  getOtherUserId(userId) {
+    return this.user_one_id === userId ? this.user_two_id : this.user_one_id;
+  }
+
+  // Get messages
+  async getMessages(options = {}) {
+    const DirectMessage = require('./DirectMessage');
+    return await DirectMessage.findByConversation(this.id, options);
+  }
+
+  // Send a message from one of the participants
+  async sendMessage(senderId, message) {
+    const DirectMessage = require('./DirectMessage');
+    return await DirectMessage.create({
+      conversation_id: this.id,
+      sender_id: senderId,
+      message
+    });
+  }
+
+  // Mark the other participant's messages as read
+  async markRead(userId) {
+    const DirectMessage = require('./DirectMessage');
+    return await DirectMessage.markRead(this.id, userId);
+  }
+
+  // Return conversation data in the shape used by the chat API
+  toJSON() {
+    const conversationData = {
+      id: this.id,
+      participantIds: [this.user_one_id, this.user_two_id],
+      tripId: this.trip_id,
+      tripTitle: this.trip_title || null,
+      startedBy: this.started_by,
+      lastMessageAt: this.last_message_at,
+      createdAt: this.created_at
+    };
+
+    if (this.other_user_id) {
+      conversationData.otherUser = {
+        id: this.other_user_id,
+        username: this.other_username
+      };
+    }
+
+    if (this.last_message !== undefined) {
+      conversationData.lastMessage = this.last_message;
+    }
+
+    if (this.unread_count !== undefined) {
+      conversationData.unreadCount = this.unread_count;
+    }
+
+    return conversationData;
+  }
+}
+
+module.exports = Conversation;
@@ -0,0 +1,123 @@
+const { query } = require('../config/database');
+
+class DirectMessage {
+  constructor(messageData) {
+    this.id = messageData.id;
+    this.conversation_id = messageData.conversation_id;
+    this.sender_id = messageData.sender_id;
+    this.sender_username = messageData.sender_username;
+    this.message = messageData.message;
+    this.read_at = messageData.read_at;
+    this.created_at = messageData.created_at;
+  }
+
+  // Create a new direct message and bump the conversation's last activity
+  static async create(messageData) {
+    const { conversation_id, sender_id, message } = messageData;
+
+    const insertQuery = `
+      WITH inserted AS (
+        INSERT INTO direct_messages (conversation_id, sender_id, message)
+        VALUES ($1, $2, $3)
+        RETURNING *
+      ), touched AS (
+        UPDATE conversations
+        SET last_message_at = (SELECT created_at FROM inserted)
+        WHERE id = $1
+      )
+      SELECT inserted.*, u.username as sender_username
+      FROM inserted
+      LEFT JOIN users u ON inserted.sender_id = u.id
+    `;
+
+    try {
+      const result = await query(insertQuery, [conversation_id, sender_id, message]);
+      return new DirectMessage(result.rows[0]);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Find messages in a conversation, returned in chronological order.
+  // `before` is a message id cursor: only messages older than it are returned.
+  static async findByConversation(conversationId, options = {}) {
+    const { limit = 50, before = null } = options;
+
+    let selectQuery = `
+      SELECT dm.*, u.username as sender_username
+      FROM direct_messages dm
+      LEFT JOIN users u ON dm.sender_id = u.id
+      WHERE dm.conversation_id = $1
+    `;
+
+    const values = [conversationId];
+
+    if (before) {
+      selectQuery += ` AND dm.id < $2`;
+      values.push(before);
+    }
+
+    selectQuery += ` ORDER BY dm.id DESC LIMIT $${values.length + 1}`;
+    values.push(limit);
+
+    try {
+      const result = await query(selectQuery, values);
+      return result.rows.reverse().map(row => new DirectMessage(row));
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Mark every message the other participant sent as read by this user
+  static async markRead(conversationId, readerId) {
+    const updateQuery = `
+      UPDATE direct_messages
+      SET read_at = CURRENT_TIMESTAMP
+      WHERE conversation_id = $1 AND sender_id IS DISTINCT FROM $2 AND read_at IS NULL
+      RETURNING id
+    `;
+
+    try {
+      const result = await query(updateQuery, [conversationId, readerId]);
+      return result.rowCount;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Count all unread direct messages for a user
+  static async countUnread(userId) {
+    const countQuery = `
+      SELECT COUNT(*) as count
+      FROM direct_messages dm
+      JOIN conversations c ON dm.conversation_id = c.id
+      WHERE (c.user_one_id = $1 OR c.user_two_id = $1)
+        AND dm.sender_id IS DISTINCT FROM $1
+        AND dm.read_at IS NULL
+    `;
+
+    try {
+      const result = await query(countQuery, [userId]);
+      return parseInt(result.rows[0].count);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Return message data in the shape used by the chat API and socket events
+  toJSON() {
+    return {
+      id: this.id,
+      conversationId: this.conversation_id,
+      senderId: this.sender_id,
+      senderUsername: this.sender_username,
+      message: this.message,
+      readAt: this.read_at,
+      timestamp: this.created_at instanceof Date
+        ? this.created_at.toISOString()
+        : this.created_at
+    };
+  }
+}
+
+module.exports = DirectMessage;
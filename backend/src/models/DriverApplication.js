@@ -0,0 +1,242 @@
+const { query, getClient } = require('../config/database');
+
+class DriverApplication {
+  constructor(applicationData) {
+    this.id = applicationData.id;
+    this.user_id = applicationData.user_id;
+    this.license_number = applicationData.license_number;
+    this.license_expires_on = applicationData.license_expires_on;
+    this.application_status = applicationData.application_status;
+    this.review_notes = applicationData.review_notes;
+    this.reviewed_by = applicationData.reviewed_by;
+    this.reviewed_at = applicationData.reviewed_at;
+    this.created_at = applicationData.created_at;
+    this.updated_at = applicationData.updated_at;
+
+    // Set when loaded with the applicant's details
+    this.applicant = applicationData.username !== undefined ? {
+      id: applicationData.user_id,
+      username: applicationData.username,
+      first_name: applicationData.first_name,
+      last_name: applicationData.last_name,
+      email: applicationData.email
+    } : undefined;
+
+    this.documents = applicationData.documents || [];
+  }
+
+  // Create an application together with its uploaded documents
+  // (`document_type`, `original_name`, `stored_name`, `mime_type`, `size_bytes`)
+  static async create(applicationData, documents) {
+    const { user_id, license_number, license_expires_on } = applicationData;
+    const client = await getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(`
+        INSERT INTO driver_applications (user_id, license_number, license_expires_on)
+        VALUES ($1, $2, $3)
+        RETURNING *
+      `, [user_id, license_number, license_expires_on]);
+
+      const application = new DriverApplication(result.rows[0]);
+
+      for (const document of documents) {
+        const documentResult = await client.query(`
+          INSERT INTO driver_documents (application_id, document_type, original_name, stored_name, mime_type, size_bytes)
+          VALUES ($1, $2, $3, $4, $5, $6)
+          RETURNING *
+        `, [
+          application.id, document.document_type, document.original_name,
+          document.stored_name, document.mime_type, document.size_bytes
+        ]);
+        application.documents.push(documentResult.rows[0]);
+      }
+
+      await client.query('COMMIT');
+      return application;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Find application by ID, with the applicant and documents
+  static async findById(id) {
+    const selectQuery = `
+      SELECT da.*, u.username, u.first_name, u.last_name, u.email
+      FROM driver_applications da
+      JOIN users u ON da.user_id = u.id
+      WHERE da.id = $1
+    `;
+
+    try {
+      const result = await query(selectQuery, [id]);
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      const application = new DriverApplication(result.rows[0]);
+      application.documents = await application.getDocuments();
+      return application;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Find a user's applications, newest first
+  static async findByUser(userId) {
+    const selectQuery = `
+      SELECT * FROM driver_applications
+      WHERE user_id = $1
+      ORDER BY created_at DESC
+    `;
+
+    try {
+      const result = await query(selectQuery, [userId]);
+      const applications = result.rows.map(row => new DriverApplication(row));
+
+      for (const application of applications) {
+        application.documents = await application.getDocuments();
+      }
+
+      return applications;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Find a user's pending application, if any
+  static async findPendingByUser(userId) {
+    const selectQuery = `
+      SELECT * FROM driver_applications
+      WHERE user_id = $1 AND application_status = 'pending'
+    `;
+
+    try {
+      const result = await query(selectQuery, [userId]);
+      return result.rows.length > 0 ? new DriverApplication(result.rows[0]) : null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // List applications for review, oldest first so the queue is worked in order
+  static async findAll({ status = null, limit = 50, offset = 0 } = {}) {
+    const values = [];
+    let whereClause = '';
+
+    if (status) {
+      values.push(status);
+      whereClause = `WHERE da.application_status = $${values.length}`;
+    }
+
+    values.push(limit, offset);
+    const selectQuery = `
+      SELECT da.*, u.username, u.first_name, u.last_name, u.email
+      FROM driver_applications da
+      JOIN users u ON da.user_id = u.id
+      ${whereClause}
+      ORDER BY da.created_at ASC
+      LIMIT $${values.length - 1} OFFSET $${values.length}
+    `;
+
+    try {
+      const result = await query(selectQuery, values);
+      return result.rows.map(row => new DriverApplication(row));
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Get the application's documents
+  async getDocuments() {
+    const selectQuery = `
+      SELECT * FROM driver_documents
+      WHERE application_id = $1
+      ORDER BY document_type ASC
+    `;
+
+    try {
+      const result = await query(selectQuery, [this.id]);
+      return result.rows;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Find one of the application's documents
+  findDocument(documentId) {
+    return this.documents.find(document => document.id === parseInt(documentId)) || null;
+  }
+
+  // Approve or reject a pending application. On approval the `driver` role
+  // (`driverRoleId`) is granted in the same transaction. Throws with code
+  // APPLICATION_ALREADY_REVIEWED when someone reviewed it first.
+  async review(status, reviewerId, notes = null, driverRoleId = null) {
+    const UserRole = require('./UserRole');
+    const client = await getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(`
+        UPDATE driver_applications
+        SET application_status = $1, review_notes = $2, reviewed_by = $3, reviewed_at = CURRENT_TIMESTAMP
+        WHERE id = $4 AND application_status = 'pending'
+        RETURNING *
+      `, [status, notes, reviewerId, this.id]);
+
+      if (result.rows.length === 0) {
+        const error = new Error('Application has already been reviewed');
+        error.code = 'APPLICATION_ALREADY_REVIEWED';
+        throw error;
+      }
+
+      if (status === 'approved') {
+        await UserRole.assignRole(this.user_id, driverRoleId, reviewerId, null, client);
+      }
+
+      await client.query('COMMIT');
+
+      const { applicant, documents } = this;
+      Object.assign(this, new DriverApplication(result.rows[0]), { applicant, documents });
+      return this;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      user_id: this.user_id,
+      applicant: this.applicant,
+      license_number: this.license_number,
+      license_expires_on: this.license_expires_on,
+      status: this.application_status,
+      review_notes: this.review_notes,
+      reviewed_by: this.reviewed_by,
+      reviewed_at: this.reviewed_at,
+      documents: this.documents.map(document => ({
+        id: document.id,
+        type: document.document_type,
+        original_name: document.original_name,
+        mime_type: document.mime_type,
+        size_bytes: document.size_bytes,
+        created_at: document.created_at
+      })),
+      created_at: this.created_at,
+      updated_at: this.updated_at
+    };
+  }
+}
+
+module.exports = DriverApplication;
@@ -0,0 +1,242 @@
+const { query } = require('../config/database');
+
+class Job {
+  constructor(jobData) {
+    this.id = jobData.id !== undefined && jobData.id !== null ? parseInt(jobData.id) : jobData.id;
+    this.job_name = jobData.job_name;
+    this.payload = jobData.payload;
+    this.job_status = jobData.job_status;
+    this.dedupe_key = jobData.dedupe_key;
+    this.attempts = jobData.attempts;
+    this.max_attempts = jobData.max_attempts;
+    this.run_at = jobData.run_at;
+    this.locked_at = jobData.locked_at;
+    this.locked_by = jobData.locked_by;
+    this.last_error = jobData.last_error;
+    this.completed_at = jobData.completed_at;
+    this.created_at = jobData.created_at;
+    this.updated_at = jobData.updated_at;
+  }
+
+  // Create a new job. With a `dedupe_key`, nothing is created while a pending
+  // or running job has the same key, and null is returned.
+  static async create(jobData, client = null) {
+    const { job_name, payload = {}, run_at = new Date(), max_attempts = 5, dedupe_key = null } = jobData;
+    const db = client || { query };
+
+    const insertQuery = `
+      INSERT INTO jobs (job_name, payload, run_at, max_attempts, dedupe_key)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (dedupe_key) WHERE job_status IN ('pending', 'running') DO NOTHING
+      RETURNING *
+    `;
+
+    try {
+      const result = await db.query(insertQuery, [
+        job_name, JSON.stringify(payload), run_at, max_attempts, dedupe_key
+      ]);
+      return result.rows.length > 0 ? new Job(result.rows[0]) : null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Find job by ID
+  static async findById(id) {
+    const selectQuery = 'SELECT * FROM jobs WHERE id = $1';
+
+    try {
+      const result = await query(selectQuery, [id]);
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      return new Job(result.rows[0]);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Find jobs, newest first, optionally by status and name
+  static async findAll({ status = null, name = null, limit = 50, offset = 0 } = {}) {
+    let selectQuery = 'SELECT * FROM jobs WHERE 1 = 1';
+    const values = [];
+
+    if (status) {
+      values.push(status);
+      selectQuery += ` AND job_status = $${values.length}`;
+    }
+
+    if (name) {
+      values.push(name);
+      selectQuery += ` AND job_name = $${values.length}`;
+    }
+
+    values.push(limit, offset);
+    selectQuery += ` ORDER BY id DESC LIMIT $${values.length - 1} OFFSET $${values.length}`;
+
+    try {
+      const result = await query(selectQuery, values);
+      return result.rows.map(row => new Job(row));
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Number of jobs in each status, per job name
+  static async getStats() {
+    const statsQuery = `
+      SELECT job_name, job_status, COUNT(*) as count, MIN(run_at) as oldest_run_at
+      FROM jobs
+      GROUP BY job_name, job_status
+      ORDER BY job_name, job_status
+    `;
+
+    try {
+      const result = await query(statsQuery);
+      return result.rows.map(row => ({ ...row, count: parseInt(row.count) }));
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Take up to `limit` due jobs with the given names for a worker. Rows other
+  // workers are claiming are skipped rather than waited on, so any number of
+  // workers can poll the same table.
+  static async claimDue(workerId, jobNames, limit = 1) {
+    const claimQuery = `
+      UPDATE jobs
+      SET job_status = 'running', locked_at = CURRENT_TIMESTAMP, locked_by = $1,
+          attempts = attempts + 1
+      WHERE id IN (
+        SELECT id FROM jobs
+        WHERE job_status = 'pending' AND run_at <= CURRENT_TIMESTAMP
+          AND job_name = ANY($2::varchar[])
+        ORDER BY run_at ASC, id ASC
+        LIMIT $3
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *
+    `;
+
+    try {
+      const result = await query(claimQuery, [workerId, jobNames, limit]);
+      return result.rows.map(row => new Job(row));
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Put jobs whose worker stopped while running them back in the queue. Their
+  // attempt still counts, so a job that keeps killing its worker ends up dead.
+  static async releaseStale(lockTimeoutMs) {
+    const releaseQuery = `
+      UPDATE jobs
+      SET job_status = CASE WHEN attempts >= max_attempts THEN 'dead' ELSE 'pending' END,
+          locked_at = NULL, locked_by = NULL,
+          last_error = 'Worker stopped before the job finished'
+      WHERE job_status = 'running'
+        AND locked_at < CURRENT_TIMESTAMP - ($1::integer * INTERVAL '1 millisecond')
+      RETURNING id
+    `;
+
+    try {
+      const result = await query(releaseQuery, [lockTimeoutMs]);
+      return result.rowCount;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Delete finished jobs older than the given number of days
+  static async deleteCompletedBefore(days) {
+    const deleteQuery = `
+      DELETE FROM jobs
+      WHERE job_status = 'completed'
+        AND completed_at < CURRENT_TIMESTAMP - ($1::integer * INTERVAL '1 day')
+    `;
+
+    try {
+      const result = await query(deleteQuery, [days]);
+      return result.rowCount;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Apply a status change to this job. `setClause` may refer to `values` as
+  // $1, $2, ...
+  async setState(setClause, values) {
+    const updateQuery = `
+      UPDATE jobs
+      SET ${setClause}
+      WHERE id = $${values.length + 1}
+      RETURNING *
+    `;
+
+    try {
+      const result = await query(updateQuery, [...values, this.id]);
+
+      if (result.rows.length === 0) {
+        throw new Error('Job not found');
+      }
+
+      Object.assign(this, new Job(result.rows[0]));
+      return this;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Record a successful run
+  async complete() {
+    return await this.setState(
+      `job_status = 'completed', completed_at = CURRENT_TIMESTAMP,
+       locked_at = NULL, locked_by = NULL, last_error = NULL`,
+      []
+    );
+  }
+
+  // Record a failed run: try again after `retryDelayMs`, or move the job to
+  // the dead-letter state once it has used all its attempts
+  async fail(errorMessage, retryDelayMs) {
+    return await this.setState(
+      `job_status = CASE WHEN attempts >= max_attempts THEN 'dead' ELSE 'pending' END,
+       run_at = CASE WHEN attempts >= max_attempts THEN run_at
+                     ELSE CURRENT_TIMESTAMP + ($2::integer * INTERVAL '1 millisecond') END,
+       last_error = $1, locked_at = NULL, locked_by = NULL`,
+      [errorMessage, retryDelayMs]
+    );
+  }
+
+  // Queue a dead or finished job to run again with a fresh set of attempts
+  async retry() {
+    return await this.setState(
+      `job_status = 'pending', attempts = 0, run_at = CURRENT_TIMESTAMP,
+       completed_at = NULL, locked_at = NULL, locked_by = NULL`,
+      []
+    );
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.job_name,
+      payload: this.payload,
+      status: this.job_status,
+      dedupe_key: this.dedupe_key,
+      attempts: this.attempts,
+      max_attempts: this.max_attempts,
+      run_at: this.run_at,
+      locked_at: this.locked_at,
+      locked_by: this.locked_by,
+      last_error: this.last_error,
+      completed_at: this.completed_at,
+      created_at: this.created_at,
+      updated_at: this.updated_at
+    };
+  }
+}
+
+module.exports = Job;
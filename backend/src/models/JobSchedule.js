@@ -0,0 +1,117 @@
+const { query, getClient } = require('../config/database');
+const { nextCronTime } = require('../utils/cron');
+
+class JobSchedule {
+  constructor(scheduleData) {
+    this.schedule_name = scheduleData.schedule_name;
+    this.job_name = scheduleData.job_name;
+    this.cron = scheduleData.cron;
+    this.payload = scheduleData.payload;
+    this.is_active = scheduleData.is_active;
+    this.next_run_at = scheduleData.next_run_at;
+    this.last_run_at = scheduleData.last_run_at;
+    this.created_at = scheduleData.created_at;
+    this.updated_at = scheduleData.updated_at;
+  }
+
+  // Create a schedule, or update the job and cron of an existing one. The next
+  // run is only recalculated when the cron expression changed.
+  static async upsert({ schedule_name, job_name, cron, payload = {} }) {
+    const upsertQuery = `
+      INSERT INTO job_schedules (schedule_name, job_name, cron, payload, next_run_at)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (schedule_name)
+      DO UPDATE SET job_name = EXCLUDED.job_name,
+                    payload = EXCLUDED.payload,
+                    next_run_at = CASE WHEN job_schedules.cron = EXCLUDED.cron
+                                       THEN job_schedules.next_run_at
+                                       ELSE EXCLUDED.next_run_at END,
+                    cron = EXCLUDED.cron
+      RETURNING *
+    `;
+
+    try {
+      const result = await query(upsertQuery, [
+        schedule_name, job_name, cron, JSON.stringify(payload), nextCronTime(cron)
+      ]);
+      return new JobSchedule(result.rows[0]);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Find all schedules
+  static async findAll() {
+    const selectQuery = 'SELECT * FROM job_schedules ORDER BY schedule_name ASC';
+
+    try {
+      const result = await query(selectQuery);
+      return result.rows.map(row => new JobSchedule(row));
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Queue a job for every active schedule that is due and move each one on to
+  // its next run. Schedules another worker is handling are skipped, so each
+  // run is queued once however many workers there are. Returns the jobs.
+  static async enqueueDue() {
+    const Job = require('./Job');
+    const client = await getClient();
+    const jobs = [];
+
+    try {
+      await client.query('BEGIN');
+
+      const dueResult = await client.query(`
+        SELECT * FROM job_schedules
+        WHERE is_active = true AND next_run_at <= CURRENT_TIMESTAMP
+        FOR UPDATE SKIP LOCKED
+      `);
+
+      for (const row of dueResult.rows) {
+        const schedule = new JobSchedule(row);
+
+        // A run that is still queued from last time is not queued again
+        const job = await Job.create({
+          job_name: schedule.job_name,
+          payload: schedule.payload,
+          dedupe_key: `schedule:${schedule.schedule_name}`
+        }, client);
+        if (job) {
+          jobs.push(job);
+        }
+
+        await client.query(
+          `UPDATE job_schedules SET last_run_at = CURRENT_TIMESTAMP, next_run_at = $1
+           WHERE schedule_name = $2`,
+          [nextCronTime(schedule.cron), schedule.schedule_name]
+        );
+      }
+
+      await client.query('COMMIT');
+      return jobs;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  toJSON() {
+    return {
+      name: this.schedule_name,
+      job_name: this.job_name,
+      cron: this.cron,
+      payload: this.payload,
+      is_active: this.is_active,
+      next_run_at: this.next_run_at,
+      last_run_at: this.last_run_at,
+      created_at: this.created_at,
+      updated_at: this.updated_at
+    };
+  }
+}
+
+module.exports = JobSchedule;
@@ -0,0 +1,117 @@
+const { query } = require('../config/database');
+
+class Notification {
+  constructor(notificationData) {
+    this.id = notificationData.id;
+    this.user_id = notificationData.user_id;
+    this.notification_type = notificationData.notification_type;
+    this.title = notificationData.title;
+    this.body = notificationData.body;
+    this.data = notificationData.data;
+    this.read_at = notificationData.read_at;
+    this.created_at = notificationData.created_at;
+  }
+
+  // Create a new notification
+  static async create(notificationData) {
+    const { user_id, notification_type, title, body = null, data = {} } = notificationData;
+
+    const insertQuery = `
+      INSERT INTO notifications (user_id, notification_type, title, body, data)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    `;
+
+    try {
+      const result = await query(insertQuery, [user_id, notification_type, title, body, JSON.stringify(data)]);
+      return new Notification(result.rows[0]);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Find a user's notifications, newest first.
+  // `before` is a notification id cursor: only older notifications are returned.
+  static async findByUser(userId, options = {}) {
+    const { limit = 50, before = null, unreadOnly = false } = options;
+
+    let selectQuery = `
+      SELECT * FROM notifications
+      WHERE user_id = $1
+    `;
+
+    const values = [userId];
+
+    if (unreadOnly) {
+      selectQuery += ` AND read_at IS NULL`;
+    }
+
+    if (before) {
+      values.push(before);
+      selectQuery += ` AND id < $${values.length}`;
+    }
+
+    values.push(limit);
+    selectQuery += ` ORDER BY id DESC LIMIT $${values.length}`;
+
+    try {
+      const result = await query(selectQuery, values);
+      return result.rows.map(row => new Notification(row));
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Count a user's unread notifications
+  static async countUnread(userId) {
+    const countQuery = `
+      SELECT COUNT(*) as count FROM notifications
+      WHERE user_id = $1 AND read_at IS NULL
+    `;
+
+    try {
+      const result = await query(countQuery, [userId]);
+      return parseInt(result.rows[0].count);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Mark a user's notifications as read: the given IDs, or all of them when
+  // no IDs are given. Returns how many were newly marked.
+  static async markRead(userId, ids = null) {
+    let updateQuery = `
+      UPDATE notifications SET read_at = CURRENT_TIMESTAMP
+      WHERE user_id = $1 AND read_at IS NULL
+    `;
+
+    const values = [userId];
+
+    if (ids) {
+      updateQuery += ` AND id = ANY($2::integer[])`;
+      values.push(ids);
+    }
+
+    try {
+      const result = await query(updateQuery, values);
+      return result.rowCount;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      user_id: this.user_id,
+      type: this.notification_type,
+      title: this.title,
+      body: this.body,
+      data: this.data,
+      read_at: this.read_at,
+      created_at: this.created_at
+    };
+  }
+}
+
+module.exports = Notification;
@@ -0,0 +1,137 @@
+const { query } = require('../config/database');
+
+class ReliabilityEvent {
+  constructor(eventData) {
+    this.id = eventData.id;
+    this.user_id = eventData.user_id;
+    this.trip_id = eventData.trip_id;
+    this.trip_request_id = eventData.trip_request_id;
+    this.event_type = eventData.event_type;
+    this.user_role = eventData.user_role;
+    this.minutes_before_departure = eventData.minutes_before_departure;
+    this.recorded_by = eventData.recorded_by;
+    this.created_at = eventData.created_at;
+
+    // Set when loaded with the trip's details
+    this.trip = eventData.trip_title !== undefined ? {
+      id: eventData.trip_id,
+      title: eventData.trip_title,
+      departure_time: eventData.trip_departure_time
+    } : undefined;
+  }
+
+  // Record an event, optionally inside a transaction on `client`. Returns null
+  // when the user already has an event of this type on the trip.
+  static async create(eventData, client = null) {
+    const db = client || { query };
+    const {
+      user_id, trip_id, trip_request_id = null, event_type, user_role,
+      minutes_before_departure = null, recorded_by = null
+    } = eventData;
+
+    const insertQuery = `
+      INSERT INTO reliability_events (
+        user_id, trip_id, trip_request_id, event_type, user_role,
+        minutes_before_departure, recorded_by
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      ON CONFLICT (user_id, trip_id, event_type) DO NOTHING
+      RETURNING *
+    `;
+
+    try {
+      const result = await db.query(insertQuery, [
+        user_id, trip_id, trip_request_id, event_type, user_role,
+        minutes_before_departure, recorded_by
+      ]);
+      return result.rows.length > 0 ? new ReliabilityEvent(result.rows[0]) : null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Find a user's events since `windowDays` ago, newest first
+  static async findByUser(userId, windowDays) {
+    const selectQuery = `
+      SELECT re.*, t.title as trip_title, t.departure_time as trip_departure_time
+      FROM reliability_events re
+      JOIN trips t ON re.trip_id = t.id
+      WHERE re.user_id = $1 AND re.created_at > NOW() - $2 * INTERVAL '1 day'
+      ORDER BY re.created_at DESC
+    `;
+
+    try {
+      const result = await query(selectQuery, [userId, windowDays]);
+      return result.rows.map(row => new ReliabilityEvent(row));
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Kept and broken commitments of several users since `windowDays` ago,
+  // keyed by user ID. Kept commitments are completed trips the user drove or
+  // rode on as an approved passenger.
+  static async getCounts(userIds, windowDays) {
+    const ids = [...new Set(userIds)];
+    const counts = {};
+    for (const id of ids) {
+      counts[id] = { completed_trips: 0, no_shows: 0, late_cancellations: 0 };
+    }
+
+    if (ids.length === 0) {
+      return counts;
+    }
+
+    const selectQuery = `
+      SELECT ids.user_id,
+             (SELECT COUNT(*) FROM trips t
+              WHERE t.driver_id = ids.user_id AND t.trip_status = 'completed'
+                AND t.departure_time > NOW() - $2 * INTERVAL '1 day')
+             +
+             (SELECT COUNT(*) FROM trip_requests tr
+              JOIN trips t ON tr.trip_id = t.id
+              WHERE tr.passenger_id = ids.user_id AND tr.request_status = 'approved'
+                AND t.trip_status = 'completed'
+                AND t.departure_time > NOW() - $2 * INTERVAL '1 day') as completed_trips,
+             (SELECT COUNT(*) FROM reliability_events re
+              WHERE re.user_id = ids.user_id AND re.event_type = 'no_show'
+                AND re.created_at > NOW() - $2 * INTERVAL '1 day') as no_shows,
+             (SELECT COUNT(*) FROM reliability_events re
+              WHERE re.user_id = ids.user_id AND re.event_type = 'late_cancellation'
+                AND re.created_at > NOW() - $2 * INTERVAL '1 day') as late_cancellations
+      FROM unnest($1::integer[]) as ids(user_id)
+    `;
+
+    try {
+      const result = await query(selectQuery, [ids, windowDays]);
+
+      for (const row of result.rows) {
+        counts[row.user_id] = {
+          completed_trips: parseInt(row.completed_trips),
+          no_shows: parseInt(row.no_shows),
+          late_cancellations: parseInt(row.late_cancellations)
+        };
+      }
+
+      return counts;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      user_id: this.user_id,
+      trip_id: this.trip_id,
+      trip: this.trip,
+      trip_request_id: this.trip_request_id,
+      event_type: this.event_type,
+      user_role: this.user_role,
+      minutes_before_departure: this.minutes_before_departure,
+      created_at: this.created_at
+    };
+  }
+}
+
+module.exports = ReliabilityEvent;
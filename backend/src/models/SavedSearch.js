@@ -0,0 +1,258 @@
+const { query } = require('../config/database');
+
+// Fields a user sets on a saved search
+const SEARCH_FIELDS = [
+  'name', 'start_location', 'end_location', 'start_latitude', 'start_longitude',
+  'end_latitude', 'end_longitude', 'radius_km', 'days_of_week', 'time_from',
+  'time_to', 'timezone', 'max_price', 'requested_seats'
+];
+
+class SavedSearch {
+  constructor(searchData) {
+    this.id = searchData.id;
+    this.user_id = searchData.user_id;
+    this.name = searchData.name;
+    this.start_location = searchData.start_location;
+    this.end_location = searchData.end_location;
+    this.start_latitude = searchData.start_latitude;
+    this.start_longitude = searchData.start_longitude;
+    this.end_latitude = searchData.end_latitude;
+    this.end_longitude = searchData.end_longitude;
+    this.radius_km = searchData.radius_km;
+    this.days_of_week = searchData.days_of_week;
+    this.time_from = searchData.time_from;
+    this.time_to = searchData.time_to;
+    this.timezone = searchData.timezone;
+    this.max_price = searchData.max_price;
+    this.requested_seats = searchData.requested_seats;
+    this.is_active = searchData.is_active;
+    this.last_matched_at = searchData.last_matched_at;
+    this.created_at = searchData.created_at;
+    this.updated_at = searchData.updated_at;
+  }
+
+  // Create a new saved search
+  static async create(searchData) {
+    const columns = SEARCH_FIELDS.filter(field => searchData[field] !== undefined);
+    const values = columns.map(field => searchData[field]);
+
+    const insertQuery = `
+      INSERT INTO saved_searches (user_id, ${columns.join(', ')})
+      VALUES ($1, ${columns.map((field, index) => `$${index + 2}`).join(', ')})
+      RETURNING *
+    `;
+
+    try {
+      const result = await query(insertQuery, [searchData.user_id, ...values]);
+      return new SavedSearch(result.rows[0]);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Find saved search by ID
+  static async findById(id) {
+    const selectQuery = 'SELECT * FROM saved_searches WHERE id = $1';
+
+    try {
+      const result = await query(selectQuery, [id]);
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      return new SavedSearch(result.rows[0]);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Find a user's saved searches, newest first
+  static async findByUser(userId) {
+    const selectQuery = `
+      SELECT * FROM saved_searches
+      WHERE user_id = $1
+      ORDER BY created_at DESC
+    `;
+
+    try {
+      const result = await query(selectQuery, [userId]);
+      return result.rows.map(row => new SavedSearch(row));
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Active searches of other users whose days, time window and seats fit a
+  // trip's departure. Days and times are compared in each search's own time
+  // zone; where the trip goes and what it costs are left to the caller.
+  static async findCandidatesForTrip(trip) {
+    const selectQuery = `
+      SELECT s.* FROM (
+        SELECT *, ($2::timestamptz AT TIME ZONE timezone) AS local_departure
+        FROM saved_searches
+        WHERE is_active = true AND user_id <> $1 AND requested_seats <= $3
+      ) s
+      WHERE (s.days_of_week IS NULL OR EXTRACT(DOW FROM s.local_departure)::integer = ANY(s.days_of_week))
+        AND (s.time_from IS NULL OR s.local_departure::time >= s.time_from)
+        AND (s.time_to IS NULL OR s.local_departure::time <= s.time_to)
+    `;
+
+    try {
+      const result = await query(selectQuery, [trip.driver_id, trip.departure_time, trip.available_seats]);
+      return result.rows.map(row => new SavedSearch(row));
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Update saved search fields; `is_active` pauses and resumes it
+  async update(updateData) {
+    const allowedFields = [...SEARCH_FIELDS, 'is_active'];
+
+    const updates = [];
+    const values = [];
+    let valueIndex = 1;
+
+    for (const field of allowedFields) {
+      if (updateData[field] !== undefined) {
+        updates.push(`${field} = $${valueIndex}`);
+        values.push(updateData[field]);
+        valueIndex++;
+      }
+    }
+
+    if (updates.length === 0) {
+      throw new Error('No valid fields to update');
+    }
+
+    values.push(this.id);
+    const updateQuery = `
+      UPDATE saved_searches
+      SET ${updates.join(', ')}
+      WHERE id = $${valueIndex}
+      RETURNING *
+    `;
+
+    try {
+      const result = await query(updateQuery, values);
+
+      if (result.rows.length === 0) {
+        throw new Error('Saved search not found');
+      }
+
+      Object.assign(this, new SavedSearch(result.rows[0]));
+      return this;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Delete saved search along with its matches
+  async delete() {
+    const deleteQuery = 'DELETE FROM saved_searches WHERE id = $1 RETURNING id';
+
+    try {
+      const result = await query(deleteQuery, [this.id]);
+
+      if (result.rows.length === 0) {
+        throw new Error('Saved search not found');
+      }
+
+      return true;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Record that a trip matched this search. Returns false when the trip had
+  // already matched it, so callers only alert about each trip once.
+  async recordMatch(tripId, farePerSeat) {
+    const insertQuery = `
+      INSERT INTO saved_search_matches (search_id, trip_id, fare_per_seat)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (search_id, trip_id) DO NOTHING
+      RETURNING id
+    `;
+
+    try {
+      const result = await query(insertQuery, [this.id, tripId, farePerSeat]);
+
+      if (result.rows.length === 0) {
+        return false;
+      }
+
+      await query(
+        'UPDATE saved_searches SET last_matched_at = CURRENT_TIMESTAMP WHERE id = $1',
+        [this.id]
+      );
+      return true;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Trips that matched this search, newest first
+  async getMatches(limit = 50) {
+    const selectQuery = `
+      SELECT m.id, m.trip_id, m.fare_per_seat, m.seen_at, m.created_at,
+             t.title, t.departure_time, t.trip_status, t.currency,
+             r.start_location, r.end_location
+      FROM saved_search_matches m
+      JOIN trips t ON m.trip_id = t.id
+      JOIN routes r ON t.route_id = r.id
+      WHERE m.search_id = $1
+      ORDER BY m.created_at DESC
+      LIMIT $2
+    `;
+
+    try {
+      const result = await query(selectQuery, [this.id, limit]);
+      return result.rows;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Mark every match of this search as seen
+  async markMatchesSeen() {
+    const updateQuery = `
+      UPDATE saved_search_matches SET seen_at = CURRENT_TIMESTAMP
+      WHERE search_id = $1 AND seen_at IS NULL
+    `;
+
+    try {
+      const result = await query(updateQuery, [this.id]);
+      return result.rowCount;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      user_id: this.user_id,
+      name: this.name,
+      start_location: this.start_location,
+      end_location: this.end_location,
+      start_latitude: this.start_latitude,
+      start_longitude: this.start_longitude,
+      end_latitude: this.end_latitude,
+      end_longitude: this.end_longitude,
+      radius_km: this.radius_km,
+      days_of_week: this.days_of_week,
+      time_from: this.time_from,
+      time_to: this.time_to,
+      timezone: this.timezone,
+      max_price: this.max_price,
+      requested_seats: this.requested_seats,
+      is_active: this.is_active,
+      last_matched_at: this.last_matched_at,
+      created_at: this.created_at,
+      updated_at: this.updated_at
+    };
+  }
+}
+
+module.exports = SavedSearch;
@@ -1,4 +1,79 @@
-const { query } = require('../config/database');
+const { query, getClient } = require('../config/database');
+const { segmentLoads, peakLoad } = require('../utils/occupancy');
+const { LUGGAGE_SIZES } = require('../utils/ride-preferences');
+
+// Requests `tr` holding seats: approved ones and those offered a seat from the
+// waitlist, as in TripRequest.getSeatHolders
+const HOLDS_SEAT = `(tr.request_status = 'approved'
+  OR (tr.request_status = 'pending' AND tr.waitlist_offered_at IS NOT NULL))`;
+
+// Most held seats on any segment of trip `t`'s route. Mirrors
+// utils/occupancy for use inside queries: a request covers the segments from
+// its pickup stop up to its dropoff stop, or the whole route without stops.
+const PEAK_HELD_SEATS = `
+  COALESCE(
+    (SELECT MAX(segment_load.seats) FROM (
+       SELECT SUM(tr.requested_seats) as seats
+       FROM stop_points seg
+       JOIN trip_requests tr ON tr.trip_id = t.id AND ${HOLDS_SEAT}
+       LEFT JOIN stop_points pickup ON tr.pickup_stop_id = pickup.id
+       LEFT JOIN stop_points dropoff ON tr.dropoff_stop_id = dropoff.id
+       WHERE seg.route_id = t.route_id
+         AND seg.stop_order < (SELECT MAX(stop_order) FROM stop_points WHERE route_id = t.route_id)
+         AND COALESCE(pickup.stop_order, seg.stop_order) <= seg.stop_order
+         AND seg.stop_order < COALESCE(dropoff.stop_order, seg.stop_order + 1)
+       GROUP BY seg.id
+     ) segment_load),
+    (SELECT SUM(tr.requested_seats)
+     FROM trip_requests tr
+     WHERE tr.trip_id = t.id AND ${HOLDS_SEAT}),
+    0
+  )
+`;
+
+// Seat price of trip `t` on route `r` for the whole route, as
+// services/trip-pricing quotes it, where SQL can work it out: per-km trips on
+// a route without a recorded distance are measured along their stops, so for
+// those only the minimum fare is known (NULL is returned in its place).
+const FULL_ROUTE_FARE = `
+  CASE
+    WHEN t.pricing_mode = 'per_km' AND NULLIF(r.distance_km, 0) IS NULL THEN NULL
+    WHEN t.pricing_mode = 'per_km'
+      THEN ROUND(GREATEST(COALESCE(t.price_per_km, 0) * r.distance_km, COALESCE(t.minimum_fare, 0)), 2)
+    ELSE ROUND(GREATEST(COALESCE(t.price_per_seat, 0), COALESCE(t.minimum_fare, 0)), 2)
+  END
+`;
+
+// Most trips a `max_price` search reads, since the trips whose fare SQL
+// cannot work out are quoted and paged after the query
+const FARE_SEARCH_SCAN_LIMIT = 500;
+
+// Keep the trip rows whose seat price for the whole route, quoted the way a
+// request would be (pricing mode, per-km rate and minimum fare), is at most
+// `maxPrice`. Rows with a `full_route_fare` from the query already passed it.
+const filterByFare = async (trips, maxPrice) => {
+  const Route = require('./Route');
+  const { calculateFare } = require('../services/trip-pricing');
+  const routes = new Map();
+  const kept = [];
+
+  for (const trip of trips) {
+    if (trip.full_route_fare !== null) {
+      kept.push(trip);
+      continue;
+    }
+
+    if (!routes.has(trip.route_id)) {
+      routes.set(trip.route_id, await Route.findById(trip.route_id, true));
+    }
+
+    if (calculateFare(trip, routes.get(trip.route_id)).fare_per_seat <= maxPrice) {
+      kept.push(trip);
+    }
+  }
+
+  return kept;
+};
 
 class Trip {
   constructor(tripData) {
@@ -12,11 +87,28 @@ class Trip {
     this.available_seats = tripData.available_seats;
     this.price_per_seat = tripData.price_per_seat;
     this.currency = tripData.currency;
+    this.pricing_mode = tripData.pricing_mode;
+    this.price_per_km = tripData.price_per_km;
+    this.minimum_fare = tripData.minimum_fare;
     this.trip_status = tripData.trip_status;
     this.pickup_flexibility_minutes = tripData.pickup_flexibility_minutes;
     this.special_instructions = tripData.special_instructions;
     this.is_recurring = tripData.is_recurring;
     this.recurring_pattern = tripData.recurring_pattern;
+    this.waitlist_auto_approve = tripData.waitlist_auto_approve;
+    this.vehicle_id = tripData.vehicle_id;
+    this.smoking_allowed = tripData.smoking_allowed;
+    this.pets_allowed = tripData.pets_allowed;
+    this.luggage_space = tripData.luggage_space;
+    this.music = tripData.music;
+    this.chattiness = tripData.chattiness;
+    this.same_gender_only = tripData.same_gender_only;
+    this.series_id = tripData.series_id;
+    // DATE columns arrive as local-midnight Date objects
+    this.series_date = tripData.series_date instanceof Date
+      ? tripData.series_date.toLocaleDateString('en-CA')
+      : tripData.series_date;
+    this.is_series_exception = tripData.is_series_exception;
     this.created_at = tripData.created_at;
     this.updated_at = tripData.updated_at;
   }
@@ -26,18 +118,25 @@ class Trip {
     const {
       route_id, driver_id, title, description, departure_time,
       arrival_time, available_seats = 1, price_per_seat,
-      currency = 'USD', pickup_flexibility_minutes = 15,
-      special_instructions, is_recurring = false, recurring_pattern
+      currency = 'USD', pricing_mode = 'flat', price_per_km, minimum_fare,
+      pickup_flexibility_minutes = 15,
+      special_instructions, is_recurring = false, recurring_pattern,
+      waitlist_auto_approve = false, vehicle_id = null,
+      smoking_allowed = false, pets_allowed = false, luggage_space = 'medium',
+      music = null, chattiness = null, same_gender_only = false
     } = tripData;
 
     const insertQuery = `
       INSERT INTO trips (
         route_id, driver_id, title, description, departure_time,
         arrival_time, available_seats, price_per_seat, currency,
+        pricing_mode, price_per_km, minimum_fare,
         pickup_flexibility_minutes, special_instructions,
-        is_recurring, recurring_pattern
+        is_recurring, recurring_pattern, waitlist_auto_approve, vehicle_id,
+        smoking_allowed, pets_allowed, luggage_space, music, chattiness, same_gender_only
       )
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18,
+              $19, $20, $21, $22, $23, $24)
       RETURNING *
     `;
 
@@ -45,8 +144,10 @@ class Trip {
       const result = await query(insertQuery, [
         route_id, driver_id, title, description, departure_time,
         arrival_time, available_seats, price_per_seat, currency,
+        pricing_mode, price_per_km, minimum_fare,
         pickup_flexibility_minutes, special_instructions,
-        is_recurring, JSON.stringify(recurring_pattern)
+        is_recurring, JSON.stringify(recurring_pattern), waitlist_auto_approve, vehicle_id,
+        smoking_allowed, pets_allowed, luggage_space, music, chattiness, same_gender_only
       ]);
 
       return new Trip(result.rows[0]);
@@ -136,28 +237,98 @@ class Trip {
     }
   }
 
-  // Search available trips
+  // Find scheduled trips that are on the road at some point between two
+  // times: departing before `to` and, going by the route's estimated
+  // duration, not arrived before `from`
+  static async findScheduledBetween(from, to) {
+    const selectQuery = `
+      SELECT t.*, r.name as route_name, r.start_location, r.end_location,
+             u.username as driver_username, u.first_name as driver_first_name,
+             u.last_name as driver_last_name
+      FROM trips t
+      JOIN routes r ON t.route_id = r.id
+      JOIN users u ON t.driver_id = u.id
+      WHERE t.trip_status = 'scheduled'
+        AND r.is_active = true
+        AND t.departure_time > NOW()
+        AND t.departure_time <= $2
+        AND t.departure_time + COALESCE(r.estimated_duration_minutes, 0) * INTERVAL '1 minute' >= $1
+      ORDER BY t.departure_time ASC
+    `;
+
+    try {
+      const result = await query(selectQuery, [from, to]);
+      return result.rows.map(row => new Trip(row));
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Find scheduled trips departing within the next `minutes`
+  static async findDepartingWithin(minutes) {
+    const selectQuery = `
+      SELECT * FROM trips
+      WHERE trip_status = 'scheduled'
+        AND departure_time > NOW()
+        AND departure_time <= NOW() + $1::integer * INTERVAL '1 minute'
+      ORDER BY departure_time ASC
+    `;
+
+    try {
+      const result = await query(selectQuery, [minutes]);
+      return result.rows.map(row => new Trip(row));
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Find scheduled and active trips that should have arrived more than
+  // `graceMinutes` ago. Trips without an arrival time are expected to arrive
+  // after the route's estimated duration.
+  static async findPastArrival(graceMinutes) {
+    const selectQuery = `
+      SELECT t.* FROM trips t
+      JOIN routes r ON t.route_id = r.id
+      WHERE t.trip_status IN ('scheduled', 'active')
+        AND COALESCE(
+              t.arrival_time,
+              t.departure_time + COALESCE(r.estimated_duration_minutes, 0) * INTERVAL '1 minute'
+            ) + $1::integer * INTERVAL '1 minute' < NOW()
+      ORDER BY t.departure_time ASC
+    `;
+
+    try {
+      const result = await query(selectQuery, [graceMinutes]);
+      return result.rows.map(row => new Trip(row));
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Search available trips with at least `min_seats` free along the whole route.
+  // Ride preference filters (see utils/ride-preferences) keep only trips whose
+  // rules suit the passenger; trips limited to one gender are only found by
+  // passengers of the driver's gender (`passenger_gender`).
   static async searchAvailable(searchParams = {}) {
     const {
       start_location, end_location, departure_date,
-      max_price, min_seats = 1, limit = 50, offset = 0
+      max_price, min_seats = 1, limit = 50, offset = 0,
+      smoke_free, travels_with_pet, luggage_size, music, chattiness,
+      same_gender_only, passenger_gender = null
     } = searchParams;
 
     let selectQuery = `
       SELECT t.*, r.name as route_name, r.start_location, r.end_location,
              u.username as driver_username, u.first_name as driver_first_name,
-             u.last_name as driver_last_name,
-             (t.available_seats - COALESCE(
-               (SELECT SUM(tr.requested_seats) 
-                FROM trip_requests tr 
-                WHERE tr.trip_id = t.id AND tr.request_status = 'approved'), 0
-             )) as remaining_seats
+             u.last_name as driver_last_name, u.gender as driver_gender,
+             (t.available_seats - ${PEAK_HELD_SEATS}) as remaining_seats,
+             ${FULL_ROUTE_FARE} as full_route_fare
       FROM trips t
       JOIN routes r ON t.route_id = r.id
       JOIN users u ON t.driver_id = u.id
       WHERE t.trip_status = 'scheduled' 
         AND t.departure_time > NOW()
-        AND t.available_seats >= $1
+        AND t.available_seats - ${PEAK_HELD_SEATS} >= $1
     `;
 
     const values = [min_seats];
@@ -181,38 +352,83 @@ class Trip {
       valueIndex++;
     }
 
+    // Trips limited to the driver's gender only show up for passengers of it
+    selectQuery += ` AND (t.same_gender_only = false OR u.gender = $${valueIndex})`;
+    values.push(passenger_gender);
+    valueIndex++;
+
+    // Ride preferences: only trips whose rules suit the passenger
+    if (same_gender_only) {
+      selectQuery += ` AND u.gender = $${valueIndex}`;
+      values.push(passenger_gender);
+      valueIndex++;
+    }
+
+    if (smoke_free) {
+      selectQuery += ' AND t.smoking_allowed = false';
+    }
+
+    if (travels_with_pet) {
+      selectQuery += ' AND t.pets_allowed = true';
+    }
+
+    if (luggage_size) {
+      selectQuery += ` AND t.luggage_space = ANY($${valueIndex})`;
+      values.push(LUGGAGE_SIZES.slice(LUGGAGE_SIZES.indexOf(luggage_size)));
+      valueIndex++;
+    }
+
+    if (music) {
+      selectQuery += ` AND (t.music IS NULL OR t.music = $${valueIndex})`;
+      values.push(music);
+      valueIndex++;
+    }
+
+    if (chattiness) {
+      selectQuery += ` AND (t.chattiness IS NULL OR t.chattiness = $${valueIndex})`;
+      values.push(chattiness);
+      valueIndex++;
+    }
+
+    // The fare is checked in the query where it can be. Per-km trips measured
+    // along their stops are only checked against their minimum fare here, then
+    // quoted after the query, so with `max_price` paging happens afterwards
+    // over at most FARE_SEARCH_SCAN_LIMIT trips.
     if (max_price) {
-      selectQuery += ` AND t.price_per_seat <= $${valueIndex}`;
+      selectQuery += ` AND COALESCE(${FULL_ROUTE_FARE}, COALESCE(t.minimum_fare, 0)) <= $${valueIndex}`;
       values.push(max_price);
       valueIndex++;
     }
 
-    selectQuery += ` 
-      HAVING (t.available_seats - COALESCE(
-        (SELECT SUM(tr.requested_seats) 
-         FROM trip_requests tr 
-         WHERE tr.trip_id = t.id AND tr.request_status = 'approved'), 0
-      )) >= $1
-      ORDER BY t.departure_time ASC
-      LIMIT $${valueIndex} OFFSET $${valueIndex + 1}
-    `;
+    selectQuery += ` ORDER BY t.departure_time ASC`;
 
-    values.push(limit, offset);
+    selectQuery += ` LIMIT $${valueIndex} OFFSET $${valueIndex + 1}`;
+    values.push(max_price ? FARE_SEARCH_SCAN_LIMIT : limit, max_price ? 0 : offset);
 
     try {
       const result = await query(selectQuery, values);
-      return result.rows.map(row => new Trip(row));
+
+      if (!max_price) {
+        return result.rows.map(row => new Trip(row));
+      }
+
+      const affordable = await filterByFare(result.rows, max_price);
+      return affordable.slice(offset, offset + limit).map(row => new Trip(row));
     } catch (error) {
       throw error;
     }
   }
 
-  // Update trip
+  // Update trip. Lowering `available_seats` below the seats already held on
+  // any segment is refused (see checkSeatsHeld).
   async update(updateData) {
     const allowedFields = [
       'title', 'description', 'departure_time', 'arrival_time',
-      'available_seats', 'price_per_seat', 'trip_status',
-      'pickup_flexibility_minutes', 'special_instructions'
+      'available_seats', 'price_per_seat',
+      'pricing_mode', 'price_per_km', 'minimum_fare',
+      'pickup_flexibility_minutes', 'special_instructions',
+      'is_series_exception', 'waitlist_auto_approve', 'vehicle_id',
+      'smoking_allowed', 'pets_allowed', 'luggage_space', 'music', 'chattiness', 'same_gender_only'
     ];
     
     const updates = [];
@@ -239,33 +455,150 @@ class Trip {
       RETURNING *
     `;
 
+    const client = await getClient();
+    let row;
+
     try {
-      const result = await query(updateQuery, values);
-      
+      await client.query('BEGIN');
+
+      // Seats are checked under the trip lock, so no approval can slip in
+      // between the check and the change
+      if (updateData.available_seats !== undefined) {
+        const TripRequest = require('./TripRequest');
+        await TripRequest.lockTrip(client, this.id);
+        await Trip.checkSeatsHeld(client, this.id, updateData.available_seats);
+      }
+
+      const result = await client.query(updateQuery, values);
+
       if (result.rows.length === 0) {
         throw new Error('Trip not found');
       }
 
-      Object.assign(this, new Trip(result.rows[0]));
+      await client.query('COMMIT');
+      row = result.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    try {
+      const previous = {
+        available_seats: this.available_seats,
+        departure_time: this.departure_time
+      };
+      Object.assign(this, new Trip(row));
+
+      const { PRICING_FIELDS } = require('../services/trip-pricing');
+      await this.applyUpdateEffects(previous, PRICING_FIELDS.some(field => updateData[field] !== undefined));
       return this;
     } catch (error) {
       throw error;
     }
   }
 
-  // Cancel trip
-  async cancel() {
-    return await this.update({ trip_status: 'cancelled' });
+  // Follow up on a committed edit of this trip, given its `available_seats`
+  // and `departure_time` from before the edit and whether its pricing changed
+  async applyUpdateEffects(previous, repriced) {
+    try {
+      // A new departure time gets its own reminders
+      if (new Date(this.departure_time).getTime() !== new Date(previous.departure_time).getTime()) {
+        await query('DELETE FROM trip_reminders WHERE trip_id = $1', [this.id]);
+      }
+
+      // Extra seats go to the waitlist
+      if (this.available_seats > previous.available_seats) {
+        await require('../services/trip-waitlist').promoteWaitlist(this.id);
+      }
+
+      // Requests that are not approved yet follow the new pricing
+      if (repriced) {
+        await require('../services/trip-pricing').requoteOpenRequests(this);
+      }
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Refuse to offer fewer seats than are held on the busiest segment of a
+  // trip, inside a transaction on `client` that has the trip locked. Throws
+  // with `error.code` 'SEATS_HELD' and the `held_seats`.
+  static async checkSeatsHeld(client, tripId, seats) {
+    const TripRequest = require('./TripRequest');
+    const heldSeats = await TripRequest.countApprovedSeats(client, tripId);
+
+    if (seats < heldSeats) {
+      const error = new Error(`${heldSeats} seats are already taken on trip ${tripId}, so it cannot offer fewer`);
+      error.code = 'SEATS_HELD';
+      error.held_seats = heldSeats;
+      throw error;
+    }
+  }
+
+  // Check if the trip is under way or over (or its departure time has passed)
+  hasStarted() {
+    return this.trip_status !== 'scheduled' || new Date(this.departure_time) <= new Date();
+  }
+
+  // Cancel trip. Status changes go through services/trip-lifecycle, which
+  // checks the change is allowed and records it; `options` holds the actor
+  // (`actorId`, `actorType`) and an optional `reason`.
+  async cancel(options = {}) {
+    return await require('../services/trip-lifecycle').transitionTrip(this, 'cancelled', options);
   }
 
   // Start trip
-  async start() {
-    return await this.update({ trip_status: 'active' });
+  async start(options = {}) {
+    return await require('../services/trip-lifecycle').transitionTrip(this, 'active', options);
   }
 
   // Complete trip
-  async complete() {
-    return await this.update({ trip_status: 'completed' });
+  async complete(options = {}) {
+    return await require('../services/trip-lifecycle').transitionTrip(this, 'completed', options);
+  }
+
+  // Mark a trip that never started as expired
+  async expire(options = {}) {
+    return await require('../services/trip-lifecycle').transitionTrip(this, 'expired', options);
+  }
+
+  // Record departure reminders as sent. Returns the offsets that had not been
+  // sent before.
+  async recordReminders(offsets) {
+    const insertQuery = `
+      INSERT INTO trip_reminders (trip_id, offset_minutes)
+      SELECT $1, UNNEST($2::integer[])
+      ON CONFLICT (trip_id, offset_minutes) DO NOTHING
+      RETURNING offset_minutes
+    `;
+
+    try {
+      const result = await query(insertQuery, [this.id, offsets]);
+      return result.rows.map(row => row.offset_minutes);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Get status changes, oldest first
+  async getStatusHistory() {
+    const selectQuery = `
+      SELECT h.id, h.from_status, h.to_status, h.actor_id, h.actor_type,
+             h.reason, h.created_at, u.username as actor_username
+      FROM trip_status_history h
+      LEFT JOIN users u ON h.actor_id = u.id
+      WHERE h.trip_id = $1
+      ORDER BY h.created_at ASC, h.id ASC
+    `;
+
+    try {
+      const result = await query(selectQuery, [this.id]);
+      return result.rows;
+    } catch (error) {
+      throw error;
+    }
   }
 
   // Get route information
@@ -274,6 +607,16 @@ class Trip {
     return await Route.findById(this.route_id, true);
   }
 
+  // Get the vehicle the trip is made with, or null
+  async getVehicle() {
+    if (!this.vehicle_id) {
+      return null;
+    }
+
+    const Vehicle = require('./Vehicle');
+    return await Vehicle.findById(this.vehicle_id);
+  }
+
   // Get trip requests
   async getRequests(status = null) {
     const TripRequest = require('./TripRequest');
@@ -300,29 +643,44 @@ class Trip {
     }
   }
 
-  // Get remaining seats
-  async getRemainingSeats() {
-    const selectQuery = `
-      SELECT (t.available_seats - COALESCE(
-        (SELECT SUM(tr.requested_seats) 
-         FROM trip_requests tr 
-         WHERE tr.trip_id = t.id AND tr.request_status = 'approved'), 0
-      )) as remaining_seats
-      FROM trips t
-      WHERE t.id = $1
-    `;
-
-    try {
-      const result = await query(selectQuery, [this.id]);
-      return parseInt(result.rows[0]?.remaining_seats) || this.available_seats;
-    } catch (error) {
-      throw error;
+  // Check if user is the driver or an approved passenger of this trip
+  async hasParticipant(userId) {
+    if (this.driver_id === userId) {
+      return true;
     }
+
+    const passengers = await this.getPassengers();
+    return passengers.some(passenger => passenger.id === userId);
+  }
+
+  // Seats taken and left on each segment between consecutive stops. A route
+  // with fewer than two stops has a single segment without stops.
+  async getSegmentOccupancy() {
+    const TripRequest = require('./TripRequest');
+    const { stops, holders } = await TripRequest.getSeatHolders(null, this.id);
+    const loads = segmentLoads(stops, holders);
+
+    return loads.map((occupiedSeats, index) => ({
+      from_stop_id: stops.length > 1 ? stops[index].id : null,
+      from_stop_name: stops.length > 1 ? stops[index].name : null,
+      to_stop_id: stops.length > 1 ? stops[index + 1].id : null,
+      to_stop_name: stops.length > 1 ? stops[index + 1].name : null,
+      occupied_seats: occupiedSeats,
+      remaining_seats: this.available_seats - occupiedSeats
+    }));
+  }
+
+  // Get remaining seats between two stops (the whole route by default): the
+  // seats left on the busiest segment in between
+  async getRemainingSeats(pickupStopId = null, dropoffStopId = null) {
+    const TripRequest = require('./TripRequest');
+    const { stops, holders } = await TripRequest.getSeatHolders(null, this.id);
+    return this.available_seats - peakLoad(stops, holders, pickupStopId, dropoffStopId);
   }
 
-  // Check if trip has available seats
-  async hasAvailableSeats(requestedSeats = 1) {
-    const remaining = await this.getRemainingSeats();
+  // Check if trip has available seats between two stops
+  async hasAvailableSeats(requestedSeats = 1, pickupStopId = null, dropoffStopId = null) {
+    const remaining = await this.getRemainingSeats(pickupStopId, dropoffStopId);
     return remaining >= requestedSeats;
   }
 
@@ -370,11 +728,27 @@ class Trip {
       available_seats: this.available_seats,
       price_per_seat: this.price_per_seat,
       currency: this.currency,
+      pricing_mode: this.pricing_mode,
+      price_per_km: this.price_per_km,
+      minimum_fare: this.minimum_fare,
       trip_status: this.trip_status,
       pickup_flexibility_minutes: this.pickup_flexibility_minutes,
       special_instructions: this.special_instructions,
       is_recurring: this.is_recurring,
       recurring_pattern: this.recurring_pattern,
+      waitlist_auto_approve: this.waitlist_auto_approve,
+      vehicle_id: this.vehicle_id,
+      ride_rules: {
+        smoking_allowed: this.smoking_allowed,
+        pets_allowed: this.pets_allowed,
+        luggage_space: this.luggage_space,
+        music: this.music,
+        chattiness: this.chattiness,
+        same_gender_only: this.same_gender_only
+      },
+      series_id: this.series_id,
+      series_date: this.series_date,
+      is_series_exception: this.is_series_exception,
       created_at: this.created_at,
       updated_at: this.updated_at
     };
@@ -383,6 +757,7 @@ class Trip {
       tripData.route = await this.getRoute();
       tripData.passengers = await this.getPassengers();
       tripData.remaining_seats = await this.getRemainingSeats();
+      tripData.segments = await this.getSegmentOccupancy();
       tripData.total_revenue = await this.getTotalRevenue();
     }
 
@@ -0,0 +1,105 @@
+const { query } = require('../config/database');
+
+class TripLocation {
+  constructor(locationData) {
+    this.id = locationData.id;
+    this.trip_id = locationData.trip_id;
+    this.latitude = parseFloat(locationData.latitude);
+    this.longitude = parseFloat(locationData.longitude);
+    this.heading = locationData.heading !== null && locationData.heading !== undefined
+      ? parseFloat(locationData.heading)
+      : null;
+    this.speed = locationData.speed !== null && locationData.speed !== undefined
+      ? parseFloat(locationData.speed)
+      : null;
+    this.accuracy = locationData.accuracy !== null && locationData.accuracy !== undefined
+      ? parseFloat(locationData.accuracy)
+      : null;
+    this.recorded_at = locationData.recorded_at;
+  }
+
+  // Record a driver position for a trip
+  static async create(locationData) {
+    const { trip_id, latitude, longitude, heading = null, speed = null, accuracy = null } = locationData;
+
+    const insertQuery = `
+      INSERT INTO trip_locations (trip_id, latitude, longitude, heading, speed, accuracy)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `;
+
+    try {
+      const result = await query(insertQuery, [
+        trip_id, latitude, longitude, heading, speed, accuracy
+      ]);
+
+      return new TripLocation(result.rows[0]);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Find the latest known position of a trip
+  static async findLatest(tripId) {
+    const selectQuery = `
+      SELECT * FROM trip_locations
+      WHERE trip_id = $1
+      ORDER BY recorded_at DESC, id DESC
+      LIMIT 1
+    `;
+
+    try {
+      const result = await query(selectQuery, [tripId]);
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      return new TripLocation(result.rows[0]);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Find the breadcrumb trail of a trip in chronological order
+  static async findTrail(tripId, limit = 500, since = null) {
+    let selectQuery = `
+      SELECT * FROM trip_locations
+      WHERE trip_id = $1
+    `;
+
+    const values = [tripId];
+
+    if (since) {
+      selectQuery += ` AND recorded_at > $2`;
+      values.push(since);
+    }
+
+    selectQuery += ` ORDER BY recorded_at DESC, id DESC LIMIT $${values.length + 1}`;
+    values.push(limit);
+
+    try {
+      const result = await query(selectQuery, values);
+      return result.rows.reverse().map(row => new TripLocation(row));
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Return location data as JSON
+  toJSON() {
+    return {
+      trip_id: this.trip_id,
+      location: {
+        lat: this.latitude,
+        lng: this.longitude
+      },
+      heading: this.heading,
+      speed: this.speed,
+      accuracy: this.accuracy,
+      recorded_at: this.recorded_at
+    };
+  }
+}
+
+module.exports = TripLocation;
@@ -0,0 +1,174 @@
+const { query } = require('../config/database');
+
+// Average score and count for a user with no ratings in a role
+const emptySummary = () => ({ average: null, count: 0 });
+
+class TripRating {
+  constructor(ratingData) {
+    this.id = ratingData.id;
+    this.trip_id = ratingData.trip_id;
+    this.rater_id = ratingData.rater_id;
+    this.ratee_id = ratingData.ratee_id;
+    this.ratee_role = ratingData.ratee_role;
+    this.score = ratingData.score;
+    this.tags = ratingData.tags || [];
+    this.comment = ratingData.comment;
+    this.created_at = ratingData.created_at;
+    this.updated_at = ratingData.updated_at;
+
+    // Set when loaded with the rater's details
+    this.rater = ratingData.rater_username !== undefined ? {
+      id: ratingData.rater_id,
+      username: ratingData.rater_username,
+      first_name: ratingData.rater_first_name,
+      last_name: ratingData.rater_last_name
+    } : undefined;
+
+    // Set when loaded with the trip's details
+    this.trip = ratingData.trip_title !== undefined ? {
+      id: ratingData.trip_id,
+      title: ratingData.trip_title,
+      departure_time: ratingData.trip_departure_time
+    } : undefined;
+  }
+
+  // Rate someone on a trip, replacing the rater's earlier rating of them
+  static async upsert(ratingData) {
+    const { trip_id, rater_id, ratee_id, ratee_role, score, tags, comment } = ratingData;
+
+    const upsertQuery = `
+      INSERT INTO trip_ratings (trip_id, rater_id, ratee_id, ratee_role, score, tags, comment)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      ON CONFLICT (trip_id, rater_id, ratee_id)
+      DO UPDATE SET score = EXCLUDED.score, tags = EXCLUDED.tags, comment = EXCLUDED.comment
+      RETURNING *
+    `;
+
+    try {
+      const result = await query(upsertQuery, [trip_id, rater_id, ratee_id, ratee_role, score, tags, comment]);
+      return new TripRating(result.rows[0]);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Find the ratings a user gave on a trip
+  static async findByTripAndRater(tripId, raterId) {
+    const selectQuery = `
+      SELECT * FROM trip_ratings
+      WHERE trip_id = $1 AND rater_id = $2
+      ORDER BY created_at ASC
+    `;
+
+    try {
+      const result = await query(selectQuery, [tripId, raterId]);
+      return result.rows.map(row => new TripRating(row));
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Find the ratings a user received, newest first, optionally in one role
+  static async findByRatee(rateeId, { role = null, limit = 20, offset = 0 } = {}) {
+    const values = [rateeId];
+    let roleClause = '';
+
+    if (role) {
+      values.push(role);
+      roleClause = `AND tr.ratee_role = $${values.length}`;
+    }
+
+    values.push(limit, offset);
+    const selectQuery = `
+      SELECT tr.*, u.username as rater_username, u.first_name as rater_first_name,
+             u.last_name as rater_last_name,
+             t.title as trip_title, t.departure_time as trip_departure_time
+      FROM trip_ratings tr
+      JOIN users u ON tr.rater_id = u.id
+      JOIN trips t ON tr.trip_id = t.id
+      WHERE tr.ratee_id = $1 ${roleClause}
+      ORDER BY tr.created_at DESC
+      LIMIT $${values.length - 1} OFFSET $${values.length}
+    `;
+
+    try {
+      const result = await query(selectQuery, values);
+      return result.rows.map(row => new TripRating(row));
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Average scores of several users as drivers and as passengers, keyed by
+  // user ID. Users without ratings get a null average and a count of 0.
+  static async getSummaries(userIds) {
+    const ids = [...new Set(userIds)];
+    const summaries = {};
+    for (const id of ids) {
+      summaries[id] = { as_driver: emptySummary(), as_passenger: emptySummary() };
+    }
+
+    if (ids.length === 0) {
+      return summaries;
+    }
+
+    const selectQuery = `
+      SELECT ratee_id, ratee_role, ROUND(AVG(score), 2) as average, COUNT(*) as count
+      FROM trip_ratings
+      WHERE ratee_id = ANY($1)
+      GROUP BY ratee_id, ratee_role
+    `;
+
+    try {
+      const result = await query(selectQuery, [ids]);
+
+      for (const row of result.rows) {
+        summaries[row.ratee_id][`as_${row.ratee_role}`] = {
+          average: parseFloat(row.average),
+          count: parseInt(row.count)
+        };
+      }
+
+      return summaries;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // How often each tag was given to a user in a role, most frequent first
+  static async getTagCounts(rateeId, role) {
+    const selectQuery = `
+      SELECT tag, COUNT(*) as count
+      FROM trip_ratings, unnest(tags) as tag
+      WHERE ratee_id = $1 AND ratee_role = $2
+      GROUP BY tag
+      ORDER BY count DESC, tag ASC
+    `;
+
+    try {
+      const result = await query(selectQuery, [rateeId, role]);
+      return result.rows.map(row => ({ tag: row.tag, count: parseInt(row.count) }));
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      trip_id: this.trip_id,
+      rater_id: this.rater_id,
+      rater: this.rater,
+      ratee_id: this.ratee_id,
+      ratee_role: this.ratee_role,
+      trip: this.trip,
+      score: this.score,
+      tags: this.tags,
+      comment: this.comment,
+      created_at: this.created_at,
+      updated_at: this.updated_at
+    };
+  }
+}
+
+module.exports = TripRating;
@@ -1,4 +1,5 @@
-const { query } = require('../config/database');
+const { query, getClient } = require('../config/database');
+const { peakLoad } = require('../utils/occupancy');
 
 class TripRequest {
   constructor(requestData) {
@@ -13,43 +14,83 @@ class TripRequest {
     this.pickup_time = requestData.pickup_time;
     this.dropoff_time = requestData.dropoff_time;
     this.total_price = requestData.total_price;
+    this.price_locked_at = requestData.price_locked_at;
+    this.subscription_id = requestData.subscription_id;
+    this.waitlist_offered_at = requestData.waitlist_offered_at;
     this.created_at = requestData.created_at;
     this.updated_at = requestData.updated_at;
+
+    // Present when loaded for the passenger
+    this.waitlist_position = requestData.waitlist_position !== undefined && requestData.waitlist_position !== null
+      ? parseInt(requestData.waitlist_position)
+      : undefined;
   }
 
-  // Create a new trip request
+  // Create a new trip request, either pending or straight onto the waitlist.
+  // A passenger's earlier cancelled request for the trip is replaced, and goes
+  // to the back of the waitlist. The price is quoted from the trip's pricing
+  // unless the caller already has a quote.
   static async create(requestData) {
     const {
       trip_id, passenger_id, pickup_stop_id, dropoff_stop_id,
-      requested_seats = 1, message, pickup_time, dropoff_time
+      requested_seats = 1, message, pickup_time, dropoff_time,
+      request_status = 'pending'
     } = requestData;
 
-    // Calculate total price based on trip price per seat
-    const tripQuery = 'SELECT price_per_seat FROM trips WHERE id = $1';
-    const tripResult = await query(tripQuery, [trip_id]);
-    
-    if (tripResult.rows.length === 0) {
-      throw new Error('Trip not found');
-    }
+    let { total_price } = requestData;
 
-    const pricePerSeat = parseFloat(tripResult.rows[0].price_per_seat) || 0;
-    const total_price = pricePerSeat * requested_seats;
+    if (total_price === undefined) {
+      const Trip = require('./Trip');
+      const trip = await Trip.findById(trip_id);
+
+      if (!trip) {
+        throw new Error('Trip not found');
+      }
+
+      const { quoteTripPrice } = require('../services/trip-pricing');
+      const quote = await quoteTripPrice(trip, {
+        pickupStopId: pickup_stop_id,
+        dropoffStopId: dropoff_stop_id,
+        seats: requested_seats
+      });
+      total_price = quote.total_price;
+    }
 
     const insertQuery = `
       INSERT INTO trip_requests (
         trip_id, passenger_id, pickup_stop_id, dropoff_stop_id,
-        requested_seats, message, pickup_time, dropoff_time, total_price
+        requested_seats, message, pickup_time, dropoff_time, total_price,
+        request_status
       )
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      ON CONFLICT (trip_id, passenger_id)
+      DO UPDATE SET pickup_stop_id = EXCLUDED.pickup_stop_id,
+                    dropoff_stop_id = EXCLUDED.dropoff_stop_id,
+                    requested_seats = EXCLUDED.requested_seats,
+                    message = EXCLUDED.message,
+                    pickup_time = EXCLUDED.pickup_time,
+                    dropoff_time = EXCLUDED.dropoff_time,
+                    total_price = EXCLUDED.total_price,
+                    request_status = EXCLUDED.request_status,
+                    subscription_id = NULL,
+                    waitlist_offered_at = NULL,
+                    price_locked_at = NULL,
+                    created_at = CURRENT_TIMESTAMP
+      WHERE trip_requests.request_status = 'cancelled'
       RETURNING *
     `;
 
     try {
       const result = await query(insertQuery, [
         trip_id, passenger_id, pickup_stop_id, dropoff_stop_id,
-        requested_seats, message, pickup_time, dropoff_time, total_price
+        requested_seats, message, pickup_time, dropoff_time, total_price,
+        request_status
       ]);
 
+      if (result.rows.length === 0) {
+        throw new Error('Passenger already has a request for this trip');
+      }
+
       return new TripRequest(result.rows[0]);
     } catch (error) {
       throw error;
@@ -93,6 +134,21 @@ class TripRequest {
     }
   }
 
+  // Find a passenger's request for a trip, whatever its status
+  static async findByTripAndPassenger(tripId, passengerId) {
+    const selectQuery = `
+      SELECT * FROM trip_requests
+      WHERE trip_id = $1 AND passenger_id = $2
+    `;
+
+    try {
+      const result = await query(selectQuery, [tripId, passengerId]);
+      return result.rows.length > 0 ? new TripRequest(result.rows[0]) : null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
   // Find requests by trip
   static async findByTrip(tripId, status = null) {
     let selectQuery = `
@@ -133,7 +189,13 @@ class TripRequest {
              r.name as route_name, r.start_location, r.end_location,
              driver.username as driver_username,
              pickup_stop.name as pickup_stop_name,
-             dropoff_stop.name as dropoff_stop_name
+             dropoff_stop.name as dropoff_stop_name,
+             CASE WHEN tr.request_status = 'waitlisted' THEN (
+               SELECT COUNT(*) + 1 FROM trip_requests ahead
+               WHERE ahead.trip_id = tr.trip_id
+                 AND ahead.request_status = 'waitlisted'
+                 AND (ahead.created_at, ahead.id) < (tr.created_at, tr.id)
+             ) END as waitlist_position
       FROM trip_requests tr
       JOIN trips t ON tr.trip_id = t.id
       JOIN routes r ON t.route_id = r.id
@@ -160,9 +222,159 @@ class TripRequest {
     }
   }
 
-  // Update request status
+  // Count a passenger's open requests (pending, approved or waitlisted) on
+  // trips that have not left yet
+  static async countOpenByPassenger(passengerId) {
+    const selectQuery = `
+      SELECT COUNT(*) as count
+      FROM trip_requests tr
+      JOIN trips t ON tr.trip_id = t.id
+      WHERE tr.passenger_id = $1
+        AND tr.request_status IN ('pending', 'approved', 'waitlisted')
+        AND t.trip_status = 'scheduled'
+        AND t.departure_time > NOW()
+    `;
+
+    try {
+      const result = await query(selectQuery, [passengerId]);
+      return parseInt(result.rows[0].count);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Lock a trip row for the rest of the transaction on `client`. Every seat
+  // booking takes this lock first, so concurrent bookings on one trip queue up.
+  static async lockTrip(client, tripId) {
+    const result = await client.query(
+      `SELECT id, available_seats, trip_status, waitlist_auto_approve
+       FROM trips WHERE id = $1 FOR UPDATE`,
+      [tripId]
+    );
+    return result.rows[0] || null;
+  }
+
+  // Load a trip's route stops (in stop order) and the requests holding seats
+  // on it: approved ones, plus pending ones offered a waitlist seat, which
+  // keep it until they are approved or give it up. Runs on `client` when
+  // inside a transaction.
+  static async getSeatHolders(client, tripId) {
+    const db = client || { query };
+
+    const stopsResult = await db.query(`
+      SELECT sp.id, sp.name, sp.stop_order
+      FROM stop_points sp
+      JOIN trips t ON t.route_id = sp.route_id
+      WHERE t.id = $1
+      ORDER BY sp.stop_order ASC
+    `, [tripId]);
+
+    const holdersResult = await db.query(`
+      SELECT id, pickup_stop_id, dropoff_stop_id, requested_seats
+      FROM trip_requests
+      WHERE trip_id = $1
+        AND (request_status = 'approved'
+             OR (request_status = 'pending' AND waitlist_offered_at IS NOT NULL))
+    `, [tripId]);
+
+    return { stops: stopsResult.rows, holders: holdersResult.rows };
+  }
+
+  // Count held seats (approved or offered from the waitlist) within the
+  // transaction on `client`: the most taken on any segment between the two
+  // stops, or along the whole route by default
+  static async countApprovedSeats(client, tripId, pickupStopId = null, dropoffStopId = null) {
+    const { stops, holders } = await TripRequest.getSeatHolders(client, tripId);
+    return peakLoad(stops, holders, pickupStopId, dropoffStopId);
+  }
+
+  // Offer a freed seat to the first waitlisted request that fits on the
+  // segments it covers, in order of request time. Seats already offered to a
+  // pending request count as taken. With auto-approve on the trip the request
+  // is approved straight away, otherwise it becomes pending for the driver to
+  // approve. Returns the promoted request, or null when nothing could be promoted.
+  static async promoteNextWaitlisted(tripId) {
+    const client = await getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const trip = await TripRequest.lockTrip(client, tripId);
+
+      if (!trip || trip.trip_status !== 'scheduled') {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      const { stops, holders } = await TripRequest.getSeatHolders(client, tripId);
+      const waitlistedResult = await client.query(`
+        SELECT id, pickup_stop_id, dropoff_stop_id, requested_seats
+        FROM trip_requests
+        WHERE trip_id = $1 AND request_status = 'waitlisted'
+        ORDER BY created_at ASC, id ASC
+        FOR UPDATE
+      `, [tripId]);
+
+      const next = waitlistedResult.rows.find(request =>
+        trip.available_seats - peakLoad(stops, holders, request.pickup_stop_id, request.dropoff_stop_id) >=
+          request.requested_seats
+      );
+
+      if (!next) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      const result = await client.query(`
+        UPDATE trip_requests
+        SET request_status = $1, waitlist_offered_at = CURRENT_TIMESTAMP,
+            price_locked_at = CASE WHEN $1 = 'approved' THEN CURRENT_TIMESTAMP END
+        WHERE id = $2
+        RETURNING *
+      `, [trip.waitlist_auto_approve ? 'approved' : 'pending', next.id]);
+
+      await client.query('COMMIT');
+      return new TripRequest(result.rows[0]);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Expire pending and waitlisted requests on trips that have departed
+  // without them. Returns the expired requests.
+  static async expireDeparted() {
+    const updateQuery = `
+      UPDATE trip_requests tr
+      SET request_status = 'expired'
+      FROM trips t
+      WHERE tr.trip_id = t.id
+        AND tr.request_status IN ('pending', 'waitlisted')
+        AND t.departure_time <= NOW()
+      RETURNING tr.*
+    `;
+
+    try {
+      const result = await query(updateQuery);
+      return result.rows.map(row => new TripRequest(row));
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Update request status. Approval runs in one transaction with the trip row
+  // locked, and is rolled back if it would take more seats than the trip has
+  // on any segment the passenger rides. Approval also locks the price, so
+  // later pricing changes leave it alone.
+  //
+  // Only pending and waitlisted requests on scheduled trips can be approved:
+  // otherwise approval throws with `error.code` set to 'REQUEST_NOT_APPROVABLE'
+  // or 'TRIP_NOT_BOOKABLE'. Both are checked under the lock, so approval cannot
+  // undo a cancellation, rejection or no-show that happened meanwhile.
   async updateStatus(status, updatedBy = null) {
-    const allowedStatuses = ['pending', 'approved', 'rejected', 'cancelled'];
+    const allowedStatuses = ['pending', 'approved', 'rejected', 'cancelled', 'waitlisted', 'expired'];
     
     if (!allowedStatuses.includes(status)) {
       throw new Error('Invalid status');
@@ -170,34 +382,90 @@ class TripRequest {
 
     const updateQuery = `
       UPDATE trip_requests 
-      SET request_status = $1
+      SET request_status = $1,
+          price_locked_at = CASE WHEN $1 = 'approved'
+                                 THEN COALESCE(price_locked_at, CURRENT_TIMESTAMP)
+                            END
       WHERE id = $2
       RETURNING *
     `;
 
+    const client = await getClient();
+
     try {
-      const result = await query(updateQuery, [status, this.id]);
+      await client.query('BEGIN');
+
+      const trip = status === 'approved'
+        ? await TripRequest.lockTrip(client, this.trip_id)
+        : null;
+
+      if (status === 'approved') {
+        const currentResult = await client.query(
+          'SELECT request_status FROM trip_requests WHERE id = $1 FOR UPDATE',
+          [this.id]
+        );
+        const current = currentResult.rows[0];
+
+        if (!trip || trip.trip_status !== 'scheduled') {
+          const error = new Error('Requests can only be approved on scheduled trips');
+          error.code = 'TRIP_NOT_BOOKABLE';
+          throw error;
+        }
+
+        if (current && !['pending', 'waitlisted'].includes(current.request_status)) {
+          const error = new Error(`A ${current.request_status} request cannot be approved`);
+          error.code = 'REQUEST_NOT_APPROVABLE';
+          throw error;
+        }
+      }
+
+      const result = await client.query(updateQuery, [status, this.id]);
       
       if (result.rows.length === 0) {
         throw new Error('Trip request not found');
       }
 
-      Object.assign(this, new TripRequest(result.rows[0]));
-
-      // If approved, check if trip still has available seats
       if (status === 'approved') {
-        const trip = await this.getTrip();
-        const hasSeats = await trip.hasAvailableSeats(this.requested_seats);
-        
-        if (!hasSeats) {
-          throw new Error('Not enough available seats');
+        const approvedSeats = await TripRequest.countApprovedSeats(
+          client, this.trip_id, this.pickup_stop_id, this.dropoff_stop_id
+        );
+
+        if (approvedSeats > trip.available_seats) {
+          const error = new Error('Not enough available seats');
+          error.code = 'SEATS_UNAVAILABLE';
+          throw error;
         }
       }
 
-      return this;
+      await client.query('COMMIT');
+      Object.assign(this, new TripRequest(result.rows[0]));
     } catch (error) {
+      await client.query('ROLLBACK');
       throw error;
+    } finally {
+      client.release();
+    }
+
+    // Keep the trip chat room in line with the approved passengers
+    try {
+      const { syncTripChatRoom } = require('../services/trip-chat');
+      await syncTripChatRoom(this.trip_id);
+    } catch (chatError) {
+      console.warn('Could not sync trip chat room:', chatError.message);
+      // Don't fail the status change if the chat room update fails
+    }
+
+    // A released seat (or declined offer) goes to the next person on the waitlist
+    if (['rejected', 'cancelled'].includes(status)) {
+      try {
+        const { promoteWaitlist } = require('../services/trip-waitlist');
+        await promoteWaitlist(this.trip_id);
+      } catch (waitlistError) {
+        console.warn('Could not promote trip waitlist:', waitlistError.message);
+      }
     }
+
+    return this;
   }
 
   // Approve request
@@ -210,9 +478,22 @@ class TripRequest {
     return await this.updateStatus('rejected', rejectedBy);
   }
 
-  // Cancel request
+  // Cancel request. Giving up an approved seat shortly before departure
+  // counts against the passenger's reliability (see services/reliability).
   async cancel() {
-    return await this.updateStatus('cancelled');
+    const wasApproved = this.request_status === 'approved';
+    await this.updateStatus('cancelled');
+
+    if (wasApproved) {
+      try {
+        const { recordRequestCancellation } = require('../services/reliability');
+        await recordRequestCancellation(this, await this.getTrip());
+      } catch (reliabilityError) {
+        console.warn('Could not record late cancellation:', reliabilityError.message);
+      }
+    }
+
+    return this;
   }
 
   // Update request details
@@ -234,17 +515,21 @@ class TripRequest {
       }
     }
 
-    // Recalculate total price if seats changed
-    if (updateData.requested_seats !== undefined) {
-      const tripQuery = 'SELECT price_per_seat FROM trips WHERE id = $' + valueIndex;
-      values.push(this.trip_id);
-      
-      const tripResult = await query(tripQuery, values.slice(-1));
-      const pricePerSeat = parseFloat(tripResult.rows[0]?.price_per_seat) || 0;
-      const newTotalPrice = pricePerSeat * updateData.requested_seats;
-      
-      updates.push(`total_price = $${valueIndex + 1}`);
-      values.push(newTotalPrice);
+    // Re-quote the price if the seats or stops changed, unless it is locked
+    const repriced = ['requested_seats', 'pickup_stop_id', 'dropoff_stop_id']
+      .some(field => updateData[field] !== undefined);
+
+    if (repriced && !this.price_locked_at) {
+      const trip = await this.getTrip();
+      const { quoteTripPrice } = require('../services/trip-pricing');
+      const quote = await quoteTripPrice(trip, {
+        pickupStopId: updateData.pickup_stop_id !== undefined ? updateData.pickup_stop_id : this.pickup_stop_id,
+        dropoffStopId: updateData.dropoff_stop_id !== undefined ? updateData.dropoff_stop_id : this.dropoff_stop_id,
+        seats: updateData.requested_seats !== undefined ? updateData.requested_seats : this.requested_seats
+      });
+
+      updates.push(`total_price = $${valueIndex}`);
+      values.push(quote.total_price);
       valueIndex++;
     }
 
@@ -307,7 +592,7 @@ class TripRequest {
 
   // Check if request can be cancelled
   canCancel() {
-    return ['pending', 'approved'].includes(this.request_status);
+    return ['pending', 'approved', 'waitlisted'].includes(this.request_status);
   }
 
   // Check if user can edit this request
@@ -318,7 +603,8 @@ class TripRequest {
   // Check if user can approve/reject this request
   async canApprove(userId) {
     const trip = await this.getTrip();
-    return trip && trip.driver_id === userId && this.request_status === 'pending';
+    return trip && trip.driver_id === userId && trip.trip_status === 'scheduled' &&
+      ['pending', 'waitlisted'].includes(this.request_status);
   }
 
   // Get request statistics for a trip
@@ -341,7 +627,10 @@ class TripRequest {
         pending: { count: 0, total_seats: 0, total_value: 0 },
         approved: { count: 0, total_seats: 0, total_value: 0 },
         rejected: { count: 0, total_seats: 0, total_value: 0 },
-        cancelled: { count: 0, total_seats: 0, total_value: 0 }
+        cancelled: { count: 0, total_seats: 0, total_value: 0 },
+        waitlisted: { count: 0, total_seats: 0, total_value: 0 },
+        expired: { count: 0, total_seats: 0, total_value: 0 },
+        no_show: { count: 0, total_seats: 0, total_value: 0 }
       };
 
       result.rows.forEach(row => {
@@ -372,10 +661,17 @@ class TripRequest {
       pickup_time: this.pickup_time,
       dropoff_time: this.dropoff_time,
       total_price: this.total_price,
+      price_locked_at: this.price_locked_at,
+      subscription_id: this.subscription_id,
+      waitlist_offered_at: this.waitlist_offered_at,
       created_at: this.created_at,
       updated_at: this.updated_at
     };
 
+    if (this.waitlist_position !== undefined) {
+      requestData.waitlist_position = this.waitlist_position;
+    }
+
     if (includeDetails) {
       requestData.trip = await this.getTrip();
       requestData.passenger = await this.getPassenger();
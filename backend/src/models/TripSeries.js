@@ -0,0 +1,378 @@
+const { query } = require('../config/database');
+
+// Template fields copied from a series onto each of its occurrences
+const TEMPLATE_FIELDS = [
+  'title', 'description', 'available_seats', 'price_per_seat', 'currency',
+  'pricing_mode', 'price_per_km', 'minimum_fare',
+  'pickup_flexibility_minutes', 'special_instructions', 'vehicle_id',
+  'smoking_allowed', 'pets_allowed', 'luggage_space', 'music', 'chattiness', 'same_gender_only'
+];
+
+class TripSeries {
+  constructor(seriesData) {
+    this.id = seriesData.id;
+    this.route_id = seriesData.route_id;
+    this.driver_id = seriesData.driver_id;
+    this.title = seriesData.title;
+    this.description = seriesData.description;
+    this.available_seats = seriesData.available_seats;
+    this.price_per_seat = seriesData.price_per_seat;
+    this.currency = seriesData.currency;
+    this.pricing_mode = seriesData.pricing_mode;
+    this.price_per_km = seriesData.price_per_km;
+    this.minimum_fare = seriesData.minimum_fare;
+    this.pickup_flexibility_minutes = seriesData.pickup_flexibility_minutes;
+    this.special_instructions = seriesData.special_instructions;
+    this.vehicle_id = seriesData.vehicle_id;
+    this.smoking_allowed = seriesData.smoking_allowed;
+    this.pets_allowed = seriesData.pets_allowed;
+    this.luggage_space = seriesData.luggage_space;
+    this.music = seriesData.music;
+    this.chattiness = seriesData.chattiness;
+    this.same_gender_only = seriesData.same_gender_only;
+    this.recurring_pattern = seriesData.recurring_pattern;
+    this.series_status = seriesData.series_status;
+    this.route_name = seriesData.route_name;
+    this.created_at = seriesData.created_at;
+    this.updated_at = seriesData.updated_at;
+  }
+
+  // Create a new series. The pattern must already be normalized.
+  static async create(seriesData) {
+    const {
+      route_id, driver_id, title, description, available_seats = 1,
+      price_per_seat, currency = 'USD', pricing_mode = 'flat', price_per_km,
+      minimum_fare, pickup_flexibility_minutes = 15,
+      special_instructions, vehicle_id = null, recurring_pattern,
+      smoking_allowed = false, pets_allowed = false, luggage_space = 'medium',
+      music = null, chattiness = null, same_gender_only = false
+    } = seriesData;
+
+    const insertQuery = `
+      INSERT INTO trip_series (
+        route_id, driver_id, title, description, available_seats,
+        price_per_seat, currency, pricing_mode, price_per_km, minimum_fare,
+        pickup_flexibility_minutes, special_instructions, vehicle_id, recurring_pattern,
+        smoking_allowed, pets_allowed, luggage_space, music, chattiness, same_gender_only
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14,
+              $15, $16, $17, $18, $19, $20)
+      RETURNING *
+    `;
+
+    try {
+      const result = await query(insertQuery, [
+        route_id, driver_id, title, description, available_seats,
+        price_per_seat, currency, pricing_mode, price_per_km, minimum_fare,
+        pickup_flexibility_minutes, special_instructions, vehicle_id,
+        JSON.stringify(recurring_pattern),
+        smoking_allowed, pets_allowed, luggage_space, music, chattiness, same_gender_only
+      ]);
+
+      return new TripSeries(result.rows[0]);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Find series by ID
+  static async findById(id) {
+    const selectQuery = `
+      SELECT s.*, r.name as route_name
+      FROM trip_series s
+      JOIN routes r ON s.route_id = r.id
+      WHERE s.id = $1
+    `;
+
+    try {
+      const result = await query(selectQuery, [id]);
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      return new TripSeries(result.rows[0]);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Find a driver's series, newest first
+  static async findByDriver(driverId, includeCancelled = false) {
+    let selectQuery = `
+      SELECT s.*, r.name as route_name
+      FROM trip_series s
+      JOIN routes r ON s.route_id = r.id
+      WHERE s.driver_id = $1
+    `;
+
+    if (!includeCancelled) {
+      selectQuery += ` AND s.series_status = 'active'`;
+    }
+
+    selectQuery += ` ORDER BY s.created_at DESC`;
+
+    try {
+      const result = await query(selectQuery, [driverId]);
+      return result.rows.map(row => new TripSeries(row));
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Find every series that still produces trips
+  static async findActive() {
+    const selectQuery = `
+      SELECT * FROM trip_series
+      WHERE series_status = 'active'
+        AND (recurring_pattern->>'end_date' IS NULL
+             OR (recurring_pattern->>'end_date')::date >= CURRENT_DATE - 1)
+      ORDER BY id ASC
+    `;
+
+    try {
+      const result = await query(selectQuery);
+      return result.rows.map(row => new TripSeries(row));
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Update series template and/or pattern. Runs on `client` when inside a
+  // transaction.
+  async update(updateData, client = null) {
+    const db = client || { query };
+    const allowedFields = [...TEMPLATE_FIELDS, 'recurring_pattern', 'series_status'];
+
+    const updates = [];
+    const values = [];
+    let valueIndex = 1;
+
+    for (const field of allowedFields) {
+      if (updateData[field] !== undefined) {
+        updates.push(`${field} = $${valueIndex}`);
+        values.push(field === 'recurring_pattern'
+          ? JSON.stringify(updateData[field])
+          : updateData[field]);
+        valueIndex++;
+      }
+    }
+
+    if (updates.length === 0) {
+      throw new Error('No valid fields to update');
+    }
+
+    values.push(this.id);
+    const updateQuery = `
+      UPDATE trip_series
+      SET ${updates.join(', ')}
+      WHERE id = $${valueIndex}
+      RETURNING *
+    `;
+
+    try {
+      const result = await db.query(updateQuery, values);
+
+      if (result.rows.length === 0) {
+        throw new Error('Trip series not found');
+      }
+
+      Object.assign(this, new TripSeries({ ...result.rows[0], route_name: this.route_name }));
+      return this;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Cancel series; its occurrences are handled by the caller
+  async cancel() {
+    return await this.update({ series_status: 'cancelled' });
+  }
+
+  // Create the concrete trips for every pattern date from today (in the
+  // series' time zone) up to `daysAhead` days out. Dates that already have a
+  // trip, including cancelled ones, are left alone, so this is safe to re-run.
+  async materialize(daysAhead) {
+    const { days_of_week, time, timezone, start_date, end_date, exception_dates } = this.recurring_pattern;
+
+    const insertQuery = `
+      INSERT INTO trips (
+        route_id, driver_id, title, description, departure_time,
+        available_seats, price_per_seat, currency, pricing_mode, price_per_km,
+        minimum_fare, pickup_flexibility_minutes, special_instructions, vehicle_id,
+        smoking_allowed, pets_allowed, luggage_space, music, chattiness, same_gender_only,
+        is_recurring, series_id, series_date
+      )
+      SELECT s.route_id, s.driver_id, s.title, s.description,
+             (d.day + $2::time) AT TIME ZONE $3,
+             s.available_seats, s.price_per_seat, s.currency, s.pricing_mode, s.price_per_km,
+             s.minimum_fare, s.pickup_flexibility_minutes, s.special_instructions, s.vehicle_id,
+             s.smoking_allowed, s.pets_allowed, s.luggage_space, s.music, s.chattiness, s.same_gender_only,
+             true, s.id, d.day
+      FROM trip_series s
+      CROSS JOIN LATERAL (
+        SELECT generate_series(
+          GREATEST($4::date, (NOW() AT TIME ZONE $3)::date),
+          LEAST($5::date, (NOW() AT TIME ZONE $3)::date + $6::integer),
+          INTERVAL '1 day'
+        )::date as day
+      ) d
+      WHERE s.id = $1
+        AND s.series_status = 'active'
+        AND EXTRACT(DOW FROM d.day)::integer = ANY($7::integer[])
+        AND NOT (d.day = ANY($8::date[]))
+        AND (d.day + $2::time) AT TIME ZONE $3 > NOW()
+      ORDER BY d.day
+      ON CONFLICT (series_id, series_date) DO NOTHING
+      RETURNING *
+    `;
+
+    try {
+      const Trip = require('./Trip');
+      const result = await query(insertQuery, [
+        this.id, time, timezone, start_date, end_date, daysAhead,
+        days_of_week, exception_dates
+      ]);
+      return result.rows.map(row => new Trip(row));
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Copy the series template and departure time onto its upcoming scheduled
+  // occurrences, except those that were edited on their own, inside a
+  // transaction on `client`. The occurrences stay locked until it ends, and
+  // none may end up with fewer seats than are already held on it (throws with
+  // `error.code` 'SEATS_HELD', see Trip.checkSeatsHeld). Returns each updated
+  // occurrence with its `previous` seats and departure time, for
+  // Trip#applyUpdateEffects once the transaction is committed.
+  async syncOccurrences(client) {
+    const { time, timezone } = this.recurring_pattern;
+
+    const lockQuery = `
+      SELECT id, available_seats, departure_time
+      FROM trips
+      WHERE series_id = $1
+        AND trip_status = 'scheduled'
+        AND departure_time > NOW()
+        AND is_series_exception = false
+      ORDER BY id
+      FOR UPDATE
+    `;
+
+    const updateQuery = `
+      UPDATE trips t
+      SET ${TEMPLATE_FIELDS.map(field => `${field} = s.${field}`).join(', ')},
+          departure_time = (t.series_date + $2::time) AT TIME ZONE $3
+      FROM trip_series s
+      WHERE s.id = $1
+        AND t.series_id = s.id
+        AND t.id = ANY($4::integer[])
+      RETURNING t.*
+    `;
+
+    try {
+      const Trip = require('./Trip');
+      const lockResult = await client.query(lockQuery, [this.id]);
+      const previousById = new Map(lockResult.rows.map(row => [row.id, row]));
+
+      for (const { id } of lockResult.rows) {
+        await Trip.checkSeatsHeld(client, id, this.available_seats);
+      }
+
+      const result = await client.query(updateQuery, [this.id, time, timezone, [...previousById.keys()]]);
+      return result.rows.map(row => {
+        const { available_seats, departure_time } = previousById.get(row.id);
+        return { trip: new Trip(row), previous: { available_seats, departure_time } };
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Upcoming scheduled occurrences that no longer fall on a pattern date
+  async findStaleOccurrences() {
+    const { days_of_week, start_date, end_date, exception_dates } = this.recurring_pattern;
+
+    const selectQuery = `
+      SELECT * FROM trips
+      WHERE series_id = $1
+        AND trip_status = 'scheduled'
+        AND departure_time > NOW()
+        AND is_series_exception = false
+        AND (EXTRACT(DOW FROM series_date)::integer <> ALL($2::integer[])
+             OR series_date = ANY($3::date[])
+             OR series_date < $4::date
+             OR series_date > COALESCE($5::date, series_date))
+    `;
+
+    try {
+      const Trip = require('./Trip');
+      const result = await query(selectQuery, [
+        this.id, days_of_week, exception_dates, start_date, end_date
+      ]);
+      return result.rows.map(row => new Trip(row));
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Get occurrences, upcoming only unless `includePast` is set
+  async getOccurrences(includePast = false) {
+    let selectQuery = `
+      SELECT t.*, r.name as route_name, r.start_location, r.end_location
+      FROM trips t
+      JOIN routes r ON t.route_id = r.id
+      WHERE t.series_id = $1
+    `;
+
+    if (!includePast) {
+      selectQuery += ` AND t.departure_time > NOW()`;
+    }
+
+    selectQuery += ` ORDER BY t.departure_time ASC`;
+
+    try {
+      const Trip = require('./Trip');
+      const result = await query(selectQuery, [this.id]);
+      return result.rows.map(row => new Trip(row));
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Return series data as JSON
+  toJSON() {
+    return {
+      id: this.id,
+      route_id: this.route_id,
+      route_name: this.route_name,
+      driver_id: this.driver_id,
+      title: this.title,
+      description: this.description,
+      available_seats: this.available_seats,
+      price_per_seat: this.price_per_seat,
+      currency: this.currency,
+      pricing_mode: this.pricing_mode,
+      price_per_km: this.price_per_km,
+      minimum_fare: this.minimum_fare,
+      pickup_flexibility_minutes: this.pickup_flexibility_minutes,
+      special_instructions: this.special_instructions,
+      vehicle_id: this.vehicle_id,
+      ride_rules: {
+        smoking_allowed: this.smoking_allowed,
+        pets_allowed: this.pets_allowed,
+        luggage_space: this.luggage_space,
+        music: this.music,
+        chattiness: this.chattiness,
+        same_gender_only: this.same_gender_only
+      },
+      recurring_pattern: this.recurring_pattern,
+      series_status: this.series_status,
+      created_at: this.created_at,
+      updated_at: this.updated_at
+    };
+  }
+}
+
+module.exports = TripSeries;
@@ -0,0 +1,409 @@
+const { query, getClient } = require('../config/database');
+
+class TripSubscription {
+  constructor(subscriptionData) {
+    this.id = subscriptionData.id;
+    this.series_id = subscriptionData.series_id;
+    this.passenger_id = subscriptionData.passenger_id;
+    this.days_of_week = subscriptionData.days_of_week;
+    this.pickup_stop_id = subscriptionData.pickup_stop_id;
+    this.dropoff_stop_id = subscriptionData.dropoff_stop_id;
+    this.requested_seats = subscriptionData.requested_seats;
+    this.subscription_status = subscriptionData.subscription_status;
+    this.message = subscriptionData.message;
+    this.created_at = subscriptionData.created_at;
+    this.updated_at = subscriptionData.updated_at;
+
+    // Present when loaded with series and passenger details
+    this.series_title = subscriptionData.series_title;
+    this.driver_id = subscriptionData.driver_id;
+    this.passenger_username = subscriptionData.passenger_username;
+  }
+
+  // Create a new subscription request. A passenger's earlier rejected or
+  // cancelled subscription to the series is reset into the new request.
+  static async create(subscriptionData) {
+    const {
+      series_id, passenger_id, days_of_week = null, pickup_stop_id,
+      dropoff_stop_id, requested_seats = 1, message
+    } = subscriptionData;
+
+    const insertQuery = `
+      WITH cleared_skips AS (
+        DELETE FROM trip_subscription_skips
+        WHERE subscription_id = (
+          SELECT id FROM trip_subscriptions
+          WHERE series_id = $1 AND passenger_id = $2
+            AND subscription_status IN ('rejected', 'cancelled')
+        )
+      )
+      INSERT INTO trip_subscriptions (
+        series_id, passenger_id, days_of_week, pickup_stop_id,
+        dropoff_stop_id, requested_seats, message
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      ON CONFLICT (series_id, passenger_id)
+      DO UPDATE SET days_of_week = EXCLUDED.days_of_week,
+                    pickup_stop_id = EXCLUDED.pickup_stop_id,
+                    dropoff_stop_id = EXCLUDED.dropoff_stop_id,
+                    requested_seats = EXCLUDED.requested_seats,
+                    message = EXCLUDED.message,
+                    subscription_status = 'pending'
+      WHERE trip_subscriptions.subscription_status IN ('rejected', 'cancelled')
+      RETURNING *
+    `;
+
+    try {
+      const result = await query(insertQuery, [
+        series_id, passenger_id, days_of_week, pickup_stop_id,
+        dropoff_stop_id, requested_seats, message
+      ]);
+
+      if (result.rows.length === 0) {
+        throw new Error('Passenger already has an active subscription to this series');
+      }
+
+      return new TripSubscription(result.rows[0]);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Find subscription by ID
+  static async findById(id) {
+    const selectQuery = `
+      SELECT ts.*, s.title as series_title, s.driver_id,
+             u.username as passenger_username
+      FROM trip_subscriptions ts
+      JOIN trip_series s ON ts.series_id = s.id
+      JOIN users u ON ts.passenger_id = u.id
+      WHERE ts.id = $1
+    `;
+
+    try {
+      const result = await query(selectQuery, [id]);
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      return new TripSubscription(result.rows[0]);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Find a passenger's subscription to a series, whatever its status
+  static async findBySeriesAndPassenger(seriesId, passengerId) {
+    const selectQuery = `
+      SELECT * FROM trip_subscriptions
+      WHERE series_id = $1 AND passenger_id = $2
+    `;
+
+    try {
+      const result = await query(selectQuery, [seriesId, passengerId]);
+      return result.rows.length > 0 ? new TripSubscription(result.rows[0]) : null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Find subscriptions on a series
+  static async findBySeries(seriesId, status = null) {
+    let selectQuery = `
+      SELECT ts.*, s.title as series_title, s.driver_id,
+             u.username as passenger_username
+      FROM trip_subscriptions ts
+      JOIN trip_series s ON ts.series_id = s.id
+      JOIN users u ON ts.passenger_id = u.id
+      WHERE ts.series_id = $1
+    `;
+
+    const values = [seriesId];
+
+    if (status) {
+      selectQuery += ` AND ts.subscription_status = $2`;
+      values.push(status);
+    }
+
+    selectQuery += ` ORDER BY ts.created_at ASC`;
+
+    try {
+      const result = await query(selectQuery, values);
+      return result.rows.map(row => new TripSubscription(row));
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Find subscriptions by passenger
+  static async findByPassenger(passengerId, status = null) {
+    let selectQuery = `
+      SELECT ts.*, s.title as series_title, s.driver_id
+      FROM trip_subscriptions ts
+      JOIN trip_series s ON ts.series_id = s.id
+      WHERE ts.passenger_id = $1
+    `;
+
+    const values = [passengerId];
+
+    if (status) {
+      selectQuery += ` AND ts.subscription_status = $2`;
+      values.push(status);
+    }
+
+    selectQuery += ` ORDER BY ts.created_at DESC`;
+
+    try {
+      const result = await query(selectQuery, values);
+      return result.rows.map(row => new TripSubscription(row));
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Update subscription status
+  async updateStatus(status) {
+    const allowedStatuses = ['pending', 'approved', 'rejected', 'cancelled'];
+
+    if (!allowedStatuses.includes(status)) {
+      throw new Error('Invalid status');
+    }
+
+    const updateQuery = `
+      UPDATE trip_subscriptions
+      SET subscription_status = $1
+      WHERE id = $2
+      RETURNING *
+    `;
+
+    try {
+      const result = await query(updateQuery, [status, this.id]);
+
+      if (result.rows.length === 0) {
+        throw new Error('Trip subscription not found');
+      }
+
+      Object.assign(this, new TripSubscription({
+        ...result.rows[0],
+        series_title: this.series_title,
+        driver_id: this.driver_id,
+        passenger_username: this.passenger_username
+      }));
+      return this;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Upcoming scheduled occurrences this subscription wants a seat on:
+  // on its weekdays and not skipped
+  async getCoveredOccurrences() {
+    const selectQuery = `
+      SELECT t.* FROM trips t
+      WHERE t.series_id = $1
+        AND t.trip_status = 'scheduled'
+        AND t.departure_time > NOW()
+        AND ($2::integer[] IS NULL OR EXTRACT(DOW FROM t.series_date)::integer = ANY($2::integer[]))
+        AND NOT EXISTS (
+          SELECT 1 FROM trip_subscription_skips k
+          WHERE k.subscription_id = $3 AND k.skip_date = t.series_date
+        )
+      ORDER BY t.departure_time ASC
+    `;
+
+    try {
+      const Trip = require('./Trip');
+      const result = await query(selectQuery, [this.series_id, this.days_of_week, this.id]);
+      return result.rows.map(row => new Trip(row));
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Reserve this subscription's seats on one occurrence as an approved request.
+  // The trip row is locked while capacity is checked, so concurrent bookings
+  // cannot oversell it. Returns the request, or null when no seat was reserved
+  // (trip full or not scheduled, or the driver rejected the passenger on it).
+  // The seat's price is quoted up front and locked, as on any approval.
+  async reserveSeat(tripId) {
+    const Trip = require('./Trip');
+    const tripToQuote = await Trip.findById(tripId);
+
+    if (!tripToQuote) {
+      return null;
+    }
+
+    const { quoteTripPrice } = require('../services/trip-pricing');
+    const quote = await quoteTripPrice(tripToQuote, {
+      pickupStopId: this.pickup_stop_id,
+      dropoffStopId: this.dropoff_stop_id,
+      seats: this.requested_seats
+    });
+
+    const client = await getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const TripRequest = require('./TripRequest');
+      const trip = await TripRequest.lockTrip(client, tripId);
+
+      const existingResult = await client.query(
+        'SELECT * FROM trip_requests WHERE trip_id = $1 AND passenger_id = $2',
+        [tripId, this.passenger_id]
+      );
+      const existing = existingResult.rows[0];
+
+      if (!trip || trip.trip_status !== 'scheduled' ||
+          (existing && existing.request_status === 'rejected')) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      if (existing && existing.request_status === 'approved') {
+        await client.query('COMMIT');
+        return new TripRequest(existing);
+      }
+
+      const approvedSeats = await TripRequest.countApprovedSeats(
+        client, tripId, this.pickup_stop_id, this.dropoff_stop_id
+      );
+      const remainingSeats = trip.available_seats - approvedSeats;
+
+      if (remainingSeats < this.requested_seats) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      const upsertQuery = `
+        INSERT INTO trip_requests (
+          trip_id, passenger_id, pickup_stop_id, dropoff_stop_id,
+          requested_seats, request_status, message, total_price, subscription_id,
+          price_locked_at
+        )
+        VALUES ($1, $2, $3, $4, $5, 'approved', $6, $7, $8, CURRENT_TIMESTAMP)
+        ON CONFLICT (trip_id, passenger_id)
+        DO UPDATE SET request_status = 'approved',
+                      pickup_stop_id = EXCLUDED.pickup_stop_id,
+                      dropoff_stop_id = EXCLUDED.dropoff_stop_id,
+                      requested_seats = EXCLUDED.requested_seats,
+                      total_price = EXCLUDED.total_price,
+                      subscription_id = EXCLUDED.subscription_id,
+                      price_locked_at = EXCLUDED.price_locked_at
+        RETURNING *
+      `;
+
+      const result = await client.query(upsertQuery, [
+        tripId, this.passenger_id, this.pickup_stop_id, this.dropoff_stop_id,
+        this.requested_seats, this.message, quote.total_price, this.id
+      ]);
+
+      await client.query('COMMIT');
+      return new TripRequest(result.rows[0]);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Requests this subscription holds on upcoming trips, optionally on one date
+  async getUpcomingRequests(date = null) {
+    let selectQuery = `
+      SELECT tr.*
+      FROM trip_requests tr
+      JOIN trips t ON tr.trip_id = t.id
+      WHERE tr.subscription_id = $1
+        AND tr.request_status IN ('pending', 'approved')
+        AND t.departure_time > NOW()
+    `;
+
+    const values = [this.id];
+
+    if (date) {
+      selectQuery += ` AND t.series_date = $2`;
+      values.push(date);
+    }
+
+    selectQuery += ` ORDER BY t.departure_time ASC`;
+
+    try {
+      const TripRequest = require('./TripRequest');
+      const result = await query(selectQuery, values);
+      return result.rows.map(row => new TripRequest(row));
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Get skipped dates, as YYYY-MM-DD strings
+  async getSkippedDates() {
+    const selectQuery = `
+      SELECT to_char(skip_date, 'YYYY-MM-DD') as skip_date
+      FROM trip_subscription_skips
+      WHERE subscription_id = $1
+      ORDER BY skip_date ASC
+    `;
+
+    try {
+      const result = await query(selectQuery, [this.id]);
+      return result.rows.map(row => row.skip_date);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Record a date the passenger will not travel
+  async addSkip(date) {
+    const insertQuery = `
+      INSERT INTO trip_subscription_skips (subscription_id, skip_date)
+      VALUES ($1, $2)
+      ON CONFLICT (subscription_id, skip_date) DO NOTHING
+    `;
+
+    try {
+      await query(insertQuery, [this.id, date]);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Forget a skipped date; returns whether it was skipped
+  async removeSkip(date) {
+    const deleteQuery = `
+      DELETE FROM trip_subscription_skips
+      WHERE subscription_id = $1 AND skip_date = $2
+    `;
+
+    try {
+      const result = await query(deleteQuery, [this.id, date]);
+      return result.rowCount > 0;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Return subscription data as JSON
+  toJSON() {
+    return {
+      id: this.id,
+      series_id: this.series_id,
+      series_title: this.series_title,
+      driver_id: this.driver_id,
+      passenger_id: this.passenger_id,
+      passenger_username: this.passenger_username,
+      days_of_week: this.days_of_week,
+      pickup_stop_id: this.pickup_stop_id,
+      dropoff_stop_id: this.dropoff_stop_id,
+      requested_seats: this.requested_seats,
+      subscription_status: this.subscription_status,
+      message: this.message,
+      created_at: this.created_at,
+      updated_at: this.updated_at
+    };
+  }
+}
+
+module.exports = TripSubscription;
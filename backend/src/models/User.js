@@ -10,6 +10,9 @@ class User {
     this.first_name = userData.first_name;
     this.last_name = userData.last_name;
     this.profile_picture_url = userData.profile_picture_url;
+    this.gender = userData.gender;
+    this.notification_preferences = userData.notification_preferences;
+    this.ride_preferences = userData.ride_preferences;
     this.is_active = userData.is_active;
     this.created_at = userData.created_at;
     this.updated_at = userData.updated_at;
@@ -117,7 +120,7 @@ class User {
 
   // Update user
   async update(updateData) {
-    const allowedFields = ['username', 'email', 'first_name', 'last_name', 'profile_picture_url'];
+    const allowedFields = ['username', 'email', 'first_name', 'last_name', 'profile_picture_url', 'gender'];
     const updates = [];
     const values = [];
     let valueIndex = 1;
@@ -140,7 +143,7 @@ class User {
       UPDATE users 
       SET ${updates.join(', ')}
       WHERE id = $${valueIndex}
-      RETURNING id, username, email, first_name, last_name, profile_picture_url, is_active, created_at, updated_at
+      RETURNING id, username, email, first_name, last_name, profile_picture_url, gender, is_active, created_at, updated_at
     `;
 
     try {
@@ -158,6 +161,52 @@ class User {
     }
   }
 
+  // Replace the user's notification channel preferences
+  async updateNotificationPreferences(preferences) {
+    const updateQuery = `
+      UPDATE users
+      SET notification_preferences = $1
+      WHERE id = $2
+      RETURNING notification_preferences
+    `;
+
+    try {
+      const result = await query(updateQuery, [JSON.stringify(preferences), this.id]);
+
+      if (result.rows.length === 0) {
+        throw new Error('User not found');
+      }
+
+      this.notification_preferences = result.rows[0].notification_preferences;
+      return this;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Replace the user's default ride preferences
+  async updateRidePreferences(preferences) {
+    const updateQuery = `
+      UPDATE users
+      SET ride_preferences = $1
+      WHERE id = $2
+      RETURNING ride_preferences
+    `;
+
+    try {
+      const result = await query(updateQuery, [JSON.stringify(preferences), this.id]);
+
+      if (result.rows.length === 0) {
+        throw new Error('User not found');
+      }
+
+      this.ride_preferences = result.rows[0].ride_preferences;
+      return this;
+    } catch (error) {
+      throw error;
+    }
+  }
+
   // Change password
   async changePassword(newPassword) {
     const saltRounds = 12;
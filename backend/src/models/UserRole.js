@@ -11,8 +11,37 @@ class UserRole {
     this.is_active = userRoleData.is_active;
   }
 
-  // Assign role to user
-  static async assignRole(userId, roleId, assignedBy = null, expiresAt = null) {
+  // Check a role may be given to a user. The `driver` role only goes to users
+  // with an approved driver application, so document verification cannot be
+  // skipped; otherwise this throws with `error.code` 'DRIVER_NOT_VERIFIED'.
+  static async checkAssignable(userId, roleId, client = null) {
+    const db = client || { query };
+
+    try {
+      const result = await db.query(`
+        SELECT EXISTS (
+          SELECT 1 FROM driver_applications
+          WHERE user_id = $1 AND application_status = 'approved'
+        ) as verified
+        FROM roles
+        WHERE id = $2 AND name = 'driver'
+      `, [userId, roleId]);
+
+      if (result.rows.length > 0 && !result.rows[0].verified) {
+        const error = new Error('The driver role is granted by approving a driver application');
+        error.code = 'DRIVER_NOT_VERIFIED';
+        throw error;
+      }
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Assign role to user, optionally inside a caller's transaction. See
+  // checkAssignable for the roles that need more than this.
+  static async assignRole(userId, roleId, assignedBy = null, expiresAt = null, client = null) {
+    await UserRole.checkAssignable(userId, roleId, client);
+
     const insertQuery = `
       INSERT INTO user_roles (user_id, role_id, assigned_by, expires_at)
       VALUES ($1, $2, $3, $4)
@@ -25,8 +54,10 @@ class UserRole {
       RETURNING *
     `;
 
+    const db = client || { query };
+
     try {
-      const result = await query(insertQuery, [userId, roleId, assignedBy, expiresAt]);
+      const result = await db.query(insertQuery, [userId, roleId, assignedBy, expiresAt]);
       return new UserRole(result.rows[0]);
     } catch (error) {
       throw error;
@@ -185,11 +216,16 @@ class UserRole {
     }
   }
 
-  // Bulk assign roles to user
+  // Bulk assign roles to user. Every role is checked first, so a role that
+  // cannot be assigned leaves the others unassigned too.
   static async assignMultipleRoles(userId, roleIds, assignedBy = null, expiresAt = null) {
     const assignments = [];
     
     try {
+      for (const roleId of roleIds) {
+        await UserRole.checkAssignable(userId, roleId);
+      }
+
       for (const roleId of roleIds) {
         const assignment = await UserRole.assignRole(userId, roleId, assignedBy, expiresAt);
         assignments.push(assignment);
@@ -0,0 +1,177 @@
+const { query } = require('../config/database');
+
+// Fields a driver sets on a vehicle
+const VEHICLE_FIELDS = ['make', 'model', 'color', 'license_plate', 'seat_capacity', 'features'];
+
+class Vehicle {
+  constructor(vehicleData) {
+    this.id = vehicleData.id;
+    this.owner_id = vehicleData.owner_id;
+    this.make = vehicleData.make;
+    this.model = vehicleData.model;
+    this.color = vehicleData.color;
+    this.license_plate = vehicleData.license_plate;
+    this.seat_capacity = vehicleData.seat_capacity;
+    this.features = vehicleData.features || [];
+    this.is_active = vehicleData.is_active;
+    this.created_at = vehicleData.created_at;
+    this.updated_at = vehicleData.updated_at;
+  }
+
+  // Register a new vehicle
+  static async create(vehicleData) {
+    const {
+      owner_id, make, model, color = null, license_plate, seat_capacity, features = []
+    } = vehicleData;
+
+    const insertQuery = `
+      INSERT INTO vehicles (owner_id, make, model, color, license_plate, seat_capacity, features)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *
+    `;
+
+    try {
+      const result = await query(insertQuery, [
+        owner_id, make, model, color, license_plate, seat_capacity, features
+      ]);
+      return new Vehicle(result.rows[0]);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Find vehicle by ID, including removed ones
+  static async findById(id) {
+    const selectQuery = 'SELECT * FROM vehicles WHERE id = $1';
+
+    try {
+      const result = await query(selectQuery, [id]);
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      return new Vehicle(result.rows[0]);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Find a driver's vehicles, oldest first
+  static async findByOwner(ownerId) {
+    const selectQuery = `
+      SELECT * FROM vehicles
+      WHERE owner_id = $1 AND is_active = true
+      ORDER BY created_at ASC
+    `;
+
+    try {
+      const result = await query(selectQuery, [ownerId]);
+      return result.rows.map(row => new Vehicle(row));
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Seats passengers can take: every seat but the driver's
+  getPassengerSeats() {
+    return this.seat_capacity - 1;
+  }
+
+  // Most seats offered on an upcoming trip or active series that uses this
+  // vehicle, or 0 when none does
+  async getMaxBookedSeats() {
+    const selectQuery = `
+      SELECT COALESCE(MAX(available_seats), 0) as seats FROM (
+        SELECT available_seats FROM trips
+        WHERE vehicle_id = $1 AND trip_status = 'scheduled' AND departure_time > NOW()
+        UNION ALL
+        SELECT available_seats FROM trip_series
+        WHERE vehicle_id = $1 AND series_status = 'active'
+      ) offered
+    `;
+
+    try {
+      const result = await query(selectQuery, [this.id]);
+      return parseInt(result.rows[0].seats);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Update vehicle
+  async update(updateData) {
+    const updates = [];
+    const values = [];
+    let valueIndex = 1;
+
+    for (const field of VEHICLE_FIELDS) {
+      if (updateData[field] !== undefined) {
+        updates.push(`${field} = $${valueIndex}`);
+        values.push(updateData[field]);
+        valueIndex++;
+      }
+    }
+
+    if (updates.length === 0) {
+      throw new Error('No valid fields to update');
+    }
+
+    values.push(this.id);
+    const updateQuery = `
+      UPDATE vehicles
+      SET ${updates.join(', ')}
+      WHERE id = $${valueIndex}
+      RETURNING *
+    `;
+
+    try {
+      const result = await query(updateQuery, values);
+
+      if (result.rows.length === 0) {
+        throw new Error('Vehicle not found');
+      }
+
+      Object.assign(this, new Vehicle(result.rows[0]));
+      return this;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Remove the vehicle from the driver's list. Trips that use it keep it.
+  async deactivate() {
+    const updateQuery = `
+      UPDATE vehicles SET is_active = false
+      WHERE id = $1
+      RETURNING *
+    `;
+
+    try {
+      const result = await query(updateQuery, [this.id]);
+      Object.assign(this, new Vehicle(result.rows[0]));
+      return this;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      owner_id: this.owner_id,
+      make: this.make,
+      model: this.model,
+      color: this.color,
+      license_plate: this.license_plate,
+      seat_capacity: this.seat_capacity,
+      passenger_seats: this.getPassengerSeats(),
+      features: this.features,
+      is_active: this.is_active,
+      created_at: this.created_at,
+      updated_at: this.updated_at
+    };
+  }
+}
+
+module.exports = Vehicle;
@@ -1,6 +1,11 @@
 const express = require('express');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const ReliabilityEvent = require('../models/ReliabilityEvent');
+const {
+  LATE_CANCELLATION_HOURS, RELIABILITY_WINDOW_DAYS, getReliability
+} = require('../services/reliability');
+const { GENDERS, mergeRidePreferences } = require('../utils/ride-preferences');
 const router = express.Router();
 
 // Register
@@ -161,7 +166,7 @@ router.put('/profile', authenticateToken, async (req, res) => {
       });
     }
 
-    const { username, email, first_name, last_name, profile_picture_url } = req.body;
+    const { username, email, first_name, last_name, profile_picture_url, gender } = req.body;
     const updateData = {};
 
     if (username) updateData.username = username;
@@ -169,6 +174,15 @@ router.put('/profile', authenticateToken, async (req, res) => {
     if (first_name) updateData.first_name = first_name;
     if (last_name) updateData.last_name = last_name;
     if (profile_picture_url) updateData.profile_picture_url = profile_picture_url;
+    if (gender !== undefined) {
+      // Used for same-gender rides; null removes it
+      if (gender !== null && !GENDERS.includes(gender)) {
+        return res.status(400).json({
+          error: `Gender must be one of: ${GENDERS.join(', ')}`
+        });
+      }
+      updateData.gender = gender;
+    }
 
     const updatedUser = await user.update(updateData);
 
@@ -194,6 +208,93 @@ router.put('/profile', authenticateToken, async (req, res) => {
   }
 });
 
+// Get the current user's default ride preferences
+router.get('/ride-preferences', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      preferences: user.ride_preferences || {}
+    });
+
+  } catch (error) {
+    console.error('Get ride preferences error:', error.message);
+    res.status(500).json({
+      error: 'Failed to get ride preferences'
+    });
+  }
+});
+
+// Update the current user's default ride preferences, used to filter trip
+// searches and to warn about trips that do not suit them. Preferences left
+// out keep their value; null removes one.
+router.put('/ride-preferences', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
+
+    const { preferences, error } = mergeRidePreferences(user.ride_preferences, req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    if (preferences.same_gender_only && !user.gender) {
+      return res.status(400).json({
+        error: 'Set your gender on your profile to ask for same-gender rides'
+      });
+    }
+
+    await user.updateRidePreferences(preferences);
+
+    res.json({
+      success: true,
+      message: 'Ride preferences updated successfully',
+      preferences: user.ride_preferences
+    });
+
+  } catch (error) {
+    console.error('Update ride preferences error:', error.message);
+    res.status(500).json({
+      error: 'Failed to update ride preferences'
+    });
+  }
+});
+
+// Get the current user's reliability, the policy it puts them under and the
+// no-shows and late cancellations behind it
+router.get('/reliability', authenticateToken, async (req, res) => {
+  try {
+    const reliability = (await getReliability([req.user.userId]))[req.user.userId];
+    const events = await ReliabilityEvent.findByUser(req.user.userId, RELIABILITY_WINDOW_DAYS);
+
+    res.json({
+      success: true,
+      reliability,
+      events: events.map(event => event.toJSON()),
+      window_days: RELIABILITY_WINDOW_DAYS,
+      late_cancellation_hours: LATE_CANCELLATION_HOURS
+    });
+
+  } catch (error) {
+    console.error('Get reliability error:', error.message);
+    res.status(500).json({
+      error: 'Failed to get reliability'
+    });
+  }
+});
+
 // Change password
 router.put('/change-password', authenticateToken, async (req, res) => {
   try {
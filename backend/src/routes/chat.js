@@ -1,37 +1,52 @@
 const express = require('express');
+const ChatMessage = require('../models/ChatMessage');
+const ChatRoom = require('../models/ChatRoom');
+const Conversation = require('../models/Conversation');
+const Trip = require('../models/Trip');
+const User = require('../models/User');
+const { authenticateToken } = require('../middleware/auth');
+const { emitToUser } = require('../socket/io');
+const { notifyChatMessage } = require('../services/notifications');
 const router = express.Router();
 
+// Apply authentication to all chat endpoints
+router.use(authenticateToken);
+
 // Get chat history for a room
 router.get('/history/:roomId', async (req, res) => {
   try {
     const { roomId } = req.params;
-    const { limit = 50, offset = 0 } = req.query;
-
-    // TODO: Implement database query
-    // For now, return mock data
-    const mockMessages = [
-      {
-        id: 1,
-        userId: 'user1',
-        username: 'John',
-        message: 'Hey, anyone know the best route to downtown?',
-        timestamp: new Date(Date.now() - 3600000).toISOString(),
-        roomId
-      },
-      {
-        id: 2,
-        userId: 'user2',
-        username: 'Alice',
-        message: 'I usually take the highway, it\'s faster',
-        timestamp: new Date(Date.now() - 3300000).toISOString(),
-        roomId
-      }
-    ];
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+    const offset = parseInt(req.query.offset) || 0;
+    const before = req.query.before ? parseInt(req.query.before) : null;
+
+    if (req.query.before && !before) {
+      return res.status(400).json({
+        error: 'Before cursor must be a message ID'
+      });
+    }
+
+    const room = await ChatRoom.findById(roomId);
+    if (!room || !(await room.canAccess(req.user.userId))) {
+      return res.status(404).json({
+        error: 'Chat room not found'
+      });
+    }
+
+    const messages = await ChatMessage.findByRoom(roomId, { limit, offset, before });
+    const total = await ChatMessage.countByRoom(roomId, before);
 
     res.json({
       success: true,
-      messages: mockMessages.slice(offset, offset + parseInt(limit)),
-      total: mockMessages.length
+      messages: messages.map(message => message.toJSON()),
+      total,
+      pagination: {
+        limit,
+        offset,
+        before,
+        has_more: offset + messages.length < total,
+        next_before: messages.length > 0 ? messages[0].id : null
+      }
     });
 
   } catch (error) {
@@ -42,37 +57,24 @@ router.get('/history/:roomId', async (req, res) => {
   }
 });
 
-// Get active rooms
+// Get rooms visible to the user (public rooms and private rooms they belong to)
 router.get('/rooms', async (req, res) => {
   try {
-    // TODO: Implement database query
-    const mockRooms = [
-      {
-        id: 'general',
-        name: 'General Chat',
-        description: 'General discussion',
-        memberCount: 45,
-        lastActivity: new Date().toISOString()
-      },
-      {
-        id: 'routes-help',
-        name: 'Routes & Directions',
-        description: 'Get help with routes and directions',
-        memberCount: 23,
-        lastActivity: new Date(Date.now() - 1800000).toISOString()
-      },
-      {
-        id: 'local-nyc',
-        name: 'New York City',
-        description: 'Local chat for NYC area',
-        memberCount: 67,
-        lastActivity: new Date(Date.now() - 900000).toISOString()
-      }
-    ];
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const offset = (page - 1) * limit;
+    const memberOnly = req.query.mine === 'true';
+
+    const rooms = await ChatRoom.findVisibleTo(req.user.userId, memberOnly, limit, offset);
 
     res.json({
       success: true,
-      rooms: mockRooms
+      rooms: rooms.map(room => room.toJSON()),
+      pagination: {
+        page,
+        limit,
+        total: rooms.length
+      }
     });
 
   } catch (error) {
@@ -83,6 +85,31 @@ router.get('/rooms', async (req, res) => {
   }
 });
 
+// Get a single room with its members
+router.get('/rooms/:roomId', async (req, res) => {
+  try {
+    const room = await ChatRoom.findById(req.params.roomId);
+
+    if (!room || !(await room.canAccess(req.user.userId))) {
+      return res.status(404).json({
+        error: 'Chat room not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      room: room.toJSON(),
+      members: await room.getMembers()
+    });
+
+  } catch (error) {
+    console.error('Get room error:', error.message);
+    res.status(500).json({
+      error: 'Failed to get chat room'
+    });
+  }
+});
+
 // Create a new room
 router.post('/rooms', async (req, res) => {
   try {
@@ -94,20 +121,16 @@ router.post('/rooms', async (req, res) => {
       });
     }
 
-    // TODO: Implement database creation
-    const newRoom = {
-      id: `room_${Date.now()}`,
+    const newRoom = await ChatRoom.create({
       name,
-      description: description || '',
-      isPrivate,
-      memberCount: 1,
-      createdAt: new Date().toISOString(),
-      lastActivity: new Date().toISOString()
-    };
+      description,
+      is_private: !!isPrivate,
+      owner_id: req.user.userId
+    });
 
     res.status(201).json({
       success: true,
-      room: newRoom
+      room: newRoom.toJSON()
     });
 
   } catch (error) {
@@ -122,18 +145,27 @@ router.post('/rooms', async (req, res) => {
 router.post('/rooms/:roomId/join', async (req, res) => {
   try {
     const { roomId } = req.params;
-    const { userId } = req.body;
+    const room = await ChatRoom.findById(roomId);
 
-    if (!userId) {
-      return res.status(400).json({
-        error: 'User ID is required'
+    if (!room) {
+      return res.status(404).json({
+        error: 'Chat room not found'
+      });
+    }
+
+    // Private rooms can only be joined by invitation from the owner
+    if (!(await room.canAccess(req.user.userId))) {
+      return res.status(403).json({
+        error: 'This room is private'
       });
     }
 
-    // TODO: Implement database logic
+    await room.addMember(req.user.userId);
+
     res.json({
       success: true,
-      message: `Joined room ${roomId}`
+      message: `Joined room ${roomId}`,
+      room: (await ChatRoom.findById(roomId)).toJSON()
     });
 
   } catch (error) {
@@ -144,8 +176,8 @@ router.post('/rooms/:roomId/join', async (req, res) => {
   }
 });
 
-// Leave a room
-router.post('/rooms/:roomId/leave', async (req, res) => {
+// Add a member to a private room (owner only)
+router.post('/rooms/:roomId/members', async (req, res) => {
   try {
     const { roomId } = req.params;
     const { userId } = req.body;
@@ -156,7 +188,81 @@ router.post('/rooms/:roomId/leave', async (req, res) => {
       });
     }
 
-    // TODO: Implement database logic
+    const room = await ChatRoom.findById(roomId);
+
+    if (!room) {
+      return res.status(404).json({
+        error: 'Chat room not found'
+      });
+    }
+
+    if (!room.isOwner(req.user.userId)) {
+      return res.status(403).json({
+        error: 'Only the room owner can add members'
+      });
+    }
+
+    // Trip room membership follows the trip's approved bookings
+    if (room.trip_id) {
+      return res.status(400).json({
+        error: 'Members of a trip chat are managed through trip requests'
+      });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
+
+    await room.addMember(user.id);
+
+    res.status(201).json({
+      success: true,
+      message: `Added ${user.username} to room ${roomId}`
+    });
+
+  } catch (error) {
+    console.error('Add room member error:', error.message);
+    res.status(500).json({
+      error: 'Failed to add room member'
+    });
+  }
+});
+
+// Leave a room
+router.post('/rooms/:roomId/leave', async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    const room = await ChatRoom.findById(roomId);
+
+    if (!room) {
+      return res.status(404).json({
+        error: 'Chat room not found'
+      });
+    }
+
+    if (room.isOwner(req.user.userId)) {
+      return res.status(400).json({
+        error: 'Room owner cannot leave the room'
+      });
+    }
+
+    if (room.trip_id) {
+      return res.status(400).json({
+        error: 'Cancel your trip request to leave a trip chat'
+      });
+    }
+
+    const membership = await room.removeMember(req.user.userId);
+
+    if (!membership) {
+      return res.status(400).json({
+        error: 'You are not a member of this room'
+      });
+    }
+
     res.json({
       success: true,
       message: `Left room ${roomId}`
@@ -170,5 +276,153 @@ router.post('/rooms/:roomId/leave', async (req, res) => {
   }
 });
 
+// List the user's direct conversations with unread counts
+router.get('/conversations', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const offset = (page - 1) * limit;
+
+    const conversations = await Conversation.findByUser(req.user.userId, limit, offset);
+
+    res.json({
+      success: true,
+      conversations: conversations.map(conversation => conversation.toJSON()),
+      total_unread: conversations.reduce((sum, conversation) => sum + conversation.unread_count, 0),
+      pagination: {
+        page,
+        limit,
+        total: conversations.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Conversations error:', error.message);
+    res.status(500).json({
+      error: 'Failed to get conversations'
+    });
+  }
+});
+
+// Start (or reopen) a conversation with the driver of a trip
+router.post('/conversations', async (req, res) => {
+  try {
+    const { tripId, message } = req.body;
+
+    if (!tripId) {
+      return res.status(400).json({
+        error: 'Trip ID is required'
+      });
+    }
+
+    const trip = await Trip.findById(tripId);
+    if (!trip) {
+      return res.status(404).json({
+        error: 'Trip not found'
+      });
+    }
+
+    if (trip.driver_id === req.user.userId) {
+      return res.status(400).json({
+        error: 'Cannot start a conversation about your own trip'
+      });
+    }
+
+    const conversation = await Conversation.findOrCreate(req.user.userId, trip.driver_id, trip.id);
+
+    let firstMessage = null;
+    if (message && message.trim()) {
+      firstMessage = (await conversation.sendMessage(req.user.userId, message.trim())).toJSON();
+      emitToUser(req.user.userId, 'direct_message', firstMessage);
+      emitToUser(trip.driver_id, 'direct_message', firstMessage);
+      await notifyChatMessage([trip.driver_id], req.user.username, firstMessage.message, {
+        conversation_id: conversation.id,
+        message_id: firstMessage.id
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      conversation: conversation.toJSON(),
+      message: firstMessage
+    });
+
+  } catch (error) {
+    console.error('Start conversation error:', error.message);
+    res.status(500).json({
+      error: 'Failed to start conversation'
+    });
+  }
+});
+
+// Get messages of a conversation
+router.get('/conversations/:conversationId/messages', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+    const before = req.query.before ? parseInt(req.query.before) : null;
+
+    const conversation = await Conversation.findById(req.params.conversationId, req.user.userId);
+
+    if (!conversation || !conversation.hasParticipant(req.user.userId)) {
+      return res.status(404).json({
+        error: 'Conversation not found'
+      });
+    }
+
+    const messages = await conversation.getMessages({ limit, before });
+
+    res.json({
+      success: true,
+      conversation: conversation.toJSON(),
+      messages: messages.map(message => message.toJSON()),
+      pagination: {
+        limit,
+        before,
+        next_before: messages.length === limit ? messages[0].id : null
+      }
+    });
+
+  } catch (error) {
+    console.error('Conversation messages error:', error.message);
+    res.status(500).json({
+      error: 'Failed to get conversation messages'
+    });
+  }
+});
+
+// Mark a conversation as read
+router.post('/conversations/:conversationId/read', async (req, res) => {
+  try {
+    const conversation = await Conversation.findById(req.params.conversationId, req.user.userId);
+
+    if (!conversation || !conversation.hasParticipant(req.user.userId)) {
+      return res.status(404).json({
+        error: 'Conversation not found'
+      });
+    }
+
+    const readCount = await conversation.markRead(req.user.userId);
+
+    if (readCount > 0) {
+      emitToUser(conversation.getOtherUserId(req.user.userId), 'conversation_read', {
+        conversationId: conversation.id,
+        readBy: req.user.userId,
+        readAt: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      marked_read: readCount
+    });
+
+  } catch (error) {
+    console.error('Mark conversation read error:', error.message);
+    res.status(500).json({
+      error: 'Failed to mark conversation as read'
+    });
+  }
+});
+
 module.exports = router;
 
@@ -0,0 +1,213 @@
+const express = require('express');
+const DriverApplication = require('../models/DriverApplication');
+const User = require('../models/User');
+const { authenticateToken } = require('../middleware/auth');
+const { uploadDriverDocuments, removeUploadedFiles, driverDocumentPath } = require('../middleware/uploads');
+const { requirePermission } = require('./roles');
+const { submitDriverApplication, reviewDriverApplication } = require('../services/driver-verification');
+const { isValidDate } = require('../utils/recurrence');
+const router = express.Router();
+
+// Apply authentication to all driver application endpoints
+router.use(authenticateToken);
+
+const APPLICATION_STATUSES = ['pending', 'approved', 'rejected'];
+const REVIEW_DECISIONS = ['approve', 'reject'];
+
+// Validate the licence details sent with an application.
+// Returns `{ licenseData }` or `{ error }` describing the first problem.
+const buildLicenseData = (body) => {
+  const licenseNumber = typeof body.license_number === 'string' ? body.license_number.trim() : '';
+  if (!licenseNumber || licenseNumber.length > 50) {
+    return { error: 'License number is required and must be at most 50 characters' };
+  }
+
+  if (!isValidDate(body.license_expires_on)) {
+    return { error: 'License expiry date must be in YYYY-MM-DD format' };
+  }
+
+  if (body.license_expires_on <= new Date().toISOString().slice(0, 10)) {
+    return { error: 'Your license has expired' };
+  }
+
+  return { licenseData: { license_number: licenseNumber, license_expires_on: body.license_expires_on } };
+};
+
+// Load an application the current user may see: their own, or any with the
+// `driver.verify` permission. Sends the error response otherwise.
+const loadVisibleApplication = async (req, res) => {
+  const applicationId = parseInt(req.params.id);
+  if (!Number.isInteger(applicationId)) {
+    res.status(400).json({ error: 'Invalid application ID' });
+    return null;
+  }
+
+  const application = await DriverApplication.findById(applicationId);
+  if (application && application.user_id === req.user.userId) {
+    return application;
+  }
+
+  const user = await User.findById(req.user.userId);
+  if (!application || !user || !(await user.hasPermission('driver.verify'))) {
+    res.status(404).json({ error: 'Application not found' });
+    return null;
+  }
+
+  return application;
+};
+
+// Apply to become a driver. Multipart form with `license_number`,
+// `license_expires_on` and the `license` and `insurance` files.
+router.post('/', uploadDriverDocuments, async (req, res) => {
+  try {
+    const { licenseData, error } = buildLicenseData(req.body);
+    if (error) {
+      await removeUploadedFiles(req.files);
+      return res.status(400).json({ error });
+    }
+
+    const application = await submitDriverApplication(req.user.userId, licenseData, req.files);
+
+    res.status(201).json({
+      success: true,
+      message: 'Application submitted for review',
+      application: application.toJSON()
+    });
+  } catch (error) {
+    if (error.code === 'DOCUMENTS_MISSING') {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error.code === 'ALREADY_DRIVER' || error.code === 'APPLICATION_PENDING') {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error('Submit driver application error:', error);
+    res.status(500).json({ error: 'Failed to submit application' });
+  }
+});
+
+// The current user's applications, newest first
+router.get('/mine', async (req, res) => {
+  try {
+    const applications = await DriverApplication.findByUser(req.user.userId);
+
+    res.json({
+      success: true,
+      applications: applications.map(application => application.toJSON())
+    });
+  } catch (error) {
+    console.error('Get own driver applications error:', error);
+    res.status(500).json({ error: 'Failed to fetch applications' });
+  }
+});
+
+// List applications for review, oldest first, optionally by status
+router.get('/', requirePermission('driver.verify'), async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !APPLICATION_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Status must be one of: ${APPLICATION_STATUSES.join(', ')}` });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+    const offset = (page - 1) * limit;
+
+    const applications = await DriverApplication.findAll({ status, limit, offset });
+
+    res.json({
+      success: true,
+      applications: applications.map(application => application.toJSON()),
+      pagination: {
+        page,
+        limit
+      }
+    });
+  } catch (error) {
+    console.error('Get driver applications error:', error);
+    res.status(500).json({ error: 'Failed to fetch applications' });
+  }
+});
+
+// Get one application with its documents
+router.get('/:id', async (req, res) => {
+  try {
+    const application = await loadVisibleApplication(req, res);
+    if (!application) {
+      return;
+    }
+
+    res.json({
+      success: true,
+      application: application.toJSON()
+    });
+  } catch (error) {
+    console.error('Get driver application error:', error);
+    res.status(500).json({ error: 'Failed to fetch application' });
+  }
+});
+
+// Download one of an application's documents
+router.get('/:id/documents/:documentId', async (req, res) => {
+  try {
+    const application = await loadVisibleApplication(req, res);
+    if (!application) {
+      return;
+    }
+
+    const document = application.findDocument(req.params.documentId);
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    res.type(document.mime_type);
+    res.download(driverDocumentPath(document.stored_name), document.original_name, (error) => {
+      if (error && !res.headersSent) {
+        console.error('Send driver document error:', error);
+        res.status(404).json({ error: 'Document file not found' });
+      }
+    });
+  } catch (error) {
+    console.error('Get driver document error:', error);
+    res.status(500).json({ error: 'Failed to fetch document' });
+  }
+});
+
+// Approve or reject a pending application with optional notes for the
+// applicant. Approval grants the `driver` role.
+router.post('/:id/review', requirePermission('driver.verify'), async (req, res) => {
+  try {
+    const { decision, notes } = req.body;
+    if (!REVIEW_DECISIONS.includes(decision)) {
+      return res.status(400).json({ error: `Decision must be one of: ${REVIEW_DECISIONS.join(', ')}` });
+    }
+
+    if (notes !== undefined && notes !== null && typeof notes !== 'string') {
+      return res.status(400).json({ error: 'Notes must be text' });
+    }
+
+    const application = await loadVisibleApplication(req, res);
+    if (!application) {
+      return;
+    }
+
+    if (application.user_id === req.user.userId) {
+      return res.status(403).json({ error: 'You cannot review your own application' });
+    }
+
+    await reviewDriverApplication(application, req.user.userId, decision, notes?.trim() || null);
+
+    res.json({
+      success: true,
+      message: decision === 'approve' ? 'Application approved' : 'Application rejected',
+      application: application.toJSON()
+    });
+  } catch (error) {
+    if (error.code === 'APPLICATION_ALREADY_REVIEWED') {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error('Review driver application error:', error);
+    res.status(500).json({ error: 'Failed to review application' });
+  }
+});
+
+module.exports = router;
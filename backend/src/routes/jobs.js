@@ -0,0 +1,124 @@
+const express = require('express');
+const Job = require('../models/Job');
+const JobSchedule = require('../models/JobSchedule');
+const { authenticateToken } = require('../middleware/auth');
+const { requireAdmin } = require('./roles');
+const { retryJob } = require('../services/job-queue');
+const router = express.Router();
+
+// Background jobs are only visible to admins
+router.use(authenticateToken, requireAdmin);
+
+const JOB_STATUSES = ['pending', 'running', 'completed', 'dead'];
+
+// List jobs, newest first, optionally by status and name
+router.get('/', async (req, res) => {
+  try {
+    const { status, name } = req.query;
+    if (status && !JOB_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Status must be one of: ${JOB_STATUSES.join(', ')}` });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+    const offset = (page - 1) * limit;
+
+    const jobs = await Job.findAll({ status, name, limit, offset });
+
+    res.json({
+      success: true,
+      jobs: jobs.map(job => job.toJSON()),
+      pagination: {
+        page,
+        limit
+      }
+    });
+  } catch (error) {
+    console.error('Get jobs error:', error);
+    res.status(500).json({ error: 'Failed to fetch jobs' });
+  }
+});
+
+// Number of jobs in each status, per job name
+router.get('/stats', async (req, res) => {
+  try {
+    const stats = await Job.getStats();
+
+    res.json({
+      success: true,
+      stats
+    });
+  } catch (error) {
+    console.error('Get job stats error:', error);
+    res.status(500).json({ error: 'Failed to fetch job stats' });
+  }
+});
+
+// List the cron schedules
+router.get('/schedules', async (req, res) => {
+  try {
+    const schedules = await JobSchedule.findAll();
+
+    res.json({
+      success: true,
+      schedules: schedules.map(schedule => schedule.toJSON())
+    });
+  } catch (error) {
+    console.error('Get job schedules error:', error);
+    res.status(500).json({ error: 'Failed to fetch job schedules' });
+  }
+});
+
+// Get one job
+router.get('/:id', async (req, res) => {
+  try {
+    const jobId = parseInt(req.params.id);
+    if (!Number.isInteger(jobId)) {
+      return res.status(400).json({ error: 'Invalid job ID' });
+    }
+
+    const job = await Job.findById(jobId);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json({
+      success: true,
+      job: job.toJSON()
+    });
+  } catch (error) {
+    console.error('Get job error:', error);
+    res.status(500).json({ error: 'Failed to fetch job' });
+  }
+});
+
+// Run a dead or completed job again with a fresh set of attempts
+router.post('/:id/retry', async (req, res) => {
+  try {
+    const jobId = parseInt(req.params.id);
+    if (!Number.isInteger(jobId)) {
+      return res.status(400).json({ error: 'Invalid job ID' });
+    }
+
+    const job = await Job.findById(jobId);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    await retryJob(job);
+
+    res.json({
+      success: true,
+      message: 'Job queued to run again',
+      job: job.toJSON()
+    });
+  } catch (error) {
+    if (error.code === 'JOB_NOT_RETRYABLE' || error.code === 'JOB_ALREADY_QUEUED') {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error('Retry job error:', error);
+    res.status(500).json({ error: 'Failed to retry job' });
+  }
+});
+
+module.exports = router;
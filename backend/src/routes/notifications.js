@@ -0,0 +1,136 @@
+const express = require('express');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  getChannelPreferences, mergeChannelPreferences, markNotificationsRead
+} = require('../services/notifications');
+const router = express.Router();
+
+// Apply authentication to all notification endpoints
+router.use(authenticateToken);
+
+// List the current user's notifications, newest first
+router.get('/', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+    const before = req.query.before ? parseInt(req.query.before) : null;
+    const unreadOnly = req.query.unread === 'true';
+
+    const notifications = await Notification.findByUser(req.user.userId, { limit, before, unreadOnly });
+    const unreadCount = await Notification.countUnread(req.user.userId);
+
+    res.json({
+      success: true,
+      notifications: notifications.map(notification => notification.toJSON()),
+      unread_count: unreadCount,
+      pagination: {
+        limit,
+        before,
+        next_before: notifications.length === limit ? notifications[notifications.length - 1].id : null
+      }
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({ error: 'Failed to fetch notifications' });
+  }
+});
+
+// Count the current user's unread notifications
+router.get('/unread-count', async (req, res) => {
+  try {
+    const unreadCount = await Notification.countUnread(req.user.userId);
+
+    res.json({
+      success: true,
+      unread_count: unreadCount
+    });
+  } catch (error) {
+    console.error('Count notifications error:', error);
+    res.status(500).json({ error: 'Failed to count notifications' });
+  }
+});
+
+// Get the current user's notification channel preferences, defaults included
+router.get('/preferences', async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({
+      success: true,
+      preferences: getChannelPreferences(user)
+    });
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    res.status(500).json({ error: 'Failed to fetch notification preferences' });
+  }
+});
+
+// Turn notification types on or off per channel. Types left out keep their
+// current setting.
+router.put('/preferences', async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const { preferences, error } = mergeChannelPreferences(user.notification_preferences, req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    await user.updateNotificationPreferences(preferences);
+
+    res.json({
+      success: true,
+      message: 'Notification preferences updated successfully',
+      preferences: getChannelPreferences(user)
+    });
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({ error: 'Failed to update notification preferences' });
+  }
+});
+
+// Mark all of the current user's notifications as read
+router.post('/read-all', async (req, res) => {
+  try {
+    const { readCount, unreadCount } = await markNotificationsRead(req.user.userId);
+
+    res.json({
+      success: true,
+      read_count: readCount,
+      unread_count: unreadCount
+    });
+  } catch (error) {
+    console.error('Mark notifications read error:', error);
+    res.status(500).json({ error: 'Failed to mark notifications as read' });
+  }
+});
+
+// Mark one notification as read
+router.post('/:id/read', async (req, res) => {
+  try {
+    const notificationId = parseInt(req.params.id);
+    if (!Number.isInteger(notificationId)) {
+      return res.status(400).json({ error: 'Invalid notification ID' });
+    }
+
+    const { readCount, unreadCount } = await markNotificationsRead(req.user.userId, [notificationId]);
+
+    res.json({
+      success: true,
+      read_count: readCount,
+      unread_count: unreadCount
+    });
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({ error: 'Failed to mark notification as read' });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const { query } = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
+const { notify } = require('../services/notifications');
 const router = express.Router();
 
 // Apply authentication to all rating endpoints
@@ -21,7 +22,7 @@ router.post('/routes/:routeId/rate', async (req, res) => {
 
     // Check if route exists
     const routeCheck = await query(
-      'SELECT id FROM routes WHERE id = $1',
+      'SELECT id, name, created_by FROM routes WHERE id = $1',
       [routeId]
     );
 
@@ -67,6 +68,16 @@ router.post('/routes/:routeId/rate', async (req, res) => {
         [routeId, req.user.userId, rating, comment]
       );
 
+      // Let the route's creator know about the new rating
+      const route = routeCheck.rows[0];
+      if (route.created_by && route.created_by !== req.user.userId) {
+        await notify(route.created_by, 'rating_received', {
+          title: `${req.user.username} rated ${route.name} ${rating}/5`,
+          body: comment || null,
+          data: { route_id: route.id, rating_id: result.rows[0].id }
+        });
+      }
+
       res.status(201).json({
         success: true,
         message: 'Rating created successfully',
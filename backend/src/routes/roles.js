@@ -258,6 +258,10 @@ router.post('/:roleId/assign/:userId', requirePermission('role.write'), async (r
       assignment: assignment.toJSON()
     });
   } catch (error) {
+    // Drivers are only made by approving their application
+    if (error.code === 'DRIVER_NOT_VERIFIED') {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('Assign role error:', error);
     res.status(500).json({ error: 'Failed to assign role' });
   }
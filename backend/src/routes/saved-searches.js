@@ -0,0 +1,257 @@
+const express = require('express');
+const SavedSearch = require('../models/SavedSearch');
+const { authenticateToken } = require('../middleware/auth');
+const { isValidTime, isValidTimeZone, parseDay } = require('../utils/recurrence');
+const router = express.Router();
+
+// Apply authentication to all saved search endpoints
+router.use(authenticateToken);
+
+const COORDINATE_FIELDS = ['start_latitude', 'start_longitude', 'end_latitude', 'end_longitude'];
+
+const isPresent = (value) => value !== undefined && value !== null && value !== '';
+
+// Collect and validate the fields of a saved search body. On create every
+// search needs somewhere to go from and to, by name or by coordinates; an edit
+// is checked against the search it changes.
+// Returns `{ searchData }` or `{ error }` describing the first problem.
+const buildSearchData = (body, existing = null) => {
+  const searchData = {};
+
+  for (const field of ['name', 'start_location', 'end_location']) {
+    if (body[field] !== undefined) {
+      searchData[field] = isPresent(body[field]) ? String(body[field]).trim() : null;
+    }
+  }
+
+  for (const field of COORDINATE_FIELDS) {
+    if (body[field] !== undefined) {
+      const value = isPresent(body[field]) ? parseFloat(body[field]) : null;
+      if (Number.isNaN(value)) {
+        return { error: 'Coordinates must be numbers' };
+      }
+      searchData[field] = value;
+    }
+  }
+
+  for (const field of ['start_latitude', 'end_latitude']) {
+    if (searchData[field] !== undefined && searchData[field] !== null && Math.abs(searchData[field]) > 90) {
+      return { error: 'Latitudes must be between -90 and 90' };
+    }
+  }
+
+  for (const field of ['start_longitude', 'end_longitude']) {
+    if (searchData[field] !== undefined && searchData[field] !== null && Math.abs(searchData[field]) > 180) {
+      return { error: 'Longitudes must be between -180 and 180' };
+    }
+  }
+
+  if (body.radius_km !== undefined) {
+    const radiusKm = isPresent(body.radius_km) ? parseFloat(body.radius_km) : null;
+    if (radiusKm !== null && (Number.isNaN(radiusKm) || radiusKm <= 0 || radiusKm > 5)) {
+      return { error: 'Search radius must be between 0 and 5 km' };
+    }
+    searchData.radius_km = radiusKm;
+  }
+
+  if (body.days_of_week !== undefined) {
+    if (body.days_of_week === null) {
+      searchData.days_of_week = null;
+    } else {
+      if (!Array.isArray(body.days_of_week) || body.days_of_week.length === 0) {
+        return { error: 'Days of the week must be a non-empty list' };
+      }
+
+      const days = body.days_of_week.map(parseDay);
+      if (days.includes(null)) {
+        return { error: 'Days of the week must be 0-6 (Sunday = 0) or day names' };
+      }
+      searchData.days_of_week = [...new Set(days)].sort();
+    }
+  }
+
+  for (const field of ['time_from', 'time_to']) {
+    if (body[field] !== undefined) {
+      if (isPresent(body[field]) && !isValidTime(body[field])) {
+        return { error: 'Search times must be in HH:MM format' };
+      }
+      searchData[field] = isPresent(body[field]) ? body[field] : null;
+    }
+  }
+
+  if (body.timezone !== undefined) {
+    if (!isValidTimeZone(body.timezone)) {
+      return { error: 'Time zone must be a valid IANA time zone' };
+    }
+    searchData.timezone = body.timezone;
+  }
+
+  if (body.max_price !== undefined) {
+    const maxPrice = isPresent(body.max_price) ? parseFloat(body.max_price) : null;
+    if (maxPrice !== null && (Number.isNaN(maxPrice) || maxPrice < 0)) {
+      return { error: 'Maximum price cannot be negative' };
+    }
+    searchData.max_price = maxPrice;
+  }
+
+  if (body.passenger_count !== undefined) {
+    const seats = parseInt(body.passenger_count);
+    if (!Number.isInteger(seats) || seats < 1) {
+      return { error: 'Passenger count must be at least 1' };
+    }
+    searchData.requested_seats = seats;
+  }
+
+  // Check the search as it will be once the edit is applied
+  const merged = { ...(existing ? existing.toJSON() : {}), ...searchData };
+
+  const coordinates = COORDINATE_FIELDS.map(field => merged[field]);
+  const coordinateCount = coordinates.filter(value => value !== undefined && value !== null).length;
+  if (coordinateCount !== 0 && coordinateCount !== COORDINATE_FIELDS.length) {
+    return { error: 'Start and end coordinates must both be given in full' };
+  }
+
+  if (coordinateCount === 0 && (!merged.start_location || !merged.end_location)) {
+    return { error: 'Start and end locations or coordinates are required' };
+  }
+
+  if (merged.time_from && merged.time_to && merged.time_from > merged.time_to) {
+    return { error: 'Search time window cannot end before it starts' };
+  }
+
+  return { searchData };
+};
+
+// Load a saved search owned by the current user, or send the error response
+const loadOwnSearch = async (req, res) => {
+  const search = await SavedSearch.findById(req.params.id);
+
+  if (!search) {
+    res.status(404).json({ error: 'Saved search not found' });
+    return null;
+  }
+
+  if (search.user_id !== req.user.userId) {
+    res.status(403).json({ error: 'You can only manage your own saved searches' });
+    return null;
+  }
+
+  return search;
+};
+
+// List the current user's saved searches
+router.get('/', async (req, res) => {
+  try {
+    const searches = await SavedSearch.findByUser(req.user.userId);
+
+    res.json({
+      success: true,
+      searches: searches.map(search => search.toJSON())
+    });
+  } catch (error) {
+    console.error('Get saved searches error:', error);
+    res.status(500).json({ error: 'Failed to fetch saved searches' });
+  }
+});
+
+// Save a search. New trips that match it alert the user.
+router.post('/', async (req, res) => {
+  try {
+    const { searchData, error } = buildSearchData(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const search = await SavedSearch.create({ ...searchData, user_id: req.user.userId });
+
+    res.status(201).json({
+      success: true,
+      message: 'Search saved successfully',
+      search: search.toJSON()
+    });
+  } catch (error) {
+    console.error('Create saved search error:', error);
+    res.status(500).json({ error: 'Failed to save search' });
+  }
+});
+
+// Update a saved search. `is_active: false` pauses its alerts and
+// `is_active: true` resumes them.
+router.put('/:id', async (req, res) => {
+  try {
+    const search = await loadOwnSearch(req, res);
+    if (!search) {
+      return;
+    }
+
+    const { searchData, error } = buildSearchData(req.body, search);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    if (req.body.is_active !== undefined) {
+      searchData.is_active = !!req.body.is_active;
+    }
+
+    if (Object.keys(searchData).length === 0) {
+      return res.status(400).json({ error: 'No valid fields to update' });
+    }
+
+    await search.update(searchData);
+
+    res.json({
+      success: true,
+      message: 'Saved search updated successfully',
+      search: search.toJSON()
+    });
+  } catch (error) {
+    console.error('Update saved search error:', error);
+    res.status(500).json({ error: 'Failed to update saved search' });
+  }
+});
+
+// Delete a saved search
+router.delete('/:id', async (req, res) => {
+  try {
+    const search = await loadOwnSearch(req, res);
+    if (!search) {
+      return;
+    }
+
+    await search.delete();
+
+    res.json({
+      success: true,
+      message: 'Saved search deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete saved search error:', error);
+    res.status(500).json({ error: 'Failed to delete saved search' });
+  }
+});
+
+// Trips a saved search has alerted about, newest first. Fetching them marks
+// them as seen.
+router.get('/:id/matches', async (req, res) => {
+  try {
+    const search = await loadOwnSearch(req, res);
+    if (!search) {
+      return;
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+    const matches = await search.getMatches(limit);
+    await search.markMatchesSeen();
+
+    res.json({
+      success: true,
+      search: search.toJSON(),
+      matches
+    });
+  } catch (error) {
+    console.error('Get saved search matches error:', error);
+    res.status(500).json({ error: 'Failed to fetch saved search matches' });
+  }
+});
+
+module.exports = router;
@@ -2,12 +2,226 @@ const express = require('express');
 const Trip = require('../models/Trip');
 const TripRequest = require('../models/TripRequest');
 const Route = require('../models/Route');
+const ChatRoom = require('../models/ChatRoom');
+const TripLocation = require('../models/TripLocation');
+const TripSeries = require('../models/TripSeries');
+const TripSubscription = require('../models/TripSubscription');
+const TripRating = require('../models/TripRating');
+const User = require('../models/User');
+const Vehicle = require('../models/Vehicle');
 const { authenticateToken } = require('../middleware/auth');
+const { getPassengerEta } = require('../services/trip-eta');
+const { transitionTrip } = require('../services/trip-lifecycle');
+const { PRICING_MODES, quoteTripPrice } = require('../services/trip-pricing');
+const { MATCH_WALK_RADIUS_KM, findMatchingTrips } = require('../services/trip-matching');
+const { alertSavedSearches } = require('../services/saved-search-alerts');
+const { notifyRequestCreated, notifyRequestStatus } = require('../services/trip-notifications');
+const { createTripSeries, updateTripSeries, cancelTripSeries } = require('../services/recurring-trips');
+const { getRatingTargets, rateTripParticipant } = require('../services/trip-ratings');
+const { getReliability, checkBookingPolicy } = require('../services/reliability');
+const {
+  approveSubscription, rejectSubscription, skipDate, unskipDate, cancelSubscription
+} = require('../services/trip-subscriptions');
+const { isValidDate, normalizeRecurringPattern } = require('../utils/recurrence');
+const {
+  buildTripRules, mergeRidePreferences, parsePreferenceQuery, findRideConflicts
+} = require('../utils/ride-preferences');
 const router = express.Router();
 
 // Apply authentication to all trip endpoints
 router.use(authenticateToken);
 
+// Collect the pricing fields of a trip or series body.
+// Returns `{ pricingData }` or `{ error }` when the pricing mode is unknown.
+const buildPricingData = (body) => {
+  const { pricing_mode, price_per_km, minimum_fare } = body;
+
+  const pricingData = {};
+  if (pricing_mode !== undefined) {
+    if (!PRICING_MODES.includes(pricing_mode)) {
+      return { error: `Pricing mode must be one of: ${PRICING_MODES.join(', ')}` };
+    }
+    pricingData.pricing_mode = pricing_mode;
+  }
+  if (price_per_km !== undefined) pricingData.price_per_km = price_per_km ? parseFloat(price_per_km) : null;
+  if (minimum_fare !== undefined) pricingData.minimum_fare = minimum_fare ? parseFloat(minimum_fare) : null;
+
+  return { pricingData };
+};
+
+// Check the seats a trip or series offers fit in its vehicle, leaving the
+// driver's seat. A vehicle being newly chosen must be one of the driver's
+// current vehicles; one the trip already had may since have been removed.
+// Returns `{ vehicle }` (null without a vehicle) or `{ error }`.
+const checkTripVehicle = async (vehicleId, seats, driverId, isNewChoice = true) => {
+  if (!vehicleId) {
+    return { vehicle: null };
+  }
+
+  const vehicle = await Vehicle.findById(vehicleId);
+  if (!vehicle || vehicle.owner_id !== driverId || (isNewChoice && !vehicle.is_active)) {
+    return { error: 'Vehicle not found' };
+  }
+
+  if (seats > vehicle.getPassengerSeats()) {
+    return {
+      error: `Your ${vehicle.make} ${vehicle.model} has room for ${vehicle.getPassengerSeats()} passengers`
+    };
+  }
+
+  return { vehicle };
+};
+
+// A driver can only limit a trip to their own gender once they have stated it.
+// Returns an error message or null.
+const checkSameGenderRule = async (rules, driverId) => {
+  if (!rules.same_gender_only) {
+    return null;
+  }
+
+  const driver = await User.findById(driverId);
+  return driver?.gender ? null : 'Set your gender on your profile to offer same-gender rides';
+};
+
+// Collect the template and pattern fields of a series edit.
+// Returns `{ updateData }` or `{ error }` when the pattern, pricing or ride
+// rules are invalid.
+const buildSeriesUpdate = (body) => {
+  const {
+    title, description, available_seats, price_per_seat, notes, recurring_pattern, vehicle_id
+  } = body;
+
+  const updateData = {};
+  if (title !== undefined) updateData.title = title;
+  if (description !== undefined) updateData.description = description;
+  if (available_seats !== undefined) updateData.available_seats = parseInt(available_seats);
+  if (price_per_seat !== undefined) updateData.price_per_seat = price_per_seat ? parseFloat(price_per_seat) : null;
+  if (notes !== undefined) updateData.special_instructions = notes;
+  if (vehicle_id !== undefined) updateData.vehicle_id = vehicle_id ? parseInt(vehicle_id) : null;
+
+  const { pricingData, error: pricingError } = buildPricingData(body);
+  if (pricingError) {
+    return { error: pricingError };
+  }
+  Object.assign(updateData, pricingData);
+
+  const { rules, error: rulesError } = buildTripRules(body);
+  if (rulesError) {
+    return { error: rulesError };
+  }
+  Object.assign(updateData, rules);
+
+  if (recurring_pattern !== undefined) {
+    const { pattern, error } = normalizeRecurringPattern(recurring_pattern);
+    if (error) {
+      return { error };
+    }
+    updateData.recurring_pattern = pattern;
+  }
+
+  return { updateData };
+};
+
+// Edit a whole series on behalf of its driver
+const updateSeries = async (series, req, res) => {
+  if (series.series_status !== 'active') {
+    return res.status(400).json({ error: 'Cannot update a cancelled series' });
+  }
+
+  const { updateData, error } = buildSeriesUpdate(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  if (Object.keys(updateData).length === 0) {
+    return res.status(400).json({ error: 'No valid fields to update' });
+  }
+
+  const { error: vehicleError } = await checkTripVehicle(
+    updateData.vehicle_id !== undefined ? updateData.vehicle_id : series.vehicle_id,
+    updateData.available_seats !== undefined ? updateData.available_seats : series.available_seats,
+    series.driver_id,
+    updateData.vehicle_id !== undefined && updateData.vehicle_id !== series.vehicle_id
+  );
+  if (vehicleError) {
+    return res.status(400).json({ error: vehicleError });
+  }
+
+  const genderError = await checkSameGenderRule(updateData, series.driver_id);
+  if (genderError) {
+    return res.status(400).json({ error: genderError });
+  }
+
+  try {
+    await updateTripSeries(series, updateData);
+  } catch (error) {
+    if (error.code === 'SEATS_HELD') {
+      return res.status(409).json({ error: error.message, held_seats: error.held_seats });
+    }
+    throw error;
+  }
+  const trips = await series.getOccurrences();
+
+  res.json({
+    success: true,
+    message: 'Trip series updated successfully',
+    series: series.toJSON(),
+    trips: await Promise.all(trips.map(trip => trip.toJSON()))
+  });
+};
+
+// Cancel a whole series on behalf of its driver
+const cancelSeries = async (series, res) => {
+  if (series.series_status !== 'active') {
+    return res.status(400).json({ error: 'Trip series is already cancelled' });
+  }
+
+  await cancelTripSeries(series);
+
+  res.json({
+    success: true,
+    message: 'Trip series cancelled successfully'
+  });
+};
+
+// Tell users whose saved searches match newly created trips. A failure here
+// must not fail the trip creation that triggered it.
+const alertSearchers = async (trips) => {
+  try {
+    await alertSavedSearches(trips);
+  } catch (alertError) {
+    console.warn('Could not alert saved searches:', alertError.message);
+  }
+};
+
+// Who is changing a trip's status: its driver, an admin, or null when the
+// user may not change it at all
+const getStatusActorType = async (trip, userId) => {
+  if (trip.driver_id === userId) {
+    return 'driver';
+  }
+
+  const user = await User.findById(userId);
+  return user && await user.isAdmin() ? 'admin' : null;
+};
+
+// HTTP status for an error thrown by a trip status change, if it is one
+const transitionErrorStatus = (error) => {
+  if (error.code === 'INVALID_TRANSITION') {
+    return 409;
+  }
+  if (error.code === 'TRANSITION_FORBIDDEN') {
+    return 403;
+  }
+  if (error.code === 'INVALID_NO_SHOWS') {
+    return 400;
+  }
+  return null;
+};
+
+// Reliability policies that keep a passenger from booking (see services/reliability)
+const BOOKING_POLICY_ERRORS = ['RELIABILITY_TOO_LOW', 'BOOKING_LIMIT_REACHED'];
+
 // Get all available trips
 router.get('/', async (req, res) => {
   try {
@@ -52,10 +266,12 @@ router.get('/', async (req, res) => {
   }
 });
 
-// Search trips by location
+// Search trips by location. The passenger's default ride preferences filter
+// the results, and preferences given in the query override them; send
+// `apply_preferences=false` to leave the defaults out.
 router.get('/search', async (req, res) => {
   try {
-    const { from, to, date, radius = 10 } = req.query;
+    const { from, to, date, max_price, passenger_count = 1, apply_preferences } = req.query;
 
     if (!from || !to) {
       return res.status(400).json({
@@ -63,12 +279,50 @@ router.get('/search', async (req, res) => {
       });
     }
 
-    const trips = await Trip.findByLocation(from, to, date, parseFloat(radius));
+    if (date && !isValidDate(date)) {
+      return res.status(400).json({ error: 'Date must be in YYYY-MM-DD format' });
+    }
+
+    const { preferences: requested, error } = parsePreferenceQuery(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const passenger = await User.findById(req.user.userId);
+    const preferences = {
+      ...(apply_preferences === 'false' ? {} : passenger?.ride_preferences),
+      ...requested
+    };
+
+    if (preferences.same_gender_only && !passenger?.gender) {
+      return res.status(400).json({
+        error: 'Set your gender on your profile to search for same-gender rides'
+      });
+    }
+
+    const trips = await Trip.searchAvailable({
+      start_location: from,
+      end_location: to,
+      departure_date: date,
+      max_price: max_price ? parseFloat(max_price) : null,
+      min_seats: parseInt(passenger_count) || 1,
+      ...preferences,
+      passenger_gender: passenger?.gender || null
+    });
+
+    const driverIds = trips.map(trip => trip.driver_id);
+    const reputations = await TripRating.getSummaries(driverIds);
+    const reliability = await getReliability(driverIds);
 
     res.json({
       success: true,
-      trips: await Promise.all(trips.map(trip => trip.toJSON())),
-      search_params: { from, to, date, radius }
+      trips: await Promise.all(trips.map(async trip => ({
+        ...await trip.toJSON(),
+        driver_rating: reputations[trip.driver_id].as_driver,
+        driver_reliability: reliability[trip.driver_id].percentage
+      }))),
+      search_params: { from, to, date },
+      preferences
     });
   } catch (error) {
     console.error('Search trips error:', error);
@@ -76,6 +330,87 @@ router.get('/search', async (req, res) => {
   }
 });
 
+// Match trips to a passenger's journey by where their routes go rather than
+// by place names. Returns trips passing within walking distance of both the
+// origin and the destination, in that order, around the requested time.
+router.get('/match', async (req, res) => {
+  try {
+    const {
+      from_lat, from_lng, to_lat, to_lng,
+      departure_time,
+      window_minutes = 60,
+      walk_radius_km = MATCH_WALK_RADIUS_KM,
+      passenger_count = 1,
+      limit = 20
+    } = req.query;
+
+    const origin = { latitude: parseFloat(from_lat), longitude: parseFloat(from_lng) };
+    const destination = { latitude: parseFloat(to_lat), longitude: parseFloat(to_lng) };
+
+    if ([origin, destination].some(point =>
+      !(Math.abs(point.latitude) <= 90) || !(Math.abs(point.longitude) <= 180))) {
+      return res.status(400).json({
+        error: 'Valid from_lat, from_lng, to_lat and to_lng are required'
+      });
+    }
+
+    const departureTime = departure_time ? new Date(departure_time) : new Date();
+    if (isNaN(departureTime.getTime())) {
+      return res.status(400).json({ error: 'Invalid departure time' });
+    }
+
+    const windowMinutes = parseInt(window_minutes);
+    if (!(windowMinutes >= 0) || windowMinutes > 24 * 60) {
+      return res.status(400).json({ error: 'Window must be between 0 and 1440 minutes' });
+    }
+
+    const walkRadiusKm = parseFloat(walk_radius_km);
+    if (!(walkRadiusKm > 0) || walkRadiusKm > 5) {
+      return res.status(400).json({ error: 'Walk radius must be between 0 and 5 km' });
+    }
+
+    const seats = parseInt(passenger_count);
+    if (!(seats >= 1)) {
+      return res.status(400).json({ error: 'Passenger count must be at least 1' });
+    }
+
+    const matches = await findMatchingTrips({
+      origin,
+      destination,
+      departureTime,
+      windowMinutes,
+      walkRadiusKm,
+      seats,
+      excludeDriverId: req.user.userId,
+      limit: Math.min(parseInt(limit) || 20, 100)
+    });
+
+    const driverIds = matches.map(match => match.trip.driver_id);
+    const reputations = await TripRating.getSummaries(driverIds);
+    const reliability = await getReliability(driverIds);
+
+    res.json({
+      success: true,
+      matches: matches.map(match => ({
+        ...match,
+        driver_rating: reputations[match.trip.driver_id].as_driver,
+        driver_reliability: reliability[match.trip.driver_id].percentage
+      })),
+      search_params: {
+        from: { lat: origin.latitude, lng: origin.longitude },
+        to: { lat: destination.latitude, lng: destination.longitude },
+        departure_time: departureTime.toISOString(),
+        window_minutes: windowMinutes,
+        walk_radius_km: walkRadiusKm,
+        passenger_count: seats
+      }
+    });
+  } catch (error) {
+    console.error('Match trips error:', error);
+    res.status(500).json({ error: 'Failed to match trips' });
+  }
+});
+
 // Get user's trips (as driver)
 router.get('/my-trips', async (req, res) => {
   try {
@@ -113,6 +448,379 @@ router.get('/my-trips', async (req, res) => {
   }
 });
 
+// Get the driver's recurring trip series
+router.get('/series', async (req, res) => {
+  try {
+    const includeCancelled = req.query.include_cancelled === 'true';
+    const seriesList = await TripSeries.findByDriver(req.user.userId, includeCancelled);
+
+    res.json({
+      success: true,
+      series: seriesList.map(series => series.toJSON())
+    });
+  } catch (error) {
+    console.error('Get trip series error:', error);
+    res.status(500).json({ error: 'Failed to fetch trip series' });
+  }
+});
+
+// Get a series with its upcoming occurrences
+router.get('/series/:seriesId', async (req, res) => {
+  try {
+    const series = await TripSeries.findById(req.params.seriesId);
+
+    if (!series) {
+      return res.status(404).json({ error: 'Trip series not found' });
+    }
+
+    // Passengers can browse active series to subscribe to them
+    if (series.driver_id !== req.user.userId && series.series_status !== 'active') {
+      return res.status(404).json({ error: 'Trip series not found' });
+    }
+
+    const trips = await series.getOccurrences(req.query.include_past === 'true');
+
+    res.json({
+      success: true,
+      series: series.toJSON(),
+      trips: await Promise.all(trips.map(trip => trip.toJSON()))
+    });
+  } catch (error) {
+    console.error('Get trip series error:', error);
+    res.status(500).json({ error: 'Failed to fetch trip series' });
+  }
+});
+
+// Update a whole series
+router.put('/series/:seriesId', async (req, res) => {
+  try {
+    const series = await TripSeries.findById(req.params.seriesId);
+
+    if (!series) {
+      return res.status(404).json({ error: 'Trip series not found' });
+    }
+
+    if (series.driver_id !== req.user.userId) {
+      return res.status(403).json({ error: 'Not authorized to update this trip series' });
+    }
+
+    await updateSeries(series, req, res);
+  } catch (error) {
+    console.error('Update trip series error:', error);
+    res.status(500).json({ error: 'Failed to update trip series' });
+  }
+});
+
+// Cancel a whole series
+router.delete('/series/:seriesId', async (req, res) => {
+  try {
+    const series = await TripSeries.findById(req.params.seriesId);
+
+    if (!series) {
+      return res.status(404).json({ error: 'Trip series not found' });
+    }
+
+    if (series.driver_id !== req.user.userId) {
+      return res.status(403).json({ error: 'Not authorized to cancel this trip series' });
+    }
+
+    await cancelSeries(series, res);
+  } catch (error) {
+    console.error('Cancel trip series error:', error);
+    res.status(500).json({ error: 'Failed to cancel trip series' });
+  }
+});
+
+// Subscribe to a series: one request for a seat on every occurrence, or on chosen weekdays
+router.post('/series/:seriesId/subscriptions', async (req, res) => {
+  try {
+    const series = await TripSeries.findById(req.params.seriesId);
+
+    if (!series || series.series_status !== 'active') {
+      return res.status(404).json({ error: 'Trip series not found' });
+    }
+
+    if (series.driver_id === req.user.userId) {
+      return res.status(400).json({ error: 'Cannot subscribe to your own trip series' });
+    }
+
+    const {
+      days_of_week,
+      requested_seats = 1,
+      pickup_stop_id,
+      dropoff_stop_id,
+      message
+    } = req.body;
+
+    const seriesDays = series.recurring_pattern.days_of_week;
+    let days = null;
+
+    if (days_of_week !== undefined && days_of_week !== null) {
+      const { pattern, error } = normalizeRecurringPattern({
+        ...series.recurring_pattern,
+        days_of_week
+      });
+
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      if (!pattern.days_of_week.every(day => seriesDays.includes(day))) {
+        return res.status(400).json({ error: 'Subscription days must be days the series runs on' });
+      }
+
+      days = pattern.days_of_week;
+    }
+
+    const seats = parseInt(requested_seats);
+    if (!(seats >= 1) || seats > series.available_seats) {
+      return res.status(400).json({
+        error: `Requested seats must be between 1 and ${series.available_seats}`
+      });
+    }
+
+    // The stops must fit the series route, or no occurrence could be priced
+    try {
+      await quoteTripPrice(series, {
+        pickupStopId: pickup_stop_id,
+        dropoffStopId: dropoff_stop_id,
+        seats
+      });
+    } catch (quoteError) {
+      if (quoteError.code === 'INVALID_STOPS') {
+        return res.status(400).json({ error: quoteError.message });
+      }
+      throw quoteError;
+    }
+
+    const existing = await TripSubscription.findBySeriesAndPassenger(series.id, req.user.userId);
+    if (existing && ['pending', 'approved'].includes(existing.subscription_status)) {
+      return res.status(400).json({ error: 'You already have a subscription to this series' });
+    }
+
+    const { warning: reliabilityWarning } = await checkBookingPolicy(req.user.userId);
+
+    // The driver's same-gender rule applies to standing requests too
+    if (series.same_gender_only) {
+      const [driver, passenger] = await Promise.all([
+        User.findById(series.driver_id),
+        User.findById(req.user.userId)
+      ]);
+      const conflicts = findRideConflicts(series, {}, {
+        driverGender: driver?.gender,
+        passengerGender: passenger?.gender
+      });
+      if (conflicts.length > 0) {
+        return res.status(403).json({
+          error: 'Only passengers of the same gender as the driver can subscribe to this series'
+        });
+      }
+    }
+
+    // A rejected or cancelled subscription is replaced by the new request
+    const subscription = await TripSubscription.create({
+      series_id: series.id,
+      passenger_id: req.user.userId,
+      days_of_week: days,
+      requested_seats: seats,
+      pickup_stop_id,
+      dropoff_stop_id,
+      message
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Subscription request sent successfully',
+      subscription: subscription.toJSON(),
+      reliability_warning: reliabilityWarning
+    });
+  } catch (error) {
+    if (BOOKING_POLICY_ERRORS.includes(error.code)) {
+      return res.status(403).json({ error: error.message });
+    }
+    console.error('Create trip subscription error:', error);
+    res.status(500).json({ error: 'Failed to create trip subscription' });
+  }
+});
+
+// Get subscriptions on a series (driver only)
+router.get('/series/:seriesId/subscriptions', async (req, res) => {
+  try {
+    const series = await TripSeries.findById(req.params.seriesId);
+
+    if (!series) {
+      return res.status(404).json({ error: 'Trip series not found' });
+    }
+
+    if (series.driver_id !== req.user.userId) {
+      return res.status(403).json({ error: 'Not authorized to view subscriptions' });
+    }
+
+    const subscriptions = await TripSubscription.findBySeries(series.id, req.query.status);
+
+    res.json({
+      success: true,
+      subscriptions: subscriptions.map(subscription => subscription.toJSON())
+    });
+  } catch (error) {
+    console.error('Get trip subscriptions error:', error);
+    res.status(500).json({ error: 'Failed to fetch trip subscriptions' });
+  }
+});
+
+// Approve/reject a subscription. Approving reserves a seat on every upcoming
+// occurrence it covers; occurrences that are full are listed as `unreserved`.
+router.put('/series/:seriesId/subscriptions/:subscriptionId', async (req, res) => {
+  try {
+    const subscription = await TripSubscription.findById(req.params.subscriptionId);
+
+    if (!subscription || subscription.series_id !== parseInt(req.params.seriesId)) {
+      return res.status(404).json({ error: 'Trip subscription not found' });
+    }
+
+    if (subscription.driver_id !== req.user.userId) {
+      return res.status(403).json({ error: 'Not authorized to manage subscriptions' });
+    }
+
+    const { action } = req.body;
+
+    if (!['approve', 'reject'].includes(action)) {
+      return res.status(400).json({ error: 'Action must be approve or reject' });
+    }
+
+    if (subscription.subscription_status !== 'pending') {
+      return res.status(400).json({ error: 'Only pending subscriptions can be approved or rejected' });
+    }
+
+    let reservations = null;
+    if (action === 'approve') {
+      reservations = await approveSubscription(subscription);
+    } else {
+      await rejectSubscription(subscription);
+    }
+
+    res.json({
+      success: true,
+      message: `Trip subscription ${action}d successfully`,
+      subscription: subscription.toJSON(),
+      ...(reservations || {})
+    });
+  } catch (error) {
+    console.error('Update trip subscription error:', error);
+    res.status(500).json({ error: 'Failed to update trip subscription' });
+  }
+});
+
+// Get passenger's subscriptions
+router.get('/subscriptions/my-subscriptions', async (req, res) => {
+  try {
+    const subscriptions = await TripSubscription.findByPassenger(req.user.userId, req.query.status);
+
+    res.json({
+      success: true,
+      subscriptions: await Promise.all(subscriptions.map(async (subscription) => ({
+        ...subscription.toJSON(),
+        skipped_dates: await subscription.getSkippedDates()
+      })))
+    });
+  } catch (error) {
+    console.error('Get passenger subscriptions error:', error);
+    res.status(500).json({ error: 'Failed to fetch trip subscriptions' });
+  }
+});
+
+// Cancel a subscription (passenger), releasing its upcoming seats
+router.delete('/subscriptions/:subscriptionId', async (req, res) => {
+  try {
+    const subscription = await TripSubscription.findById(req.params.subscriptionId);
+
+    if (!subscription) {
+      return res.status(404).json({ error: 'Trip subscription not found' });
+    }
+
+    if (subscription.passenger_id !== req.user.userId) {
+      return res.status(403).json({ error: 'Not authorized to cancel this subscription' });
+    }
+
+    if (!['pending', 'approved'].includes(subscription.subscription_status)) {
+      return res.status(400).json({ error: 'Can only cancel pending or approved subscriptions' });
+    }
+
+    await cancelSubscription(subscription);
+
+    res.json({
+      success: true,
+      message: 'Trip subscription cancelled successfully'
+    });
+  } catch (error) {
+    console.error('Cancel trip subscription error:', error);
+    res.status(500).json({ error: 'Failed to cancel trip subscription' });
+  }
+});
+
+// Skip one day of a subscription (passenger)
+router.post('/subscriptions/:subscriptionId/skips', async (req, res) => {
+  try {
+    const subscription = await TripSubscription.findById(req.params.subscriptionId);
+
+    if (!subscription) {
+      return res.status(404).json({ error: 'Trip subscription not found' });
+    }
+
+    if (subscription.passenger_id !== req.user.userId) {
+      return res.status(403).json({ error: 'Not authorized to change this subscription' });
+    }
+
+    const { date } = req.body;
+
+    if (!isValidDate(date)) {
+      return res.status(400).json({ error: 'Date must be in YYYY-MM-DD format' });
+    }
+
+    await skipDate(subscription, date);
+
+    res.json({
+      success: true,
+      message: 'Day skipped successfully',
+      skipped_dates: await subscription.getSkippedDates()
+    });
+  } catch (error) {
+    console.error('Skip subscription day error:', error);
+    res.status(500).json({ error: 'Failed to skip day' });
+  }
+});
+
+// Undo a skipped day; the seat is reserved again if the trip still has room
+router.delete('/subscriptions/:subscriptionId/skips/:date', async (req, res) => {
+  try {
+    const subscription = await TripSubscription.findById(req.params.subscriptionId);
+
+    if (!subscription) {
+      return res.status(404).json({ error: 'Trip subscription not found' });
+    }
+
+    if (subscription.passenger_id !== req.user.userId) {
+      return res.status(403).json({ error: 'Not authorized to change this subscription' });
+    }
+
+    if (!isValidDate(req.params.date)) {
+      return res.status(400).json({ error: 'Date must be in YYYY-MM-DD format' });
+    }
+
+    const reservations = await unskipDate(subscription, req.params.date);
+
+    res.json({
+      success: true,
+      message: 'Skipped day restored',
+      skipped_dates: await subscription.getSkippedDates(),
+      ...reservations
+    });
+  } catch (error) {
+    console.error('Restore subscription day error:', error);
+    res.status(500).json({ error: 'Failed to restore day' });
+  }
+});
+
 // Get specific trip
 router.get('/:id', async (req, res) => {
   try {
@@ -124,12 +832,26 @@ router.get('/:id', async (req, res) => {
 
     const tripData = await trip.toJSON();
 
-    // If user is the driver, include trip requests
+    // The driver and approved passengers see the vehicle, so passengers know
+    // what to look for at pickup
+    if (trip.vehicle_id && await trip.hasParticipant(req.user.userId)) {
+      const vehicle = await trip.getVehicle();
+      tripData.vehicle = vehicle ? vehicle.toJSON() : null;
+    }
+
+    // If user is the driver, include trip requests and seat occupancy
     if (trip.driver_id === req.user.userId) {
       const requests = await trip.getRequests();
-      tripData.requests = requests.map(request => request.toJSON());
+      tripData.requests = await Promise.all(requests.map(request => request.toJSON()));
+      tripData.segments = await trip.getSegmentOccupancy();
     }
 
+    // The trip chat room is only revealed to its members (driver and approved passengers)
+    const chatRoom = await ChatRoom.findByTrip(trip.id);
+    tripData.chat_room_id = chatRoom && await chatRoom.isMember(req.user.userId)
+      ? chatRoom.id
+      : null;
+
     res.json({
       success: true,
       trip: tripData
@@ -140,33 +862,143 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// Create new trip (driver posts a trip)
+// Get the latest driver position and breadcrumb trail (driver and approved passengers)
+router.get('/:id/location', async (req, res) => {
+  try {
+    const trip = await Trip.findById(req.params.id);
+
+    if (!trip) {
+      return res.status(404).json({ error: 'Trip not found' });
+    }
+
+    if (!(await trip.hasParticipant(req.user.userId))) {
+      return res.status(403).json({ error: 'Not authorized to track this trip' });
+    }
+
+    const includeTrail = req.query.trail !== 'false';
+    const limit = Math.min(parseInt(req.query.limit) || 500, 2000);
+    const since = req.query.since ? new Date(req.query.since) : null;
+
+    if (since && isNaN(since.getTime())) {
+      return res.status(400).json({ error: 'Since must be a valid timestamp' });
+    }
+
+    const latest = await TripLocation.findLatest(trip.id);
+    const trail = includeTrail ? await TripLocation.findTrail(trip.id, limit, since) : [];
+
+    res.json({
+      success: true,
+      trip_id: trip.id,
+      trip_status: trip.trip_status,
+      latest: latest ? latest.toJSON() : null,
+      trail: trail.map(point => point.toJSON()),
+      eta: trip.trip_status === 'active'
+        ? await getPassengerEta(trip, latest, req.user.userId)
+        : null
+    });
+  } catch (error) {
+    console.error('Get trip location error:', error);
+    res.status(500).json({ error: 'Failed to fetch trip location' });
+  }
+});
+
+// Create new trip (driver posts a trip). With `is_recurring` and a
+// `recurring_pattern` a series is created along with its first occurrences.
 router.post('/', async (req, res) => {
   try {
+    // Only users whose driver application was approved can post trips
+    const driver = await User.findById(req.user.userId);
+    if (!driver || !(await driver.hasRoleName('driver'))) {
+      return res.status(403).json({
+        error: 'Only verified drivers can post trips'
+      });
+    }
+
     const {
       route_id,
+      title,
+      description,
       departure_datetime,
       available_seats,
       price_per_seat,
-      vehicle_info,
+      currency,
       notes,
-      pickup_locations = [],
-      dropoff_locations = []
+      is_recurring = false,
+      recurring_pattern,
+      waitlist_auto_approve,
+      vehicle_id
     } = req.body;
 
-    // Validate required fields
-    if (!route_id || !departure_datetime || !available_seats) {
+    // Validate required fields (recurring trips take their times from the pattern)
+    if (!route_id || !available_seats || (!is_recurring && !departure_datetime)) {
       return res.status(400).json({
         error: 'Route ID, departure datetime, and available seats are required'
       });
     }
 
+    const { pricingData, error: pricingError } = buildPricingData(req.body);
+    if (pricingError) {
+      return res.status(400).json({ error: pricingError });
+    }
+
+    if (pricingData.pricing_mode === 'per_km' && !pricingData.price_per_km) {
+      return res.status(400).json({ error: 'Per kilometre pricing needs a price per kilometre' });
+    }
+
+    const { rules, error: rulesError } = buildTripRules(req.body);
+    if (rulesError) {
+      return res.status(400).json({ error: rulesError });
+    }
+
+    const genderError = await checkSameGenderRule(rules, driver.id);
+    if (genderError) {
+      return res.status(400).json({ error: genderError });
+    }
+
     // Verify route exists
     const route = await Route.findById(route_id);
     if (!route) {
       return res.status(400).json({ error: 'Route not found' });
     }
 
+    const { vehicle, error: vehicleError } = await checkTripVehicle(
+      vehicle_id ? parseInt(vehicle_id) : null, parseInt(available_seats), req.user.userId
+    );
+    if (vehicleError) {
+      return res.status(400).json({ error: vehicleError });
+    }
+
+    const tripData = {
+      route_id,
+      driver_id: req.user.userId,
+      title: title || route.name,
+      description,
+      available_seats: parseInt(available_seats),
+      price_per_seat: price_per_seat ? parseFloat(price_per_seat) : null,
+      currency,
+      ...pricingData,
+      ...rules,
+      special_instructions: notes,
+      vehicle_id: vehicle ? vehicle.id : null
+    };
+
+    if (is_recurring) {
+      const { pattern, error } = normalizeRecurringPattern(recurring_pattern);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const { series, trips } = await createTripSeries({ ...tripData, recurring_pattern: pattern });
+      await alertSearchers(trips);
+
+      return res.status(201).json({
+        success: true,
+        message: 'Recurring trip created successfully',
+        series: series.toJSON(),
+        trips: await Promise.all(trips.map(trip => trip.toJSON()))
+      });
+    }
+
     // Validate departure time is in the future
     const departureTime = new Date(departure_datetime);
     if (departureTime <= new Date()) {
@@ -176,16 +1008,11 @@ router.post('/', async (req, res) => {
     }
 
     const newTrip = await Trip.create({
-      route_id,
-      driver_id: req.user.userId,
-      departure_datetime: departureTime,
-      available_seats: parseInt(available_seats),
-      price_per_seat: price_per_seat ? parseFloat(price_per_seat) : null,
-      vehicle_info,
-      notes,
-      pickup_locations: pickup_locations.length > 0 ? pickup_locations : null,
-      dropoff_locations: dropoff_locations.length > 0 ? dropoff_locations : null
+      ...tripData,
+      departure_time: departureTime,
+      waitlist_auto_approve: !!waitlist_auto_approve
     });
+    await alertSearchers([newTrip]);
 
     res.status(201).json({
       success: true,
@@ -198,7 +1025,8 @@ router.post('/', async (req, res) => {
   }
 });
 
-// Update trip
+// Update trip. For an occurrence of a recurring series, `?scope=series`
+// applies the edit to the whole series instead of this trip alone.
 router.put('/:id', async (req, res) => {
   try {
     const trip = await Trip.findById(req.params.id);
@@ -212,23 +1040,33 @@ router.put('/:id', async (req, res) => {
       return res.status(403).json({ error: 'Not authorized to update this trip' });
     }
 
+    if (req.query.scope === 'series') {
+      const series = trip.series_id ? await TripSeries.findById(trip.series_id) : null;
+      if (!series) {
+        return res.status(400).json({ error: 'Trip is not part of a recurring series' });
+      }
+      return await updateSeries(series, req, res);
+    }
+
     // Don't allow updates to trips that have started
     if (trip.hasStarted()) {
       return res.status(400).json({ error: 'Cannot update trip that has already started' });
     }
 
     const {
+      title,
+      description,
       departure_datetime,
       available_seats,
       price_per_seat,
-      vehicle_info,
       notes,
-      pickup_locations,
-      dropoff_locations,
-      status
+      waitlist_auto_approve,
+      vehicle_id
     } = req.body;
 
     const updateData = {};
+    if (title !== undefined) updateData.title = title;
+    if (description !== undefined) updateData.description = description;
     if (departure_datetime !== undefined) {
       const departureTime = new Date(departure_datetime);
       if (departureTime <= new Date()) {
@@ -236,16 +1074,48 @@ router.put('/:id', async (req, res) => {
           error: 'Departure time must be in the future'
         });
       }
-      updateData.departure_datetime = departureTime;
+      updateData.departure_time = departureTime;
     }
     if (available_seats !== undefined) updateData.available_seats = parseInt(available_seats);
     if (price_per_seat !== undefined) updateData.price_per_seat = price_per_seat ? parseFloat(price_per_seat) : null;
-    if (vehicle_info !== undefined) updateData.vehicle_info = vehicle_info;
-    if (notes !== undefined) updateData.notes = notes;
-    if (pickup_locations !== undefined) updateData.pickup_locations = pickup_locations.length > 0 ? pickup_locations : null;
-    if (dropoff_locations !== undefined) updateData.dropoff_locations = dropoff_locations.length > 0 ? dropoff_locations : null;
-    if (status !== undefined && ['active', 'cancelled', 'completed'].includes(status)) {
-      updateData.status = status;
+    if (notes !== undefined) updateData.special_instructions = notes;
+    if (waitlist_auto_approve !== undefined) updateData.waitlist_auto_approve = !!waitlist_auto_approve;
+    if (vehicle_id !== undefined) updateData.vehicle_id = vehicle_id ? parseInt(vehicle_id) : null;
+
+    const { pricingData, error: pricingError } = buildPricingData(req.body);
+    if (pricingError) {
+      return res.status(400).json({ error: pricingError });
+    }
+    Object.assign(updateData, pricingData);
+
+    const { rules, error: rulesError } = buildTripRules(req.body);
+    if (rulesError) {
+      return res.status(400).json({ error: rulesError });
+    }
+    Object.assign(updateData, rules);
+
+    if (Object.keys(updateData).length === 0) {
+      return res.status(400).json({ error: 'No valid fields to update' });
+    }
+
+    const { error: vehicleError } = await checkTripVehicle(
+      updateData.vehicle_id !== undefined ? updateData.vehicle_id : trip.vehicle_id,
+      updateData.available_seats !== undefined ? updateData.available_seats : trip.available_seats,
+      trip.driver_id,
+      updateData.vehicle_id !== undefined && updateData.vehicle_id !== trip.vehicle_id
+    );
+    if (vehicleError) {
+      return res.status(400).json({ error: vehicleError });
+    }
+
+    const genderError = await checkSameGenderRule(updateData, trip.driver_id);
+    if (genderError) {
+      return res.status(400).json({ error: genderError });
+    }
+
+    // An occurrence edited on its own no longer follows series-wide edits
+    if (trip.series_id) {
+      updateData.is_series_exception = true;
     }
 
     const updatedTrip = await trip.update(updateData);
@@ -256,12 +1126,17 @@ router.put('/:id', async (req, res) => {
       trip: await updatedTrip.toJSON()
     });
   } catch (error) {
+    // Fewer seats than passengers already hold on some stretch of the route
+    if (error.code === 'SEATS_HELD') {
+      return res.status(409).json({ error: error.message, held_seats: error.held_seats });
+    }
     console.error('Update trip error:', error);
     res.status(500).json({ error: 'Failed to update trip' });
   }
 });
 
-// Cancel trip
+// Cancel trip. A cancelled occurrence stays cancelled; the series does not
+// recreate it. `?scope=series` cancels the whole series instead.
 router.delete('/:id', async (req, res) => {
   try {
     const trip = await Trip.findById(req.params.id);
@@ -275,23 +1150,186 @@ router.delete('/:id', async (req, res) => {
       return res.status(403).json({ error: 'Not authorized to cancel this trip' });
     }
 
+    if (req.query.scope === 'series') {
+      const series = trip.series_id ? await TripSeries.findById(trip.series_id) : null;
+      if (!series) {
+        return res.status(400).json({ error: 'Trip is not part of a recurring series' });
+      }
+      return await cancelSeries(series, res);
+    }
+
     // Don't allow cancellation of trips that have started
     if (trip.hasStarted()) {
       return res.status(400).json({ error: 'Cannot cancel trip that has already started' });
     }
 
-    await trip.cancel();
+    await trip.cancel({
+      actorId: req.user.userId,
+      actorType: 'driver',
+      reason: req.body?.reason || null
+    });
 
     res.json({
       success: true,
       message: 'Trip cancelled successfully'
     });
   } catch (error) {
+    const statusCode = transitionErrorStatus(error);
+    if (statusCode) {
+      return res.status(statusCode).json({ error: error.message });
+    }
     console.error('Cancel trip error:', error);
     res.status(500).json({ error: 'Failed to cancel trip' });
   }
 });
 
+// Change trip status (driver or admin). Only the transitions allowed by the
+// trip lifecycle are accepted; see services/trip-lifecycle. When completing,
+// `no_show_passenger_ids` lists approved passengers who never turned up.
+router.put('/:id/status', async (req, res) => {
+  try {
+    const { status, reason, no_show_passenger_ids = [] } = req.body;
+
+    if (!['active', 'completed', 'cancelled'].includes(status)) {
+      return res.status(400).json({ error: 'Status must be active, completed or cancelled' });
+    }
+
+    if (!Array.isArray(no_show_passenger_ids) || !no_show_passenger_ids.every(Number.isInteger)) {
+      return res.status(400).json({ error: 'no_show_passenger_ids must be a list of user IDs' });
+    }
+
+    const trip = await Trip.findById(req.params.id);
+
+    if (!trip) {
+      return res.status(404).json({ error: 'Trip not found' });
+    }
+
+    const actorType = await getStatusActorType(trip, req.user.userId);
+    if (!actorType) {
+      return res.status(403).json({ error: 'Not authorized to change the status of this trip' });
+    }
+
+    await transitionTrip(trip, status, {
+      actorId: req.user.userId,
+      actorType,
+      reason: reason || null,
+      noShowPassengerIds: no_show_passenger_ids
+    });
+
+    res.json({
+      success: true,
+      message: 'Trip status updated successfully',
+      trip: await trip.toJSON()
+    });
+  } catch (error) {
+    const statusCode = transitionErrorStatus(error);
+    if (statusCode) {
+      return res.status(statusCode).json({ error: error.message });
+    }
+    console.error('Update trip status error:', error);
+    res.status(500).json({ error: 'Failed to update trip status' });
+  }
+});
+
+// Get trip status history (driver, approved passengers and admins)
+router.get('/:id/history', async (req, res) => {
+  try {
+    const trip = await Trip.findById(req.params.id);
+
+    if (!trip) {
+      return res.status(404).json({ error: 'Trip not found' });
+    }
+
+    if (!(await trip.hasParticipant(req.user.userId)) &&
+        !(await getStatusActorType(trip, req.user.userId))) {
+      return res.status(403).json({ error: 'Not authorized to view the history of this trip' });
+    }
+
+    const history = await trip.getStatusHistory();
+
+    res.json({
+      success: true,
+      trip_status: trip.trip_status,
+      history
+    });
+  } catch (error) {
+    console.error('Get trip history error:', error);
+    res.status(500).json({ error: 'Failed to fetch trip history' });
+  }
+});
+
+// The people the current user can rate on a trip, with the ratings they
+// already gave. Only the driver and approved passengers can see this.
+router.get('/:id/ratings', async (req, res) => {
+  try {
+    const trip = await Trip.findById(req.params.id);
+
+    if (!trip) {
+      return res.status(404).json({ error: 'Trip not found' });
+    }
+
+    const targets = await getRatingTargets(trip, req.user.userId);
+    if (!targets) {
+      return res.status(403).json({ error: 'Not authorized to rate this trip' });
+    }
+
+    const given = await TripRating.findByTripAndRater(trip.id, req.user.userId);
+    const reputations = await TripRating.getSummaries(targets.map(person => person.id));
+
+    res.json({
+      success: true,
+      trip_status: trip.trip_status,
+      can_rate: trip.trip_status === 'completed',
+      people: targets.map(person => ({
+        ...person,
+        rating_summary: reputations[person.id][`as_${person.role}`],
+        my_rating: given.find(rating => rating.ratee_id === person.id)?.toJSON() || null
+      }))
+    });
+  } catch (error) {
+    console.error('Get trip ratings error:', error);
+    res.status(500).json({ error: 'Failed to fetch trip ratings' });
+  }
+});
+
+// Rate the driver or a passenger of a completed trip you were on, with a
+// `score`, optional `tags` and an optional `comment`. Rating the same person
+// again replaces the earlier rating.
+router.post('/:id/ratings', async (req, res) => {
+  try {
+    const rateeId = parseInt(req.body.ratee_id);
+    if (!Number.isInteger(rateeId)) {
+      return res.status(400).json({ error: 'ratee_id is required' });
+    }
+
+    const trip = await Trip.findById(req.params.id);
+
+    if (!trip) {
+      return res.status(404).json({ error: 'Trip not found' });
+    }
+
+    const rating = await rateTripParticipant(trip, req.user.userId, rateeId, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Rating saved',
+      rating: rating.toJSON()
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_RATING') {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error.code === 'NOT_TRIP_PARTICIPANT' || error.code === 'NOT_SHARED_TRIP') {
+      return res.status(403).json({ error: error.message });
+    }
+    if (error.code === 'TRIP_NOT_COMPLETED') {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error('Rate trip error:', error);
+    res.status(500).json({ error: 'Failed to save rating' });
+  }
+});
+
 // Get trip requests
 router.get('/:id/requests', async (req, res) => {
   try {
@@ -307,6 +1345,9 @@ router.get('/:id/requests', async (req, res) => {
     }
 
     const requests = await trip.getRequests();
+    const passengerIds = requests.map(request => request.passenger_id);
+    const reputations = await TripRating.getSummaries(passengerIds);
+    const reliability = await getReliability(passengerIds);
 
     res.json({
       success: true,
@@ -315,7 +1356,11 @@ router.get('/:id/requests', async (req, res) => {
         route_name: trip.route_name,
         departure_datetime: trip.departure_datetime
       },
-      requests: requests.map(request => request.toJSON())
+      requests: await Promise.all(requests.map(async request => ({
+        ...await request.toJSON(),
+        passenger_rating: reputations[request.passenger_id].as_passenger,
+        passenger_reliability: reliability[request.passenger_id].percentage
+      })))
     });
   } catch (error) {
     console.error('Get trip requests error:', error);
@@ -323,7 +1368,51 @@ router.get('/:id/requests', async (req, res) => {
   }
 });
 
-// Request to join trip (passenger makes a request)
+// Quote the price of a ride before requesting it. Takes the same
+// `pickup_stop_id`, `dropoff_stop_id` and `passenger_count` as a request.
+router.get('/:id/quote', async (req, res) => {
+  try {
+    const trip = await Trip.findById(req.params.id);
+
+    if (!trip) {
+      return res.status(404).json({ error: 'Trip not found' });
+    }
+
+    const { pickup_stop_id, dropoff_stop_id, passenger_count = 1 } = req.query;
+    const requestedSeats = parseInt(passenger_count);
+
+    if (!(requestedSeats >= 1) || requestedSeats > trip.available_seats) {
+      return res.status(400).json({
+        error: `Passenger count must be between 1 and ${trip.available_seats}`
+      });
+    }
+
+    const quote = await quoteTripPrice(trip, {
+      pickupStopId: pickup_stop_id,
+      dropoffStopId: dropoff_stop_id,
+      seats: requestedSeats
+    });
+
+    res.json({
+      success: true,
+      quote,
+      remaining_seats: await trip.getRemainingSeats(pickup_stop_id, dropoff_stop_id)
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_STOPS') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Quote trip price error:', error);
+    res.status(500).json({ error: 'Failed to quote trip price' });
+  }
+});
+
+// Request to join trip (passenger makes a request). When the trip is full
+// the request joins the waitlist instead. The trip's ride rules are checked
+// against the passenger's preferences (their profile defaults, overridden by
+// `ride_preferences` in the body) first: conflicts are answered with a 409
+// listing them until the request is sent again with `accept_conflicts`, and
+// a trip limited to the driver's gender cannot be requested by others.
 router.post('/:id/request', async (req, res) => {
   try {
     const trip = await Trip.findById(req.params.id);
@@ -337,56 +1426,109 @@ router.post('/:id/request', async (req, res) => {
       return res.status(400).json({ error: 'Cannot request your own trip' });
     }
 
+    if (!trip.isBookable()) {
+      return res.status(400).json({ error: 'Trip is no longer taking requests' });
+    }
+
     const {
       passenger_count = 1,
-      pickup_location,
-      pickup_latitude,
-      pickup_longitude,
-      dropoff_location,
-      dropoff_latitude,
-      dropoff_longitude,
-      message
+      pickup_stop_id,
+      dropoff_stop_id,
+      message,
+      ride_preferences,
+      accept_conflicts = false
     } = req.body;
 
+    const requestedSeats = parseInt(passenger_count);
+
     // Validate passenger count
-    if (passenger_count < 1 || passenger_count > trip.available_seats) {
+    if (!(requestedSeats >= 1) || requestedSeats > trip.available_seats) {
       return res.status(400).json({
         error: `Passenger count must be between 1 and ${trip.available_seats}`
       });
     }
 
-    // Check if trip has enough available seats
-    if (!trip.hasAvailableSeats(passenger_count)) {
-      return res.status(400).json({ error: 'Not enough available seats' });
+    // Price the ride as quoted to the passenger; this also checks the stops
+    let quote;
+    try {
+      quote = await quoteTripPrice(trip, {
+        pickupStopId: pickup_stop_id,
+        dropoffStopId: dropoff_stop_id,
+        seats: requestedSeats
+      });
+    } catch (quoteError) {
+      if (quoteError.code === 'INVALID_STOPS') {
+        return res.status(400).json({ error: quoteError.message });
+      }
+      throw quoteError;
     }
 
-    // Check for existing pending request
-    const existingRequest = await TripRequest.findPendingByUserAndTrip(req.user.userId, trip.id);
-    if (existingRequest) {
+    // Check for an existing request
+    const existingRequest = await TripRequest.findByTripAndPassenger(trip.id, req.user.userId);
+    if (existingRequest && existingRequest.request_status !== 'cancelled') {
       return res.status(400).json({
-        error: 'You already have a pending request for this trip'
+        error: `You already have a ${existingRequest.request_status} request for this trip`
+      });
+    }
+
+    const { warning: reliabilityWarning } = await checkBookingPolicy(req.user.userId);
+
+    const passenger = await User.findById(req.user.userId);
+    const { preferences, error: preferencesError } = mergeRidePreferences(
+      passenger?.ride_preferences, ride_preferences || {}
+    );
+    if (preferencesError) {
+      return res.status(400).json({ error: preferencesError });
+    }
+
+    const driver = await User.findById(trip.driver_id);
+    const conflicts = findRideConflicts(trip, preferences, {
+      driverGender: driver?.gender,
+      passengerGender: passenger?.gender
+    });
+
+    if (conflicts.some(conflict => conflict.blocking)) {
+      return res.status(403).json({
+        error: 'Only passengers of the same gender as the driver can request this trip',
+        conflicts
+      });
+    }
+
+    if (conflicts.length > 0 && accept_conflicts !== true) {
+      return res.status(409).json({
+        error: 'This trip does not match your ride preferences',
+        conflicts
       });
     }
 
+    // Without enough free seats on the stretch they ride the passenger is waitlisted
+    const waitlisted = !(await trip.hasAvailableSeats(requestedSeats, pickup_stop_id, dropoff_stop_id));
+
     const tripRequest = await TripRequest.create({
       trip_id: trip.id,
       passenger_id: req.user.userId,
-      passenger_count: parseInt(passenger_count),
-      pickup_location,
-      pickup_latitude,
-      pickup_longitude,
-      dropoff_location,
-      dropoff_latitude,
-      dropoff_longitude,
-      message
+      requested_seats: requestedSeats,
+      pickup_stop_id,
+      dropoff_stop_id,
+      message,
+      total_price: quote.total_price,
+      request_status: waitlisted ? 'waitlisted' : 'pending'
     });
+    await notifyRequestCreated(trip, tripRequest, req.user.username);
 
     res.status(201).json({
       success: true,
-      message: 'Trip request sent successfully',
-      request: tripRequest.toJSON()
+      message: waitlisted
+        ? 'Trip is full, you have been added to the waitlist'
+        : 'Trip request sent successfully',
+      request: await tripRequest.toJSON(),
+      conflicts,
+      reliability_warning: reliabilityWarning
     });
   } catch (error) {
+    if (BOOKING_POLICY_ERRORS.includes(error.code)) {
+      return res.status(403).json({ error: error.message });
+    }
     console.error('Create trip request error:', error);
     res.status(500).json({ error: 'Failed to create trip request' });
   }
@@ -424,14 +1566,26 @@ router.put('/:id/requests/:requestId', async (req, res) => {
     } else {
       updatedRequest = await tripRequest.reject(message);
     }
+    await notifyRequestStatus(trip, updatedRequest, message);
 
     res.json({
       success: true,
       message: `Trip request ${action}d successfully`,
-      request: updatedRequest.toJSON()
+      request: await updatedRequest.toJSON()
     });
   } catch (error) {
     console.error('Update trip request error:', error);
+
+    // Approval was rolled back because the trip is full
+    if (error.code === 'SEATS_UNAVAILABLE') {
+      return res.status(409).json({ error: 'Not enough available seats' });
+    }
+
+    // The request or trip changed state, so there is nothing left to approve
+    if (['REQUEST_NOT_APPROVABLE', 'TRIP_NOT_BOOKABLE'].includes(error.code)) {
+      return res.status(409).json({ error: error.message });
+    }
+
     res.status(500).json({ error: 'Failed to update trip request' });
   }
 });
@@ -447,7 +1601,7 @@ router.get('/requests/my-requests', async (req, res) => {
       requests.map(async (request) => {
         const trip = await Trip.findById(request.trip_id);
         return {
-          ...request.toJSON(),
+          ...await request.toJSON(),
           trip: await trip.toJSON()
         };
       })
@@ -479,13 +1633,25 @@ router.delete('/requests/:requestId', async (req, res) => {
     }
 
     // Can only cancel pending or approved requests
-    if (!['pending', 'approved'].includes(tripRequest.status)) {
+    if (!tripRequest.canCancel()) {
       return res.status(400).json({
         error: 'Can only cancel pending or approved requests'
       });
     }
 
-    await tripRequest.cancel();
+    // A seat held by a subscription is cancelled as a skipped day,
+    // so the subscription does not reserve it again
+    const subscription = tripRequest.subscription_id
+      ? await TripSubscription.findById(tripRequest.subscription_id)
+      : null;
+    const trip = await tripRequest.getTrip();
+
+    if (subscription && trip.series_date) {
+      await skipDate(subscription, trip.series_date);
+    } else {
+      await tripRequest.cancel();
+    }
+    await notifyRequestStatus(trip, await TripRequest.findById(tripRequest.id));
 
     res.json({
       success: true,
@@ -2,8 +2,11 @@ const express = require('express');
 const User = require('../models/User');
 const Role = require('../models/Role');
 const UserRole = require('../models/UserRole');
+const TripRating = require('../models/TripRating');
 const { authenticateToken } = require('../middleware/auth');
 const { requirePermission, requireAdmin } = require('./roles');
+const { RATEE_ROLES } = require('../utils/trip-ratings');
+const { getReliability } = require('../services/reliability');
 const router = express.Router();
 
 // Apply authentication to all user routes
@@ -65,6 +68,59 @@ router.get('/:id', requirePermission('user.read'), async (req, res) => {
   }
 });
 
+// Get a user's reputation: average scores and common tags as a driver and as
+// a passenger, their reliability, and the latest ratings they received. Open to any signed-in
+// user so riders can check who they travel with.
+router.get('/:id/ratings', async (req, res) => {
+  try {
+    const { role } = req.query;
+    if (role && !RATEE_ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${RATEE_ROLES.join(', ')}` });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = (page - 1) * limit;
+
+    const summaries = await TripRating.getSummaries([user.id]);
+    const ratings = await TripRating.findByRatee(user.id, { role, limit, offset });
+    const reliability = await getReliability([user.id]);
+
+    res.json({
+      success: true,
+      user: {
+        id: user.id,
+        username: user.username,
+        first_name: user.first_name,
+        last_name: user.last_name
+      },
+      as_driver: {
+        ...summaries[user.id].as_driver,
+        tags: await TripRating.getTagCounts(user.id, 'driver')
+      },
+      as_passenger: {
+        ...summaries[user.id].as_passenger,
+        tags: await TripRating.getTagCounts(user.id, 'passenger')
+      },
+      reliability: reliability[user.id].percentage,
+      ratings: ratings.map(rating => rating.toJSON()),
+      pagination: {
+        page,
+        limit
+      }
+    });
+  } catch (error) {
+    console.error('Get user ratings error:', error);
+    res.status(500).json({ error: 'Failed to fetch user ratings' });
+  }
+});
+
 // Get user's roles
 router.get('/:id/roles', requirePermission('user.read'), async (req, res) => {
   try {
@@ -130,6 +186,10 @@ router.post('/:userId/roles/:roleId', requirePermission('user.write'), async (re
       assignment: assignment.toJSON()
     });
   } catch (error) {
+    // Drivers are only made by approving their application
+    if (error.code === 'DRIVER_NOT_VERIFIED') {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('Assign user role error:', error);
     res.status(500).json({ error: 'Failed to assign role' });
   }
@@ -213,6 +273,9 @@ router.post('/:userId/roles', requirePermission('user.write'), async (req, res)
       assignments: assignments.map(a => a.toJSON())
     });
   } catch (error) {
+    if (error.code === 'DRIVER_NOT_VERIFIED') {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('Assign user roles error:', error);
     res.status(500).json({ error: 'Failed to assign roles' });
   }
@@ -0,0 +1,201 @@
+const express = require('express');
+const Vehicle = require('../models/Vehicle');
+const { authenticateToken } = require('../middleware/auth');
+const router = express.Router();
+
+// Apply authentication to all vehicle endpoints
+router.use(authenticateToken);
+
+// Features a vehicle can list
+const VEHICLE_FEATURES = [
+  'air_conditioning', 'child_seat', 'wheelchair_accessible', 'bike_rack', 'usb_charging', 'wifi'
+];
+
+const isPresent = (value) => value !== undefined && value !== null && value !== '';
+
+// Collect and validate the fields of a vehicle body. On create make, model,
+// plate and seat capacity are required.
+// Returns `{ vehicleData }` or `{ error }` describing the first problem.
+const buildVehicleData = (body, isNew) => {
+  const vehicleData = {};
+
+  for (const field of ['make', 'model', 'license_plate']) {
+    if (body[field] !== undefined) {
+      if (!isPresent(body[field]) || !String(body[field]).trim()) {
+        return { error: 'Make, model and license plate cannot be empty' };
+      }
+      vehicleData[field] = String(body[field]).trim();
+    }
+  }
+
+  if (vehicleData.license_plate) {
+    vehicleData.license_plate = vehicleData.license_plate.toUpperCase();
+    if (vehicleData.license_plate.length > 20) {
+      return { error: 'License plate must be at most 20 characters' };
+    }
+  }
+
+  if (body.color !== undefined) {
+    vehicleData.color = isPresent(body.color) ? String(body.color).trim() : null;
+  }
+
+  if (body.seat_capacity !== undefined) {
+    const seatCapacity = parseInt(body.seat_capacity);
+    if (!Number.isInteger(seatCapacity) || seatCapacity < 2 || seatCapacity > 60) {
+      return { error: 'Seat capacity, including the driver, must be between 2 and 60' };
+    }
+    vehicleData.seat_capacity = seatCapacity;
+  }
+
+  if (body.features !== undefined) {
+    const features = body.features || [];
+    if (!Array.isArray(features) || features.some(feature => !VEHICLE_FEATURES.includes(feature))) {
+      return { error: `Features must be a list of: ${VEHICLE_FEATURES.join(', ')}` };
+    }
+    vehicleData.features = [...new Set(features)];
+  }
+
+  if (isNew && ['make', 'model', 'license_plate', 'seat_capacity'].some(field => vehicleData[field] === undefined)) {
+    return { error: 'Make, model, license plate and seat capacity are required' };
+  }
+
+  return { vehicleData };
+};
+
+// Load one of the current user's vehicles, or send the error response
+const loadOwnVehicle = async (req, res) => {
+  const vehicle = await Vehicle.findById(req.params.id);
+
+  if (!vehicle || !vehicle.is_active || vehicle.owner_id !== req.user.userId) {
+    res.status(404).json({ error: 'Vehicle not found' });
+    return null;
+  }
+
+  return vehicle;
+};
+
+// Unique violation on the owner's plate
+const isDuplicatePlate = (error) => error.code === '23505';
+
+// List the current user's vehicles
+router.get('/', async (req, res) => {
+  try {
+    const vehicles = await Vehicle.findByOwner(req.user.userId);
+
+    res.json({
+      success: true,
+      vehicles: vehicles.map(vehicle => vehicle.toJSON()),
+      features: VEHICLE_FEATURES
+    });
+  } catch (error) {
+    console.error('Get vehicles error:', error);
+    res.status(500).json({ error: 'Failed to fetch vehicles' });
+  }
+});
+
+// Register a vehicle
+router.post('/', async (req, res) => {
+  try {
+    const { vehicleData, error } = buildVehicleData(req.body, true);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const vehicle = await Vehicle.create({ ...vehicleData, owner_id: req.user.userId });
+
+    res.status(201).json({
+      success: true,
+      message: 'Vehicle registered successfully',
+      vehicle: vehicle.toJSON()
+    });
+  } catch (error) {
+    if (isDuplicatePlate(error)) {
+      return res.status(409).json({ error: 'You already registered a vehicle with this license plate' });
+    }
+    console.error('Create vehicle error:', error);
+    res.status(500).json({ error: 'Failed to register vehicle' });
+  }
+});
+
+// Get one of the current user's vehicles
+router.get('/:id', async (req, res) => {
+  try {
+    const vehicle = await loadOwnVehicle(req, res);
+    if (!vehicle) {
+      return;
+    }
+
+    res.json({
+      success: true,
+      vehicle: vehicle.toJSON()
+    });
+  } catch (error) {
+    console.error('Get vehicle error:', error);
+    res.status(500).json({ error: 'Failed to fetch vehicle' });
+  }
+});
+
+// Update a vehicle. Its seat capacity cannot drop below what an upcoming trip
+// or active series using it offers.
+router.put('/:id', async (req, res) => {
+  try {
+    const vehicle = await loadOwnVehicle(req, res);
+    if (!vehicle) {
+      return;
+    }
+
+    const { vehicleData, error } = buildVehicleData(req.body, false);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    if (Object.keys(vehicleData).length === 0) {
+      return res.status(400).json({ error: 'No valid fields to update' });
+    }
+
+    if (vehicleData.seat_capacity !== undefined) {
+      const bookedSeats = await vehicle.getMaxBookedSeats();
+      if (bookedSeats > vehicleData.seat_capacity - 1) {
+        return res.status(409).json({
+          error: `Upcoming trips with this vehicle offer ${bookedSeats} seats; reduce them first`
+        });
+      }
+    }
+
+    await vehicle.update(vehicleData);
+
+    res.json({
+      success: true,
+      message: 'Vehicle updated successfully',
+      vehicle: vehicle.toJSON()
+    });
+  } catch (error) {
+    if (isDuplicatePlate(error)) {
+      return res.status(409).json({ error: 'You already registered a vehicle with this license plate' });
+    }
+    console.error('Update vehicle error:', error);
+    res.status(500).json({ error: 'Failed to update vehicle' });
+  }
+});
+
+// Remove a vehicle. Trips already posted with it keep showing it.
+router.delete('/:id', async (req, res) => {
+  try {
+    const vehicle = await loadOwnVehicle(req, res);
+    if (!vehicle) {
+      return;
+    }
+
+    await vehicle.deactivate();
+
+    res.json({
+      success: true,
+      message: 'Vehicle removed successfully'
+    });
+  } catch (error) {
+    console.error('Delete vehicle error:', error);
+    res.status(500).json({ error: 'Failed to remove vehicle' });
+  }
+});
+
+module.exports = router;
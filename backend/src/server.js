@@ -10,6 +10,15 @@ require('dotenv').config();
 // Database configuration and initialization
 const { pool } = require('./config/database');
 const { initializeAllTables } = require('./database/init');
+const ChatMessage = require('./models/ChatMessage');
+const ChatRoom = require('./models/ChatRoom');
+const { authenticateSocket } = require('./middleware/auth');
+const { setIo, userRoom } = require('./socket/io');
+const { registerDirectMessageHandlers } = require('./socket/direct-messages');
+const { parseLocation, shareTripLocation } = require('./socket/trip-tracking');
+const { startWorker, stopWorker } = require('./services/job-queue');
+const { registerJobHandlers, registerJobSchedules } = require('./services/background-jobs');
+const { notifyChatMessage } = require('./services/notifications');
 
 const app = express();
 const server = http.createServer(app);
@@ -43,51 +52,129 @@ const chatRoutes = require('./routes/chat');
 const routesRoutes = require('./routes/routes');
 const { router: rolesRoutes } = require('./routes/roles');
 const usersRoutes = require('./routes/users');
+const tripsRoutes = require('./routes/trips');
+const savedSearchesRoutes = require('./routes/saved-searches');
+const notificationsRoutes = require('./routes/notifications');
+const vehiclesRoutes = require('./routes/vehicles');
+const driverApplicationsRoutes = require('./routes/driver-applications');
+const jobsRoutes = require('./routes/jobs');
 
 app.use('/api/auth', authRoutes);
 app.use('/api/chat', chatRoutes);
 app.use('/api/routes', routesRoutes);
 app.use('/api/roles', rolesRoutes);
 app.use('/api/users', usersRoutes);
+app.use('/api/trips', tripsRoutes);
+app.use('/api/saved-searches', savedSearchesRoutes);
+app.use('/api/notifications', notificationsRoutes);
+app.use('/api/vehicles', vehiclesRoutes);
+app.use('/api/driver-applications', driverApplicationsRoutes);
+app.use('/api/jobs', jobsRoutes);
 
 // Health check
 app.get('/health', (req, res) => {
   res.json({ status: 'OK', timestamp: new Date().toISOString() });
 });
 
+// Share the Socket.IO server with routes and services
+setIo(io);
+
+// Socket.io authentication: every connection must carry a valid JWT
+io.use(authenticateSocket);
+
 // Socket.io connection handling
 io.on('connection', (socket) => {
-  console.log('User connected:', socket.id);
+  // Sender identity always comes from the verified token, never from event payloads
+  const { userId, username } = socket.data.user;
+  console.log(`User ${username} connected:`, socket.id);
+
+  // Personal room for events addressed to this user (direct messages, etc.)
+  socket.join(userRoom(userId));
+  registerDirectMessageHandlers(io, socket);
 
   // Join a room (for group chats or location-based chat)
-  socket.on('join_room', (roomId) => {
-    socket.join(roomId);
-    console.log(`User ${socket.id} joined room ${roomId}`);
+  socket.on('join_room', async (data) => {
+    const { roomId } = data || {};
+
+    try {
+      const room = await ChatRoom.findById(roomId);
+
+      // Private rooms are only open to their members
+      if (!room || !(await room.canAccess(userId))) {
+        socket.emit('room_error', { roomId, error: 'Not allowed to join this room' });
+        return;
+      }
+
+      socket.join(roomId);
+      console.log(`User ${username} joined room ${roomId}`);
+    } catch (error) {
+      console.error('Join room error:', error.message);
+      socket.emit('room_error', { roomId, error: 'Failed to join room' });
+    }
   });
 
   // Handle chat messages
-  socket.on('send_message', (data) => {
-    const { roomId, message, userId, username } = data;
-    const messageData = {
-      id: Date.now(),
-      message,
-      userId,
-      username,
-      timestamp: new Date().toISOString()
-    };
-    
-    // Emit to room
-    io.to(roomId).emit('receive_message', messageData);
-    
-    // TODO: Save message to database
-    console.log('Message sent to room', roomId, messageData);
+  socket.on('send_message', async (data) => {
+    const { roomId, message } = data || {};
+
+    if (!roomId || typeof message !== 'string' || !message.trim()) {
+      socket.emit('message_error', { error: 'Room ID and message are required' });
+      return;
+    }
+
+    if (!socket.rooms.has(roomId)) {
+      socket.emit('message_error', { error: 'Join the room before sending messages' });
+      return;
+    }
+
+    try {
+      // Persist first so every broadcast message is already in the history
+      const savedMessage = await ChatMessage.create({
+        room_id: roomId,
+        user_id: userId,
+        username,
+        message: message.trim()
+      });
+
+      // Emit to room
+      io.to(roomId).emit('receive_message', savedMessage.toJSON());
+
+      // Members of private rooms, such as a trip's chat, are notified too
+      const room = await ChatRoom.findById(roomId);
+      if (room && room.is_private) {
+        const members = await room.getMembers();
+        await notifyChatMessage(
+          members.map(member => member.id).filter(memberId => memberId !== userId),
+          username,
+          savedMessage.message,
+          { room_id: roomId, message_id: savedMessage.id }
+        );
+      }
+    } catch (error) {
+      console.error('Save message error:', error.message);
+      socket.emit('message_error', { error: 'Failed to send message' });
+    }
   });
 
-  // Handle location sharing
-  socket.on('share_location', (data) => {
-    const { roomId, location, userId } = data;
+  // Handle location sharing: live trip tracking when a tripId is given,
+  // otherwise a one-off share with a chat room
+  socket.on('share_location', async (data) => {
+    const { roomId, tripId } = data || {};
+
+    if (tripId) {
+      await shareTripLocation(socket, data);
+      return;
+    }
+
+    const location = parseLocation(data?.location);
+
+    if (!roomId || !socket.rooms.has(roomId) || !location) {
+      return;
+    }
+
     socket.to(roomId).emit('location_update', {
       userId,
+      username,
       location,
       timestamp: new Date().toISOString()
     });
@@ -95,12 +182,17 @@ io.on('connection', (socket) => {
 
   // Handle typing indicators
   socket.on('typing', (data) => {
-    const { roomId, userId, isTyping } = data;
-    socket.to(roomId).emit('user_typing', { userId, isTyping });
+    const { roomId, isTyping } = data || {};
+
+    if (!roomId || !socket.rooms.has(roomId)) {
+      return;
+    }
+
+    socket.to(roomId).emit('user_typing', { userId, username, isTyping: !!isTyping });
   });
 
   socket.on('disconnect', () => {
-    console.log('User disconnected:', socket.id);
+    console.log(`User ${username} disconnected:`, socket.id);
   });
 });
 
@@ -124,6 +216,14 @@ const startServer = async () => {
     server.listen(PORT, () => {
       console.log(`Server running on port ${PORT}`);
     });
+
+    // Background jobs run here unless a separate worker (npm run worker)
+    // takes care of them
+    registerJobHandlers();
+    await registerJobSchedules();
+    if (process.env.JOB_WORKER_IN_PROCESS !== 'false') {
+      startWorker();
+    }
   } catch (error) {
     console.error('Failed to start server:', error);
     process.exit(1);
@@ -134,6 +234,8 @@ const startServer = async () => {
 process.on('SIGINT', async () => {
   console.log('\nReceived SIGINT. Shutting down gracefully...');
   
+  await stopWorker();
+
   // Close database connections
   await pool.end();
   console.log('Database connections closed');
@@ -0,0 +1,108 @@
+const User = require('../models/User');
+const UserRole = require('../models/UserRole');
+const Job = require('../models/Job');
+const { registerJob, enqueueJob, scheduleJob } = require('./job-queue');
+const { materializeAllSeries } = require('./recurring-trips');
+const { sendDepartureReminders, closeStaleTrips, expireDepartedRequests } = require('./trip-automation');
+const { sendNotificationEmail } = require('./email');
+
+// When recurring trip series are topped up
+const RECURRING_TRIPS_CRON = process.env.RECURRING_TRIPS_CRON || '0 * * * *';
+
+// How many days finished jobs are kept for inspection
+const JOB_RETENTION_DAYS = parseInt(process.env.JOB_RETENTION_DAYS) || 7;
+
+const JOB_HANDLERS = {
+  'materialize-recurring-trips': {
+    handler: async () => {
+      const created = await materializeAllSeries();
+      if (created > 0) {
+        console.log(`Materialized ${created} recurring trips`);
+      }
+    },
+    options: { maxAttempts: 3 }
+  },
+
+  'send-departure-reminders': {
+    handler: async () => {
+      await sendDepartureReminders();
+    },
+    options: { maxAttempts: 1 }
+  },
+
+  'close-stale-trips': {
+    handler: async () => {
+      const closed = await closeStaleTrips();
+      if (closed > 0) {
+        console.log(`Closed ${closed} stale trips`);
+      }
+    },
+    options: { maxAttempts: 3 }
+  },
+
+  'expire-departed-requests': {
+    handler: async () => {
+      await expireDepartedRequests();
+    },
+    options: { maxAttempts: 3 }
+  },
+
+  'send-notification-email': {
+    handler: async ({ user_id, type, content }) => {
+      const user = await User.findById(user_id);
+      if (!user || !user.email) {
+        return;
+      }
+      await sendNotificationEmail(user, type, content);
+    },
+    options: { maxAttempts: 6, backoffMs: 60 * 1000 }
+  },
+
+  'cleanup-expired-roles': {
+    handler: async () => {
+      await UserRole.cleanupExpiredRoles();
+    },
+    options: { maxAttempts: 3 }
+  },
+
+  'cleanup-completed-jobs': {
+    handler: async () => {
+      await Job.deleteCompletedBefore(JOB_RETENTION_DAYS);
+    },
+    options: { maxAttempts: 3 }
+  }
+};
+
+const JOB_SCHEDULES = [
+  { name: 'materialize-recurring-trips', cron: RECURRING_TRIPS_CRON, job: 'materialize-recurring-trips' },
+  { name: 'send-departure-reminders', cron: '* * * * *', job: 'send-departure-reminders' },
+  { name: 'close-stale-trips', cron: '*/5 * * * *', job: 'close-stale-trips' },
+  { name: 'expire-departed-requests', cron: '*/5 * * * *', job: 'expire-departed-requests' },
+  { name: 'cleanup-expired-roles', cron: '5 * * * *', job: 'cleanup-expired-roles' },
+  { name: 'cleanup-completed-jobs', cron: '30 3 * * *', job: 'cleanup-completed-jobs' }
+];
+
+// Register every job handler with the queue. Enough for a process that only
+// queues jobs.
+const registerJobHandlers = () => {
+  for (const [name, { handler, options }] of Object.entries(JOB_HANDLERS)) {
+    registerJob(name, handler, options);
+  }
+};
+
+// Store the cron schedules and top up recurring trips straight away rather
+// than waiting for the first scheduled run
+const registerJobSchedules = async () => {
+  for (const schedule of JOB_SCHEDULES) {
+    await scheduleJob(schedule.name, schedule.cron, schedule.job);
+  }
+
+  await enqueueJob('materialize-recurring-trips', {}, {
+    dedupeKey: 'schedule:materialize-recurring-trips'
+  });
+};
+
+module.exports = {
+  registerJobHandlers,
+  registerJobSchedules
+};
@@ -0,0 +1,91 @@
+const path = require('path');
+const DriverApplication = require('../models/DriverApplication');
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { removeUploadedFiles } = require('../middleware/uploads');
+const { notify } = require('./notifications');
+
+// Documents every application needs, one file each
+const REQUIRED_DOCUMENTS = ['license', 'insurance'];
+
+const applicationError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Submit an application to become a driver with the documents multer stored
+// (`files` keyed by document type). The files are deleted again when the
+// application is refused or cannot be saved. Throws with code
+// ALREADY_DRIVER, APPLICATION_PENDING or DOCUMENTS_MISSING.
+const submitDriverApplication = async (userId, { license_number, license_expires_on }, files) => {
+  try {
+    const user = await User.findById(userId);
+    if (await user.hasRoleName('driver')) {
+      throw applicationError('You are already a verified driver', 'ALREADY_DRIVER');
+    }
+
+    if (await DriverApplication.findPendingByUser(userId)) {
+      throw applicationError('You already have an application waiting for review', 'APPLICATION_PENDING');
+    }
+
+    const missing = REQUIRED_DOCUMENTS.filter(type => !files?.[type]?.[0]);
+    if (missing.length > 0) {
+      throw applicationError(`Upload your ${missing.join(' and ')} document`, 'DOCUMENTS_MISSING');
+    }
+
+    const documents = REQUIRED_DOCUMENTS.map(type => {
+      const file = files[type][0];
+      return {
+        document_type: type,
+        original_name: path.basename(file.originalname),
+        stored_name: file.filename,
+        mime_type: file.mimetype,
+        size_bytes: file.size
+      };
+    });
+
+    return await DriverApplication.create({ user_id: userId, license_number, license_expires_on }, documents);
+  } catch (error) {
+    await removeUploadedFiles(files);
+
+    // Unique violation on the pending index: a second submission won the race
+    if (error.code === '23505') {
+      throw applicationError('You already have an application waiting for review', 'APPLICATION_PENDING');
+    }
+    throw error;
+  }
+};
+
+// Approve or reject an application. Approval grants the applicant the
+// `driver` role; either way the applicant is told the outcome and the notes.
+const reviewDriverApplication = async (application, reviewerId, decision, notes = null) => {
+  const status = decision === 'approve' ? 'approved' : 'rejected';
+  let driverRoleId = null;
+
+  if (status === 'approved') {
+    const driverRole = await Role.findByName('driver');
+    if (!driverRole) {
+      throw new Error('Driver role not found');
+    }
+    driverRoleId = driverRole.id;
+  }
+
+  await application.review(status, reviewerId, notes, driverRoleId);
+
+  await notify(application.user_id, `driver_application_${status}`, {
+    title: status === 'approved'
+      ? 'Your driver application was approved'
+      : 'Your driver application was declined',
+    body: notes,
+    data: { application_id: application.id }
+  });
+
+  return application;
+};
+
+module.exports = {
+  REQUIRED_DOCUMENTS,
+  submitDriverApplication,
+  reviewDriverApplication
+};
@@ -0,0 +1,167 @@
+// Email templates for notifications, one per notification type. Each template
+// builds a subject, a plain text body and an HTML body from the notification
+// (`title`, `body`, `data`), the recipient and the app's URL.
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const greetingName = (user) => user.first_name || user.username;
+
+// Shared layout: a greeting, the notification, what to do next and a link
+const layout = ({ user, title, body, intro, action, link }) => ({
+  text: [
+    `Hi ${greetingName(user)},`,
+    '',
+    intro || title,
+    ...(body ? ['', body] : []),
+    '',
+    `${action}: ${link}`,
+    '',
+    'You can choose which emails you get in your notification settings.'
+  ].join('\n'),
+
+  html: `<!DOCTYPE html>
+<html>
+  <body style="font-family: Arial, sans-serif; color: #1f2937; line-height: 1.5;">
+    <p>Hi ${escapeHtml(greetingName(user))},</p>
+    <p><strong>${escapeHtml(intro || title)}</strong></p>
+    ${body ? `<p style="white-space: pre-line;">${escapeHtml(body)}</p>` : ''}
+    <p>
+      <a href="${escapeHtml(link)}" style="display: inline-block; padding: 10px 16px; background: #2563eb; color: #ffffff; text-decoration: none; border-radius: 6px;">
+        ${escapeHtml(action)}
+      </a>
+    </p>
+    <p style="font-size: 12px; color: #6b7280;">You can choose which emails you get in your notification settings.</p>
+  </body>
+</html>`
+});
+
+const dashboardLink = (appUrl) => `${appUrl}/dashboard`;
+const chatLink = (appUrl, data) => data.room_id ? `${appUrl}/chat/${data.room_id}` : `${appUrl}/chat`;
+
+const EMAIL_TEMPLATES = {
+  trip_request_created: ({ title, appUrl }) => ({
+    subject: title,
+    intro: `${title}. Review it so the passenger knows whether they have a seat.`,
+    action: 'Review request',
+    link: dashboardLink(appUrl)
+  }),
+
+  trip_request_approved: ({ title, appUrl }) => ({
+    subject: title,
+    intro: `${title}. Your seat is confirmed.`,
+    action: 'View your trip',
+    link: dashboardLink(appUrl)
+  }),
+
+  trip_request_rejected: ({ title, appUrl }) => ({
+    subject: title,
+    intro: `${title}. You can look for another trip on the same route.`,
+    action: 'Find another trip',
+    link: dashboardLink(appUrl)
+  }),
+
+  trip_request_cancelled: ({ title, appUrl }) => ({
+    subject: title,
+    intro: `${title}. The seats are free again.`,
+    action: 'View trip requests',
+    link: dashboardLink(appUrl)
+  }),
+
+  trip_request_expired: ({ title, appUrl }) => ({
+    subject: title,
+    intro: `${title}. The trip left before the driver confirmed your seat.`,
+    action: 'Find another trip',
+    link: dashboardLink(appUrl)
+  }),
+
+  trip_cancelled: ({ title, appUrl }) => ({
+    subject: title,
+    intro: `${title}. Your request on it has been cancelled.`,
+    action: 'Find another trip',
+    link: dashboardLink(appUrl)
+  }),
+
+  trip_starting_soon: ({ title, appUrl }) => ({
+    subject: title,
+    action: 'View your trip',
+    link: dashboardLink(appUrl)
+  }),
+
+  trip_departure_reminder: ({ title, appUrl }) => ({
+    subject: title,
+    action: 'View your trip',
+    link: dashboardLink(appUrl)
+  }),
+
+  trip_rating_requested: ({ title, appUrl }) => ({
+    subject: title,
+    action: 'Rate your trip',
+    link: dashboardLink(appUrl)
+  }),
+
+  reliability_warning: ({ title, appUrl }) => ({
+    subject: title,
+    intro: `${title}. No-shows and cancellations close to departure lower it; completed trips raise it again.`,
+    action: 'View your trips',
+    link: dashboardLink(appUrl)
+  }),
+
+  chat_message: ({ title, data, appUrl }) => ({
+    subject: title,
+    action: 'Reply',
+    link: chatLink(appUrl, data)
+  }),
+
+  rating_received: ({ title, appUrl }) => ({
+    subject: title,
+    action: 'View your routes',
+    link: dashboardLink(appUrl)
+  }),
+
+  saved_search_match: ({ title, appUrl }) => ({
+    subject: title,
+    action: 'See the trips',
+    link: dashboardLink(appUrl)
+  }),
+
+  driver_application_approved: ({ title, appUrl }) => ({
+    subject: title,
+    intro: `${title}. You can now post trips.`,
+    action: 'Post a trip',
+    link: dashboardLink(appUrl)
+  }),
+
+  driver_application_rejected: ({ title, appUrl }) => ({
+    subject: title,
+    intro: `${title}. You can apply again with updated documents.`,
+    action: 'View your application',
+    link: dashboardLink(appUrl)
+  })
+};
+
+// Render the email for a notification to a user.
+// Returns `{ subject, text, html }`.
+const renderNotificationEmail = (type, user, { title, body = null, data = {} }) => {
+  const template = EMAIL_TEMPLATES[type];
+  if (!template) {
+    throw new Error(`No email template for notification type: ${type}`);
+  }
+
+  const appUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  const { subject, intro, action, link } = template({ title, body, data, appUrl });
+
+  return {
+    subject,
+    ...layout({ user, title, body, intro, action, link })
+  };
+};
+
+module.exports = {
+  EMAIL_TEMPLATES,
+  renderNotificationEmail
+};
@@ -0,0 +1,86 @@
+const fs = require('fs');
+const path = require('path');
+
+// Ways of delivering an email. Every transport has a `name` and an async
+// `send({ from, to, subject, text, html })`:
+// - smtp: a real mail server, configured with the SMTP_* settings
+// - file: writes each email as JSON into EMAIL_FILE_DIR, for development
+// - memory: keeps emails in its `outbox` array, for tests
+const EMAIL_TRANSPORTS = ['smtp', 'file', 'memory'];
+
+const createSmtpTransport = () => {
+  // Only loaded when SMTP is used, so the other transports work without it
+  const nodemailer = require('nodemailer');
+
+  const port = parseInt(process.env.SMTP_PORT) || 587;
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port,
+    secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+      : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      return { id: info.messageId };
+    }
+  };
+};
+
+const createFileTransport = (directory = process.env.EMAIL_FILE_DIR || path.join(process.cwd(), 'tmp', 'emails')) => ({
+  name: 'file',
+  directory,
+  send: async (message) => {
+    await fs.promises.mkdir(directory, { recursive: true });
+
+    const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    const sentAt = new Date().toISOString();
+    await fs.promises.writeFile(
+      path.join(directory, `${id}.json`),
+      JSON.stringify({ ...message, sent_at: sentAt }, null, 2)
+    );
+
+    return { id };
+  }
+});
+
+const createMemoryTransport = () => {
+  const outbox = [];
+
+  return {
+    name: 'memory',
+    outbox,
+    send: async (message) => {
+      const id = String(outbox.length + 1);
+      outbox.push({ id, ...message, sent_at: new Date().toISOString() });
+      return { id };
+    }
+  };
+};
+
+// Create the transport named by EMAIL_TRANSPORT. Without one, SMTP is used
+// when SMTP_HOST is set and emails are written to files otherwise.
+const createTransport = (name = process.env.EMAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'file')) => {
+  switch (name) {
+    case 'smtp':
+      return createSmtpTransport();
+    case 'file':
+      return createFileTransport();
+    case 'memory':
+      return createMemoryTransport();
+    default:
+      throw new Error(`Unknown email transport: ${name}. Use one of: ${EMAIL_TRANSPORTS.join(', ')}`);
+  }
+};
+
+module.exports = {
+  EMAIL_TRANSPORTS,
+  createSmtpTransport,
+  createFileTransport,
+  createMemoryTransport,
+  createTransport
+};
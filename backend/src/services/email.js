@@ -0,0 +1,48 @@
+const { createTransport } = require('./email-transports');
+const { renderNotificationEmail } = require('./email-templates');
+const { enqueueJob } = require('./job-queue');
+
+const EMAIL_FROM = process.env.EMAIL_FROM || 'Routes <no-reply@localhost>';
+
+let transport = null;
+
+// The transport emails go out through, created from the environment on first use
+const getTransport = () => {
+  if (!transport) {
+    transport = createTransport();
+  }
+  return transport;
+};
+
+// Swap the transport, e.g. for a memory transport in tests
+const setTransport = (instance) => {
+  transport = instance;
+};
+
+const sendEmail = async ({ to, subject, text, html }) => {
+  return await getTransport().send({ from: EMAIL_FROM, to, subject, text, html });
+};
+
+// Email a user about a notification
+const sendNotificationEmail = async (user, type, content) => {
+  const { subject, text, html } = renderNotificationEmail(type, user, content);
+  return await sendEmail({ to: user.email, subject, text, html });
+};
+
+// Queue an email to a user about a notification. It is sent by the job
+// worker, retried if the mail server fails, and never holds up the caller.
+const queueNotificationEmail = async (user, type, content) => {
+  try {
+    await enqueueJob('send-notification-email', { user_id: user.id, type, content });
+  } catch (error) {
+    console.warn(`Could not queue an email to user ${user.id} about ${type}:`, error.message);
+  }
+};
+
+module.exports = {
+  getTransport,
+  setTransport,
+  sendEmail,
+  sendNotificationEmail,
+  queueNotificationEmail
+};
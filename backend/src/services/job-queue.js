@@ -0,0 +1,179 @@
+const os = require('os');
+const Job = require('../models/Job');
+const JobSchedule = require('../models/JobSchedule');
+
+// How often an idle worker looks for due jobs
+const JOB_POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 5000;
+
+// How many jobs a worker runs at the same time
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY) || 5;
+
+// A running job whose worker has not finished it after this long is assumed
+// lost and queued again
+const JOB_LOCK_TIMEOUT_MINUTES = parseInt(process.env.JOB_LOCK_TIMEOUT_MINUTES) || 15;
+
+// Retry delays double after every failed attempt up to this limit
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+
+const DEFAULT_JOB_OPTIONS = {
+  maxAttempts: 5,
+  backoffMs: 30 * 1000
+};
+
+const handlers = new Map();
+
+const worker = {
+  id: `${os.hostname()}:${process.pid}`,
+  timer: null,
+  running: false,
+  polling: null
+};
+
+// Register the function that runs jobs of a name. Only registered jobs are
+// picked up by this process's worker.
+const registerJob = (name, handler, options = {}) => {
+  handlers.set(name, { handler, ...DEFAULT_JOB_OPTIONS, ...options });
+};
+
+const getJobOptions = (name) => {
+  return handlers.get(name) || DEFAULT_JOB_OPTIONS;
+};
+
+// Queue a job. `delayMs` or `runAt` hold it back until later; with a
+// `dedupeKey` it is not queued while an unfinished job has the same key, and
+// null is returned.
+const enqueueJob = async (name, payload = {}, options = {}) => {
+  const { delayMs = 0, dedupeKey = null, client = null } = options;
+  const runAt = options.runAt ? new Date(options.runAt) : new Date(Date.now() + delayMs);
+
+  return await Job.create({
+    job_name: name,
+    payload,
+    run_at: runAt,
+    max_attempts: options.maxAttempts || getJobOptions(name).maxAttempts,
+    dedupe_key: dedupeKey
+  }, client);
+};
+
+// Queue a job on a cron schedule. Schedules are stored by name, so every
+// process can declare them on startup.
+const scheduleJob = async (scheduleName, cron, name, payload = {}) => {
+  return await JobSchedule.upsert({
+    schedule_name: scheduleName,
+    job_name: name,
+    cron,
+    payload
+  });
+};
+
+const getRetryDelay = (job) => {
+  const { backoffMs } = getJobOptions(job.job_name);
+  return Math.min(backoffMs * Math.pow(2, Math.max(job.attempts - 1, 0)), MAX_BACKOFF_MS);
+};
+
+// Run one claimed job and record how it went
+const runJob = async (job) => {
+  const { handler } = handlers.get(job.job_name);
+
+  try {
+    await handler(job.payload, job);
+    await job.complete();
+  } catch (error) {
+    console.error(`Job ${job.id} (${job.job_name}) failed on attempt ${job.attempts}:`, error.message);
+    await job.fail(error.message || String(error), getRetryDelay(job));
+
+    if (job.job_status === 'dead') {
+      console.error(`Job ${job.id} (${job.job_name}) gave up after ${job.attempts} attempts`);
+    }
+  }
+};
+
+// Queue due scheduled jobs, then claim and run due jobs until none are left
+const pollJobs = async () => {
+  await Job.releaseStale(JOB_LOCK_TIMEOUT_MINUTES * 60 * 1000);
+  await JobSchedule.enqueueDue();
+
+  const jobNames = [...handlers.keys()];
+  if (jobNames.length === 0) {
+    return;
+  }
+
+  while (worker.running) {
+    const jobs = await Job.claimDue(worker.id, jobNames, JOB_CONCURRENCY);
+
+    await Promise.all(jobs.map(job => runJob(job).catch(error => {
+      console.error(`Could not record the outcome of job ${job.id}:`, error.message);
+    })));
+
+    if (jobs.length < JOB_CONCURRENCY) {
+      return;
+    }
+  }
+};
+
+// Poll for jobs in this process until the worker is stopped
+const startWorker = () => {
+  if (worker.running) {
+    return;
+  }
+  worker.running = true;
+
+  const tick = async () => {
+    worker.polling = pollJobs().catch(error => {
+      console.error('Job worker error:', error.message);
+    });
+    await worker.polling;
+    worker.polling = null;
+
+    if (worker.running) {
+      worker.timer = setTimeout(tick, JOB_POLL_INTERVAL_MS);
+    }
+  };
+
+  console.log(`Job worker ${worker.id} started for: ${[...handlers.keys()].join(', ')}`);
+  tick();
+};
+
+// Stop polling and wait for the jobs already running to finish
+const stopWorker = async () => {
+  worker.running = false;
+
+  if (worker.timer) {
+    clearTimeout(worker.timer);
+    worker.timer = null;
+  }
+
+  if (worker.polling) {
+    await worker.polling;
+  }
+};
+
+// Queue a dead or completed job to run again
+const retryJob = async (job) => {
+  if (!['dead', 'completed'].includes(job.job_status)) {
+    const error = new Error('Only dead or completed jobs can be retried');
+    error.code = 'JOB_NOT_RETRYABLE';
+    throw error;
+  }
+
+  try {
+    return await job.retry();
+  } catch (error) {
+    // Unique violation on the dedupe key: the same work is queued already
+    if (error.code === '23505') {
+      const queuedError = new Error('A job with the same dedupe key is already queued');
+      queuedError.code = 'JOB_ALREADY_QUEUED';
+      throw queuedError;
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  registerJob,
+  enqueueJob,
+  scheduleJob,
+  startWorker,
+  stopWorker,
+  retryJob
+};
@@ -0,0 +1,175 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { emitToUser } = require('../socket/io');
+const { queueNotificationEmail } = require('./email');
+
+// Domain events users are notified about
+const NOTIFICATION_TYPES = [
+  'trip_request_created',
+  'trip_request_approved',
+  'trip_request_rejected',
+  'trip_request_cancelled',
+  'trip_request_expired',
+  'trip_cancelled',
+  'trip_starting_soon',
+  'trip_departure_reminder',
+  'trip_rating_requested',
+  'reliability_warning',
+  'chat_message',
+  'rating_received',
+  'saved_search_match',
+  'driver_application_approved',
+  'driver_application_rejected'
+];
+
+// Channels a notification can go out on
+const NOTIFICATION_CHANNELS = ['in_app', 'email'];
+
+// Types each channel sends unless the user chose otherwise. Everything shows
+// in the app; only the events people act on straight away are emailed.
+const DEFAULT_CHANNEL_TYPES = {
+  in_app: NOTIFICATION_TYPES,
+  email: [
+    'trip_request_created', 'trip_request_approved', 'trip_request_rejected', 'trip_cancelled',
+    'driver_application_approved', 'driver_application_rejected', 'reliability_warning'
+  ]
+};
+
+// A user's preferences for every channel and type, with the defaults filled
+// in. Stored preferences look like `{ "email": { "chat_message": true } }`.
+const getChannelPreferences = (user) => {
+  const stored = user?.notification_preferences || {};
+  const preferences = {};
+
+  for (const channel of NOTIFICATION_CHANNELS) {
+    preferences[channel] = {};
+    for (const type of NOTIFICATION_TYPES) {
+      preferences[channel][type] = typeof stored[channel]?.[type] === 'boolean'
+        ? stored[channel][type]
+        : DEFAULT_CHANNEL_TYPES[channel].includes(type);
+    }
+  }
+
+  return preferences;
+};
+
+// Validate a change to a user's preferences and merge it into the stored ones.
+// Returns `{ preferences }` or `{ error }` describing the first problem.
+const mergeChannelPreferences = (stored, changes) => {
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+    return { error: 'Preferences must be an object of channels' };
+  }
+
+  const preferences = { ...(stored || {}) };
+
+  for (const [channel, types] of Object.entries(changes)) {
+    if (!NOTIFICATION_CHANNELS.includes(channel)) {
+      return { error: `Channel must be one of: ${NOTIFICATION_CHANNELS.join(', ')}` };
+    }
+
+    if (!types || typeof types !== 'object' || Array.isArray(types)) {
+      return { error: `Preferences for ${channel} must map notification types to true or false` };
+    }
+
+    for (const [type, enabled] of Object.entries(types)) {
+      if (!NOTIFICATION_TYPES.includes(type)) {
+        return { error: `Unknown notification type: ${type}` };
+      }
+      if (typeof enabled !== 'boolean') {
+        return { error: `Preference for ${channel} ${type} must be true or false` };
+      }
+    }
+
+    preferences[channel] = { ...(preferences[channel] || {}), ...types };
+  }
+
+  return { preferences };
+};
+
+// Notify a user on the channels they have enabled for this type: stored and
+// pushed to their open sockets as `notification`, and emailed in the
+// background. A notification that cannot be sent is logged rather than
+// thrown, so it never fails the action that caused it. Returns the in-app
+// notification, or null when none was stored.
+const notify = async (userId, type, { title, body = null, data = {} }) => {
+  if (!NOTIFICATION_TYPES.includes(type)) {
+    throw new Error(`Unknown notification type: ${type}`);
+  }
+
+  try {
+    const user = await User.findById(userId);
+    if (!user) {
+      return null;
+    }
+
+    const preferences = getChannelPreferences(user);
+
+    if (preferences.email[type] && user.email) {
+      queueNotificationEmail(user, type, { title, body, data });
+    }
+
+    if (!preferences.in_app[type]) {
+      return null;
+    }
+
+    const notification = await Notification.create({
+      user_id: userId,
+      notification_type: type,
+      title,
+      body,
+      data
+    });
+
+    emitToUser(userId, 'notification', notification.toJSON());
+    return notification;
+  } catch (error) {
+    console.warn(`Could not notify user ${userId} of ${type}:`, error.message);
+    return null;
+  }
+};
+
+// Send the same notification to several users
+const notifyMany = async (userIds, type, content) => {
+  const notifications = [];
+
+  for (const userId of new Set(userIds)) {
+    notifications.push(await notify(userId, type, content));
+  }
+
+  return notifications.filter(Boolean);
+};
+
+// Tell the recipients of a chat message about it, with the start of its text
+const notifyChatMessage = async (recipientIds, senderName, text, data) => {
+  const preview = text.length > 140 ? `${text.slice(0, 137)}...` : text;
+
+  return await notifyMany(recipientIds, 'chat_message', {
+    title: `New message from ${senderName}`,
+    body: preview,
+    data
+  });
+};
+
+// Mark a user's notifications read (all of them without IDs) and tell their
+// other open sockets the new unread count
+const markNotificationsRead = async (userId, ids = null) => {
+  const readCount = await Notification.markRead(userId, ids);
+  const unreadCount = await Notification.countUnread(userId);
+
+  if (readCount > 0) {
+    emitToUser(userId, 'notifications_read', { ids, unread_count: unreadCount });
+  }
+
+  return { readCount, unreadCount };
+};
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  NOTIFICATION_CHANNELS,
+  getChannelPreferences,
+  mergeChannelPreferences,
+  notify,
+  notifyMany,
+  notifyChatMessage,
+  markNotificationsRead
+};
@@ -0,0 +1,111 @@
+const { getClient } = require('../config/database');
+const TripSeries = require('../models/TripSeries');
+const { reserveNewOccurrences } = require('./trip-subscriptions');
+const { PRICING_FIELDS } = require('./trip-pricing');
+
+// How far ahead concrete trips are created for each series
+const RECURRING_TRIPS_DAYS_AHEAD = parseInt(process.env.RECURRING_TRIPS_DAYS_AHEAD) || 14;
+
+// Create the missing trips of one series within the horizon, then hand the
+// new occurrences to the series' approved subscribers
+const materializeSeries = async (series) => {
+  const trips = await series.materialize(RECURRING_TRIPS_DAYS_AHEAD);
+  await reserveNewOccurrences(series.id, trips);
+  return trips;
+};
+
+// Create the missing trips of every active series. A failing series is logged
+// and skipped so it cannot hold up the others.
+const materializeAllSeries = async () => {
+  const seriesList = await TripSeries.findActive();
+  let created = 0;
+
+  for (const series of seriesList) {
+    try {
+      const trips = await materializeSeries(series);
+      created += trips.length;
+    } catch (error) {
+      console.error(`Could not materialize trip series ${series.id}:`, error.message);
+    }
+  }
+
+  return created;
+};
+
+// Create a series and its first occurrences
+const createTripSeries = async (seriesData) => {
+  const series = await TripSeries.create(seriesData);
+  const trips = await materializeSeries(series);
+  return { series, trips };
+};
+
+// Apply an edit to the whole series: upcoming occurrences pick up the new
+// template and time, with the same follow-up as a single trip edit (new
+// reminders, extra seats to the waitlist, open requests requoted), dates
+// dropped from the pattern are cancelled and newly added dates are created.
+// Occurrences edited on their own are left as they are. The driver is the one
+// cancelling dropped dates, so late ones count against their reliability.
+// Fewer seats than an occurrence already has taken are refused with
+// `error.code` 'SEATS_HELD', leaving the series unchanged.
+const updateTripSeries = async (series, updateData) => {
+  // The series and its occurrences change together, or not at all when an
+  // occurrence already has more seats taken than the new template offers
+  const client = await getClient();
+  let synced;
+
+  try {
+    await client.query('BEGIN');
+    await series.update(updateData, client);
+    synced = await series.syncOccurrences(client);
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  const repriced = PRICING_FIELDS.some(field => updateData[field] !== undefined);
+  for (const { trip, previous } of synced) {
+    await trip.applyUpdateEffects(previous, repriced);
+  }
+
+  const staleTrips = await series.findStaleOccurrences();
+  for (const trip of staleTrips) {
+    await trip.cancel({
+      actorId: series.driver_id,
+      actorType: 'driver',
+      reason: 'Date removed from the trip series'
+    });
+  }
+
+  await materializeSeries(series);
+  return series;
+};
+
+// Cancel the whole series and every upcoming occurrence that has not started,
+// on behalf of its driver
+const cancelTripSeries = async (series) => {
+  await series.cancel();
+
+  const trips = await series.getOccurrences();
+  for (const trip of trips) {
+    if (trip.trip_status === 'scheduled') {
+      await trip.cancel({
+        actorId: series.driver_id,
+        actorType: 'driver',
+        reason: 'Trip series cancelled'
+      });
+    }
+  }
+
+  return series;
+};
+
+module.exports = {
+  materializeSeries,
+  materializeAllSeries,
+  createTripSeries,
+  updateTripSeries,
+  cancelTripSeries
+};
@@ -0,0 +1,210 @@
+const ReliabilityEvent = require('../models/ReliabilityEvent');
+const TripRequest = require('../models/TripRequest');
+const { notify } = require('./notifications');
+
+// Read a number from the environment. Unlike `parseFloat(...) || fallback`,
+// 0 is kept, so a policy threshold can be switched off by setting it to 0.
+const numberFromEnv = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+};
+
+// Cancelling an approved seat, or a trip with passengers, less than this many
+// hours before departure counts as a late cancellation
+const LATE_CANCELLATION_HOURS = numberFromEnv('LATE_CANCELLATION_HOURS', 12);
+
+// How far back no-shows, late cancellations and completed trips count, so
+// reliability recovers and booking limits lift over time
+const RELIABILITY_WINDOW_DAYS = numberFromEnv('RELIABILITY_WINDOW_DAYS', 90);
+
+// Trips a user needs in the window before the policies below apply to them
+const RELIABILITY_MIN_TRIPS = numberFromEnv('RELIABILITY_MIN_TRIPS', 3);
+
+// Policies by reliability percentage, strictest first. Below the warning
+// threshold users are warned; below the limit threshold passengers may only
+// hold RELIABILITY_BOOKING_LIMIT open bookings; below the auto-reject
+// threshold their requests are declined.
+const RELIABILITY_WARNING_BELOW = numberFromEnv('RELIABILITY_WARNING_BELOW', 90);
+const RELIABILITY_LIMIT_BELOW = numberFromEnv('RELIABILITY_LIMIT_BELOW', 75);
+const RELIABILITY_BOOKING_LIMIT = numberFromEnv('RELIABILITY_BOOKING_LIMIT', 1);
+const RELIABILITY_AUTO_REJECT_BELOW = numberFromEnv('RELIABILITY_AUTO_REJECT_BELOW', 50);
+
+const reliabilityError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// The policy that applies to a reliability: 'reject', 'limit', 'warn' or null
+const reliabilityPolicy = (reliability) => {
+  const { percentage, completed_trips, no_shows, late_cancellations } = reliability;
+
+  if (percentage === null || completed_trips + no_shows + late_cancellations < RELIABILITY_MIN_TRIPS) {
+    return null;
+  }
+  if (percentage < RELIABILITY_AUTO_REJECT_BELOW) {
+    return 'reject';
+  }
+  if (percentage < RELIABILITY_LIMIT_BELOW) {
+    return 'limit';
+  }
+  if (percentage < RELIABILITY_WARNING_BELOW) {
+    return 'warn';
+  }
+  return null;
+};
+
+const POLICY_TEXT = {
+  warn: 'Cancelling late or not showing up again may limit your bookings',
+  limit: `You can hold ${RELIABILITY_BOOKING_LIMIT} booking${RELIABILITY_BOOKING_LIMIT === 1 ? '' : 's'} at a time until your reliability improves`,
+  reject: 'Your trip requests are declined automatically until your reliability improves'
+};
+
+// Reliability of several users, keyed by user ID: the share of their
+// commitments in the window they kept, as a whole percentage (null without
+// any), the counts behind it and the policy that applies.
+const getReliability = async (userIds) => {
+  const counts = await ReliabilityEvent.getCounts(userIds, RELIABILITY_WINDOW_DAYS);
+  const reliability = {};
+
+  for (const [userId, count] of Object.entries(counts)) {
+    const total = count.completed_trips + count.no_shows + count.late_cancellations;
+    const entry = {
+      percentage: total > 0 ? Math.round((count.completed_trips / total) * 100) : null,
+      ...count
+    };
+    reliability[userId] = { ...entry, policy: reliabilityPolicy(entry) };
+  }
+
+  return reliability;
+};
+
+// Check the booking policies before a passenger requests seats. Returns the
+// passenger's reliability and a warning to show them, if any.
+//
+// Throws with `error.code` set to 'RELIABILITY_TOO_LOW' when their requests
+// are declined automatically, or 'BOOKING_LIMIT_REACHED' when they already
+// hold as many open bookings as their reliability allows.
+const checkBookingPolicy = async (passengerId) => {
+  const reliability = (await getReliability([passengerId]))[passengerId];
+
+  if (reliability.policy === 'reject') {
+    throw reliabilityError(
+      `Your reliability is ${reliability.percentage}%. Requests from passengers below ${RELIABILITY_AUTO_REJECT_BELOW}% are declined automatically`,
+      'RELIABILITY_TOO_LOW'
+    );
+  }
+
+  if (reliability.policy === 'limit') {
+    const openBookings = await TripRequest.countOpenByPassenger(passengerId);
+    if (openBookings >= RELIABILITY_BOOKING_LIMIT) {
+      throw reliabilityError(
+        `Your reliability is ${reliability.percentage}%. ${POLICY_TEXT.limit}`,
+        'BOOKING_LIMIT_REACHED'
+      );
+    }
+  }
+
+  return {
+    reliability,
+    warning: reliability.policy ? `Your reliability is ${reliability.percentage}%. ${POLICY_TEXT[reliability.policy]}` : null
+  };
+};
+
+// Tell users their reliability now has a policy applied to it. Runs after
+// events are saved, outside any transaction.
+const warnUsers = async (userIds) => {
+  const reliability = await getReliability(userIds);
+
+  for (const userId of Object.keys(reliability)) {
+    const { percentage, policy } = reliability[userId];
+    if (!policy) {
+      continue;
+    }
+
+    await notify(parseInt(userId), 'reliability_warning', {
+      title: `Your reliability is now ${percentage}%`,
+      body: POLICY_TEXT[policy],
+      data: { percentage, policy }
+    });
+  }
+};
+
+const minutesBeforeDeparture = (trip) =>
+  Math.round((new Date(trip.departure_time) - Date.now()) / (60 * 1000));
+
+const isLate = (minutes) => minutes < LATE_CANCELLATION_HOURS * 60;
+
+// Count a passenger cancelling an approved seat shortly before departure.
+// `trip` is the request's trip.
+const recordRequestCancellation = async (request, trip) => {
+  const minutes = minutesBeforeDeparture(trip);
+  if (!isLate(minutes)) {
+    return null;
+  }
+
+  const event = await ReliabilityEvent.create({
+    user_id: request.passenger_id,
+    trip_id: trip.id,
+    trip_request_id: request.id,
+    event_type: 'late_cancellation',
+    user_role: 'passenger',
+    minutes_before_departure: Math.max(minutes, 0),
+    recorded_by: request.passenger_id
+  });
+
+  if (event) {
+    await warnUsers([request.passenger_id]);
+  }
+  return event;
+};
+
+// Count a driver cancelling a trip with approved passengers shortly before
+// departure
+const recordTripCancellation = async (trip, approvedPassengerCount) => {
+  const minutes = minutesBeforeDeparture(trip);
+  if (approvedPassengerCount === 0 || !isLate(minutes)) {
+    return null;
+  }
+
+  const event = await ReliabilityEvent.create({
+    user_id: trip.driver_id,
+    trip_id: trip.id,
+    event_type: 'late_cancellation',
+    user_role: 'driver',
+    minutes_before_departure: Math.max(minutes, 0),
+    recorded_by: trip.driver_id
+  });
+
+  if (event) {
+    await warnUsers([trip.driver_id]);
+  }
+  return event;
+};
+
+// Record passengers the driver marked as no-shows when completing a trip,
+// inside the completion's transaction on `client`. `requests` are the
+// passengers' requests.
+const recordNoShows = async (client, trip, requests, recordedBy) => {
+  for (const request of requests) {
+    await ReliabilityEvent.create({
+      user_id: request.passenger_id,
+      trip_id: trip.id,
+      trip_request_id: request.id,
+      event_type: 'no_show',
+      user_role: 'passenger',
+      recorded_by: recordedBy
+    }, client);
+  }
+};
+
+module.exports = {
+  LATE_CANCELLATION_HOURS,
+  RELIABILITY_WINDOW_DAYS,
+  getReliability,
+  checkBookingPolicy,
+  warnUsers,
+  recordRequestCancellation,
+  recordTripCancellation,
+  recordNoShows
+};
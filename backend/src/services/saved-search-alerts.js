@@ -0,0 +1,163 @@
+const SavedSearch = require('../models/SavedSearch');
+const Route = require('../models/Route');
+const { emitToUser } = require('../socket/io');
+const { MATCH_WALK_RADIUS_KM, matchRoute, quoteMatch } = require('./trip-matching');
+const { calculateFare } = require('./trip-pricing');
+const { notify } = require('./notifications');
+
+const includesName = (place, name) =>
+  !!place && place.toLowerCase().includes(name.trim().toLowerCase());
+
+const hasCoordinates = (search) => [
+  search.start_latitude, search.start_longitude, search.end_latitude, search.end_longitude
+].every(value => value !== null && value !== undefined);
+
+// Match a search by place names: the route's start, its stops and its end, in
+// that order, must name the search's start before its end. The route's own
+// start and end carry no stop.
+const matchByName = (route, search) => {
+  const places = [
+    { stop_id: null, name: route.start_location },
+    ...(route.stop_points || []).map(stop => ({ stop_id: stop.id, name: stop.name })),
+    { stop_id: null, name: route.end_location }
+  ];
+
+  const pickupIndex = places.findIndex(place => includesName(place.name, search.start_location));
+  if (pickupIndex === -1) {
+    return null;
+  }
+
+  const dropoffIndex = places.findIndex(
+    (place, index) => index > pickupIndex && includesName(place.name, search.end_location)
+  );
+  if (dropoffIndex === -1) {
+    return null;
+  }
+
+  return { pickupStopId: places[pickupIndex].stop_id, dropoffStopId: places[dropoffIndex].stop_id };
+};
+
+// Where a search would board and leave a trip's route, or null when the route
+// does not take it from its start to its end. Coordinates are matched against
+// the route's geometry, as for trip matching; otherwise names are compared.
+const matchSearchRoute = (route, search) => {
+  if (hasCoordinates(search)) {
+    const match = matchRoute(
+      route,
+      { latitude: parseFloat(search.start_latitude), longitude: parseFloat(search.start_longitude) },
+      { latitude: parseFloat(search.end_latitude), longitude: parseFloat(search.end_longitude) },
+      parseFloat(search.radius_km) || MATCH_WALK_RADIUS_KM
+    );
+
+    return match
+      ? { pickupStopId: match.pickup.stop_id, dropoffStopId: match.dropoff.stop_id, match }
+      : null;
+  }
+
+  if (search.start_location && search.end_location) {
+    return matchByName(route, search);
+  }
+
+  return null;
+};
+
+// Price a search's seat on a trip. A search matched by coordinates is priced
+// for the stretch it rides. Boarding points that do not pin down a stretch of
+// stops, such as a name matching the route's start and its first stop, are
+// priced as the whole route.
+const quoteSearch = (trip, route, { match, ...stops }) => {
+  if (match) {
+    return quoteMatch(trip, route, match, stops.seats);
+  }
+
+  try {
+    return calculateFare(trip, route, stops);
+  } catch (error) {
+    if (error.code === 'INVALID_STOPS') {
+      return calculateFare(trip, route);
+    }
+    throw error;
+  }
+};
+
+// Saved searches a trip matches, each with the quote for its seat
+const findMatchingSearches = async (trip, route) => {
+  const searches = await SavedSearch.findCandidatesForTrip(trip);
+  const matches = [];
+
+  for (const search of searches) {
+    const stops = matchSearchRoute(route, search);
+    if (!stops) {
+      continue;
+    }
+
+    const quote = quoteSearch(trip, route, { ...stops, seats: search.requested_seats });
+    if (search.max_price !== null && quote.fare_per_seat > parseFloat(search.max_price)) {
+      continue;
+    }
+
+    matches.push({ search, quote });
+  }
+
+  return matches;
+};
+
+// Alert the owners of saved searches that newly created trips match. Each
+// trip is recorded against every search it matches, and each search's owner
+// gets one `saved_search_match` event listing the trips new to that search,
+// along with a notification.
+// Returns the alerts that were sent.
+const alertSavedSearches = async (trips) => {
+  const routes = new Map();
+  const alerts = new Map();
+
+  for (const trip of trips) {
+    if (!routes.has(trip.route_id)) {
+      routes.set(trip.route_id, await Route.findById(trip.route_id, true));
+    }
+    const route = routes.get(trip.route_id);
+    if (!route) {
+      continue;
+    }
+
+    const matches = await findMatchingSearches(trip, route);
+    for (const { search, quote } of matches) {
+      if (!(await search.recordMatch(trip.id, quote.fare_per_seat))) {
+        continue;
+      }
+
+      if (!alerts.has(search.id)) {
+        alerts.set(search.id, { search: search.toJSON(), trips: [] });
+      }
+      alerts.get(search.id).trips.push({
+        trip: await trip.toJSON(),
+        route: {
+          id: route.id,
+          name: route.name,
+          start_location: route.start_location,
+          end_location: route.end_location
+        },
+        quote
+      });
+    }
+  }
+
+  for (const alert of alerts.values()) {
+    emitToUser(alert.search.user_id, 'saved_search_match', alert);
+
+    const [first] = alert.trips;
+    await notify(alert.search.user_id, 'saved_search_match', {
+      title: alert.trips.length === 1
+        ? `New trip matches ${alert.search.name || 'your saved search'}`
+        : `${alert.trips.length} new trips match ${alert.search.name || 'your saved search'}`,
+      body: `${first.route.start_location} to ${first.route.end_location}, from ${first.quote.fare_per_seat} ${first.quote.currency || ''}`.trim(),
+      data: { search_id: alert.search.id, trip_ids: alert.trips.map(match => match.trip.id) }
+    });
+  }
+
+  return [...alerts.values()];
+};
+
+module.exports = {
+  alertSavedSearches
+};
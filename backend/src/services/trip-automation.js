@@ -0,0 +1,98 @@
+const Trip = require('../models/Trip');
+const TripRequest = require('../models/TripRequest');
+const { notifyRequestStatus, notifyDepartureReminder } = require('./trip-notifications');
+
+// Minutes before departure the driver and passengers are reminded, e.g. "60,15"
+const TRIP_REMINDER_OFFSETS_MINUTES = (process.env.TRIP_REMINDER_OFFSETS_MINUTES || '60,15')
+  .split(',')
+  .map(offset => parseInt(offset))
+  .filter(offset => offset > 0)
+  .sort((a, b) => a - b);
+
+// How long after its arrival time a trip is closed automatically
+const TRIP_AUTO_CLOSE_GRACE_MINUTES = parseInt(process.env.TRIP_AUTO_CLOSE_GRACE_MINUTES) || 60;
+
+// Send the departure reminders that are due. A trip gets the reminder for the
+// closest offset it is within; when it was posted too late for the earlier
+// offsets, those are skipped rather than all sent at once.
+const sendDepartureReminders = async () => {
+  if (TRIP_REMINDER_OFFSETS_MINUTES.length === 0) {
+    return 0;
+  }
+
+  const largestOffset = TRIP_REMINDER_OFFSETS_MINUTES[TRIP_REMINDER_OFFSETS_MINUTES.length - 1];
+  const trips = await Trip.findDepartingWithin(largestOffset);
+  let sent = 0;
+
+  for (const trip of trips) {
+    const minutesLeft = Math.ceil((new Date(trip.departure_time) - Date.now()) / (60 * 1000));
+    const dueOffsets = TRIP_REMINDER_OFFSETS_MINUTES.filter(offset => minutesLeft <= offset);
+
+    if (dueOffsets.length === 0) {
+      continue;
+    }
+
+    const recorded = await trip.recordReminders(dueOffsets);
+    if (!recorded.includes(dueOffsets[0])) {
+      continue;
+    }
+
+    const passengers = await trip.getPassengers();
+    await notifyDepartureReminder(
+      trip,
+      [trip.driver_id, ...passengers.map(passenger => passenger.id)],
+      minutesLeft
+    );
+    sent += 1;
+  }
+
+  return sent;
+};
+
+// Close trips that should have arrived a grace period ago: active trips are
+// completed, and trips the driver never started are expired
+const closeStaleTrips = async () => {
+  const trips = await Trip.findPastArrival(TRIP_AUTO_CLOSE_GRACE_MINUTES);
+  let closed = 0;
+
+  for (const trip of trips) {
+    try {
+      if (trip.trip_status === 'active') {
+        await trip.complete({ actorType: 'system', reason: 'Arrival time passed' });
+      } else {
+        await trip.expire({ actorType: 'system', reason: 'Trip was never started' });
+      }
+      closed += 1;
+    } catch (error) {
+      // The driver changed the status in the meantime
+      if (error.code === 'INVALID_TRANSITION') {
+        continue;
+      }
+      console.error(`Could not close stale trip ${trip.id}:`, error.message);
+    }
+  }
+
+  return closed;
+};
+
+// Expire the requests still waiting for a seat on trips that have departed,
+// and tell their passengers
+const expireDepartedRequests = async () => {
+  const requests = await TripRequest.expireDeparted();
+  const trips = new Map();
+
+  for (const request of requests) {
+    if (!trips.has(request.trip_id)) {
+      trips.set(request.trip_id, await Trip.findById(request.trip_id));
+    }
+    await notifyRequestStatus(trips.get(request.trip_id), request);
+  }
+
+  return requests.length;
+};
+
+module.exports = {
+  sendDepartureReminders,
+  closeStaleTrips,
+  expireDepartedRequests
+};
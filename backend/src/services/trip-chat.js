@@ -0,0 +1,57 @@
+const ChatRoom = require('../models/ChatRoom');
+const { removeUsersFromRoom } = require('../socket/io');
+
+// Bring a trip's private chat room in line with its bookings: the driver and
+// every approved passenger are members, anyone else loses access.
+const syncTripChatRoom = async (tripId) => {
+  const Trip = require('../models/Trip');
+  const trip = await Trip.findById(tripId);
+
+  // Finished trips keep their room closed
+  if (!trip || ['completed', 'cancelled', 'expired'].includes(trip.trip_status)) {
+    return null;
+  }
+
+  const passengers = await trip.getPassengers();
+  let room = await ChatRoom.findByTrip(trip.id);
+
+  // The room is only created once the first passenger is approved
+  if (!room && passengers.length === 0) {
+    return null;
+  }
+
+  if (!room) {
+    room = await ChatRoom.upsertTripRoom(trip);
+  }
+
+  const memberIds = [trip.driver_id, ...passengers.map(passenger => passenger.id)];
+
+  await room.addMember(trip.driver_id, 'owner');
+  for (const passenger of passengers) {
+    await room.addMember(passenger.id);
+  }
+
+  const removedUserIds = await ChatRoom.removeMembersExcept(room.id, memberIds);
+  await removeUsersFromRoom(room.id, removedUserIds);
+
+  return await ChatRoom.findById(room.id);
+};
+
+// Close a trip's chat room once the trip is over and disconnect its members.
+// Memberships and messages are kept.
+const closeTripChatRoom = async (tripId) => {
+  const room = await ChatRoom.findByTrip(tripId);
+
+  if (!room) {
+    return;
+  }
+
+  const members = await room.getMembers();
+  await ChatRoom.deactivate(room.id);
+  await removeUsersFromRoom(room.id, members.map(member => member.id));
+};
+
+module.exports = {
+  syncTripChatRoom,
+  closeTripChatRoom
+};
@@ -0,0 +1,154 @@
+const { emitToUser } = require('../socket/io');
+const { toPoint, cumulativeDistances, locateAlongStops } = require('../utils/geo');
+
+// Minimum change (in minutes) before a new ETA is pushed to a passenger
+const ETA_UPDATE_THRESHOLD_MINUTES = parseFloat(process.env.ETA_UPDATE_THRESHOLD_MINUTES) || 2;
+
+// Used when a route has no estimated duration
+const DEFAULT_AVERAGE_SPEED_KMH = 30;
+
+// A stop counts as passed once the driver is this far beyond it along the route
+const PASSED_TOLERANCE_KM = 0.05;
+
+// Last ETA pushed per `${tripId}:${passengerId}`, so unchanged ETAs are not re-sent
+const lastSentEtas = new Map();
+
+// Pace along the route, from its estimated duration over the length of its stop list
+const getMinutesPerKm = (route, totalKm) => {
+  const durationMinutes = parseFloat(route.estimated_duration_minutes);
+
+  if (totalKm > 0 && durationMinutes > 0) {
+    return durationMinutes / totalKm;
+  }
+
+  return 60 / DEFAULT_AVERAGE_SPEED_KMH;
+};
+
+// Work out the ETA to every stop of a route from the driver's position
+const computeStopEtas = (route, stops, position, computedAt = new Date()) => {
+  const located = locateAlongStops(stops, position);
+
+  if (!located) {
+    return null;
+  }
+
+  const distances = cumulativeDistances(stops);
+  const minutesPerKm = getMinutesPerKm(route, distances[distances.length - 1]);
+  const etas = new Map();
+
+  stops.forEach((stop, index) => {
+    const point = toPoint(stop);
+    const alongKm = distances[index] - located.distanceAlongKm;
+    const passed = alongKm < -PASSED_TOLERANCE_KM;
+
+    // A driver off the stop line first has to get back onto it
+    const remainingKm = passed ? 0 : Math.max(alongKm, 0) + located.offRouteKm;
+    const etaMinutes = passed ? 0 : Math.round(remainingKm * minutesPerKm * 10) / 10;
+
+    etas.set(stop.id, {
+      stop_id: stop.id,
+      stop_name: stop.name,
+      location: { lat: point.latitude, lng: point.longitude },
+      distance_km: Math.round(remainingKm * 100) / 100,
+      eta_minutes: etaMinutes,
+      estimated_arrival: passed
+        ? null
+        : new Date(computedAt.getTime() + etaMinutes * 60000).toISOString(),
+      passed
+    });
+  });
+
+  return etas;
+};
+
+// Pickup and dropoff ETA for one passenger. Without a chosen stop the passenger
+// is assumed to board at the first stop and leave at the last one.
+const buildPassengerEta = (tripId, passenger, stops, stopEtas, computedAt) => ({
+  trip_id: tripId,
+  passenger_id: passenger.id,
+  pickup: stopEtas.get(passenger.pickup_stop_id || stops[0].id) || null,
+  dropoff: stopEtas.get(passenger.dropoff_stop_id || stops[stops.length - 1].id) || null,
+  computed_at: computedAt.toISOString()
+});
+
+const hasChanged = (previous, current) => {
+  if (!previous || !current) {
+    return previous !== current;
+  }
+
+  return previous.passed !== current.passed ||
+    Math.abs(previous.eta_minutes - current.eta_minutes) > ETA_UPDATE_THRESHOLD_MINUTES;
+};
+
+// Load the route and its ordered stops for a trip
+const loadRoute = async (trip) => {
+  const route = await trip.getRoute();
+
+  if (!route || !route.stop_points || route.stop_points.length < 2) {
+    return null;
+  }
+
+  return route;
+};
+
+// Recompute every passenger's ETA after a new driver position and push the
+// ones that moved by more than the threshold as `trip_eta_update`
+const updatePassengerEtas = async (trip, tripLocation, passengers) => {
+  const route = await loadRoute(trip);
+
+  if (!route) {
+    return;
+  }
+
+  const computedAt = new Date();
+  const stops = route.stop_points;
+  const stopEtas = computeStopEtas(route, stops, tripLocation, computedAt);
+
+  for (const passenger of passengers) {
+    const key = `${trip.id}:${passenger.id}`;
+    const eta = buildPassengerEta(trip.id, passenger, stops, stopEtas, computedAt);
+    const previous = lastSentEtas.get(key);
+
+    if (!previous ||
+        hasChanged(previous.pickup, eta.pickup) ||
+        hasChanged(previous.dropoff, eta.dropoff)) {
+      lastSentEtas.set(key, eta);
+      emitToUser(passenger.id, 'trip_eta_update', eta);
+    }
+  }
+};
+
+// ETA for a single passenger from the trip's latest known position
+const getPassengerEta = async (trip, tripLocation, userId) => {
+  if (!tripLocation) {
+    return null;
+  }
+
+  const passengers = await trip.getPassengers();
+  const passenger = passengers.find(p => p.id === userId);
+  const route = passenger ? await loadRoute(trip) : null;
+
+  if (!route) {
+    return null;
+  }
+
+  const stopEtas = computeStopEtas(route, route.stop_points, tripLocation);
+  return buildPassengerEta(trip.id, passenger, route.stop_points, stopEtas, new Date());
+};
+
+// Forget the pushed ETAs of a trip once it is no longer running
+const clearTripEtas = (tripId) => {
+  for (const key of lastSentEtas.keys()) {
+    if (key.startsWith(`${tripId}:`)) {
+      lastSentEtas.delete(key);
+    }
+  }
+};
+
+module.exports = {
+  getMinutesPerKm,
+  computeStopEtas,
+  updatePassengerEtas,
+  getPassengerEta,
+  clearTripEtas
+};
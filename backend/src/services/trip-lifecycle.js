@@ -0,0 +1,212 @@
+const { getClient } = require('../config/database');
+const { closeTripChatRoom } = require('./trip-chat');
+const { clearTripEtas } = require('./trip-eta');
+const { recordTripCancellation, recordNoShows, warnUsers } = require('./reliability');
+const {
+  notifyTripCancelled, notifyTripStartingSoon, notifyTripRatingRequested
+} = require('./trip-notifications');
+
+// Legal trip status changes and who may make each one. Completed, cancelled
+// and expired trips are final. `system` covers background jobs and cascades,
+// such as expiring trips that were never started.
+const TRIP_TRANSITIONS = {
+  scheduled: {
+    active: ['driver', 'admin'],
+    cancelled: ['driver', 'admin', 'system'],
+    expired: ['system']
+  },
+  active: {
+    completed: ['driver', 'admin', 'system'],
+    cancelled: ['driver', 'admin']
+  },
+  completed: {},
+  cancelled: {},
+  expired: {}
+};
+
+// Statuses a trip never leaves
+const FINAL_TRIP_STATUSES = ['completed', 'cancelled', 'expired'];
+
+const ACTOR_TYPES = ['driver', 'admin', 'system'];
+
+const transitionError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Check whether a trip may move from one status to another, optionally as a
+// given kind of actor
+const canTransition = (fromStatus, toStatus, actorType = null) => {
+  const allowedActors = TRIP_TRANSITIONS[fromStatus]?.[toStatus];
+
+  if (!allowedActors) {
+    return false;
+  }
+
+  return !actorType || allowedActors.includes(actorType);
+};
+
+// Move a trip to a new status and record the change in its history. The
+// status is only changed if the trip is still in the status it was loaded
+// with, so two concurrent changes cannot both apply. Cancelling a trip also
+// cancels its open requests and notifies their passengers; starting it
+// notifies the approved passengers, and completing it asks everyone on it to
+// rate each other. Trips in a final status lose their chat room.
+//
+// Completing a trip can mark approved passengers who never turned up as
+// no-shows (`noShowPassengerIds`). A driver cancelling a trip with passengers
+// shortly before departure is recorded as a late cancellation. Both count
+// against reliability (see services/reliability).
+//
+// Throws with `error.code` set to 'INVALID_TRANSITION' when the change is not
+// allowed from the trip's status, 'TRANSITION_FORBIDDEN' when the actor may
+// not make it, or 'INVALID_NO_SHOWS' when the no-shows are not approved
+// passengers of a trip being completed.
+const transitionTrip = async (trip, toStatus, {
+  actorId = null, actorType = 'system', reason = null, noShowPassengerIds = []
+} = {}) => {
+  const fromStatus = trip.trip_status;
+  const noShowIds = [...new Set(noShowPassengerIds)];
+
+  if (!ACTOR_TYPES.includes(actorType)) {
+    throw new Error('Invalid actor type');
+  }
+
+  if (noShowIds.length > 0 && toStatus !== 'completed') {
+    throw transitionError('No-shows can only be marked when completing a trip', 'INVALID_NO_SHOWS');
+  }
+
+  if (!canTransition(fromStatus, toStatus)) {
+    throw transitionError(`Cannot change a ${fromStatus} trip to ${toStatus}`, 'INVALID_TRANSITION');
+  }
+
+  if (!canTransition(fromStatus, toStatus, actorType)) {
+    throw transitionError(`A ${actorType} cannot change a ${fromStatus} trip to ${toStatus}`, 'TRANSITION_FORBIDDEN');
+  }
+
+  const client = await getClient();
+  let tripRow;
+  let cancelledPassengerIds = [];
+  let approvedPassengerCount = 0;
+
+  try {
+    await client.query('BEGIN');
+
+    const updateResult = await client.query(
+      `UPDATE trips SET trip_status = $1
+       WHERE id = $2 AND trip_status = $3
+       RETURNING *`,
+      [toStatus, trip.id, fromStatus]
+    );
+
+    if (updateResult.rows.length === 0) {
+      throw transitionError('Trip status has changed since it was loaded', 'INVALID_TRANSITION');
+    }
+
+    tripRow = updateResult.rows[0];
+
+    await client.query(
+      `INSERT INTO trip_status_history (trip_id, from_status, to_status, actor_id, actor_type, reason)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [trip.id, fromStatus, toStatus, actorId, actorType, reason]
+    );
+
+    if (toStatus === 'cancelled') {
+      const approvedResult = await client.query(
+        `SELECT COUNT(*) as count FROM trip_requests
+         WHERE trip_id = $1 AND request_status = 'approved'`,
+        [trip.id]
+      );
+      approvedPassengerCount = parseInt(approvedResult.rows[0].count);
+
+      const cancelledResult = await client.query(
+        `UPDATE trip_requests SET request_status = 'cancelled'
+         WHERE trip_id = $1 AND request_status IN ('pending', 'approved', 'waitlisted')
+         RETURNING passenger_id`,
+        [trip.id]
+      );
+      cancelledPassengerIds = cancelledResult.rows.map(row => row.passenger_id);
+    }
+
+    if (noShowIds.length > 0) {
+      const noShowResult = await client.query(
+        `UPDATE trip_requests SET request_status = 'no_show'
+         WHERE trip_id = $1 AND passenger_id = ANY($2) AND request_status = 'approved'
+         RETURNING id, passenger_id`,
+        [trip.id, noShowIds]
+      );
+
+      if (noShowResult.rows.length !== noShowIds.length) {
+        throw transitionError('No-shows must be approved passengers of this trip', 'INVALID_NO_SHOWS');
+      }
+
+      await recordNoShows(client, trip, noShowResult.rows, actorId);
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  const Trip = require('../models/Trip');
+  Object.assign(trip, new Trip(tripRow));
+
+  if (toStatus === 'cancelled') {
+    await notifyTripCancelled(trip, cancelledPassengerIds, reason);
+
+    if (actorId === trip.driver_id) {
+      try {
+        await recordTripCancellation(trip, approvedPassengerCount);
+      } catch (reliabilityError) {
+        console.warn('Could not record late cancellation:', reliabilityError.message);
+      }
+    }
+  }
+
+  if (noShowIds.length > 0) {
+    try {
+      await warnUsers(noShowIds);
+    } catch (reliabilityError) {
+      console.warn('Could not send reliability warnings:', reliabilityError.message);
+    }
+  }
+
+  if (toStatus === 'active') {
+    const passengers = await trip.getPassengers();
+    await notifyTripStartingSoon(
+      trip,
+      passengers.map(passenger => passenger.id),
+      'Your driver has started the trip'
+    );
+  }
+
+  if (toStatus === 'completed') {
+    const passengers = await trip.getPassengers();
+    if (passengers.length > 0) {
+      await notifyTripRatingRequested(trip, [trip.driver_id, ...passengers.map(passenger => passenger.id)]);
+    }
+  }
+
+  if (FINAL_TRIP_STATUSES.includes(toStatus)) {
+    clearTripEtas(trip.id);
+
+    try {
+      await closeTripChatRoom(trip.id);
+    } catch (chatError) {
+      console.warn('Could not close trip chat room:', chatError.message);
+    }
+  }
+
+  return trip;
+};
+
+module.exports = {
+  TRIP_TRANSITIONS,
+  FINAL_TRIP_STATUSES,
+  canTransition,
+  transitionTrip
+};
@@ -0,0 +1,215 @@
+const Trip = require('../models/Trip');
+const Route = require('../models/Route');
+const { haversineKm, interpolatePoint, toPoint, cumulativeDistances, locateAlongStops } = require('../utils/geo');
+const { getMinutesPerKm } = require('./trip-eta');
+const { calculateFareAlongRoute } = require('./trip-pricing');
+
+// How far a passenger is expected to walk to a pickup point or from a dropoff point
+const MATCH_WALK_RADIUS_KM = parseFloat(process.env.MATCH_WALK_RADIUS_KM) || 1;
+
+// Matches are ranked by a score in minutes of the passenger's time: walking
+// at about 5 km/h, riding the extra distance at about 30 km/h, and the
+// difference from the time they asked for at face value
+const WALK_MINUTES_PER_KM = 12;
+const DETOUR_MINUTES_PER_KM = 2;
+
+const roundKm = (km) => Math.round(km * 100) / 100;
+
+// The line a trip follows: its route's stops in order, or the route's start
+// and end points when it has fewer than two stops
+const getRoutePath = (route) => {
+  if (route.stop_points && route.stop_points.length >= 2) {
+    return route.stop_points;
+  }
+
+  const endpoints = [route.start_latitude, route.start_longitude, route.end_latitude, route.end_longitude];
+  if (endpoints.some(value => value === null || value === undefined)) {
+    return null;
+  }
+
+  return [
+    { id: null, name: route.start_location, latitude: route.start_latitude, longitude: route.start_longitude },
+    { id: null, name: route.end_location, latitude: route.end_latitude, longitude: route.end_longitude }
+  ];
+};
+
+// Places along the path a passenger at `point` could board or leave from.
+// Stops within walking distance come first; only when there are none does the
+// passenger meet the driver at the nearest point of the route itself.
+const findBoardingOptions = (path, distances, point, radiusKm) => {
+  const stopOptions = path
+    .map((stop, index) => ({
+      stop_id: stop.id,
+      stop_name: stop.name,
+      location: toPoint(stop),
+      walk_km: haversineKm(point, toPoint(stop)),
+      along_km: distances[index]
+    }))
+    .filter(option => option.stop_id && option.walk_km <= radiusKm);
+
+  if (stopOptions.length > 0) {
+    return stopOptions;
+  }
+
+  const located = locateAlongStops(path, point);
+  if (!located || located.offRouteKm > radiusKm) {
+    return [];
+  }
+
+  return [{
+    stop_id: null,
+    stop_name: null,
+    location: interpolatePoint(
+      toPoint(path[located.legIndex]),
+      toPoint(path[located.legIndex + 1]),
+      located.fraction
+    ),
+    walk_km: located.offRouteKm,
+    along_km: located.distanceAlongKm
+  }];
+};
+
+// Best way to ride a trip from origin to destination: the pickup and dropoff
+// with the least walking where the dropoff comes after the pickup along the
+// route. Returns null when the trip does not pass near both points in that order.
+const matchRoute = (route, origin, destination, radiusKm) => {
+  const path = getRoutePath(route);
+  if (!path) {
+    return null;
+  }
+
+  const distances = cumulativeDistances(path);
+  const pickups = findBoardingOptions(path, distances, origin, radiusKm);
+  const dropoffs = findBoardingOptions(path, distances, destination, radiusKm);
+
+  let best = null;
+  for (const pickup of pickups) {
+    for (const dropoff of dropoffs) {
+      if (dropoff.along_km <= pickup.along_km) {
+        continue;
+      }
+
+      const walkKm = pickup.walk_km + dropoff.walk_km;
+      if (!best || walkKm < best.walkKm) {
+        best = { pickup, dropoff, walkKm };
+      }
+    }
+  }
+
+  if (!best) {
+    return null;
+  }
+
+  return {
+    ...best,
+    rideKm: best.dropoff.along_km - best.pickup.along_km,
+    routeKm: distances[distances.length - 1],
+    minutesPerKm: getMinutesPerKm(route, distances[distances.length - 1])
+  };
+};
+
+// Quote a matched ride for the stretch of the route it covers, which may begin
+// or end between stops
+const quoteMatch = (trip, route, match, seats = 1) => calculateFareAlongRoute(trip, route, {
+  share: match.routeKm > 0 ? match.rideKm / match.routeKm : 1,
+  rideKm: match.rideKm,
+  pickupStopId: match.pickup.stop_id,
+  dropoffStopId: match.dropoff.stop_id,
+  seats
+});
+
+const formatBoarding = (option, estimatedTime) => ({
+  stop_id: option.stop_id,
+  stop_name: option.stop_name,
+  location: { lat: option.location.latitude, lng: option.location.longitude },
+  walk_km: roundKm(option.walk_km),
+  estimated_time: estimatedTime.toISOString()
+});
+
+// Find trips a passenger can take from `origin` to `destination` ({ latitude,
+// longitude }) with a pickup within `windowMinutes` of `departureTime`.
+// A trip matches when its route's stops, or its line, pass within
+// `walkRadiusKm` of both points with the destination further along the route,
+// and it has the seats free on that stretch. Matches are ranked by detour,
+// walking distance and time difference, best first.
+const findMatchingTrips = async ({
+  origin, destination, departureTime, windowMinutes = 60,
+  walkRadiusKm = MATCH_WALK_RADIUS_KM, seats = 1, excludeDriverId = null, limit = 20
+}) => {
+  const windowStart = new Date(departureTime.getTime() - windowMinutes * 60000);
+  const windowEnd = new Date(departureTime.getTime() + windowMinutes * 60000);
+  const directKm = haversineKm(origin, destination);
+
+  const trips = await Trip.findScheduledBetween(windowStart, windowEnd);
+  const routes = new Map();
+  const matches = [];
+
+  for (const trip of trips) {
+    if (trip.driver_id === excludeDriverId || trip.available_seats < seats) {
+      continue;
+    }
+
+    if (!routes.has(trip.route_id)) {
+      routes.set(trip.route_id, await Route.findById(trip.route_id, true));
+    }
+    const route = routes.get(trip.route_id);
+    if (!route) {
+      continue;
+    }
+
+    const match = matchRoute(route, origin, destination, walkRadiusKm);
+    if (!match) {
+      continue;
+    }
+
+    const departure = new Date(trip.departure_time);
+    const pickupTime = new Date(departure.getTime() + match.pickup.along_km * match.minutesPerKm * 60000);
+    const dropoffTime = new Date(departure.getTime() + match.dropoff.along_km * match.minutesPerKm * 60000);
+
+    if (pickupTime < windowStart || pickupTime > windowEnd) {
+      continue;
+    }
+
+    const pickupStopId = match.pickup.stop_id;
+    const dropoffStopId = match.dropoff.stop_id;
+    const remainingSeats = await trip.getRemainingSeats(pickupStopId, dropoffStopId);
+    if (remainingSeats < seats) {
+      continue;
+    }
+
+    const detourKm = Math.max(match.walkKm + match.rideKm - directKm, 0);
+    const timeDifferenceMinutes = Math.abs(pickupTime - departureTime) / 60000;
+    const score = detourKm * DETOUR_MINUTES_PER_KM +
+      match.walkKm * WALK_MINUTES_PER_KM +
+      timeDifferenceMinutes;
+
+    matches.push({
+      trip: await trip.toJSON(),
+      route: {
+        id: route.id,
+        name: route.name,
+        start_location: route.start_location,
+        end_location: route.end_location
+      },
+      pickup: formatBoarding(match.pickup, pickupTime),
+      dropoff: formatBoarding(match.dropoff, dropoffTime),
+      ride_km: roundKm(match.rideKm),
+      walk_km: roundKm(match.walkKm),
+      detour_km: roundKm(detourKm),
+      time_difference_minutes: Math.round(timeDifferenceMinutes),
+      remaining_seats: remainingSeats,
+      quote: quoteMatch(trip, route, match, seats),
+      score: Math.round(score * 10) / 10
+    });
+  }
+
+  matches.sort((a, b) => a.score - b.score);
+  return matches.slice(0, limit);
+};
+
+module.exports = {
+  MATCH_WALK_RADIUS_KM,
+  matchRoute,
+  quoteMatch,
+  findMatchingTrips
+};
@@ -0,0 +1,94 @@
+const { notify, notifyMany } = require('./notifications');
+
+const seatsText = (seats) => `${seats} seat${seats === 1 ? '' : 's'}`;
+
+const requestData = (trip, request) => ({ trip_id: trip.id, request_id: request.id });
+
+// Tell the driver a passenger asked for seats, or joined the waitlist
+const notifyRequestCreated = async (trip, request, passengerName) => {
+  const waitlisted = request.request_status === 'waitlisted';
+
+  return await notify(trip.driver_id, 'trip_request_created', {
+    title: waitlisted ? `New waitlisted request for ${trip.title}` : `New request for ${trip.title}`,
+    body: `${passengerName} asked for ${seatsText(request.requested_seats)}`,
+    data: requestData(trip, request)
+  });
+};
+
+// Tell the passenger their request was approved, rejected or expired with the
+// trip's departure, or the driver that the passenger cancelled it
+const notifyRequestStatus = async (trip, request, driverMessage = null) => {
+  switch (request.request_status) {
+    case 'approved':
+      return await notify(request.passenger_id, 'trip_request_approved', {
+        title: `Your request for ${trip.title} was approved`,
+        body: driverMessage,
+        data: requestData(trip, request)
+      });
+    case 'rejected':
+      return await notify(request.passenger_id, 'trip_request_rejected', {
+        title: `Your request for ${trip.title} was declined`,
+        body: driverMessage,
+        data: requestData(trip, request)
+      });
+    case 'expired':
+      return await notify(request.passenger_id, 'trip_request_expired', {
+        title: `Your request for ${trip.title} expired`,
+        body: null,
+        data: requestData(trip, request)
+      });
+    case 'cancelled':
+      return await notify(trip.driver_id, 'trip_request_cancelled', {
+        title: `A passenger cancelled their request for ${trip.title}`,
+        body: `${seatsText(request.requested_seats)} released`,
+        data: requestData(trip, request)
+      });
+    default:
+      return null;
+  }
+};
+
+// Tell passengers whose requests were cancelled with the trip
+const notifyTripCancelled = async (trip, passengerIds, reason = null) => {
+  return await notifyMany(passengerIds, 'trip_cancelled', {
+    title: `${trip.title} was cancelled`,
+    body: reason,
+    data: { trip_id: trip.id }
+  });
+};
+
+// Tell approved passengers their trip is about to reach them
+const notifyTripStartingSoon = async (trip, passengerIds, body = null) => {
+  return await notifyMany(passengerIds, 'trip_starting_soon', {
+    title: `${trip.title} is starting soon`,
+    body,
+    data: { trip_id: trip.id, departure_time: trip.departure_time }
+  });
+};
+
+// Remind the driver and approved passengers that the trip leaves soon
+const notifyDepartureReminder = async (trip, userIds, minutesLeft) => {
+  return await notifyMany(userIds, 'trip_departure_reminder', {
+    title: `${trip.title} departs in ${minutesLeft} minute${minutesLeft === 1 ? '' : 's'}`,
+    body: null,
+    data: { trip_id: trip.id, departure_time: trip.departure_time }
+  });
+};
+
+// Ask the driver and approved passengers of a completed trip to rate each other
+const notifyTripRatingRequested = async (trip, userIds) => {
+  return await notifyMany(userIds, 'trip_rating_requested', {
+    title: `How was ${trip.title}?`,
+    body: 'Rate the people you travelled with',
+    data: { trip_id: trip.id }
+  });
+};
+
+module.exports = {
+  notifyRequestCreated,
+  notifyRequestStatus,
+  notifyTripCancelled,
+  notifyTripStartingSoon,
+  notifyDepartureReminder,
+  notifyTripRatingRequested
+};
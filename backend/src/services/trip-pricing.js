@@ -0,0 +1,173 @@
+const { query } = require('../config/database');
+const { cumulativeDistances } = require('../utils/geo');
+
+// How a trip charges for a seat:
+// - flat: `price_per_seat` whatever the segment
+// - per_km: `price_per_km` for each kilometre between pickup and dropoff
+// - segment: `price_per_seat` scaled by the share of the route that is ridden
+// A `minimum_fare` per seat applies in every mode.
+const PRICING_MODES = ['flat', 'per_km', 'segment'];
+
+// Trip and series fields that change what a seat costs
+const PRICING_FIELDS = ['price_per_seat', 'pricing_mode', 'price_per_km', 'minimum_fare'];
+
+const pricingError = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_STOPS';
+  return error;
+};
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Work out the part of the route between the pickup and dropoff stops, which
+// default to the first and last stop. The straight-line distances between
+// stops give each leg's share of the route; when the route has a recorded
+// distance, that share of it is used as the segment length.
+const measureSegment = (route, stops, pickupStopId, dropoffStopId) => {
+  const routeDistanceKm = parseFloat(route?.distance_km) || null;
+
+  if (stops.length < 2) {
+    if (pickupStopId || dropoffStopId) {
+      throw pricingError('This route has no stops to choose from');
+    }
+    return { distanceKm: routeDistanceKm, share: 1 };
+  }
+
+  const pickupIndex = pickupStopId
+    ? stops.findIndex(stop => stop.id === parseInt(pickupStopId))
+    : 0;
+  const dropoffIndex = dropoffStopId
+    ? stops.findIndex(stop => stop.id === parseInt(dropoffStopId))
+    : stops.length - 1;
+
+  if (pickupIndex === -1 || dropoffIndex === -1) {
+    throw pricingError('Pickup and dropoff must be stops on the trip route');
+  }
+
+  if (pickupIndex >= dropoffIndex) {
+    throw pricingError('Dropoff stop must come after the pickup stop');
+  }
+
+  const distances = cumulativeDistances(stops);
+  const stopsDistanceKm = distances[distances.length - 1];
+  const share = stopsDistanceKm > 0
+    ? (distances[dropoffIndex] - distances[pickupIndex]) / stopsDistanceKm
+    : 1;
+
+  return {
+    distanceKm: routeDistanceKm !== null
+      ? routeDistanceKm * share
+      : distances[dropoffIndex] - distances[pickupIndex],
+    share
+  };
+};
+
+// Price `seats` on a stretch of a trip `distanceKm` long covering `share` of its route
+const priceSegment = (trip, { distanceKm, share }, { pickupStopId, dropoffStopId, seats }) => {
+  const pricePerSeat = parseFloat(trip.price_per_seat) || 0;
+  const pricePerKm = parseFloat(trip.price_per_km) || 0;
+  const minimumFare = parseFloat(trip.minimum_fare) || 0;
+
+  let farePerSeat;
+  switch (trip.pricing_mode) {
+    case 'per_km':
+      // Without a distance there is nothing to multiply, so charge the seat price
+      farePerSeat = distanceKm !== null ? pricePerKm * distanceKm : pricePerSeat;
+      break;
+    case 'segment':
+      farePerSeat = pricePerSeat * share;
+      break;
+    default:
+      farePerSeat = pricePerSeat;
+  }
+
+  farePerSeat = roundMoney(Math.max(farePerSeat, minimumFare));
+
+  return {
+    pricing_mode: trip.pricing_mode || 'flat',
+    pickup_stop_id: pickupStopId ? parseInt(pickupStopId) : null,
+    dropoff_stop_id: dropoffStopId ? parseInt(dropoffStopId) : null,
+    distance_km: distanceKm !== null ? roundMoney(distanceKm) : null,
+    fare_per_seat: farePerSeat,
+    requested_seats: seats,
+    total_price: roundMoney(farePerSeat * seats),
+    currency: trip.currency
+  };
+};
+
+// Price a booking on a trip given its route (with `stop_points` in stop
+// order). Throws with `error.code` 'INVALID_STOPS' when the stops do not fit
+// the route.
+const calculateFare = (trip, route, { pickupStopId = null, dropoffStopId = null, seats = 1 } = {}) => {
+  const stops = route?.stop_points || [];
+  const segment = measureSegment(route, stops, pickupStopId, dropoffStopId);
+  return priceSegment(trip, segment, { pickupStopId, dropoffStopId, seats });
+};
+
+// Price a ride that may board or leave between stops, given the `share` of the
+// route's length it covers and its straight-line length `rideKm`. As with
+// stops, the route's recorded distance is used for the length when it has one.
+const calculateFareAlongRoute = (trip, route, {
+  share, rideKm, pickupStopId = null, dropoffStopId = null, seats = 1
+}) => {
+  const routeDistanceKm = parseFloat(route?.distance_km) || null;
+  const segment = {
+    distanceKm: routeDistanceKm !== null ? routeDistanceKm * share : rideKm,
+    share
+  };
+  return priceSegment(trip, segment, { pickupStopId, dropoffStopId, seats });
+};
+
+// Quote a booking on a trip, loading its route and stops
+const quoteTripPrice = async (trip, options = {}) => {
+  const Route = require('../models/Route');
+  const route = await Route.findById(trip.route_id, true);
+  return calculateFare(trip, route, options);
+};
+
+// Re-price a trip's open requests after its pricing changed. Approved
+// requests keep the price they were approved at.
+const requoteOpenRequests = async (trip) => {
+  const Route = require('../models/Route');
+  const route = await Route.findById(trip.route_id, true);
+
+  const selectQuery = `
+    SELECT id, pickup_stop_id, dropoff_stop_id, requested_seats
+    FROM trip_requests
+    WHERE trip_id = $1
+      AND request_status IN ('pending', 'waitlisted')
+      AND price_locked_at IS NULL
+  `;
+  const result = await query(selectQuery, [trip.id]);
+
+  for (const request of result.rows) {
+    let quote;
+    try {
+      quote = calculateFare(trip, route, {
+        pickupStopId: request.pickup_stop_id,
+        dropoffStopId: request.dropoff_stop_id,
+        seats: request.requested_seats
+      });
+    } catch (error) {
+      // A stop that was removed from the route keeps the request at its old price
+      if (error.code === 'INVALID_STOPS') {
+        continue;
+      }
+      throw error;
+    }
+
+    await query(
+      'UPDATE trip_requests SET total_price = $1 WHERE id = $2 AND price_locked_at IS NULL',
+      [quote.total_price, request.id]
+    );
+  }
+};
+
+module.exports = {
+  PRICING_MODES,
+  PRICING_FIELDS,
+  calculateFare,
+  calculateFareAlongRoute,
+  quoteTripPrice,
+  requoteOpenRequests
+};
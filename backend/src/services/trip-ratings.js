@@ -0,0 +1,75 @@
+const TripRating = require('../models/TripRating');
+const User = require('../models/User');
+const { buildTripRating } = require('../utils/trip-ratings');
+
+const ratingError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const personData = (user, role) => ({
+  id: user.id,
+  username: user.username,
+  first_name: user.first_name,
+  last_name: user.last_name,
+  role
+});
+
+// The people a user shared a trip with, and so may rate: the approved
+// passengers for the driver, the driver for an approved passenger. Returns
+// null when the user was not on the trip.
+const getRatingTargets = async (trip, userId) => {
+  const passengers = await trip.getPassengers();
+
+  if (trip.driver_id === userId) {
+    return passengers.map(passenger => personData(passenger, 'passenger'));
+  }
+
+  if (!passengers.some(passenger => passenger.id === userId)) {
+    return null;
+  }
+
+  const driver = await User.findById(trip.driver_id);
+  return driver ? [personData(driver, 'driver')] : [];
+};
+
+// Rate someone the rater shared a completed trip with. Rating them again
+// replaces the earlier rating.
+//
+// Throws with `error.code` set to 'TRIP_NOT_COMPLETED', 'NOT_TRIP_PARTICIPANT'
+// when the rater was not on the trip, 'NOT_SHARED_TRIP' when the person rated
+// was not, or 'INVALID_RATING' for a bad score, tags or comment.
+const rateTripParticipant = async (trip, raterId, rateeId, body) => {
+  if (trip.trip_status !== 'completed') {
+    throw ratingError('Trips can only be rated once they are completed', 'TRIP_NOT_COMPLETED');
+  }
+
+  const targets = await getRatingTargets(trip, raterId);
+  if (!targets) {
+    throw ratingError('Only the driver and passengers of this trip can rate it', 'NOT_TRIP_PARTICIPANT');
+  }
+
+  const target = targets.find(person => person.id === rateeId);
+  if (!target) {
+    throw ratingError('You can only rate people you shared this trip with', 'NOT_SHARED_TRIP');
+  }
+
+  const { rating, error } = buildTripRating(body, target.role);
+  if (error) {
+    throw ratingError(error, 'INVALID_RATING');
+  }
+
+  return await TripRating.upsert({
+    trip_id: trip.id,
+    rater_id: raterId,
+    ratee_id: rateeId,
+    ratee_role: target.role,
+    ...rating
+  });
+};
+
+module.exports = {
+  getRatingTargets,
+  rateTripParticipant
+};
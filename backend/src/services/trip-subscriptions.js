@@ -0,0 +1,134 @@
+const TripSubscription = require('../models/TripSubscription');
+const { syncTripChatRoom } = require('./trip-chat');
+
+// Reserve a subscription's seat on each of the given occurrences. Occurrences
+// that are full (or otherwise could not take the seat) are reported back
+// rather than failing the whole run. That includes stops that no longer fit
+// the occurrence's route, which cannot be priced.
+const reserveOccurrences = async (subscription, trips) => {
+  const reserved = [];
+  const unreserved = [];
+
+  for (const trip of trips) {
+    let request;
+    try {
+      request = await subscription.reserveSeat(trip.id);
+    } catch (error) {
+      if (error.code !== 'INVALID_STOPS') {
+        throw error;
+      }
+      request = null;
+    }
+
+    if (!request) {
+      unreserved.push({ trip_id: trip.id, series_date: trip.series_date });
+      continue;
+    }
+
+    reserved.push({ trip_id: trip.id, series_date: trip.series_date, request_id: request.id });
+
+    try {
+      await syncTripChatRoom(trip.id);
+    } catch (chatError) {
+      console.warn('Could not sync trip chat room:', chatError.message);
+    }
+  }
+
+  return { reserved, unreserved };
+};
+
+// Approve a subscription and reserve its seats on every upcoming occurrence.
+// Seats are reserved one trip at a time before the status changes, so a
+// failure part way leaves the subscription pending with the seats reserved so
+// far. Approving again keeps those and reserves the rest; rejecting it
+// releases them.
+const approveSubscription = async (subscription) => {
+  const trips = await subscription.getCoveredOccurrences();
+  const reservations = await reserveOccurrences(subscription, trips);
+  await subscription.updateStatus('approved');
+  return reservations;
+};
+
+// Reserve seats for approved subscribers on freshly materialized occurrences
+const reserveNewOccurrences = async (seriesId, newTrips) => {
+  if (newTrips.length === 0) {
+    return;
+  }
+
+  const newTripIds = new Set(newTrips.map(trip => trip.id));
+  const subscriptions = await TripSubscription.findBySeries(seriesId, 'approved');
+
+  // One subscription failing must not keep the others from their seats
+  for (const subscription of subscriptions) {
+    try {
+      const covered = await subscription.getCoveredOccurrences();
+      const { unreserved } = await reserveOccurrences(
+        subscription,
+        covered.filter(trip => newTripIds.has(trip.id))
+      );
+
+      if (unreserved.length > 0) {
+        console.warn(`Subscription ${subscription.id} could not get a seat on trips:`,
+          unreserved.map(entry => entry.trip_id).join(', '));
+      }
+    } catch (error) {
+      console.error(`Could not reserve seats for subscription ${subscription.id}:`, error.message);
+    }
+  }
+};
+
+// Skip one date: the passenger's seat on that occurrence is released and no
+// seat is reserved if the occurrence is created later
+const skipDate = async (subscription, date) => {
+  await subscription.addSkip(date);
+
+  const requests = await subscription.getUpcomingRequests(date);
+  for (const request of requests) {
+    await request.cancel();
+  }
+};
+
+// Undo a skip and try to get the seat back
+const unskipDate = async (subscription, date) => {
+  const wasSkipped = await subscription.removeSkip(date);
+
+  if (!wasSkipped || subscription.subscription_status !== 'approved') {
+    return { reserved: [], unreserved: [] };
+  }
+
+  const trips = await subscription.getCoveredOccurrences();
+  return await reserveOccurrences(
+    subscription,
+    trips.filter(trip => trip.series_date === date)
+  );
+};
+
+// Release a subscription's seats on upcoming trips
+const releaseUpcomingSeats = async (subscription) => {
+  const requests = await subscription.getUpcomingRequests();
+  for (const request of requests) {
+    await request.cancel();
+  }
+};
+
+// Turn down a pending subscription, releasing any seats a failed approval
+// already reserved for it
+const rejectSubscription = async (subscription) => {
+  await subscription.updateStatus('rejected');
+  await releaseUpcomingSeats(subscription);
+};
+
+// End a subscription and release its seats on upcoming trips
+const cancelSubscription = async (subscription) => {
+  await subscription.updateStatus('cancelled');
+  await releaseUpcomingSeats(subscription);
+};
+
+module.exports = {
+  approveSubscription,
+  rejectSubscription,
+  reserveNewOccurrences,
+  skipDate,
+  unskipDate,
+  cancelSubscription
+};
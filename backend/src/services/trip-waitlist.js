@@ -0,0 +1,34 @@
+const TripRequest = require('../models/TripRequest');
+const { syncTripChatRoom } = require('./trip-chat');
+const { notifyRequestStatus } = require('./trip-notifications');
+
+// Hand out every free seat on a trip to its waitlist, first come first served
+const promoteWaitlist = async (tripId) => {
+  const promoted = [];
+  let request;
+
+  while ((request = await TripRequest.promoteNextWaitlisted(tripId))) {
+    promoted.push(request);
+  }
+
+  // Auto-approved passengers join the trip chat room and hear they got the seat
+  const approved = promoted.filter(promotedRequest => promotedRequest.request_status === 'approved');
+  if (approved.length > 0) {
+    try {
+      await syncTripChatRoom(tripId);
+    } catch (chatError) {
+      console.warn('Could not sync trip chat room:', chatError.message);
+    }
+
+    const trip = await approved[0].getTrip();
+    for (const request of approved) {
+      await notifyRequestStatus(trip, request, 'A seat freed up and your waitlisted request was approved');
+    }
+  }
+
+  return promoted;
+};
+
+module.exports = {
+  promoteWaitlist
+};
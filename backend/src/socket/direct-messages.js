@@ -0,0 +1,70 @@
+const Conversation = require('../models/Conversation');
+const { emitToUser } = require('./io');
+const { notifyChatMessage } = require('../services/notifications');
+
+// Live delivery for one-to-one conversations. Messages are delivered to the
+// personal room of both participants, so every open tab stays in sync.
+const registerDirectMessageHandlers = (io, socket) => {
+  const { userId } = socket.data.user;
+
+  socket.on('send_direct_message', async (data) => {
+    const { conversationId, message } = data || {};
+
+    if (!conversationId || typeof message !== 'string' || !message.trim()) {
+      socket.emit('direct_message_error', { error: 'Conversation ID and message are required' });
+      return;
+    }
+
+    try {
+      const conversation = await Conversation.findById(conversationId, userId);
+
+      if (!conversation || !conversation.hasParticipant(userId)) {
+        socket.emit('direct_message_error', { conversationId, error: 'Conversation not found' });
+        return;
+      }
+
+      const savedMessage = await conversation.sendMessage(userId, message.trim());
+
+      emitToUser(userId, 'direct_message', savedMessage.toJSON());
+      emitToUser(conversation.getOtherUserId(userId), 'direct_message', savedMessage.toJSON());
+
+      await notifyChatMessage(
+        [conversation.getOtherUserId(userId)],
+        socket.data.user.username,
+        savedMessage.message,
+        { conversation_id: conversation.id, message_id: savedMessage.id }
+      );
+    } catch (error) {
+      console.error('Send direct message error:', error.message);
+      socket.emit('direct_message_error', { conversationId, error: 'Failed to send message' });
+    }
+  });
+
+  socket.on('mark_conversation_read', async (data) => {
+    const { conversationId } = data || {};
+
+    try {
+      const conversation = await Conversation.findById(conversationId, userId);
+
+      if (!conversation || !conversation.hasParticipant(userId)) {
+        return;
+      }
+
+      const readCount = await conversation.markRead(userId);
+
+      if (readCount > 0) {
+        emitToUser(conversation.getOtherUserId(userId), 'conversation_read', {
+          conversationId: conversation.id,
+          readBy: userId,
+          readAt: new Date().toISOString()
+        });
+      }
+    } catch (error) {
+      console.error('Mark conversation read error:', error.message);
+    }
+  });
+};
+
+module.exports = {
+  registerDirectMessageHandlers
+};
@@ -0,0 +1,42 @@
+// Shared Socket.IO server instance so code outside the connection handler
+// (routes, models, services) can push events to connected clients.
+let io = null;
+
+const setIo = (instance) => {
+  io = instance;
+};
+
+const getIo = () => io;
+
+// Every authenticated socket joins a personal room for events addressed to its user
+const userRoom = (userId) => `user_${userId}`;
+
+// Send an event to all connected sockets of a user
+const emitToUser = (userId, event, payload) => {
+  if (io) {
+    io.to(userRoom(userId)).emit(event, payload);
+  }
+};
+
+// Make every connected socket of the given users leave a socket room
+const removeUsersFromRoom = async (roomId, userIds) => {
+  if (!io || userIds.length === 0) {
+    return;
+  }
+
+  const sockets = await io.in(roomId).fetchSockets();
+  for (const socket of sockets) {
+    if (userIds.includes(socket.data.user?.userId)) {
+      socket.leave(roomId);
+      socket.emit('room_removed', { roomId });
+    }
+  }
+};
+
+module.exports = {
+  setIo,
+  getIo,
+  userRoom,
+  emitToUser,
+  removeUsersFromRoom
+};
@@ -0,0 +1,85 @@
+const Trip = require('../models/Trip');
+const TripLocation = require('../models/TripLocation');
+const { emitToUser } = require('./io');
+const { updatePassengerEtas } = require('../services/trip-eta');
+
+// Validate a `{ lat, lng }` payload; returns null when it is not a usable position
+const parseLocation = (location) => {
+  if (!location) {
+    return null;
+  }
+
+  const lat = parseFloat(location.lat);
+  const lng = parseFloat(location.lng);
+
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) ||
+      lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+    return null;
+  }
+
+  return { lat, lng };
+};
+
+const parseOptionalNumber = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+// Handle a driver streaming their position during an active trip. The position
+// is stored as the trip's latest location and breadcrumb, then pushed to the
+// trip's approved passengers only, along with any ETA that changed noticeably.
+const shareTripLocation = async (socket, data) => {
+  const { userId } = socket.data.user;
+  const { tripId, heading, speed, accuracy } = data || {};
+  const location = parseLocation(data?.location);
+
+  if (!location) {
+    socket.emit('location_error', { tripId, error: 'A valid location is required' });
+    return;
+  }
+
+  try {
+    const trip = await Trip.findById(tripId);
+
+    if (!trip || trip.driver_id !== userId) {
+      socket.emit('location_error', { tripId, error: 'Only the driver can share this trip\'s location' });
+      return;
+    }
+
+    if (trip.trip_status !== 'active') {
+      socket.emit('location_error', { tripId, error: 'Location can only be shared while the trip is active' });
+      return;
+    }
+
+    const tripLocation = await TripLocation.create({
+      trip_id: trip.id,
+      latitude: location.lat,
+      longitude: location.lng,
+      heading: parseOptionalNumber(heading),
+      speed: parseOptionalNumber(speed),
+      accuracy: parseOptionalNumber(accuracy)
+    });
+
+    const update = tripLocation.toJSON();
+    const passengers = await trip.getPassengers();
+
+    for (const passenger of passengers) {
+      emitToUser(passenger.id, 'trip_location_update', update);
+    }
+
+    try {
+      await updatePassengerEtas(trip, tripLocation, passengers);
+    } catch (etaError) {
+      console.warn('Could not update passenger ETAs:', etaError.message);
+      // The position itself was stored and delivered
+    }
+  } catch (error) {
+    console.error('Share trip location error:', error.message);
+    socket.emit('location_error', { tripId, error: 'Failed to share location' });
+  }
+};
+
+module.exports = {
+  parseLocation,
+  shareTripLocation
+};
@@ -0,0 +1,165 @@
+// Five-field cron expressions, evaluated in UTC:
+//
+//   ┌ minute (0-59)
+//   │ ┌ hour (0-23)
+//   │ │ ┌ day of month (1-31)
+//   │ │ │ ┌ month (1-12)
+//   │ │ │ │ ┌ day of week (0-6, Sunday = 0; 7 is also Sunday)
+//   * * * * *
+//
+// Each field takes `*`, a number, a range `1-5`, a list `1,15,30` and a step
+// `*/15` or `0-30/10`. As in standard cron, when both day fields are
+// restricted a time matches if either of them does.
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+// Give up looking for a next run after this many days (covers leap years)
+const MAX_SEARCH_DAYS = 366 * 5;
+
+const parseNumber = (value, field) => {
+  if (!/^\d+$/.test(value)) {
+    throw new Error(`Invalid ${field.name} in cron expression: ${value}`);
+  }
+
+  const number = parseInt(value);
+  if (number < field.min || number > field.max) {
+    throw new Error(`Cron ${field.name} must be between ${field.min} and ${field.max}`);
+  }
+  return number;
+};
+
+// The set of values one field allows
+const parseField = (text, field) => {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const [rangeText, stepText] = part.split('/');
+    const step = stepText !== undefined ? parseInt(stepText) : 1;
+
+    if (!(step >= 1) || (stepText !== undefined && !/^\d+$/.test(stepText))) {
+      throw new Error(`Invalid step in cron ${field.name}: ${part}`);
+    }
+
+    let start;
+    let end;
+    if (rangeText === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (rangeText.includes('-')) {
+      const [from, to] = rangeText.split('-');
+      start = parseNumber(from, field);
+      end = parseNumber(to, field);
+      if (start > end) {
+        throw new Error(`Invalid range in cron ${field.name}: ${rangeText}`);
+      }
+    } else {
+      start = parseNumber(rangeText, field);
+      end = stepText !== undefined ? field.max : start;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+};
+
+// Parse a cron expression. Throws when it is not valid.
+const parseCron = (expression) => {
+  const parts = String(expression || '').trim().split(/\s+/);
+
+  if (parts.length !== FIELDS.length) {
+    throw new Error('Cron expression must have 5 fields: minute hour day-of-month month day-of-week');
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map(
+    (part, index) => parseField(part, FIELDS[index])
+  );
+
+  // 7 is another way of writing Sunday
+  if (daysOfWeek.has(7)) {
+    daysOfWeek.add(0);
+    daysOfWeek.delete(7);
+  }
+
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    dayOfMonthRestricted: parts[2] !== '*',
+    dayOfWeekRestricted: parts[4] !== '*'
+  };
+};
+
+const isValidCron = (expression) => {
+  try {
+    parseCron(expression);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const matchesDay = (schedule, date) => {
+  const dayOfMonth = schedule.daysOfMonth.has(date.getUTCDate());
+  const dayOfWeek = schedule.daysOfWeek.has(date.getUTCDay());
+
+  if (schedule.dayOfMonthRestricted && schedule.dayOfWeekRestricted) {
+    return dayOfMonth || dayOfWeek;
+  }
+  return dayOfMonth && dayOfWeek;
+};
+
+// The first time strictly after `from` that a cron expression matches
+const nextCronTime = (expression, from = new Date()) => {
+  const schedule = parseCron(expression);
+
+  const time = new Date(from.getTime());
+  time.setUTCSeconds(0, 0);
+  time.setUTCMinutes(time.getUTCMinutes() + 1);
+
+  const limit = from.getTime() + MAX_SEARCH_DAYS * 24 * 60 * 60 * 1000;
+
+  while (time.getTime() <= limit) {
+    if (!schedule.months.has(time.getUTCMonth() + 1)) {
+      time.setUTCMonth(time.getUTCMonth() + 1, 1);
+      time.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+
+    if (!matchesDay(schedule, time)) {
+      time.setUTCDate(time.getUTCDate() + 1);
+      time.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+
+    if (!schedule.hours.has(time.getUTCHours())) {
+      time.setUTCHours(time.getUTCHours() + 1, 0, 0, 0);
+      continue;
+    }
+
+    if (!schedule.minutes.has(time.getUTCMinutes())) {
+      time.setUTCMinutes(time.getUTCMinutes() + 1, 0, 0);
+      continue;
+    }
+
+    return time;
+  }
+
+  throw new Error(`Cron expression never runs: ${expression}`);
+};
+
+module.exports = {
+  parseCron,
+  isValidCron,
+  nextCronTime
+};
@@ -0,0 +1,104 @@
+// Geometry helpers for working with positions along a route's ordered stop points.
+// Points are `{ latitude, longitude }` in degrees; distances are in kilometres.
+
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Great-circle distance between two points
+const haversineKm = (from, to) => {
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLon = toRadians(to.longitude - from.longitude);
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) *
+    Math.sin(dLon / 2) * Math.sin(dLon / 2);
+  return EARTH_RADIUS_KM * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+// Project a point onto the segment a-b. Uses a local flat-earth approximation,
+// which is accurate enough for the short distances between stops.
+// Returns how far along the segment the projection lies (0..1) and the distance to it.
+const projectOntoSegment = (point, a, b) => {
+  const kmPerDegLat = Math.PI * EARTH_RADIUS_KM / 180;
+  const kmPerDegLng = kmPerDegLat * Math.cos(toRadians((a.latitude + b.latitude) / 2));
+
+  const bx = (b.longitude - a.longitude) * kmPerDegLng;
+  const by = (b.latitude - a.latitude) * kmPerDegLat;
+  const px = (point.longitude - a.longitude) * kmPerDegLng;
+  const py = (point.latitude - a.latitude) * kmPerDegLat;
+
+  const lengthSquared = bx * bx + by * by;
+  const fraction = lengthSquared === 0
+    ? 0
+    : Math.max(0, Math.min(1, (px * bx + py * by) / lengthSquared));
+
+  const dx = px - fraction * bx;
+  const dy = py - fraction * by;
+
+  return {
+    fraction,
+    distanceKm: Math.sqrt(dx * dx + dy * dy)
+  };
+};
+
+// Point a fraction (0..1) of the way from a to b, interpolating linearly like
+// projectOntoSegment does
+const interpolatePoint = (a, b, fraction) => ({
+  latitude: a.latitude + (b.latitude - a.latitude) * fraction,
+  longitude: a.longitude + (b.longitude - a.longitude) * fraction
+});
+
+// Normalise stop rows (DECIMAL columns arrive as strings) into numeric points
+const toPoint = (stop) => ({
+  latitude: parseFloat(stop.latitude),
+  longitude: parseFloat(stop.longitude)
+});
+
+// Distance from the first stop to each stop, following the stop order
+const cumulativeDistances = (stops) => {
+  const distances = [0];
+
+  for (let i = 1; i < stops.length; i++) {
+    distances.push(distances[i - 1] + haversineKm(toPoint(stops[i - 1]), toPoint(stops[i])));
+  }
+
+  return distances;
+};
+
+// Locate a point along the ordered stop list by snapping it to the nearest leg.
+// Returns the leg index, the distance travelled from the first stop and how far
+// the point is from the stop line, or null when there are fewer than two stops.
+const locateAlongStops = (stops, point) => {
+  if (stops.length < 2) {
+    return null;
+  }
+
+  const distances = cumulativeDistances(stops);
+  let best = null;
+
+  for (let i = 0; i < stops.length - 1; i++) {
+    const projection = projectOntoSegment(point, toPoint(stops[i]), toPoint(stops[i + 1]));
+
+    if (!best || projection.distanceKm < best.offRouteKm) {
+      const legKm = distances[i + 1] - distances[i];
+      best = {
+        legIndex: i,
+        fraction: projection.fraction,
+        distanceAlongKm: distances[i] + projection.fraction * legKm,
+        offRouteKm: projection.distanceKm
+      };
+    }
+  }
+
+  return best;
+};
+
+module.exports = {
+  haversineKm,
+  projectOntoSegment,
+  interpolatePoint,
+  toPoint,
+  cumulativeDistances,
+  locateAlongStops
+};
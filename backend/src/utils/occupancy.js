@@ -0,0 +1,51 @@
+// Seat occupancy along a trip's route. The stretch between two consecutive
+// stop points is a segment, and a booking takes its seats on every segment
+// from its pickup stop up to its dropoff stop, so riders on stretches that do
+// not overlap can share a seat. Stops are route stop points in stop order;
+// bookings are `{ pickup_stop_id, dropoff_stop_id, requested_seats }`.
+// A booking without stops, or a route with fewer than two stops, covers the
+// whole route.
+
+const segmentCount = (stops) => Math.max(stops.length - 1, 1);
+
+// Index range [first, last) of the segments between two stops
+const segmentRange = (stops, pickupStopId, dropoffStopId) => {
+  const count = segmentCount(stops);
+  const pickupIndex = pickupStopId
+    ? stops.findIndex(stop => stop.id === parseInt(pickupStopId))
+    : -1;
+  const dropoffIndex = dropoffStopId
+    ? stops.findIndex(stop => stop.id === parseInt(dropoffStopId))
+    : -1;
+
+  const first = Math.min(Math.max(pickupIndex, 0), count - 1);
+  const last = dropoffIndex > first ? dropoffIndex : count;
+
+  return [first, last];
+};
+
+// Seats taken on each segment
+const segmentLoads = (stops, bookings) => {
+  const loads = new Array(segmentCount(stops)).fill(0);
+
+  for (const booking of bookings) {
+    const [first, last] = segmentRange(stops, booking.pickup_stop_id, booking.dropoff_stop_id);
+    for (let i = first; i < last; i++) {
+      loads[i] += parseInt(booking.requested_seats) || 0;
+    }
+  }
+
+  return loads;
+};
+
+// Most seats taken on any segment between two stops (the whole route by default)
+const peakLoad = (stops, bookings, pickupStopId = null, dropoffStopId = null) => {
+  const [first, last] = segmentRange(stops, pickupStopId, dropoffStopId);
+  return Math.max(0, ...segmentLoads(stops, bookings).slice(first, last));
+};
+
+module.exports = {
+  segmentRange,
+  segmentLoads,
+  peakLoad
+};
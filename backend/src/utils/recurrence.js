@@ -0,0 +1,112 @@
+// Recurring trip patterns, as stored in `recurring_pattern`:
+//
+// {
+//   "days_of_week": [1, 2, 3, 4, 5],        // 0 = Sunday ... 6 = Saturday
+//   "time": "07:30",                        // local departure time (24h)
+//   "timezone": "Africa/Nairobi",           // IANA time zone the time is in
+//   "start_date": "2025-08-01",             // first possible departure date
+//   "end_date": "2025-12-19",               // optional last departure date
+//   "exception_dates": ["2025-10-20"]       // dates with no trip
+// }
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const isValidDate = (value) => {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) {
+    return false;
+  }
+
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+};
+
+const isValidTime = (value) => typeof value === 'string' && TIME_PATTERN.test(value);
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Days may be given as numbers (0-6) or names ("mon", "Monday")
+const parseDay = (day) => {
+  if (Number.isInteger(day) && day >= 0 && day <= 6) {
+    return day;
+  }
+
+  if (typeof day === 'string') {
+    const index = DAY_NAMES.indexOf(day.trim().slice(0, 3).toLowerCase());
+    return index === -1 ? null : index;
+  }
+
+  return null;
+};
+
+// Validate a recurring pattern and return it in its stored shape.
+// Returns `{ pattern }` on success or `{ error }` describing the first problem.
+const normalizeRecurringPattern = (input) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'Recurring pattern must be an object' };
+  }
+
+  const { days_of_week, time, timezone, start_date, end_date, exception_dates = [] } = input;
+
+  if (!Array.isArray(days_of_week) || days_of_week.length === 0) {
+    return { error: 'Recurring pattern needs at least one day of the week' };
+  }
+
+  const days = days_of_week.map(parseDay);
+  if (days.includes(null)) {
+    return { error: 'Days of the week must be 0-6 (Sunday = 0) or day names' };
+  }
+
+  if (!isValidTime(time)) {
+    return { error: 'Recurring pattern time must be in HH:MM format' };
+  }
+
+  if (!timezone || !isValidTimeZone(timezone)) {
+    return { error: 'Recurring pattern needs a valid IANA time zone' };
+  }
+
+  if (!isValidDate(start_date)) {
+    return { error: 'Recurring pattern start date must be in YYYY-MM-DD format' };
+  }
+
+  if (end_date !== undefined && end_date !== null) {
+    if (!isValidDate(end_date)) {
+      return { error: 'Recurring pattern end date must be in YYYY-MM-DD format' };
+    }
+
+    if (end_date < start_date) {
+      return { error: 'Recurring pattern end date cannot be before its start date' };
+    }
+  }
+
+  if (!Array.isArray(exception_dates) || !exception_dates.every(isValidDate)) {
+    return { error: 'Exception dates must be a list of YYYY-MM-DD dates' };
+  }
+
+  return {
+    pattern: {
+      days_of_week: [...new Set(days)].sort(),
+      time,
+      timezone,
+      start_date,
+      end_date: end_date || null,
+      exception_dates: [...new Set(exception_dates)].sort()
+    }
+  };
+};
+
+module.exports = {
+  isValidDate,
+  isValidTime,
+  isValidTimeZone,
+  parseDay,
+  normalizeRecurringPattern
+};
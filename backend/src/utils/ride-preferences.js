@@ -0,0 +1,189 @@
+// Ride preferences: the rules a driver sets on a trip or series, and the needs
+// a passenger states as defaults on their profile. Both sides use the same
+// vocabulary so search filters and request warnings can compare them.
+
+const LUGGAGE_SIZES = ['none', 'small', 'medium', 'large'];
+const MUSIC_LEVELS = ['off', 'quiet', 'on'];
+const CHATTINESS_LEVELS = ['quiet', 'some', 'chatty'];
+const GENDERS = ['female', 'male', 'non_binary'];
+
+// Trip rule fields and their values. `luggage_space` is the largest bag each
+// passenger can bring; `music` and `chattiness` are null when the driver has
+// no rule. `same_gender_only` admits passengers of the driver's gender only.
+const TRIP_RULE_FIELDS = {
+  smoking_allowed: 'boolean',
+  pets_allowed: 'boolean',
+  luggage_space: LUGGAGE_SIZES,
+  music: MUSIC_LEVELS,
+  chattiness: CHATTINESS_LEVELS,
+  same_gender_only: 'boolean'
+};
+
+// Trip rules a driver can leave unset
+const OPTIONAL_TRIP_RULES = ['music', 'chattiness'];
+
+const MUSIC_TEXT = {
+  off: 'No music is played on this trip',
+  quiet: 'Music is kept quiet on this trip',
+  on: 'Music is played on this trip'
+};
+
+const CHATTINESS_TEXT = {
+  quiet: 'a quiet ride',
+  some: 'some conversation',
+  chatty: 'a chatty ride'
+};
+
+// Passenger preference fields and their values. `same_gender_only` means the
+// passenger only rides with drivers of their own gender.
+const PASSENGER_PREFERENCE_FIELDS = {
+  smoke_free: 'boolean',
+  travels_with_pet: 'boolean',
+  luggage_size: LUGGAGE_SIZES,
+  music: MUSIC_LEVELS,
+  chattiness: CHATTINESS_LEVELS,
+  same_gender_only: 'boolean'
+};
+
+// Check one value against its field type. Returns an error message or null.
+const checkValue = (field, type, value) => {
+  if (type === 'boolean') {
+    return typeof value === 'boolean' ? null : `${field} must be true or false`;
+  }
+  return type.includes(value) ? null : `${field} must be one of: ${type.join(', ')}`;
+};
+
+// Collect the ride rules present in a trip or series body. `music` and
+// `chattiness` can be cleared with null.
+// Returns `{ rules }` or `{ error }` describing the first problem.
+const buildTripRules = (body) => {
+  const rules = {};
+
+  for (const [field, type] of Object.entries(TRIP_RULE_FIELDS)) {
+    const value = body[field];
+    if (value === undefined) {
+      continue;
+    }
+
+    if (value === null && OPTIONAL_TRIP_RULES.includes(field)) {
+      rules[field] = null;
+      continue;
+    }
+
+    const error = checkValue(field, type, value);
+    if (error) {
+      return { error };
+    }
+    rules[field] = value;
+  }
+
+  return { rules };
+};
+
+// Validate a change to a passenger's preferences and merge it into the stored
+// ones; null removes a preference.
+// Returns `{ preferences }` or `{ error }` describing the first problem.
+const mergeRidePreferences = (stored, changes) => {
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+    return { error: 'Ride preferences must be an object' };
+  }
+
+  const preferences = { ...(stored || {}) };
+
+  for (const [field, value] of Object.entries(changes)) {
+    const type = PASSENGER_PREFERENCE_FIELDS[field];
+    if (!type) {
+      return { error: `Unknown ride preference: ${field}` };
+    }
+
+    if (value === null) {
+      delete preferences[field];
+      continue;
+    }
+
+    const error = checkValue(field, type, value);
+    if (error) {
+      return { error };
+    }
+    preferences[field] = value;
+  }
+
+  return { preferences };
+};
+
+// Read passenger preferences given as query string filters
+// (`?smoke_free=true&luggage_size=large`).
+// Returns `{ preferences }` or `{ error }` describing the first problem.
+const parsePreferenceQuery = (queryParams) => {
+  const changes = {};
+
+  for (const [field, type] of Object.entries(PASSENGER_PREFERENCE_FIELDS)) {
+    const value = queryParams[field];
+    if (value === undefined || value === '') {
+      continue;
+    }
+
+    if (type === 'boolean') {
+      if (!['true', 'false'].includes(value)) {
+        return { error: `${field} must be true or false` };
+      }
+      changes[field] = value === 'true';
+    } else {
+      changes[field] = value;
+    }
+  }
+
+  return mergeRidePreferences({}, changes);
+};
+
+// Compare a passenger's preferences with a trip's rules. Returns a list of
+// `{ field, message, blocking }`; blocking conflicts are the driver's own
+// rules the passenger cannot accept their way past.
+const findRideConflicts = (trip, preferences, { driverGender = null, passengerGender = null } = {}) => {
+  const conflicts = [];
+  const add = (field, message, blocking = false) => conflicts.push({ field, message, blocking });
+
+  const sameGender = Boolean(passengerGender) && passengerGender === driverGender;
+
+  if (trip.same_gender_only && !sameGender) {
+    add('same_gender_only', 'The driver only takes passengers of their own gender', true);
+  } else if (preferences.same_gender_only && !sameGender) {
+    add('same_gender_only', 'The driver is not of your gender');
+  }
+
+  if (preferences.smoke_free && trip.smoking_allowed) {
+    add('smoking_allowed', 'Smoking is allowed on this trip');
+  }
+
+  if (preferences.travels_with_pet && !trip.pets_allowed) {
+    add('pets_allowed', 'Pets are not allowed on this trip');
+  }
+
+  if (preferences.luggage_size &&
+      LUGGAGE_SIZES.indexOf(preferences.luggage_size) > LUGGAGE_SIZES.indexOf(trip.luggage_space || 'medium')) {
+    add('luggage_space', `This trip only has room for ${trip.luggage_space || 'medium'} luggage`);
+  }
+
+  if (preferences.music && trip.music && preferences.music !== trip.music) {
+    add('music', MUSIC_TEXT[trip.music]);
+  }
+
+  if (preferences.chattiness && trip.chattiness && preferences.chattiness !== trip.chattiness) {
+    add('chattiness', `The driver prefers ${CHATTINESS_TEXT[trip.chattiness]}`);
+  }
+
+  return conflicts;
+};
+
+module.exports = {
+  LUGGAGE_SIZES,
+  MUSIC_LEVELS,
+  CHATTINESS_LEVELS,
+  GENDERS,
+  TRIP_RULE_FIELDS,
+  PASSENGER_PREFERENCE_FIELDS,
+  buildTripRules,
+  mergeRidePreferences,
+  parsePreferenceQuery,
+  findRideConflicts
+};
@@ -0,0 +1,65 @@
+// Ratings drivers and passengers give each other after a completed trip: a
+// score from 1 to 5, optional tags from a fixed list for the role being rated,
+// and an optional comment.
+
+const RATEE_ROLES = ['driver', 'passenger'];
+
+const MAX_RATING_TAGS = 5;
+const MAX_RATING_COMMENT_LENGTH = 1000;
+
+// Tags a rating can carry, by the role of the person rated
+const RATING_TAGS = {
+  driver: [
+    'punctual', 'safe_driving', 'friendly', 'clean_vehicle', 'good_conversation',
+    'late', 'unsafe_driving', 'rude', 'dirty_vehicle'
+  ],
+  passenger: [
+    'punctual', 'friendly', 'respectful', 'tidy', 'good_conversation',
+    'late', 'rude', 'messy'
+  ]
+};
+
+// Validate the score, tags and comment of a rating for someone in
+// `rateeRole`. Repeated tags are kept once and an empty comment becomes null.
+// Returns `{ rating }` or `{ error }` describing the first problem.
+const buildTripRating = (body, rateeRole) => {
+  const { score, tags = [], comment = null } = body;
+
+  if (!Number.isInteger(score) || score < 1 || score > 5) {
+    return { error: 'Score must be a whole number from 1 to 5' };
+  }
+
+  if (!Array.isArray(tags)) {
+    return { error: 'Tags must be a list' };
+  }
+
+  const allowedTags = RATING_TAGS[rateeRole];
+  const unknownTag = tags.find(tag => !allowedTags.includes(tag));
+  if (unknownTag !== undefined) {
+    return { error: `Tags for a ${rateeRole} must be among: ${allowedTags.join(', ')}` };
+  }
+
+  const uniqueTags = [...new Set(tags)];
+  if (uniqueTags.length > MAX_RATING_TAGS) {
+    return { error: `Choose at most ${MAX_RATING_TAGS} tags` };
+  }
+
+  if (comment !== null && typeof comment !== 'string') {
+    return { error: 'Comment must be text' };
+  }
+
+  const trimmedComment = comment?.trim() || null;
+  if (trimmedComment && trimmedComment.length > MAX_RATING_COMMENT_LENGTH) {
+    return { error: `Comment must be at most ${MAX_RATING_COMMENT_LENGTH} characters` };
+  }
+
+  return { rating: { score, tags: uniqueTags, comment: trimmedComment } };
+};
+
+module.exports = {
+  RATEE_ROLES,
+  RATING_TAGS,
+  MAX_RATING_TAGS,
+  MAX_RATING_COMMENT_LENGTH,
+  buildTripRating
+};
@@ -0,0 +1,144 @@
+// In-memory stand-in for config/database with just enough PostgreSQL for seat
+// bookings: transactions only publish their writes on COMMIT, and rows locked
+// with SELECT ... FOR UPDATE (or UPDATE) stay locked until the transaction
+// ends, so a second transaction locking them waits. Every query yields first,
+// so concurrent transactions interleave the way they would on a real server.
+
+const normalize = (text) => text.replace(/\s+/g, ' ').trim();
+
+const result = (rows) => ({ rows, rowCount: rows.length });
+
+const createDatabase = () => {
+  const tables = {
+    trips: new Map(),
+    trip_requests: new Map(),
+    stop_points: []
+  };
+  const locks = new Map();
+
+  const acquire = async (key, owner) => {
+    while (locks.has(key) && locks.get(key).owner !== owner) {
+      await new Promise(resolve => locks.get(key).waiters.push(resolve));
+    }
+    if (!locks.has(key)) {
+      locks.set(key, { owner, waiters: [] });
+    }
+  };
+
+  const releaseAll = (owner) => {
+    for (const [key, lock] of locks) {
+      if (lock.owner === owner) {
+        locks.delete(key);
+        lock.waiters.forEach(wake => wake());
+      }
+    }
+  };
+
+  const createClient = () => {
+    const owner = {};
+    const written = new Map();
+
+    const visibleRequest = (id) => written.get(id) || tables.trip_requests.get(id);
+    const visibleRequests = () =>
+      [...tables.trip_requests.keys()].map(id => visibleRequest(id));
+
+    const end = (commit) => {
+      if (commit) {
+        for (const [id, row] of written) {
+          tables.trip_requests.set(id, row);
+        }
+      }
+      written.clear();
+      releaseAll(owner);
+      return result([]);
+    };
+
+    return {
+      async query(text, params = []) {
+        await new Promise(resolve => setImmediate(resolve));
+        const sql = normalize(text);
+
+        if (sql === 'BEGIN') {
+          return result([]);
+        }
+        if (sql === 'COMMIT') {
+          return end(true);
+        }
+        if (sql === 'ROLLBACK') {
+          return end(false);
+        }
+
+        if (/^SELECT .* FROM trips WHERE id = \$1 FOR UPDATE$/.test(sql)) {
+          const id = Number(params[0]);
+          await acquire(`trips:${id}`, owner);
+          const trip = tables.trips.get(id);
+          return result(trip ? [{ ...trip }] : []);
+        }
+
+        if (/^SELECT id, available_seats, departure_time FROM trips WHERE series_id = \$1 .* FOR UPDATE$/.test(sql)) {
+          const rows = [...tables.trips.values()]
+            .filter(trip => trip.series_id === Number(params[0]) &&
+              trip.trip_status === 'scheduled' && trip.departure_time > new Date() &&
+              !trip.is_series_exception)
+            .sort((a, b) => a.id - b.id);
+          for (const trip of rows) {
+            await acquire(`trips:${trip.id}`, owner);
+          }
+          return result(rows.map(({ id, available_seats, departure_time }) =>
+            ({ id, available_seats, departure_time })));
+        }
+
+        if (/^SELECT request_status FROM trip_requests WHERE id = \$1 FOR UPDATE$/.test(sql)) {
+          const id = Number(params[0]);
+          await acquire(`trip_requests:${id}`, owner);
+          const row = visibleRequest(id);
+          return result(row ? [{ request_status: row.request_status }] : []);
+        }
+
+        if (/^UPDATE trip_requests SET request_status = \$1, .* WHERE id = \$2 RETURNING \*$/.test(sql)) {
+          const id = Number(params[1]);
+          await acquire(`trip_requests:${id}`, owner);
+          const row = visibleRequest(id);
+          if (!row) {
+            return result([]);
+          }
+          const updated = { ...row, request_status: params[0] };
+          written.set(id, updated);
+          return result([updated]);
+        }
+
+        if (/FROM stop_points sp JOIN trips t/.test(sql)) {
+          return result(tables.stop_points);
+        }
+
+        if (/^SELECT id, pickup_stop_id, dropoff_stop_id, requested_seats FROM trip_requests WHERE trip_id = \$1 AND \(request_status = 'approved'/.test(sql)) {
+          return result(visibleRequests().filter(row =>
+            row.trip_id === Number(params[0]) &&
+            (row.request_status === 'approved' ||
+              (row.request_status === 'pending' && row.waitlist_offered_at))
+          ));
+        }
+
+        throw new Error(`Unexpected query: ${sql}`);
+      },
+
+      release() {}
+    };
+  };
+
+  return {
+    tables,
+    pool: { end: async () => {} },
+    query: (text, params) => createClient().query(text, params),
+    getClient: async () => createClient(),
+
+    reset() {
+      tables.trips.clear();
+      tables.trip_requests.clear();
+      tables.stop_points = [];
+      locks.clear();
+    }
+  };
+};
+
+module.exports = { createDatabase };
@@ -0,0 +1,163 @@
+jest.mock('../src/config/database', () => require('./helpers/fake-database').createDatabase());
+jest.mock('../src/services/trip-chat', () => ({ syncTripChatRoom: jest.fn() }));
+
+const db = require('../src/config/database');
+const TripRequest = require('../src/models/TripRequest');
+const { segmentLoads } = require('../src/utils/occupancy');
+
+const TRIP_ID = 1;
+
+const seedTrip = (trip = {}) => {
+  db.tables.trips.set(TRIP_ID, {
+    id: TRIP_ID,
+    available_seats: 3,
+    trip_status: 'scheduled',
+    waitlist_auto_approve: false,
+    ...trip
+  });
+};
+
+// One pending request per entry, `{ seats, pickup, dropoff }` or a seat count
+const seedRequests = (entries) => entries.map((entry, index) => {
+  const { seats, pickup = null, dropoff = null, status = 'pending' } =
+    typeof entry === 'number' ? { seats: entry } : entry;
+
+  const row = {
+    id: index + 1,
+    trip_id: TRIP_ID,
+    passenger_id: 100 + index,
+    pickup_stop_id: pickup,
+    dropoff_stop_id: dropoff,
+    requested_seats: seats,
+    request_status: status,
+    waitlist_offered_at: null
+  };
+  db.tables.trip_requests.set(row.id, row);
+  return new TripRequest(row);
+});
+
+const approveInParallel = (requests) =>
+  Promise.allSettled(requests.map(request => request.approve()));
+
+// Committed approved bookings, as seat holders
+const approvedBookings = () =>
+  [...db.tables.trip_requests.values()].filter(row => row.request_status === 'approved');
+
+describe('TripRequest.approve', () => {
+  beforeEach(() => {
+    db.reset();
+  });
+
+  it('never approves more seats than the trip has when approvals run in parallel', async () => {
+    seedTrip({ available_seats: 3 });
+    const requests = seedRequests([1, 1, 1, 1, 1, 1]);
+
+    const outcomes = await approveInParallel(requests);
+
+    const approved = outcomes.filter(outcome => outcome.status === 'fulfilled');
+    const refused = outcomes.filter(outcome => outcome.status === 'rejected');
+
+    expect(approved).toHaveLength(3);
+    expect(refused.map(outcome => outcome.reason.code))
+      .toEqual(['SEATS_UNAVAILABLE', 'SEATS_UNAVAILABLE', 'SEATS_UNAVAILABLE']);
+    expect(approvedBookings()).toHaveLength(3);
+  });
+
+  it('counts every seat of multi-seat requests against the capacity', async () => {
+    seedTrip({ available_seats: 4 });
+    const requests = seedRequests([2, 3, 1, 2, 4]);
+
+    await approveInParallel(requests);
+
+    const seats = approvedBookings().reduce((total, row) => total + row.requested_seats, 0);
+    expect(seats).toBeGreaterThan(0);
+    expect(seats).toBeLessThanOrEqual(4);
+  });
+
+  it('keeps every route segment within capacity for parallel segment bookings', async () => {
+    seedTrip({ available_seats: 2 });
+    db.tables.stop_points = [
+      { id: 11, name: 'A', stop_order: 1 },
+      { id: 12, name: 'B', stop_order: 2 },
+      { id: 13, name: 'C', stop_order: 3 }
+    ];
+    const requests = seedRequests([
+      { seats: 2, pickup: 11, dropoff: 12 },
+      { seats: 2, pickup: 12, dropoff: 13 },
+      { seats: 1, pickup: 11, dropoff: 13 },
+      { seats: 1, pickup: 11, dropoff: 12 },
+      { seats: 1, pickup: 12, dropoff: 13 }
+    ]);
+
+    await approveInParallel(requests);
+
+    const loads = segmentLoads(db.tables.stop_points, approvedBookings());
+    expect(Math.max(...loads)).toBeLessThanOrEqual(2);
+  });
+
+  it('overbooks without the trip lock, so the checks above depend on it', async () => {
+    seedTrip({ available_seats: 3 });
+    const requests = seedRequests([1, 1, 1, 1, 1, 1]);
+
+    const lockTrip = jest.spyOn(TripRequest, 'lockTrip')
+      .mockImplementation(async (client, tripId) => ({ ...db.tables.trips.get(tripId) }));
+
+    try {
+      await approveInParallel(requests);
+    } finally {
+      lockTrip.mockRestore();
+    }
+
+    expect(approvedBookings().length).toBeGreaterThan(3);
+  });
+
+  it('keeps a seat offered to a waitlisted passenger for them', async () => {
+    seedTrip({ available_seats: 2 });
+    const [, offered, other] = seedRequests([
+      { seats: 1, status: 'approved' },
+      { seats: 1 },
+      { seats: 1 }
+    ]);
+    db.tables.trip_requests.get(offered.id).waitlist_offered_at = new Date();
+
+    await expect(other.approve()).rejects.toMatchObject({ code: 'SEATS_UNAVAILABLE' });
+    await expect(offered.approve()).resolves.toBe(offered);
+    expect(approvedBookings()).toHaveLength(2);
+  });
+
+  it('refuses requests that are no longer pending or waitlisted', async () => {
+    seedTrip();
+    const [cancelled, noShow] = seedRequests([
+      { seats: 1, status: 'cancelled' },
+      { seats: 1, status: 'no_show' }
+    ]);
+
+    await expect(cancelled.approve()).rejects.toMatchObject({ code: 'REQUEST_NOT_APPROVABLE' });
+    await expect(noShow.approve()).rejects.toMatchObject({ code: 'REQUEST_NOT_APPROVABLE' });
+    expect(approvedBookings()).toHaveLength(0);
+  });
+
+  it('refuses approvals on trips that are no longer scheduled', async () => {
+    seedTrip({ trip_status: 'completed' });
+    const [request] = seedRequests([1]);
+
+    await expect(request.approve()).rejects.toMatchObject({ code: 'TRIP_NOT_BOOKABLE' });
+    expect(approvedBookings()).toHaveLength(0);
+  });
+
+  it('refuses an approval when the passenger cancels while it waits for the lock', async () => {
+    seedTrip({ available_seats: 3 });
+    const [request] = seedRequests([1]);
+
+    // The passenger's cancellation commits before the driver's approval reads the request
+    const client = await db.getClient();
+    await client.query('BEGIN');
+    await TripRequest.lockTrip(client, TRIP_ID);
+    const approval = request.approve();
+    await client.query('UPDATE trip_requests SET request_status = $1, price_locked_at = NULL WHERE id = $2 RETURNING *', ['cancelled', request.id]);
+    await client.query('COMMIT');
+
+    await expect(approval).rejects.toMatchObject({ code: 'REQUEST_NOT_APPROVABLE' });
+    expect(db.tables.trip_requests.get(request.id).request_status).toBe('cancelled');
+  });
+});
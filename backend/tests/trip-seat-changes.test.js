@@ -0,0 +1,83 @@
+jest.mock('../src/config/database', () => require('./helpers/fake-database').createDatabase());
+
+const db = require('../src/config/database');
+const Trip = require('../src/models/Trip');
+const TripSeries = require('../src/models/TripSeries');
+
+const TRIP_ID = 1;
+
+const seedTrip = () => {
+  const row = { id: TRIP_ID, available_seats: 3, trip_status: 'scheduled' };
+  db.tables.trips.set(TRIP_ID, row);
+  return new Trip({ ...row });
+};
+
+const seedRequest = (id, request) => {
+  db.tables.trip_requests.set(id, {
+    id,
+    trip_id: TRIP_ID,
+    pickup_stop_id: null,
+    dropoff_stop_id: null,
+    requested_seats: 1,
+    waitlist_offered_at: null,
+    ...request
+  });
+};
+
+describe('Trip.update seats', () => {
+  beforeEach(() => {
+    db.reset();
+  });
+
+  it('refuses fewer seats than approved bookings and waitlist offers hold', async () => {
+    const trip = seedTrip();
+    seedRequest(1, { request_status: 'approved', requested_seats: 2 });
+    seedRequest(2, { request_status: 'pending', waitlist_offered_at: new Date() });
+
+    await expect(trip.update({ available_seats: 2 }))
+      .rejects.toMatchObject({ code: 'SEATS_HELD', held_seats: 3 });
+    expect(db.tables.trips.get(TRIP_ID).available_seats).toBe(3);
+  });
+
+  it('ignores requests that hold no seat', async () => {
+    seedTrip();
+    seedRequest(1, { request_status: 'approved' });
+    seedRequest(2, { request_status: 'pending' });
+    seedRequest(3, { request_status: 'cancelled', requested_seats: 2 });
+
+    const client = await db.getClient();
+    await expect(Trip.checkSeatsHeld(client, TRIP_ID, 1)).resolves.toBeUndefined();
+    await expect(Trip.checkSeatsHeld(client, TRIP_ID, 0)).rejects.toMatchObject({ held_seats: 1 });
+  });
+});
+
+describe('TripSeries#syncOccurrences seats', () => {
+  beforeEach(() => {
+    db.reset();
+  });
+
+  it('refuses fewer seats than an upcoming occurrence has taken', async () => {
+    const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000);
+    db.tables.trips.set(TRIP_ID, {
+      id: TRIP_ID,
+      series_id: 7,
+      available_seats: 3,
+      departure_time: tomorrow,
+      trip_status: 'scheduled',
+      is_series_exception: false
+    });
+    seedRequest(1, { request_status: 'approved', requested_seats: 2 });
+
+    const series = new TripSeries({
+      id: 7,
+      available_seats: 1,
+      recurring_pattern: { time: '08:00', timezone: 'UTC' }
+    });
+    const client = await db.getClient();
+
+    await expect(series.syncOccurrences(client))
+      .rejects.toMatchObject({ code: 'SEATS_HELD', held_seats: 2 });
+    await client.query('ROLLBACK');
+    expect(db.tables.trips.get(TRIP_ID).available_seats).toBe(3);
+  });
+});
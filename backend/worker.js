@@ -0,0 +1,42 @@
+#!/usr/bin/env node
+
+/**
+ * Background job worker
+ * Run this script to process jobs outside the API server. Set
+ * JOB_WORKER_IN_PROCESS=false on the server so only the workers run them.
+ */
+
+require('dotenv').config();
+const { pool } = require('./src/config/database');
+const { initializeAllTables } = require('./src/database/init');
+const { startWorker, stopWorker } = require('./src/services/job-queue');
+const { registerJobHandlers, registerJobSchedules } = require('./src/services/background-jobs');
+
+async function runWorker() {
+  try {
+    // The worker may start before the API has ever run, so it creates the
+    // tables (jobs, notifications and those the handlers use) the same way
+    await initializeAllTables();
+
+    registerJobHandlers();
+    await registerJobSchedules();
+    startWorker();
+  } catch (error) {
+    console.error('Job worker failed to start:', error);
+    process.exit(1);
+  }
+}
+
+async function shutdown(signal) {
+  console.log(`\nReceived ${signal}. Finishing running jobs...`);
+
+  await stopWorker();
+  await pool.end();
+  console.log('Job worker stopped');
+  process.exit(0);
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+runWorker();
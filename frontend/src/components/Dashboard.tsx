@@ -5,6 +5,7 @@ import CreateRoute from './routes/CreateRoute';
 import TripList from './trips/TripList';
 import CreateTrip from './trips/CreateTrip';
 import TripRequestManager from './trips/TripRequestManager';
+import NotificationBell from './NotificationBell';
 
 type DashboardView = 'routes' | 'trips' | 'create-route' | 'create-trip' | 'requests';
 
@@ -57,6 +58,7 @@ const Dashboard: React.FC = () => {
             </div>
             
             <div className="flex items-center space-x-3">
+              <NotificationBell />
               <span className="text-sm text-gray-600">
                 Welcome, {user?.username}
               </span>
@@ -0,0 +1,137 @@
+import React, { useState, useEffect } from 'react';
+import { useSocket } from '../hooks/useSocket';
+import { notificationsService } from '../services/api';
+import { AppNotification } from '../types';
+
+const NotificationBell: React.FC = () => {
+  const [notifications, setNotifications] = useState<AppNotification[]>([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [open, setOpen] = useState(false);
+  const { socket } = useSocket();
+
+  useEffect(() => {
+    fetchNotifications();
+  }, []);
+
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleNotification = (notification: AppNotification) => {
+      setNotifications(prev => [notification, ...prev]);
+      setUnreadCount(prev => prev + 1);
+    };
+
+    // Another tab marked notifications read
+    const handleRead = (data: { ids: number[] | null; unread_count: number }) => {
+      const readAt = new Date().toISOString();
+      setNotifications(prev => prev.map(notification =>
+        !notification.read_at && (!data.ids || data.ids.includes(notification.id))
+          ? { ...notification, read_at: readAt }
+          : notification
+      ));
+      setUnreadCount(data.unread_count);
+    };
+
+    socket.on('notification', handleNotification);
+    socket.on('notifications_read', handleRead);
+
+    return () => {
+      socket.off('notification', handleNotification);
+      socket.off('notifications_read', handleRead);
+    };
+  }, [socket]);
+
+  const fetchNotifications = async () => {
+    try {
+      const data = await notificationsService.getNotifications({ limit: 20 });
+      setNotifications(data.notifications);
+      setUnreadCount(data.unread_count);
+    } catch (err) {
+      console.error('Failed to fetch notifications:', err);
+    }
+  };
+
+  const markRead = async (notification: AppNotification) => {
+    if (notification.read_at) return;
+
+    try {
+      const data = await notificationsService.markRead(notification.id);
+      setNotifications(prev => prev.map(item =>
+        item.id === notification.id ? { ...item, read_at: new Date().toISOString() } : item
+      ));
+      setUnreadCount(data.unread_count);
+    } catch (err) {
+      console.error('Failed to mark notification as read:', err);
+    }
+  };
+
+  const markAllRead = async () => {
+    try {
+      await notificationsService.markAllRead();
+      const readAt = new Date().toISOString();
+      setNotifications(prev => prev.map(item => item.read_at ? item : { ...item, read_at: readAt }));
+      setUnreadCount(0);
+    } catch (err) {
+      console.error('Failed to mark notifications as read:', err);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(!open)}
+        className="relative p-2 text-gray-600 hover:text-blue-600"
+        aria-label={`Notifications (${unreadCount} unread)`}
+      >
+        <span className="text-xl">🔔</span>
+        {unreadCount > 0 && (
+          <span className="absolute -top-1 -right-1 min-w-[1.25rem] px-1 text-xs font-semibold text-white bg-red-600 rounded-full text-center">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-80 bg-white border rounded-lg shadow-lg z-20">
+          <div className="flex justify-between items-center px-4 py-2 border-b">
+            <span className="font-medium text-gray-800">Notifications</span>
+            {unreadCount > 0 && (
+              <button
+                onClick={markAllRead}
+                className="text-xs text-blue-600 hover:text-blue-800"
+              >
+                Mark all read
+              </button>
+            )}
+          </div>
+
+          <div className="max-h-96 overflow-y-auto">
+            {notifications.length === 0 ? (
+              <p className="px-4 py-6 text-sm text-gray-500 text-center">No notifications yet</p>
+            ) : (
+              notifications.map(notification => (
+                <button
+                  key={notification.id}
+                  onClick={() => markRead(notification)}
+                  className={`block w-full text-left px-4 py-3 border-b last:border-b-0 hover:bg-gray-50 ${
+                    notification.read_at ? '' : 'bg-blue-50'
+                  }`}
+                >
+                  <p className="text-sm font-medium text-gray-800">{notification.title}</p>
+                  {notification.body && (
+                    <p className="text-sm text-gray-600 mt-1">{notification.body}</p>
+                  )}
+                  <p className="text-xs text-gray-400 mt-1">
+                    {new Date(notification.created_at).toLocaleString()}
+                  </p>
+                </button>
+              ))
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationBell;
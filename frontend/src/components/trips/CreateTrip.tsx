@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import axios from 'axios';
+import { Chattiness, LuggageSize, MusicLevel, RecurringPattern, TripRideRules, Vehicle } from '../../types';
 
 const API_BASE_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:5000';
 
@@ -24,6 +25,17 @@ interface Route {
   estimated_duration_minutes: number;
 }
 
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const DEFAULT_RIDE_RULES: TripRideRules = {
+  smoking_allowed: false,
+  pets_allowed: false,
+  luggage_space: 'medium',
+  music: null,
+  chattiness: null,
+  same_gender_only: false
+};
+
 interface CreateTripProps {
   onTripCreated?: () => void;
   onCancel?: () => void;
@@ -31,19 +43,24 @@ interface CreateTripProps {
 
 const CreateTrip: React.FC<CreateTripProps> = ({ onTripCreated, onCancel }) => {
   const [routes, setRoutes] = useState<Route[]>([]);
+  const [vehicles, setVehicles] = useState<Vehicle[]>([]);
   const [formData, setFormData] = useState({
     route_id: '',
     departure_datetime: '',
     available_seats: 1,
     price_per_seat: '',
+    pricing_mode: 'flat',
+    price_per_km: '',
+    minimum_fare: '',
     notes: '',
-    vehicle_make: '',
-    vehicle_model: '',
-    vehicle_color: '',
-    vehicle_license_plate: '',
+    vehicle_id: '',
     pickup_locations: '',
     dropoff_locations: ''
   });
+  const [isRecurring, setIsRecurring] = useState(false);
+  const [recurringDays, setRecurringDays] = useState<number[]>([1, 2, 3, 4, 5]);
+  const [recurringEndDate, setRecurringEndDate] = useState('');
+  const [rideRules, setRideRules] = useState<TripRideRules>(DEFAULT_RIDE_RULES);
 
   const [loading, setLoading] = useState(false);
   const [loadingRoutes, setLoadingRoutes] = useState(true);
@@ -52,6 +69,7 @@ const CreateTrip: React.FC<CreateTripProps> = ({ onTripCreated, onCancel }) => {
 
   useEffect(() => {
     fetchRoutes();
+    fetchVehicles();
   }, []);
 
   const fetchRoutes = async () => {
@@ -67,6 +85,17 @@ const CreateTrip: React.FC<CreateTripProps> = ({ onTripCreated, onCancel }) => {
     }
   };
 
+  const fetchVehicles = async () => {
+    try {
+      const response = await api.get('/vehicles');
+      setVehicles(response.data.vehicles || []);
+    } catch (err: any) {
+      console.error('Failed to fetch vehicles:', err);
+    }
+  };
+
+  const selectedVehicle = vehicles.find(vehicle => vehicle.id === parseInt(formData.vehicle_id));
+
   const handleInputChange = (e: React.ChangeEvent<HTMLInputElement | HTMLTextAreaElement | HTMLSelectElement>) => {
     const { name, value, type } = e.target;
     setFormData(prev => ({
@@ -75,6 +104,12 @@ const CreateTrip: React.FC<CreateTripProps> = ({ onTripCreated, onCancel }) => {
     }));
   };
 
+  const toggleRecurringDay = (day: number) => {
+    setRecurringDays(prev =>
+      prev.includes(day) ? prev.filter(d => d !== day) : [...prev, day].sort()
+    );
+  };
+
   const getMinDateTime = () => {
     const now = new Date();
     now.setMinutes(now.getMinutes() + 30); // Minimum 30 minutes from now
@@ -105,21 +140,50 @@ const CreateTrip: React.FC<CreateTripProps> = ({ onTripCreated, onCancel }) => {
         route_id: parseInt(formData.route_id),
         departure_datetime: formData.departure_datetime,
         available_seats: formData.available_seats,
-        notes: formData.notes || undefined
+        notes: formData.notes || undefined,
+        ...rideRules
       };
 
+      // A recurring trip repeats the chosen departure time on the selected weekdays
+      if (isRecurring) {
+        if (recurringDays.length === 0) {
+          throw new Error('Choose at least one day for a recurring trip');
+        }
+
+        const [startDate, time] = formData.departure_datetime.split('T');
+        const pattern: RecurringPattern = {
+          days_of_week: recurringDays,
+          time: time.slice(0, 5),
+          timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+          start_date: startDate,
+          end_date: recurringEndDate || null
+        };
+
+        tripData.is_recurring = true;
+        tripData.recurring_pattern = pattern;
+        delete tripData.departure_datetime;
+      }
+
       // Add price if provided
       if (formData.price_per_seat) {
         tripData.price_per_seat = parseFloat(formData.price_per_seat);
       }
 
-      // Add vehicle info if provided
-      if (formData.vehicle_make || formData.vehicle_model || formData.vehicle_color || formData.vehicle_license_plate) {
-        tripData.vehicle_info = {};
-        if (formData.vehicle_make) tripData.vehicle_info.make = formData.vehicle_make;
-        if (formData.vehicle_model) tripData.vehicle_info.model = formData.vehicle_model;
-        if (formData.vehicle_color) tripData.vehicle_info.color = formData.vehicle_color;
-        if (formData.vehicle_license_plate) tripData.vehicle_info.license_plate = formData.vehicle_license_plate;
+      // Add pricing mode and its settings
+      tripData.pricing_mode = formData.pricing_mode;
+      if (formData.pricing_mode === 'per_km' && formData.price_per_km) {
+        tripData.price_per_km = parseFloat(formData.price_per_km);
+      }
+      if (formData.minimum_fare) {
+        tripData.minimum_fare = parseFloat(formData.minimum_fare);
+      }
+
+      // Add the vehicle if one was picked
+      if (selectedVehicle) {
+        if (formData.available_seats > selectedVehicle.passenger_seats) {
+          throw new Error(`Your ${selectedVehicle.make} ${selectedVehicle.model} has room for ${selectedVehicle.passenger_seats} passengers`);
+        }
+        tripData.vehicle_id = selectedVehicle.id;
       }
 
       // Add pickup/dropoff locations if provided
@@ -132,7 +196,9 @@ const CreateTrip: React.FC<CreateTripProps> = ({ onTripCreated, onCancel }) => {
 
       const response = await api.post('/trips', tripData);
       
-      setSuccess('Trip posted successfully!');
+      setSuccess(isRecurring
+        ? `Recurring trip posted! ${response.data.trips?.length || 0} upcoming trips were scheduled.`
+        : 'Trip posted successfully!');
       
       // Reset form
       setFormData({
@@ -140,14 +206,17 @@ const CreateTrip: React.FC<CreateTripProps> = ({ onTripCreated, onCancel }) => {
         departure_datetime: '',
         available_seats: 1,
         price_per_seat: '',
+        pricing_mode: 'flat',
+        price_per_km: '',
+        minimum_fare: '',
         notes: '',
-        vehicle_make: '',
-        vehicle_model: '',
-        vehicle_color: '',
-        vehicle_license_plate: '',
+        vehicle_id: '',
         pickup_locations: '',
         dropoff_locations: ''
       });
+      setIsRecurring(false);
+      setRecurringEndDate('');
+      setRideRules(DEFAULT_RIDE_RULES);
 
       if (onTripCreated) {
         onTripCreated();
@@ -253,13 +322,63 @@ const CreateTrip: React.FC<CreateTripProps> = ({ onTripCreated, onCancel }) => {
                 value={formData.available_seats}
                 onChange={handleInputChange}
                 min="1"
-                max="8"
+                max={selectedVehicle ? selectedVehicle.passenger_seats : 8}
                 required
                 className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
               />
             </div>
           </div>
 
+          {/* Recurring Schedule */}
+          <div>
+            <label className="flex items-center space-x-2 text-sm font-medium text-gray-700">
+              <input
+                type="checkbox"
+                checked={isRecurring}
+                onChange={(e) => setIsRecurring(e.target.checked)}
+                className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+              />
+              <span>Repeat this trip every week</span>
+            </label>
+            {isRecurring && (
+              <div className="mt-3 p-4 bg-gray-50 rounded-lg space-y-4">
+                <div>
+                  <p className="text-sm text-gray-600 mb-2">
+                    Departs at the time above on these days, starting from the chosen date:
+                  </p>
+                  <div className="flex flex-wrap gap-2">
+                    {WEEKDAYS.map((label, day) => (
+                      <button
+                        key={label}
+                        type="button"
+                        onClick={() => toggleRecurringDay(day)}
+                        className={`px-3 py-1 rounded-full text-sm border transition-colors ${
+                          recurringDays.includes(day)
+                            ? 'bg-blue-600 text-white border-blue-600'
+                            : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-100'
+                        }`}
+                      >
+                        {label}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Repeat Until (optional)
+                  </label>
+                  <input
+                    type="date"
+                    value={recurringEndDate}
+                    onChange={(e) => setRecurringEndDate(e.target.value)}
+                    min={formData.departure_datetime.split('T')[0] || undefined}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                </div>
+              </div>
+            )}
+          </div>
+
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-2">
               Price per Seat (KSh)
@@ -276,64 +395,169 @@ const CreateTrip: React.FC<CreateTripProps> = ({ onTripCreated, onCancel }) => {
             />
           </div>
 
-          {/* Vehicle Information */}
-          <div className="border-t border-gray-200 pt-6">
-            <h3 className="text-lg font-medium text-gray-900 mb-4">Vehicle Information (Optional)</h3>
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          {/* Pricing */}
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Pricing
+              </label>
+              <select
+                name="pricing_mode"
+                value={formData.pricing_mode}
+                onChange={handleInputChange}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              >
+                <option value="flat">Same price for every passenger</option>
+                <option value="segment">Share of the seat price for the stops ridden</option>
+                <option value="per_km">Price per kilometre ridden</option>
+              </select>
+            </div>
+
+            {formData.pricing_mode === 'per_km' && (
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-2">
-                  Make
+                  Price per Kilometre (KSh) *
                 </label>
                 <input
-                  type="text"
-                  name="vehicle_make"
-                  value={formData.vehicle_make}
+                  type="number"
+                  name="price_per_km"
+                  value={formData.price_per_km}
                   onChange={handleInputChange}
-                  placeholder="e.g., Toyota"
+                  min="0"
+                  step="1"
+                  required
                   className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
                 />
               </div>
+            )}
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Minimum Fare (KSh)
+              </label>
+              <input
+                type="number"
+                name="minimum_fare"
+                value={formData.minimum_fare}
+                onChange={handleInputChange}
+                min="0"
+                step="10"
+                placeholder="No minimum"
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+            </div>
+          </div>
+
+          {/* Vehicle */}
+          <div className="border-t border-gray-200 pt-6">
+            <h3 className="text-lg font-medium text-gray-900 mb-4">Vehicle (Optional)</h3>
+            {vehicles.length === 0 ? (
+              <p className="text-sm text-gray-600">
+                You have no registered vehicles. Approved passengers see the vehicle you pick here.
+              </p>
+            ) : (
+              <div>
+                <select
+                  name="vehicle_id"
+                  value={formData.vehicle_id}
+                  onChange={handleInputChange}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                >
+                  <option value="">No vehicle</option>
+                  {vehicles.map(vehicle => (
+                    <option key={vehicle.id} value={vehicle.id}>
+                      {vehicle.make} {vehicle.model}{vehicle.color ? ` (${vehicle.color})` : ''} - {vehicle.license_plate}
+                    </option>
+                  ))}
+                </select>
+                {selectedVehicle && (
+                  <p className="text-xs text-gray-500 mt-1">
+                    Room for {selectedVehicle.passenger_seats} passengers
+                  </p>
+                )}
+              </div>
+            )}
+          </div>
 
+          {/* Ride Rules */}
+          <div className="border-t border-gray-200 pt-6">
+            <h3 className="text-lg font-medium text-gray-900 mb-4">Ride Rules</h3>
+            <div className="flex flex-wrap gap-6 mb-4">
+              <label className="flex items-center text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={rideRules.smoking_allowed}
+                  onChange={(e) => setRideRules(prev => ({ ...prev, smoking_allowed: e.target.checked }))}
+                  className="mr-2"
+                />
+                Smoking allowed
+              </label>
+              <label className="flex items-center text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={rideRules.pets_allowed}
+                  onChange={(e) => setRideRules(prev => ({ ...prev, pets_allowed: e.target.checked }))}
+                  className="mr-2"
+                />
+                Pets allowed
+              </label>
+              <label className="flex items-center text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={rideRules.same_gender_only}
+                  onChange={(e) => setRideRules(prev => ({ ...prev, same_gender_only: e.target.checked }))}
+                  className="mr-2"
+                />
+                Passengers of my gender only
+              </label>
+            </div>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-2">
-                  Model
+                  Luggage Space
                 </label>
-                <input
-                  type="text"
-                  name="vehicle_model"
-                  value={formData.vehicle_model}
-                  onChange={handleInputChange}
-                  placeholder="e.g., Corolla"
+                <select
+                  value={rideRules.luggage_space}
+                  onChange={(e) => setRideRules(prev => ({ ...prev, luggage_space: e.target.value as LuggageSize }))}
                   className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                />
+                >
+                  <option value="none">No luggage</option>
+                  <option value="small">Small bags</option>
+                  <option value="medium">Medium suitcases</option>
+                  <option value="large">Large suitcases</option>
+                </select>
               </div>
 
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-2">
-                  Color
+                  Music
                 </label>
-                <input
-                  type="text"
-                  name="vehicle_color"
-                  value={formData.vehicle_color}
-                  onChange={handleInputChange}
-                  placeholder="e.g., White"
+                <select
+                  value={rideRules.music || ''}
+                  onChange={(e) => setRideRules(prev => ({ ...prev, music: (e.target.value || null) as MusicLevel | null }))}
                   className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                />
+                >
+                  <option value="">No preference</option>
+                  <option value="off">No music</option>
+                  <option value="quiet">Quiet music</option>
+                  <option value="on">Music on</option>
+                </select>
               </div>
 
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-2">
-                  License Plate
+                  Conversation
                 </label>
-                <input
-                  type="text"
-                  name="vehicle_license_plate"
-                  value={formData.vehicle_license_plate}
-                  onChange={handleInputChange}
-                  placeholder="e.g., KCA 123X"
+                <select
+                  value={rideRules.chattiness || ''}
+                  onChange={(e) => setRideRules(prev => ({ ...prev, chattiness: (e.target.value || null) as Chattiness | null }))}
                   className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                />
+                >
+                  <option value="">No preference</option>
+                  <option value="quiet">Quiet ride</option>
+                  <option value="some">Some conversation</option>
+                  <option value="chatty">Chatty</option>
+                </select>
               </div>
             </div>
           </div>
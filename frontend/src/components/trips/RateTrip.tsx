@@ -0,0 +1,256 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { tripsService } from '../../services/api';
+import { RateeRole, RatingSummary, TripRatingPerson } from '../../types';
+
+// Tags a rating can carry, by the role of the person rated
+const RATING_TAGS: Record<RateeRole, { value: string; label: string }[]> = {
+  driver: [
+    { value: 'punctual', label: 'Punctual' },
+    { value: 'safe_driving', label: 'Safe driving' },
+    { value: 'friendly', label: 'Friendly' },
+    { value: 'clean_vehicle', label: 'Clean vehicle' },
+    { value: 'good_conversation', label: 'Good conversation' },
+    { value: 'late', label: 'Late' },
+    { value: 'unsafe_driving', label: 'Unsafe driving' },
+    { value: 'rude', label: 'Rude' },
+    { value: 'dirty_vehicle', label: 'Dirty vehicle' }
+  ],
+  passenger: [
+    { value: 'punctual', label: 'Punctual' },
+    { value: 'friendly', label: 'Friendly' },
+    { value: 'respectful', label: 'Respectful' },
+    { value: 'tidy', label: 'Tidy' },
+    { value: 'good_conversation', label: 'Good conversation' },
+    { value: 'late', label: 'Late' },
+    { value: 'rude', label: 'Rude' },
+    { value: 'messy', label: 'Messy' }
+  ]
+};
+
+const MAX_TAGS = 5;
+
+interface RatingForm {
+  score: number;
+  tags: string[];
+  comment: string;
+}
+
+interface RateTripProps {
+  tripId: number;
+  tripTitle: string;
+  onClose?: () => void;
+}
+
+export const formatRatingSummary = (summary?: RatingSummary) => {
+  if (!summary || summary.average === null) return 'No ratings yet';
+  return `★ ${summary.average.toFixed(1)} (${summary.count} ${summary.count === 1 ? 'rating' : 'ratings'})`;
+};
+
+// Reliability is the share of their trips a user kept, as a percentage
+export const formatReliability = (percentage?: number | null) =>
+  percentage === null || percentage === undefined ? 'New member' : `${percentage}% reliable`;
+
+const personName = (person: TripRatingPerson) =>
+  [person.first_name, person.last_name].filter(Boolean).join(' ') || person.username;
+
+const RateTrip: React.FC<RateTripProps> = ({ tripId, tripTitle, onClose }) => {
+  const [people, setPeople] = useState<TripRatingPerson[]>([]);
+  const [canRate, setCanRate] = useState(false);
+  const [forms, setForms] = useState<{ [personId: number]: RatingForm }>({});
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState<{ [personId: number]: boolean }>({});
+  const [error, setError] = useState<string | null>(null);
+
+  const fetchPeople = useCallback(async () => {
+    try {
+      const response = await tripsService.getTripRatings(tripId);
+      setPeople(response.people);
+      setCanRate(response.can_rate);
+      setForms(Object.fromEntries(response.people.map(person => [person.id, {
+        score: person.my_rating?.score || 5,
+        tags: person.my_rating?.tags || [],
+        comment: person.my_rating?.comment || ''
+      }])));
+      setError(null);
+    } catch (err: any) {
+      setError(err.response?.data?.error || 'Failed to load the people on this trip');
+    } finally {
+      setLoading(false);
+    }
+  }, [tripId]);
+
+  useEffect(() => {
+    fetchPeople();
+  }, [fetchPeople]);
+
+  const updateForm = (personId: number, changes: Partial<RatingForm>) => {
+    setForms(prev => ({ ...prev, [personId]: { ...prev[personId], ...changes } }));
+  };
+
+  const toggleTag = (personId: number, tag: string) => {
+    const { tags } = forms[personId];
+    if (tags.includes(tag)) {
+      updateForm(personId, { tags: tags.filter(existing => existing !== tag) });
+    } else if (tags.length < MAX_TAGS) {
+      updateForm(personId, { tags: [...tags, tag] });
+    }
+  };
+
+  const submitRating = async (person: TripRatingPerson) => {
+    const form = forms[person.id];
+
+    try {
+      setSubmitting(prev => ({ ...prev, [person.id]: true }));
+      setError(null);
+
+      await tripsService.rateTripParticipant(tripId, {
+        ratee_id: person.id,
+        score: form.score,
+        tags: form.tags,
+        comment: form.comment
+      });
+
+      await fetchPeople();
+    } catch (err: any) {
+      setError(err.response?.data?.error || 'Failed to save rating');
+    } finally {
+      setSubmitting(prev => ({ ...prev, [person.id]: false }));
+    }
+  };
+
+  const renderStars = (rating: number, onRatingChange: (rating: number) => void) => {
+    return (
+      <div className="flex items-center">
+        {[1, 2, 3, 4, 5].map((star) => (
+          <button
+            key={star}
+            type="button"
+            onClick={() => onRatingChange(star)}
+            disabled={!canRate}
+            className={`w-5 h-5 ${canRate ? 'cursor-pointer hover:scale-110' : 'cursor-default'} ${
+              star <= rating ? 'text-yellow-400' : 'text-gray-300'
+            } transition-all`}
+          >
+            <svg fill="currentColor" viewBox="0 0 20 20">
+              <path d="M9.049 2.927c.3-.921 1.603-.921 1.902 0l1.07 3.292a1 1 0 00.95.69h3.462c.969 0 1.371 1.24.588 1.81l-2.8 2.034a1 1 0 00-.364 1.118l1.07 3.292c.3.921-.755 1.688-1.54 1.118l-2.8-2.034a1 1 0 00-1.175 0l-2.8 2.034c-.784.57-1.838-.197-1.539-1.118l1.07-3.292a1 1 0 00-.364-1.118L2.98 8.72c-.783-.57-.38-1.81.588-1.81h3.461a1 1 0 00.951-.69l1.07-3.292z" />
+            </svg>
+          </button>
+        ))}
+      </div>
+    );
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center py-8">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-4xl mx-auto p-6">
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <div className="flex justify-between items-center mb-6">
+          <div>
+            <h2 className="text-2xl font-bold text-gray-900">Rate Your Trip</h2>
+            <p className="text-gray-600">{tripTitle}</p>
+          </div>
+          {onClose && (
+            <button
+              onClick={onClose}
+              className="text-gray-500 hover:text-gray-700"
+            >
+              <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          )}
+        </div>
+
+        {error && (
+          <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+            {error}
+          </div>
+        )}
+
+        {!canRate && (
+          <p className="text-gray-600 mb-4">You can rate the people on this trip once it is completed.</p>
+        )}
+
+        {people.length === 0 ? (
+          <p className="text-gray-500 text-center py-8">Nobody else travelled on this trip.</p>
+        ) : (
+          <div className="space-y-4">
+            {people.map((person) => {
+              const form = forms[person.id];
+
+              return (
+                <div key={person.id} className="border border-gray-200 rounded-lg p-4">
+                  <div className="flex justify-between items-start mb-3">
+                    <div>
+                      <h4 className="text-lg font-medium text-gray-900">{personName(person)}</h4>
+                      <div className="text-sm text-gray-600">
+                        {person.role === 'driver' ? 'Driver' : 'Passenger'} • {formatRatingSummary(person.rating_summary)}
+                      </div>
+                    </div>
+                    {person.my_rating && (
+                      <span className="px-3 py-1 text-xs rounded-full bg-green-100 text-green-600">Rated</span>
+                    )}
+                  </div>
+
+                  <div className="space-y-3">
+                    <div className="flex items-center space-x-2">
+                      {renderStars(form.score, (score) => updateForm(person.id, { score }))}
+                      <span className="text-sm text-gray-600">({form.score}/5)</span>
+                    </div>
+
+                    <div className="flex flex-wrap gap-2">
+                      {RATING_TAGS[person.role].map(({ value, label }) => (
+                        <button
+                          key={value}
+                          type="button"
+                          onClick={() => toggleTag(person.id, value)}
+                          disabled={!canRate}
+                          className={`px-3 py-1 text-xs rounded-full border ${
+                            form.tags.includes(value)
+                              ? 'bg-blue-600 border-blue-600 text-white'
+                              : 'border-gray-300 text-gray-700 hover:bg-gray-50'
+                          }`}
+                        >
+                          {label}
+                        </button>
+                      ))}
+                    </div>
+
+                    <textarea
+                      value={form.comment}
+                      onChange={(e) => updateForm(person.id, { comment: e.target.value })}
+                      disabled={!canRate}
+                      rows={2}
+                      maxLength={1000}
+                      placeholder="Comment (optional)"
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    />
+
+                    {canRate && (
+                      <button
+                        onClick={() => submitRating(person)}
+                        disabled={submitting[person.id]}
+                        className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        {submitting[person.id] ? 'Saving...' : person.my_rating ? 'Update Rating' : 'Submit Rating'}
+                      </button>
+                    )}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RateTrip;
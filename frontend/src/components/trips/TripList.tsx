@@ -1,6 +1,8 @@
 import React, { useState, useEffect } from 'react';
 import { useAuth } from '../../hooks/useAuth';
 import axios from 'axios';
+import { LuggageSize, PriceQuote, RatingSummary, RideConflict } from '../../types';
+import RateTrip, { formatRatingSummary, formatReliability } from './RateTrip';
 
 const API_BASE_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:5000';
 
@@ -24,6 +26,8 @@ interface Trip {
   route_end_location: string;
   driver_id: number;
   driver_name: string;
+  driver_rating?: RatingSummary;
+  driver_reliability?: number | null;
   departure_datetime: string;
   available_seats: number;
   price_per_seat?: number;
@@ -34,9 +38,10 @@ interface Trip {
     license_plate?: string;
   };
   notes?: string;
-  status: 'active' | 'cancelled' | 'completed';
+  status: 'active' | 'cancelled' | 'completed' | 'expired';
   pickup_locations?: string[];
   dropoff_locations?: string[];
+  series_id?: number | null;
 }
 
 interface TripFilters {
@@ -48,6 +53,9 @@ interface TripFilters {
     min?: number;
     max?: number;
   };
+  smoke_free?: boolean;
+  travels_with_pet?: boolean;
+  luggage_size?: LuggageSize;
 }
 
 const TripList: React.FC = () => {
@@ -59,6 +67,7 @@ const TripList: React.FC = () => {
   });
   const [showMyTrips, setShowMyTrips] = useState(false);
   const [tripRole, setTripRole] = useState<'driver' | 'passenger'>('passenger');
+  const [ratingTrip, setRatingTrip] = useState<Trip | null>(null);
   const { user } = useAuth();
 
   useEffect(() => {
@@ -102,6 +111,10 @@ const TripList: React.FC = () => {
       params.append('from', filters.from);
       params.append('to', filters.to);
       if (filters.date) params.append('date', filters.date);
+      // Ticked filters add to the ride preferences saved on the profile
+      if (filters.smoke_free) params.append('smoke_free', 'true');
+      if (filters.travels_with_pet) params.append('travels_with_pet', 'true');
+      if (filters.luggage_size) params.append('luggage_size', filters.luggage_size);
 
       const response = await api.get(`/trips/search?${params}`);
       setTrips(response.data.trips || []);
@@ -116,18 +129,68 @@ const TripList: React.FC = () => {
   const requestTrip = async (tripId: number) => {
     try {
       const passengerCount = 1; // Default to 1, could be made configurable
-      const response = await api.post(`/trips/${tripId}/request`, {
+
+      // Show the price before the request is sent
+      const quoteResponse = await api.get(`/trips/${tripId}/quote`, {
+        params: { passenger_count: passengerCount }
+      });
+      const quote: PriceQuote = quoteResponse.data.quote;
+      if (!window.confirm(`This ride costs ${formatPrice(quote.total_price)}. Send the request?`)) return;
+
+      const requestData = {
         passenger_count: passengerCount,
         message: 'I would like to join this trip.'
-      });
+      };
+
+      let response;
+      try {
+        response = await api.post(`/trips/${tripId}/request`, requestData);
+      } catch (err: any) {
+        // The trip does not suit the passenger's ride preferences: ask before sending anyway
+        if (err.response?.status !== 409 || !err.response.data?.conflicts) throw err;
+
+        const conflicts: RideConflict[] = err.response.data.conflicts;
+        const summary = conflicts.map(conflict => `- ${conflict.message}`).join('\n');
+        if (!window.confirm(`This trip does not match your ride preferences:\n${summary}\n\nSend the request anyway?`)) return;
+
+        response = await api.post(`/trips/${tripId}/request`, { ...requestData, accept_conflicts: true });
+      }
 
-      alert('Trip request sent successfully!');
+      alert(response.data.message || 'Trip request sent successfully!');
+      if (response.data.reliability_warning) alert(response.data.reliability_warning);
       fetchTrips(); // Refresh the list
     } catch (err: any) {
       alert(err.response?.data?.error || 'Failed to request trip');
     }
   };
 
+  const subscribeToSeries = async (seriesId: number) => {
+    if (!window.confirm('Request a seat on every trip in this recurring series?')) return;
+
+    try {
+      const response = await api.post(`/trips/series/${seriesId}/subscriptions`, {
+        requested_seats: 1,
+        message: 'I would like a regular seat on this commute.'
+      });
+      alert('Subscription request sent! Seats are reserved once the driver approves.');
+      if (response.data.reliability_warning) alert(response.data.reliability_warning);
+    } catch (err: any) {
+      alert(err.response?.data?.error || 'Failed to subscribe to this series');
+    }
+  };
+
+  const messageDriver = async (tripId: number) => {
+    const message = window.prompt('Ask the driver a question about this trip:');
+    if (!message || !message.trim()) return;
+
+    try {
+      await api.post('/chat/conversations', { tripId, message });
+      alert('Message sent to the driver!');
+    } catch (err: any) {
+      alert(err.response?.data?.error || 'Failed to message driver');
+    }
+  };
+
   const formatDateTime = (dateString: string) => {
     const date = new Date(dateString);
     return date.toLocaleDateString() + ' ' + date.toLocaleTimeString([], { 
@@ -165,6 +228,16 @@ const TripList: React.FC = () => {
     );
   }
 
+  if (ratingTrip) {
+    return (
+      <RateTrip
+        tripId={ratingTrip.id}
+        tripTitle={ratingTrip.route_name || `${ratingTrip.route_start_location} → ${ratingTrip.route_end_location}`}
+        onClose={() => setRatingTrip(null)}
+      />
+    );
+  }
+
   return (
     <div className="max-w-6xl mx-auto p-6">
       <div className="mb-6">
@@ -238,6 +311,40 @@ const TripList: React.FC = () => {
               </button>
             </div>
           )}
+
+          {/* Ride Preference Filters */}
+          {!showMyTrips && (
+            <div className="flex flex-wrap items-center gap-4 mt-4 text-sm text-gray-700">
+              <label className="flex items-center">
+                <input
+                  type="checkbox"
+                  checked={!!filters.smoke_free}
+                  onChange={(e) => setFilters(prev => ({ ...prev, smoke_free: e.target.checked }))}
+                  className="mr-2"
+                />
+                No smoking
+              </label>
+              <label className="flex items-center">
+                <input
+                  type="checkbox"
+                  checked={!!filters.travels_with_pet}
+                  onChange={(e) => setFilters(prev => ({ ...prev, travels_with_pet: e.target.checked }))}
+                  className="mr-2"
+                />
+                Travelling with a pet
+              </label>
+              <select
+                value={filters.luggage_size || ''}
+                onChange={(e) => setFilters(prev => ({ ...prev, luggage_size: (e.target.value || undefined) as LuggageSize | undefined }))}
+                className="px-3 py-1 border border-gray-300 rounded"
+              >
+                <option value="">Any luggage</option>
+                <option value="small">Small bags</option>
+                <option value="medium">Medium suitcase</option>
+                <option value="large">Large suitcase</option>
+              </select>
+            </div>
+          )}
         </div>
       </div>
 
@@ -268,6 +375,12 @@ const TripList: React.FC = () => {
                       <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M16 7a4 4 0 11-8 0 4 4 0 018 0zM12 14a7 7 0 00-7 7h14a7 7 0 00-7-7z" />
                     </svg>
                     Driver: {trip.driver_name}
+                    {trip.driver_rating && (
+                      <span className="ml-2 text-yellow-600">{formatRatingSummary(trip.driver_rating)}</span>
+                    )}
+                    {trip.driver_reliability !== undefined && (
+                      <span className="ml-2 text-gray-500">{formatReliability(trip.driver_reliability)}</span>
+                    )}
                   </div>
                   <div className="flex items-center text-sm text-gray-600">
                     <svg className="w-4 h-4 mr-1 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -359,17 +472,44 @@ const TripList: React.FC = () => {
                   <button className="px-4 py-2 text-blue-600 hover:text-blue-800 text-sm font-medium">
                     View Route
                   </button>
+                  {trip.driver_id !== parseInt(user?.id || '0') && (
+                    <button
+                      onClick={() => messageDriver(trip.id)}
+                      className="px-4 py-2 text-blue-600 hover:text-blue-800 text-sm font-medium"
+                    >
+                      Message Driver
+                    </button>
+                  )}
                 </div>
                 
-                {canRequestTrip(trip) && (
+                {showMyTrips && trip.status === 'completed' && (
                   <button
-                    onClick={() => requestTrip(trip.id)}
-                    className="px-6 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors"
+                    onClick={() => setRatingTrip(trip)}
+                    className="px-4 py-2 bg-yellow-500 text-white rounded-lg hover:bg-yellow-600 transition-colors text-sm"
                   >
-                    Request to Join
+                    Rate Trip
                   </button>
                 )}
 
+                {canRequestTrip(trip) && (
+                  <div className="flex space-x-2">
+                    {trip.series_id && (
+                      <button
+                        onClick={() => subscribeToSeries(trip.series_id as number)}
+                        className="px-4 py-2 border border-green-600 text-green-700 rounded-lg hover:bg-green-50 transition-colors"
+                      >
+                        Subscribe to Series
+                      </button>
+                    )}
+                    <button
+                      onClick={() => requestTrip(trip.id)}
+                      className="px-6 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors"
+                    >
+                      Request to Join
+                    </button>
+                  </div>
+                )}
+
                 {trip.driver_id === parseInt(user?.id || '0') && (
                   <div className="flex space-x-2">
                     <button className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors text-sm">
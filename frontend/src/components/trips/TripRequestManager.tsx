@@ -1,5 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import axios from 'axios';
+import { RatingSummary } from '../../types';
+import { formatRatingSummary, formatReliability } from './RateTrip';
 
 const API_BASE_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:5000';
 
@@ -20,6 +22,8 @@ interface TripRequest {
   trip_id: number;
   passenger_id: number;
   passenger_name: string;
+  passenger_rating?: RatingSummary;
+  passenger_reliability?: number | null;
   passenger_count: number;
   pickup_location?: string;
   pickup_latitude?: number;
@@ -28,7 +32,7 @@ interface TripRequest {
   dropoff_latitude?: number;
   dropoff_longitude?: number;
   message?: string;
-  status: 'pending' | 'approved' | 'rejected' | 'cancelled';
+  status: 'pending' | 'approved' | 'rejected' | 'cancelled' | 'waitlisted' | 'expired' | 'no_show';
   driver_response?: string;
   created_at: string;
 }
@@ -39,6 +43,7 @@ interface Trip {
   departure_datetime: string;
   available_seats: number;
   price_per_seat?: number;
+  trip_status?: string;
 }
 
 interface TripRequestManagerProps {
@@ -52,6 +57,8 @@ const TripRequestManager: React.FC<TripRequestManagerProps> = ({ tripId, onClose
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
   const [actionLoading, setActionLoading] = useState<{ [key: number]: boolean }>({});
+  const [noShowIds, setNoShowIds] = useState<number[]>([]);
+  const [completing, setCompleting] = useState(false);
 
   useEffect(() => {
     fetchTripAndRequests();
@@ -99,12 +106,44 @@ const TripRequestManager: React.FC<TripRequestManagerProps> = ({ tripId, onClose
     }
   };
 
+  const toggleNoShow = (passengerId: number) => {
+    setNoShowIds(prev => prev.includes(passengerId)
+      ? prev.filter(id => id !== passengerId)
+      : [...prev, passengerId]);
+  };
+
+  const completeTrip = async () => {
+    const confirmText = noShowIds.length > 0
+      ? `Complete this trip and mark ${noShowIds.length} passenger(s) as no-shows?`
+      : 'Complete this trip? Every approved passenger will be counted as travelled.';
+    if (!window.confirm(confirmText)) return;
+
+    try {
+      setCompleting(true);
+
+      await api.put(`/trips/${tripId}/status`, {
+        status: 'completed',
+        no_show_passenger_ids: noShowIds
+      });
+
+      setNoShowIds([]);
+      await fetchTripAndRequests();
+      alert('Trip completed!');
+    } catch (err: any) {
+      alert(err.response?.data?.error || 'Failed to complete trip');
+    } finally {
+      setCompleting(false);
+    }
+  };
+
   const getStatusColor = (status: string) => {
     switch (status) {
       case 'pending': return 'bg-yellow-100 text-yellow-600';
       case 'approved': return 'bg-green-100 text-green-600';
       case 'rejected': return 'bg-red-100 text-red-600';
       case 'cancelled': return 'bg-gray-100 text-gray-600';
+      case 'waitlisted': return 'bg-purple-100 text-purple-600';
+      case 'no_show': return 'bg-red-100 text-red-600';
       default: return 'bg-gray-100 text-gray-600';
     }
   };
@@ -188,6 +227,36 @@ const TripRequestManager: React.FC<TripRequestManagerProps> = ({ tripId, onClose
           )}
         </div>
 
+        {/* Complete Trip */}
+        {trip.trip_status === 'active' && (
+          <div className="border border-gray-200 rounded-lg p-4 mb-6">
+            <h3 className="text-lg font-semibold text-gray-900 mb-2">Complete Trip</h3>
+            <p className="text-sm text-gray-600 mb-3">
+              Mark any approved passenger who didn't show up before completing the trip.
+            </p>
+            <div className="space-y-2 mb-4">
+              {requests.filter(req => req.status === 'approved').map((request) => (
+                <label key={request.id} className="flex items-center text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={noShowIds.includes(request.passenger_id)}
+                    onChange={() => toggleNoShow(request.passenger_id)}
+                    className="mr-2"
+                  />
+                  {request.passenger_name} didn't show up
+                </label>
+              ))}
+            </div>
+            <button
+              onClick={completeTrip}
+              disabled={completing}
+              className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {completing ? 'Completing...' : 'Complete Trip'}
+            </button>
+          </div>
+        )}
+
         {/* Requests List */}
         {requests.length === 0 ? (
           <div className="text-center py-8">
@@ -207,12 +276,18 @@ const TripRequestManager: React.FC<TripRequestManagerProps> = ({ tripId, onClose
                     <h4 className="text-lg font-medium text-gray-900">
                       {request.passenger_name}
                     </h4>
+                    <div className="text-sm text-yellow-600 mt-1">
+                      {formatRatingSummary(request.passenger_rating)}
+                      {request.passenger_reliability !== undefined && (
+                        <span className="ml-2 text-gray-500">{formatReliability(request.passenger_reliability)}</span>
+                      )}
+                    </div>
                     <div className="text-sm text-gray-600 mt-1">
                       Requested: {formatDateTime(request.created_at)}
                     </div>
                   </div>
                   <span className={`px-3 py-1 text-xs rounded-full ${getStatusColor(request.status)}`}>
-                    {request.status.charAt(0).toUpperCase() + request.status.slice(1)}
+                    {request.status === 'no_show' ? 'No-show' : request.status.charAt(0).toUpperCase() + request.status.slice(1)}
                   </span>
                 </div>
 
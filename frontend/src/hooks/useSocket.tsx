@@ -16,14 +16,21 @@ export function SocketProvider({ children }: { children: React.ReactNode }) {
 
   useEffect(() => {
     if (isAuthenticated) {
-      // Connect to socket when user is authenticated
-      const newSocket = io(process.env.REACT_APP_BACKEND_URL || 'http://localhost:5000');
+      // Connect to socket when user is authenticated; the server verifies the same JWT as the API
+      const newSocket = io(process.env.REACT_APP_BACKEND_URL || 'http://localhost:5000', {
+        auth: { token: localStorage.getItem('token') },
+      });
 
       newSocket.on('connect', () => {
         console.log('Connected to server');
         setIsConnected(true);
       });
 
+      newSocket.on('connect_error', (error) => {
+        console.error('Socket connection rejected:', error.message);
+        setIsConnected(false);
+      });
+
       newSocket.on('disconnect', () => {
         console.log('Disconnected from server');
         setIsConnected(false);
@@ -1,5 +1,5 @@
 import axios from 'axios';
-import { DirectionsRequest, DirectionsResponse, GeocodeResponse, ChatRoom, ChatMessage, User } from '../types';
+import { DirectionsRequest, DirectionsResponse, GeocodeResponse, NotificationListResponse, NotificationPreferences, ReliabilityResponse, ChatRoom, ChatRoomMember, ChatHistoryResponse, Conversation, DirectMessage, DriverApplication, DriverApplicationInput, DriverApplicationStatus, Gender, RidePreferenceChanges, RidePreferences, SavedSearch, SavedSearchInput, SavedSearchMatch, TripLocationResponse, TripMatch, TripMatchParams, TripRating, TripRatingInput, TripRatingsResponse, TripSubscription, User, UserReputation, Vehicle, VehicleFeature, VehicleInput } from '../types';
 
 const API_BASE_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:5000';
 
@@ -32,6 +32,26 @@ export const authService = {
     const response = await api.get('/auth/profile');
     return response.data;
   },
+
+  async updateProfile(changes: { first_name?: string; last_name?: string; gender?: Gender | null }): Promise<{ user: User }> {
+    const response = await api.put('/auth/profile', changes);
+    return response.data;
+  },
+
+  async getRidePreferences(): Promise<{ preferences: RidePreferences }> {
+    const response = await api.get('/auth/ride-preferences');
+    return response.data;
+  },
+
+  async getReliability(): Promise<ReliabilityResponse> {
+    const response = await api.get('/auth/reliability');
+    return response.data;
+  },
+
+  async updateRidePreferences(changes: RidePreferenceChanges): Promise<{ preferences: RidePreferences }> {
+    const response = await api.put('/auth/ride-preferences', changes);
+    return response.data;
+  },
 };
 
 // Routes API
@@ -57,15 +77,216 @@ export const routesService = {
   },
 };
 
+// Trips API
+export const tripsService = {
+  async getLocation(tripId: number, since?: string): Promise<TripLocationResponse> {
+    const response = await api.get(`/trips/${tripId}/location`, { params: { since } });
+    return response.data;
+  },
+
+  async matchTrips({ from, to, ...options }: TripMatchParams): Promise<{ matches: TripMatch[] }> {
+    const response = await api.get('/trips/match', {
+      params: { from_lat: from.lat, from_lng: from.lng, to_lat: to.lat, to_lng: to.lng, ...options }
+    });
+    return response.data;
+  },
+
+  async subscribeToSeries(seriesId: number, requestedSeats = 1, daysOfWeek?: number[]): Promise<{ subscription: TripSubscription }> {
+    const response = await api.post(`/trips/series/${seriesId}/subscriptions`, {
+      requested_seats: requestedSeats,
+      days_of_week: daysOfWeek
+    });
+    return response.data;
+  },
+
+  async getMySubscriptions(): Promise<{ subscriptions: TripSubscription[] }> {
+    const response = await api.get('/trips/subscriptions/my-subscriptions');
+    return response.data;
+  },
+
+  async skipSubscriptionDate(subscriptionId: number, date: string): Promise<{ skipped_dates: string[] }> {
+    const response = await api.post(`/trips/subscriptions/${subscriptionId}/skips`, { date });
+    return response.data;
+  },
+
+  async unskipSubscriptionDate(subscriptionId: number, date: string): Promise<{ skipped_dates: string[] }> {
+    const response = await api.delete(`/trips/subscriptions/${subscriptionId}/skips/${date}`);
+    return response.data;
+  },
+
+  async cancelSubscription(subscriptionId: number) {
+    const response = await api.delete(`/trips/subscriptions/${subscriptionId}`);
+    return response.data;
+  },
+
+  async completeTrip(tripId: number, noShowPassengerIds: number[] = []) {
+    const response = await api.put(`/trips/${tripId}/status`, {
+      status: 'completed',
+      no_show_passenger_ids: noShowPassengerIds
+    });
+    return response.data;
+  },
+
+  async getTripRatings(tripId: number): Promise<TripRatingsResponse> {
+    const response = await api.get(`/trips/${tripId}/ratings`);
+    return response.data;
+  },
+
+  async rateTripParticipant(tripId: number, rating: TripRatingInput): Promise<{ rating: TripRating }> {
+    const response = await api.post(`/trips/${tripId}/ratings`, rating);
+    return response.data;
+  },
+
+  async getUserReputation(userId: number, role?: 'driver' | 'passenger'): Promise<UserReputation> {
+    const response = await api.get(`/users/${userId}/ratings`, { params: { role } });
+    return response.data;
+  },
+};
+
+// Vehicles API
+export const vehiclesService = {
+  async getVehicles(): Promise<{ vehicles: Vehicle[]; features: VehicleFeature[] }> {
+    const response = await api.get('/vehicles');
+    return response.data;
+  },
+
+  async createVehicle(vehicle: VehicleInput): Promise<{ vehicle: Vehicle }> {
+    const response = await api.post('/vehicles', vehicle);
+    return response.data;
+  },
+
+  async updateVehicle(vehicleId: number, changes: VehicleInput): Promise<{ vehicle: Vehicle }> {
+    const response = await api.put(`/vehicles/${vehicleId}`, changes);
+    return response.data;
+  },
+
+  async deleteVehicle(vehicleId: number) {
+    const response = await api.delete(`/vehicles/${vehicleId}`);
+    return response.data;
+  },
+};
+
+// Driver verification API
+export const driverApplicationsService = {
+  async apply(application: DriverApplicationInput): Promise<{ application: DriverApplication }> {
+    const formData = new FormData();
+    formData.append('license_number', application.license_number);
+    formData.append('license_expires_on', application.license_expires_on);
+    formData.append('license', application.license);
+    formData.append('insurance', application.insurance);
+
+    const response = await api.post('/driver-applications', formData);
+    return response.data;
+  },
+
+  async getMyApplications(): Promise<{ applications: DriverApplication[] }> {
+    const response = await api.get('/driver-applications/mine');
+    return response.data;
+  },
+
+  async getApplications(status?: DriverApplicationStatus): Promise<{ applications: DriverApplication[] }> {
+    const response = await api.get('/driver-applications', { params: { status } });
+    return response.data;
+  },
+
+  async getApplication(applicationId: number): Promise<{ application: DriverApplication }> {
+    const response = await api.get(`/driver-applications/${applicationId}`);
+    return response.data;
+  },
+
+  async getDocument(applicationId: number, documentId: number): Promise<Blob> {
+    const response = await api.get(`/driver-applications/${applicationId}/documents/${documentId}`, {
+      responseType: 'blob',
+    });
+    return response.data;
+  },
+
+  async reviewApplication(applicationId: number, decision: 'approve' | 'reject', notes?: string): Promise<{ application: DriverApplication }> {
+    const response = await api.post(`/driver-applications/${applicationId}/review`, { decision, notes });
+    return response.data;
+  },
+};
+
+// Saved searches API
+export const savedSearchesService = {
+  async getSavedSearches(): Promise<{ searches: SavedSearch[] }> {
+    const response = await api.get('/saved-searches');
+    return response.data;
+  },
+
+  async createSavedSearch(search: SavedSearchInput): Promise<{ search: SavedSearch }> {
+    const response = await api.post('/saved-searches', search);
+    return response.data;
+  },
+
+  async updateSavedSearch(searchId: number, changes: SavedSearchInput & { is_active?: boolean }): Promise<{ search: SavedSearch }> {
+    const response = await api.put(`/saved-searches/${searchId}`, changes);
+    return response.data;
+  },
+
+  async setSavedSearchActive(searchId: number, isActive: boolean): Promise<{ search: SavedSearch }> {
+    const response = await api.put(`/saved-searches/${searchId}`, { is_active: isActive });
+    return response.data;
+  },
+
+  async deleteSavedSearch(searchId: number) {
+    const response = await api.delete(`/saved-searches/${searchId}`);
+    return response.data;
+  },
+
+  async getMatches(searchId: number): Promise<{ search: SavedSearch; matches: SavedSearchMatch[] }> {
+    const response = await api.get(`/saved-searches/${searchId}/matches`);
+    return response.data;
+  },
+};
+
+// Notifications API
+export const notificationsService = {
+  async getNotifications(options: { limit?: number; before?: number; unread?: boolean } = {}): Promise<NotificationListResponse> {
+    const response = await api.get('/notifications', { params: options });
+    return response.data;
+  },
+
+  async getUnreadCount(): Promise<{ unread_count: number }> {
+    const response = await api.get('/notifications/unread-count');
+    return response.data;
+  },
+
+  async markRead(notificationId: number): Promise<{ read_count: number; unread_count: number }> {
+    const response = await api.post(`/notifications/${notificationId}/read`);
+    return response.data;
+  },
+
+  async markAllRead(): Promise<{ read_count: number; unread_count: number }> {
+    const response = await api.post('/notifications/read-all');
+    return response.data;
+  },
+
+  async getPreferences(): Promise<{ preferences: NotificationPreferences }> {
+    const response = await api.get('/notifications/preferences');
+    return response.data;
+  },
+
+  async updatePreferences(changes: Partial<{ [C in keyof NotificationPreferences]: Partial<NotificationPreferences[C]> }>): Promise<{ preferences: NotificationPreferences }> {
+    const response = await api.put('/notifications/preferences', changes);
+    return response.data;
+  },
+};
+
 // Chat API
 export const chatService = {
-  async getRooms(): Promise<{ rooms: ChatRoom[] }> {
-    const response = await api.get('/chat/rooms');
+  async getRooms(mine = false): Promise<{ rooms: ChatRoom[] }> {
+    const response = await api.get('/chat/rooms', { params: mine ? { mine: true } : undefined });
     return response.data;
   },
 
-  async getChatHistory(roomId: string, limit = 50, offset = 0): Promise<{ messages: ChatMessage[]; total: number }> {
-    const response = await api.get(`/chat/history/${roomId}?limit=${limit}&offset=${offset}`);
+  async getRoom(roomId: string): Promise<{ room: ChatRoom; members: ChatRoomMember[] }> {
+    const response = await api.get(`/chat/rooms/${roomId}`);
+    return response.data;
+  },
+
+  async getChatHistory(roomId: string, limit = 50, offset = 0, before?: number): Promise<ChatHistoryResponse> {
+    const response = await api.get(`/chat/history/${roomId}`, { params: { limit, offset, before } });
     return response.data;
   },
 
@@ -74,13 +295,38 @@ export const chatService = {
     return response.data;
   },
 
-  async joinRoom(roomId: string, userId: string) {
-    const response = await api.post(`/chat/rooms/${roomId}/join`, { userId });
+  async joinRoom(roomId: string): Promise<{ room: ChatRoom }> {
+    const response = await api.post(`/chat/rooms/${roomId}/join`);
+    return response.data;
+  },
+
+  async addRoomMember(roomId: string, userId: string | number) {
+    const response = await api.post(`/chat/rooms/${roomId}/members`, { userId });
+    return response.data;
+  },
+
+  async leaveRoom(roomId: string) {
+    const response = await api.post(`/chat/rooms/${roomId}/leave`);
+    return response.data;
+  },
+
+  async getConversations(): Promise<{ conversations: Conversation[]; total_unread: number }> {
+    const response = await api.get('/chat/conversations');
+    return response.data;
+  },
+
+  async startConversation(tripId: number, message?: string): Promise<{ conversation: Conversation; message: DirectMessage | null }> {
+    const response = await api.post('/chat/conversations', { tripId, message });
+    return response.data;
+  },
+
+  async getConversationMessages(conversationId: number, limit = 50, before?: number): Promise<{ conversation: Conversation; messages: DirectMessage[] }> {
+    const response = await api.get(`/chat/conversations/${conversationId}/messages`, { params: { limit, before } });
     return response.data;
   },
 
-  async leaveRoom(roomId: string, userId: string) {
-    const response = await api.post(`/chat/rooms/${roomId}/leave`, { userId });
+  async markConversationRead(conversationId: number) {
+    const response = await api.post(`/chat/conversations/${conversationId}/read`);
     return response.data;
   },
 };
@@ -18,6 +18,20 @@ export interface ChatMessage {
   message: string;
   timestamp: string;
   roomId: string;
+  messageType?: 'text' | 'location' | 'system';
+}
+
+export interface ChatHistoryResponse {
+  success: boolean;
+  messages: ChatMessage[];
+  total: number;
+  pagination: {
+    limit: number;
+    offset: number;
+    before: number | null;
+    has_more: boolean;
+    next_before: number | null;
+  };
 }
 
 export interface ChatRoom {
@@ -27,6 +41,45 @@ export interface ChatRoom {
   memberCount: number;
   lastActivity: string;
   isPrivate?: boolean;
+  ownerId?: number | null;
+  tripId?: number | null;
+  isMember?: boolean;
+  createdAt?: string;
+}
+
+export interface ChatRoomMember {
+  id: number;
+  username: string;
+  first_name?: string;
+  last_name?: string;
+  member_role: 'owner' | 'member';
+  joined_at: string;
+}
+
+export interface DirectMessage {
+  id: number;
+  conversationId: number;
+  senderId: number | null;
+  senderUsername?: string;
+  message: string;
+  readAt: string | null;
+  timestamp: string;
+}
+
+export interface Conversation {
+  id: number;
+  participantIds: [number, number];
+  tripId: number | null;
+  tripTitle: string | null;
+  startedBy: number | null;
+  lastMessageAt: string | null;
+  createdAt: string;
+  otherUser?: {
+    id: number;
+    username: string;
+  };
+  lastMessage?: string | null;
+  unreadCount?: number;
 }
 
 export interface Location {
@@ -34,6 +87,410 @@ export interface Location {
   lng: number;
 }
 
+export interface TripLocationUpdate {
+  trip_id: number;
+  location: Location;
+  heading: number | null;
+  speed: number | null;
+  accuracy: number | null;
+  recorded_at: string;
+}
+
+export interface StopEta {
+  stop_id: number;
+  stop_name: string;
+  location: Location;
+  distance_km: number;
+  eta_minutes: number;
+  estimated_arrival: string | null;
+  passed: boolean;
+}
+
+export interface TripEtaUpdate {
+  trip_id: number;
+  passenger_id: number;
+  pickup: StopEta | null;
+  dropoff: StopEta | null;
+  computed_at: string;
+}
+
+export interface TripLocationResponse {
+  success: boolean;
+  trip_id: number;
+  trip_status: string;
+  latest: TripLocationUpdate | null;
+  trail: TripLocationUpdate[];
+  eta: TripEtaUpdate | null;
+}
+
+export type VehicleFeature =
+  | 'air_conditioning'
+  | 'child_seat'
+  | 'wheelchair_accessible'
+  | 'bike_rack'
+  | 'usb_charging'
+  | 'wifi';
+
+export interface Vehicle {
+  id: number;
+  owner_id: number;
+  make: string;
+  model: string;
+  color: string | null;
+  license_plate: string;
+  seat_capacity: number;
+  passenger_seats: number;
+  features: VehicleFeature[];
+  is_active: boolean;
+  created_at: string;
+  updated_at: string;
+}
+
+export interface VehicleInput {
+  make?: string;
+  model?: string;
+  color?: string | null;
+  license_plate?: string;
+  seat_capacity?: number;
+  features?: VehicleFeature[];
+}
+
+export type LuggageSize = 'none' | 'small' | 'medium' | 'large';
+export type MusicLevel = 'off' | 'quiet' | 'on';
+export type Chattiness = 'quiet' | 'some' | 'chatty';
+export type Gender = 'female' | 'male' | 'non_binary';
+
+// Rules a driver sets on a trip or series
+export interface TripRideRules {
+  smoking_allowed: boolean;
+  pets_allowed: boolean;
+  luggage_space: LuggageSize;
+  music: MusicLevel | null;
+  chattiness: Chattiness | null;
+  same_gender_only: boolean;
+}
+
+// Needs a passenger keeps as defaults on their profile
+export interface RidePreferences {
+  smoke_free?: boolean;
+  travels_with_pet?: boolean;
+  luggage_size?: LuggageSize;
+  music?: MusicLevel;
+  chattiness?: Chattiness;
+  same_gender_only?: boolean;
+}
+
+export type RidePreferenceChanges = { [K in keyof RidePreferences]?: RidePreferences[K] | null };
+
+export interface RideConflict {
+  field: keyof TripRideRules;
+  message: string;
+  blocking: boolean;
+}
+
+export type RateeRole = 'driver' | 'passenger';
+
+// Average score (null without ratings) and number of ratings in one role
+export interface RatingSummary {
+  average: number | null;
+  count: number;
+}
+
+export interface TripRating {
+  id: number;
+  trip_id: number;
+  rater_id: number;
+  rater?: { id: number; username: string; first_name?: string; last_name?: string };
+  ratee_id: number;
+  ratee_role: RateeRole;
+  trip?: { id: number; title: string; departure_time: string };
+  score: number;
+  tags: string[];
+  comment: string | null;
+  created_at: string;
+  updated_at: string;
+}
+
+export interface TripRatingInput {
+  ratee_id: number;
+  score: number;
+  tags?: string[];
+  comment?: string;
+}
+
+// Someone the current user shared a trip with and can rate
+export interface TripRatingPerson {
+  id: number;
+  username: string;
+  first_name?: string;
+  last_name?: string;
+  role: RateeRole;
+  rating_summary: RatingSummary;
+  my_rating: TripRating | null;
+}
+
+export interface TripRatingsResponse {
+  trip_status: string;
+  can_rate: boolean;
+  people: TripRatingPerson[];
+}
+
+export interface UserReputation {
+  user: { id: number; username: string; first_name?: string; last_name?: string };
+  as_driver: RatingSummary & { tags: { tag: string; count: number }[] };
+  as_passenger: RatingSummary & { tags: { tag: string; count: number }[] };
+  reliability: number | null;
+  ratings: TripRating[];
+}
+
+export type ReliabilityPolicy = 'warn' | 'limit' | 'reject';
+
+// Share of a user's commitments they kept, as a whole percentage (null
+// without any trips in the window), and the counts behind it
+export interface Reliability {
+  percentage: number | null;
+  completed_trips: number;
+  no_shows: number;
+  late_cancellations: number;
+  policy: ReliabilityPolicy | null;
+}
+
+export interface ReliabilityEvent {
+  id: number;
+  user_id: number;
+  trip_id: number;
+  trip?: { id: number; title: string; departure_time: string };
+  trip_request_id: number | null;
+  event_type: 'no_show' | 'late_cancellation';
+  user_role: RateeRole;
+  minutes_before_departure: number | null;
+  created_at: string;
+}
+
+export interface ReliabilityResponse {
+  reliability: Reliability;
+  events: ReliabilityEvent[];
+  window_days: number;
+  late_cancellation_hours: number;
+}
+
+export type DriverApplicationStatus = 'pending' | 'approved' | 'rejected';
+
+export interface DriverDocument {
+  id: number;
+  type: 'license' | 'insurance';
+  original_name: string;
+  mime_type: string;
+  size_bytes: number;
+  created_at: string;
+}
+
+export interface DriverApplication {
+  id: number;
+  user_id: number;
+  applicant?: {
+    id: number;
+    username: string;
+    first_name: string;
+    last_name: string;
+    email: string;
+  };
+  license_number: string;
+  license_expires_on: string;
+  status: DriverApplicationStatus;
+  review_notes: string | null;
+  reviewed_by: number | null;
+  reviewed_at: string | null;
+  documents: DriverDocument[];
+  created_at: string;
+  updated_at: string;
+}
+
+export interface DriverApplicationInput {
+  license_number: string;
+  license_expires_on: string;
+  license: File;
+  insurance: File;
+}
+
+export type PricingMode = 'flat' | 'per_km' | 'segment';
+
+export interface PriceQuote {
+  pricing_mode: PricingMode;
+  pickup_stop_id: number | null;
+  dropoff_stop_id: number | null;
+  distance_km: number | null;
+  fare_per_seat: number;
+  requested_seats: number;
+  total_price: number;
+  currency: string;
+}
+
+export interface TripMatchBoarding {
+  stop_id: number | null;
+  stop_name: string | null;
+  location: Location;
+  walk_km: number;
+  estimated_time: string;
+}
+
+export interface TripMatch {
+  trip: { id: number; departure_time: string; available_seats: number; [key: string]: any };
+  route: { id: number; name: string; start_location: string; end_location: string };
+  pickup: TripMatchBoarding;
+  dropoff: TripMatchBoarding;
+  ride_km: number;
+  walk_km: number;
+  detour_km: number;
+  time_difference_minutes: number;
+  remaining_seats: number;
+  quote: PriceQuote;
+  score: number;
+  driver_rating: RatingSummary;
+  driver_reliability: number | null;
+}
+
+export interface TripMatchParams {
+  from: Location;
+  to: Location;
+  departure_time?: string;
+  window_minutes?: number;
+  walk_radius_km?: number;
+  passenger_count?: number;
+}
+
+export interface SavedSearch {
+  id: number;
+  user_id: number;
+  name: string | null;
+  start_location: string | null;
+  end_location: string | null;
+  start_latitude: number | null;
+  start_longitude: number | null;
+  end_latitude: number | null;
+  end_longitude: number | null;
+  radius_km: number | null;
+  days_of_week: number[] | null;
+  time_from: string | null;
+  time_to: string | null;
+  timezone: string;
+  max_price: number | null;
+  requested_seats: number;
+  is_active: boolean;
+  last_matched_at: string | null;
+  created_at: string;
+  updated_at: string;
+}
+
+export interface SavedSearchInput {
+  name?: string | null;
+  start_location?: string | null;
+  end_location?: string | null;
+  start_latitude?: number | null;
+  start_longitude?: number | null;
+  end_latitude?: number | null;
+  end_longitude?: number | null;
+  radius_km?: number | null;
+  days_of_week?: number[] | null;
+  time_from?: string | null;
+  time_to?: string | null;
+  timezone?: string;
+  max_price?: number | null;
+  passenger_count?: number;
+}
+
+export interface SavedSearchMatch {
+  id: number;
+  trip_id: number;
+  fare_per_seat: number | null;
+  seen_at: string | null;
+  created_at: string;
+  title: string;
+  departure_time: string;
+  trip_status: string;
+  currency: string;
+  start_location: string;
+  end_location: string;
+}
+
+export interface SavedSearchAlert {
+  search: SavedSearch;
+  trips: Array<{
+    trip: { id: number; departure_time: string; available_seats: number; [key: string]: any };
+    route: { id: number; name: string; start_location: string; end_location: string };
+    quote: PriceQuote;
+  }>;
+}
+
+export type NotificationType =
+  | 'trip_request_created'
+  | 'trip_request_approved'
+  | 'trip_request_rejected'
+  | 'trip_request_cancelled'
+  | 'trip_request_expired'
+  | 'trip_cancelled'
+  | 'trip_starting_soon'
+  | 'trip_departure_reminder'
+  | 'trip_rating_requested'
+  | 'reliability_warning'
+  | 'chat_message'
+  | 'rating_received'
+  | 'saved_search_match'
+  | 'driver_application_approved'
+  | 'driver_application_rejected';
+
+export interface AppNotification {
+  id: number;
+  user_id: number;
+  type: NotificationType;
+  title: string;
+  body: string | null;
+  data: { [key: string]: any };
+  read_at: string | null;
+  created_at: string;
+}
+
+export type NotificationChannel = 'in_app' | 'email';
+
+export type NotificationPreferences = Record<NotificationChannel, Record<NotificationType, boolean>>;
+
+export interface NotificationListResponse {
+  notifications: AppNotification[];
+  unread_count: number;
+  pagination: {
+    limit: number;
+    before: number | null;
+    next_before: number | null;
+  };
+}
+
+export interface RecurringPattern {
+  days_of_week: number[];
+  time: string;
+  timezone: string;
+  start_date: string;
+  end_date?: string | null;
+  exception_dates?: string[];
+}
+
+export interface TripSubscription {
+  id: number;
+  series_id: number;
+  series_title?: string;
+  driver_id?: number;
+  passenger_id: number;
+  passenger_username?: string;
+  days_of_week: number[] | null;
+  pickup_stop_id: number | null;
+  dropoff_stop_id: number | null;
+  requested_seats: number;
+  subscription_status: 'pending' | 'approved' | 'rejected' | 'cancelled';
+  message: string | null;
+  skipped_dates?: string[];
+  created_at: string;
+  updated_at: string;
+}
+
 export interface RouteInstruction {
   instruction: string;
   distance: number;
@@ -73,24 +530,44 @@ export interface GeocodeResponse {
 }
 
 export interface SocketEvents {
-  // Chat events
-  join_room: (roomId: string) => void;
+  // Chat events (the sender is identified by the socket's auth token)
+  join_room: (data: { roomId: string }) => void;
+  room_error: (data: { roomId: string; error: string }) => void;
+  room_removed: (data: { roomId: string }) => void;
   send_message: (data: {
     roomId: string;
     message: string;
-    userId: string;
-    username: string;
   }) => void;
   receive_message: (message: ChatMessage) => void;
+  message_error: (data: { error: string }) => void;
   
+  // Direct message events
+  send_direct_message: (data: { conversationId: number; message: string }) => void;
+  direct_message: (message: DirectMessage) => void;
+  direct_message_error: (data: { conversationId?: number; error: string }) => void;
+  mark_conversation_read: (data: { conversationId: number }) => void;
+  conversation_read: (data: { conversationId: number; readBy: number; readAt: string }) => void;
+
   // Location events
   share_location: (data: {
-    roomId: string;
+    roomId?: string;
+    tripId?: number;
     location: Location;
-    userId: string;
+    heading?: number;
+    speed?: number;
+    accuracy?: number;
   }) => void;
+  trip_location_update: (data: TripLocationUpdate) => void;
+  trip_eta_update: (data: TripEtaUpdate) => void;
+  saved_search_match: (data: SavedSearchAlert) => void;
+
+  // Notification events
+  notification: (notification: AppNotification) => void;
+  notifications_read: (data: { ids: number[] | null; unread_count: number }) => void;
+  location_error: (data: { tripId?: number; error: string }) => void;
   location_update: (data: {
-    userId: string;
+    userId: number;
+    username: string;
     location: Location;
     timestamp: string;
   }) => void;
@@ -98,12 +575,11 @@ export interface SocketEvents {
   // Typing events
   typing: (data: {
     roomId: string;
-    userId: string;
     isTyping: boolean;
   }) => void;
   user_typing: (data: {
-    userId: string;
+    userId: number;
+    username: string;
     isTyping: boolean;
   }) => void;
 }
-